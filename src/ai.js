@@ -1,19 +1,75 @@
-import OpenAI from "openai";
-import fetch from "node-fetch";
-import fs from "fs";
-import path from "path";
-import ffmpeg from "fluent-ffmpeg";
-import ffmpegPath from "ffmpeg-static";
+import { createProvider } from "./providers/index.js";
+import { schemas, parseAndValidate, SchemaError } from "./schemas.js";
+import { formatDialogue } from "./voices.js";
 
-const client = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+const MAX_JSON_ATTEMPTS = 3;
 
-// tell fluent-ffmpeg where the ffmpeg binary is located
-ffmpeg.setFfmpegPath(ffmpegPath);
+// created lazily so env from dotenv is loaded and tests can swap it out
+let provider = null;
+
+export function getAIProvider() {
+  if (!provider) {
+    provider = createProvider();
+  }
+  return provider;
+}
+
+export function setAIProvider(newProvider) {
+  provider = newProvider;
+}
+
+// Asks the model for JSON, validates it against `schema` and retries with the
+// validation errors appended to the prompt. Returns the normalized object.
+async function generateJson({ task, prompt, schema }) {
+  let currentPrompt = prompt;
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= MAX_JSON_ATTEMPTS; attempt++) {
+    const jsonString = await getAIProvider().generateText({
+      task,
+      prompt: currentPrompt
+    });
+
+    try {
+      return parseAndValidate(schema, jsonString);
+    } catch (err) {
+      if (!(err instanceof SchemaError)) throw err;
+
+      lastError = err;
+      console.error(`Invalid ${schema.name} (attempt ${attempt}/${MAX_JSON_ATTEMPTS}):`, err.message);
+
+      currentPrompt =
+        `${prompt}\n\n` +
+        `Your previous response was rejected:\n"""${jsonString}"""\n` +
+        `Problems: ${err.errors.join("; ")}\n` +
+        `Fix these problems and return ONLY the corrected JSON, without markdown or explanations.`;
+    }
+  }
+
+  throw lastError;
+}
 
 // ---------- Reading ----------
-export async function generateReadingExercise(level) {
+// format: "text" (5 open questions, graded by the model) | "quiz" (buttons, graded locally)
+// glossary and translation for the reading help buttons; only the reading mode
+// shows them, so exam passages don't ask for them
+const READING_HELP_REQUIREMENTS = `
+- 1–3 grammar points from the text that matter at this level, each with a short English meaning and the phrase from the text that uses it.
+- The text split into sentences, each with a natural English translation.`;
+
+const READING_HELP_FORMAT = `,
+  "grammar": [
+    { "pattern": "-고", "meaning": "and (joins two actions)", "example": "phrase from the text" }
+  ],
+  "translation": [
+    { "ko": "sentence from the text", "en": "its English translation" }
+  ]`;
+
+export async function generateReadingExercise(level, format = "text", { help = false } = {}) {
+  if (format === "quiz") {
+    return generateReadingQuiz(level, { help });
+  }
+
   const prompt = `
 You are a Korean language teacher. Create a short reading exercise for a student at level ${level}급.
 
@@ -21,10 +77,13 @@ Requirements:
 - A text in KOREAN, 3–6 sentences.
 - Everyday / daily-life topic appropriate for this level.
 - 5 questions IN ENGLISH about the content of the text.
+- A short topic name in English.
+- 5–8 key words or expressions from the text (dictionary form) with a short English meaning.${help ? READING_HELP_REQUIREMENTS : ""}
 
 Return ONLY valid JSON with no explanations, exactly in this format:
 
 {
+  "topic": "short topic name in English",
   "text": "short text in Korean",
   "questions": [
     "Question 1 in English",
@@ -32,26 +91,131 @@ Return ONLY valid JSON with no explanations, exactly in this format:
     "Question 3 in English",
     "Question 4 in English",
     "Question 5 in English"
-  ]
+  ],
+  "vocabulary": [
+    { "ko": "word in Korean", "en": "meaning in English" }
+  ]${help ? READING_HELP_FORMAT : ""}
 }
 `;
 
-  const response = await client.responses.create({
-    model: "gpt-4.1-mini",
-    input: prompt
+  return generateJson({
+    task: "reading",
+    prompt,
+    schema: schemas.readingExercise
   });
+}
 
-  const jsonString = response.output_text;
+async function generateReadingQuiz(level, { help }) {
+  const prompt = `
+You are a Korean language teacher. Create a short reading exercise for a student at level ${level}급.
 
-  let data;
-  try {
-    data = JSON.parse(jsonString);
-  } catch (err) {
-    console.error("Failed to parse JSON from generateReadingExercise:", jsonString);
-    throw err;
-  }
+Requirements:
+- A text in KOREAN, 3–6 sentences.
+- Everyday / daily-life topic appropriate for this level.
+- Exactly 5 quiz items IN ENGLISH about the content of the text. Mix the two types:
+  - "multiple_choice": 4 options, exactly one correct;
+  - "true_false": a statement about the text, options are always ["True", "False"].
+- "answer" is the 0-based index of the correct option.
+- A one-sentence explanation for each item that points to the relevant part of the text.
+- A short topic name in English.
+- 5–8 key words or expressions from the text (dictionary form) with a short English meaning.${help ? READING_HELP_REQUIREMENTS : ""}
+
+Return ONLY valid JSON with no explanations, exactly in this format:
 
-  return data;
+{
+  "topic": "short topic name in English",
+  "text": "short text in Korean",
+  "items": [
+    {
+      "type": "multiple_choice",
+      "question": "Question in English",
+      "options": ["Option A", "Option B", "Option C", "Option D"],
+      "answer": 2,
+      "explanation": "Why this is correct"
+    },
+    {
+      "type": "true_false",
+      "question": "Statement in English",
+      "options": ["True", "False"],
+      "answer": 1,
+      "explanation": "Why"
+    }
+  ],
+  "vocabulary": [
+    { "ko": "word in Korean", "en": "meaning in English" }
+  ]${help ? READING_HELP_FORMAT : ""}
+}
+`;
+
+  const data = await generateJson({
+    task: "reading_quiz",
+    prompt,
+    schema: schemas.readingQuiz
+  });
+
+  return { ...data, format: "quiz" };
+}
+
+// ---------- Listening: dialogues ----------
+// TOPIK listening is mostly a man and a woman talking; the script keeps the
+// speaker of every line so each one can get its own voice.
+export async function generateListeningExercise(level, format = "text") {
+  const quiz = format === "quiz";
+
+  const taskFormat = quiz
+    ? `- Exactly 5 quiz items IN ENGLISH about the dialogue. Mix the two types:
+  - "multiple_choice": 4 options, exactly one correct;
+  - "true_false": a statement about the dialogue, options are always ["True", "False"].
+- "answer" is the 0-based index of the correct option.
+- A one-sentence explanation for each item that points to the relevant line.`
+    : "- 5 questions IN ENGLISH about the dialogue (who, what, where, why, what happens next).";
+
+  const answerFormat = quiz
+    ? `"items": [
+    {
+      "type": "multiple_choice",
+      "question": "Question in English",
+      "options": ["Option A", "Option B", "Option C", "Option D"],
+      "answer": 2,
+      "explanation": "Why this is correct"
+    }
+  ],`
+    : `"questions": ["Question 1", "Question 2", "Question 3", "Question 4", "Question 5"],`;
+
+  const prompt = `
+You are a Korean language teacher preparing a TOPIK-style listening exercise for a student at level ${level}급.
+
+Requirements:
+- A natural spoken DIALOGUE in KOREAN between a man ("man") and a woman ("woman"), 4–8 lines, mostly alternating.
+- An everyday situation appropriate for this level (shop, school, office, phone call, making plans...).
+- Spoken style: -아요/어요 for 1–3급; more varied endings and longer turns for 4–6급.
+${taskFormat}
+- A short topic name in English.
+- 5–8 key words or expressions from the dialogue (dictionary form) with a short English meaning.
+
+Return ONLY valid JSON with no explanations, exactly in this format:
+
+{
+  "topic": "short topic name in English",
+  "lines": [
+    { "speaker": "woman", "text": "Korean line" },
+    { "speaker": "man", "text": "Korean line" }
+  ],
+  ${answerFormat}
+  "vocabulary": [
+    { "ko": "word in Korean", "en": "meaning in English" }
+  ]
+}
+`;
+
+  const data = await generateJson({
+    task: quiz ? "listening_quiz" : "listening",
+    prompt,
+    schema: quiz ? schemas.listeningQuiz : schemas.listeningDialogue
+  });
+
+  const exercise = { ...data, text: formatDialogue(data.lines) };
+  return quiz ? { ...exercise, format: "quiz" } : exercise;
 }
 
 export async function evaluateReadingAnswers({ level, text, questions, userAnswers }) {
@@ -96,90 +260,307 @@ Return ONLY valid JSON with no explanations, strictly in the format:
 }
 `;
 
-  const response = await client.responses.create({
-    model: "gpt-4.1-mini",
-    input: prompt
+  return generateJson({
+    task: "reading_eval",
+    prompt,
+    schema: schemas.readingEvaluation
   });
+}
 
-  const jsonString = response.output_text;
+// ---------- Dictation ----------
+export async function generateDictationSentences(level) {
+  const prompt = `
+You are a Korean language teacher preparing a dictation (받아쓰기) for a student at level ${level}급.
 
-  let data;
-  try {
-    data = JSON.parse(jsonString);
-  } catch (err) {
-    console.error("Failed to parse JSON from evaluateReadingAnswers:", jsonString);
-    throw err;
-  }
+Requirements:
+- 5 separate KOREAN sentences on one everyday topic, appropriate for this level.
+- Each sentence is complete on its own and natural to read aloud.
+- Length: 1–2급 about 5–10 syllables, 3–4급 about 10–20 syllables, 5–6급 up to 30 syllables.
+- Use standard spelling and spacing (띄어쓰기); include some words with 받침 and common sound changes.
+- A short topic name in English.
+
+Return ONLY valid JSON with no explanations, exactly in this format:
 
-  return data;
+{
+  "topic": "short topic name in English",
+  "sentences": ["문장 1", "문장 2", "문장 3", "문장 4", "문장 5"]
 }
+`;
 
-// ---------- TTS for listening ----------
-export async function ttsFromKoreanText(text) {
-  const response = await client.audio.speech.create({
-    model: "gpt-4o-mini-tts",
-    voice: "alloy",
-    input: text
+  return generateJson({
+    task: "dictation",
+    prompt,
+    schema: schemas.dictation
   });
+}
+
+// ---------- Shadowing ----------
+export async function generateShadowingSentences(level) {
+  const prompt = `
+You are a Korean pronunciation coach preparing shadowing practice for a student at level ${level}급.
 
-  const buffer = Buffer.from(await response.arrayBuffer());
-  return buffer;
+Requirements:
+- 5 short, natural spoken KOREAN sentences the student will repeat after hearing them.
+- Everyday spoken style, appropriate for this level (1–2급: 5–10 syllables, 3–4급: 10–18, 5–6급: up to 25).
+- Mix in sounds learners often confuse: ㅓ/ㅗ, ㅐ/ㅔ, plain/tense/aspirated consonants, 받침 and linking (연음).
+- An English translation for each sentence.
+
+Return ONLY valid JSON with no explanations, exactly in this format:
+
+{
+  "sentences": [
+    { "korean": "문장", "english": "translation" }
+  ]
+}
+`;
+
+  return generateJson({
+    task: "shadowing",
+    prompt,
+    schema: schemas.shadowingSentences
+  });
 }
 
-// ---------- STT for speaking ----------
-export async function transcribeAudioFromUrl(fileUrl) {
-  // 1) Download .oga from Telegram
-  const res = await fetch(fileUrl);
-  if (!res.ok) {
-    throw new Error(`Failed to download audio: ${res.status} ${res.statusText}`);
-  }
+// ---------- Mistake review drills ----------
+export async function generateMistakeDrill({ level, patterns }) {
+  const patternList = patterns
+    .map((p, idx) => {
+      const examples = p.examples
+        .map((m) => `   - "${m.original}" → "${m.correction}"${m.explanation ? ` (${m.explanation})` : ""}`)
+        .join("\n");
+      return `${idx + 1}. ${p.pattern} (seen ${p.count} time(s))\n${examples}`;
+    })
+    .join("\n");
 
-  const arrayBuffer = await res.arrayBuffer();
-  const inputBuffer = Buffer.from(arrayBuffer);
+  const prompt = `
+You are a Korean language teacher. A student at level ${level}급 keeps making these mistakes (most frequent first):
+
+${patternList}
 
-  // 2) Create temporary files
-  const tmpDir = path.join(process.cwd(), "tmp");
-  await fs.promises.mkdir(tmpDir, { recursive: true });
+Create 5 short drill items that practice these patterns, mostly the first ones. Do NOT reuse the student's exact sentences.
+Each item is one of:
+- a sentence with a blank (___) to fill in, with the English meaning in brackets;
+- a sentence with one mistake to rewrite correctly.
 
-  const ts = Date.now();
-  const oggPath = path.join(tmpDir, `input-${ts}.oga`);
-  const mp3Path = path.join(tmpDir, `output-${ts}.mp3`);
+Requirements:
+- Vocabulary and grammar appropriate for ${level}급.
+- "prompt" is the task as the student sees it, with a short instruction in English.
+- "answer" is ONLY the expected Korean: the missing part for a blank, the full corrected sentence for a rewrite. Exactly one correct answer.
+- "explanation" is one short sentence in English.
+- "pattern" is the pattern name from the list above.
 
-  await fs.promises.writeFile(oggPath, inputBuffer);
+Return ONLY valid JSON with no explanations, exactly in this format:
+
+{
+  "items": [
+    { "pattern": "particle 을/를", "prompt": "Fill in the blank: 저는 커피___ 좋아해요. (I like coffee.)", "answer": "를", "explanation": "커피 ends in a vowel, so it takes 를." }
+  ]
+}
+`;
 
-  // 3) Convert .oga → .mp3 via ffmpeg
-  await new Promise((resolve, reject) => {
-    ffmpeg(oggPath)
-      .toFormat("mp3")
-      .on("end", resolve)
-      .on("error", reject)
-      .save(mp3Path);
+  return generateJson({
+    task: "mistake_drill",
+    prompt,
+    schema: schemas.mistakeDrill
   });
+}
+
+// ---------- Writing ----------
+const WRITING_TASK_PROMPTS = {
+  diary: `a diary-style prompt about everyday life (today, last weekend, a favorite place...).
+- "instructions": what to write about, in English, with 2–3 hints of what to mention.
+- Leave "passage", "data" and "guide_questions" empty.`,
+
+  completion: `a TOPIK II question 51/52 style item: a short text (notice, email, text message or explanatory paragraph, 4–6 sentences)
+with two blanks marked ㉠ and ㉡, each to be filled with ONE sentence or clause.
+- "instructions": "Fill in ㉠ and ㉡ with one sentence each."
+- "passage": the text in Korean with the blanks written as (㉠) and (㉡).`,
+
+  graph: `a TOPIK II question 53 style item: describe survey or statistics results in 200–300 characters.
+- "instructions": the task in Korean as on the exam, e.g. "다음을 참고하여 '...'에 대한 글을 200~300자로 쓰십시오. 단, 글의 제목은 쓰지 마십시오."
+- "title": the survey or statistics title in Korean.
+- "data": 4–6 short lines describing the graph in words (numbers, years, reasons, outlook), since the student can't see an image.`,
+
+  essay: `a TOPIK II question 54 style item: an opinion essay of 600–700 characters on a social topic.
+- "instructions": a short introduction to the topic in Korean, followed by "아래의 내용을 중심으로 자신의 생각을 600~700자로 글을 쓰십시오."
+- "guide_questions": 2–3 questions in Korean the essay must answer.`
+};
 
-  // 4) Send mp3 to OpenAI for transcription
-  const transcription = await client.audio.transcriptions.create({
-    model: "gpt-4o-mini-transcribe",
-    file: fs.createReadStream(mp3Path),
-    response_format: "json"
+export async function generateWritingTask({ level, type }) {
+  const prompt = `
+You are a Korean teacher preparing writing practice for a student at level ${level}급.
+
+Create ${WRITING_TASK_PROMPTS[type]}
+
+The vocabulary and topic must be appropriate for ${level}급.
+
+Return ONLY valid JSON with no explanations, exactly in this format:
+
+{
+  "title": "",
+  "instructions": "Task instructions",
+  "passage": "",
+  "data": [],
+  "guide_questions": []
+}
+`;
+
+  return generateJson({
+    task: "writing",
+    prompt,
+    schema: schemas.writingTask
   });
+}
 
-  // 5) Delete temporary files
-  fs.promises.unlink(oggPath).catch(() => {});
-  fs.promises.unlink(mp3Path).catch(() => {});
+function describeWritingTask(task) {
+  return [
+    task.title && `Title: ${task.title}`,
+    `Instructions: ${task.instructions}`,
+    task.passage && `Text:\n${task.passage}`,
+    task.data.length > 0 && `Data:\n${task.data.map((d) => `- ${d}`).join("\n")}`,
+    task.guide_questions.length > 0 && `Guide questions:\n${task.guide_questions.map((q) => `- ${q}`).join("\n")}`
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
 
-  const text = transcription && transcription.text ? transcription.text : "";
-  return text.trim();
+export async function evaluateWriting({ level, task, rubric, text, charCount, target }) {
+  const rubricText = rubric
+    .map((c) => `- "${c.key}" (0–${c.max} points): ${c.description}`)
+    .join("\n");
+
+  const prompt = `
+You are an experienced TOPIK writing examiner. Grade a submission from a student at level ${level}급.
+
+TASK:
+${describeWritingTask(task)}
+
+RUBRIC:
+${rubricText}
+
+LENGTH: ${charCount} characters including spaces${target ? ` (required ${target})` : ""}.
+Follow TOPIK practice: a text that is clearly too short loses points under "content", and copying the task text earns nothing.
+
+STUDENT'S SUBMISSION:
+"""${text}"""
+
+Do the following:
+1. Score each rubric criterion with an integer from 0 to its maximum, with one short comment in English.
+2. List up to 8 mistakes as inline corrections: "original" must be copied EXACTLY from the submission (a short phrase),
+   "corrected" is the fixed Korean, plus a short explanation in English and a short name of the error pattern.
+3. Write a model answer in Korean for the same task${target ? `, within ${target}` : ""}.
+4. One or two sentences of overall feedback in English.
+
+Return ONLY valid JSON with no explanations, exactly in this format:
+
+{
+  "criteria": [
+    { "key": "content", "score": 5, "comment": "Short comment" },
+    { "key": "organization", "score": 5, "comment": "Short comment" },
+    { "key": "language", "score": 10, "comment": "Short comment" }
+  ],
+  "corrections": [
+    { "original": "Phrase from the submission", "corrected": "Correct Korean", "explanation": "Short explanation", "pattern": "Error pattern" }
+  ],
+  "model_answer": "Model answer in Korean",
+  "overall_feedback": "Overall feedback"
+}
+`;
+
+  return generateJson({
+    task: "writing_eval",
+    prompt,
+    schema: schemas.writingEvaluation
+  });
+}
+
+// ---------- Grammar lessons ----------
+// Typed drill answers that don't match the key exactly: the model decides
+// whether they're another correct way to use the pattern.
+export async function reviewGrammarAnswer({ point, item, answer }) {
+  const prompt = `
+You are a Korean language teacher checking one grammar drill answer.
+
+GRAMMAR POINT: ${point.pattern} — ${point.title} (${point.level}급)
+TASK: ${item.prompt}
+EXPECTED ANSWER(S): ${item.answers.join(" / ")}
+STUDENT'S ANSWER: "${answer}"
+
+Decide whether the student's answer is correct Korean that completes the task AND uses ${point.pattern} properly.
+Small spacing or punctuation differences don't matter. A different but natural wording counts as correct
+only if it still practices ${point.pattern}.
+
+Return ONLY valid JSON with no explanations, exactly in this format:
+
+{
+  "correct": true,
+  "feedback": "One or two short sentences in English",
+  "corrected": "The corrected Korean answer, or an empty string if it was correct"
+}
+`;
+
+  return generateJson({
+    task: "grammar_review",
+    prompt,
+    schema: schemas.grammarReview
+  });
+}
+
+// ---------- TTS for listening ----------
+const DIALOGUE_PAUSE_MS = 700;
+
+export async function ttsFromKoreanText(text, { voice, speed = 1 } = {}) {
+  const audio = await getAIProvider().synthesizeSpeech({ text, voice });
+  if (speed === 1) return audio;
+  return getAIProvider().mixAudio({ clips: [audio], tempo: speed });
+}
+
+// one clip per line in its speaker's voice, joined with a short pause
+export async function synthesizeDialogue(lines, { voices, speed = 1 }) {
+  const provider = getAIProvider();
+  const clips = await Promise.all(
+    lines.map((line) => provider.synthesizeSpeech({ text: line.text, voice: voices[line.speaker] }))
+  );
+  return provider.mixAudio({ clips, pauseMs: DIALOGUE_PAUSE_MS, tempo: speed });
+}
+
+// ---------- STT for speaking ----------
+export async function transcribeAudioFromUrl(fileUrl) {
+  const text = await getAIProvider().transcribeAudio({ fileUrl });
+  return (text || "").trim();
+}
+
+// history: [{ role: "user" | "assistant", text }], oldest first, without the current message
+function formatConversation(summary, history) {
+  let block = "";
+
+  if (summary) {
+    block += `SUMMARY OF THE EARLIER CONVERSATION:\n${summary}\n\n`;
+  }
+
+  if (Array.isArray(history) && history.length > 0) {
+    const lines = history
+      .map((turn) => `${turn.role === "assistant" ? "Hangram" : "Student"}: ${turn.text}`)
+      .join("\n");
+    block += `RECENT MESSAGES (oldest first):\n${lines}\n\n`;
+  }
+
+  return block;
 }
 
-export async function generateFreeChatReply({ level, userMessage }) {
+export async function generateFreeChatReply({ level, userMessage, history = [], summary = "" }) {
   const safeUserMessage = userMessage || "";
+  const conversation = formatConversation(summary, history);
 
   const prompt = `
 You are a Korean university student named Hangram. You live in Korea and are chatting in a messenger with a foreigner who is learning Korean.
 Their level: ${level}급.
 
 Your task is to be a friendly conversation partner, NOT a strict teacher.
+${conversation ? `
+This is an ongoing conversation. Stay consistent with what was already said, remember what the student told you, and don't repeat your questions.
 
+${conversation}` : ""}
 You are given the USER'S LAST MESSAGE (it may be in Korean, Russian, English, or mixed):
 """${safeUserMessage}"""
 
@@ -191,7 +572,8 @@ Do the following:
 3. If the user's message contains noticeable MISTAKES in Korean, point out up to 3 mistakes:
    - the original phrase,
    - the corrected version,
-   - a short explanation in English, in simple language.
+   - a short explanation in English, in simple language,
+   - the error pattern: a short name of the grammar point or error type (e.g. "particle 을/를", "past tense", "honorific endings").
    If there are no serious mistakes, return an empty corrections list.
 
 If the user's message is empty (first step of the dialogue), start the conversation yourself:
@@ -208,28 +590,146 @@ The response format must be strictly valid JSON with no extra text:
     {
       "original": "Incorrect Korean phrase from the user's message",
       "corrected": "Correct version in Korean",
-      "explanation_ru": "Short explanation in English"
+      "explanation_ru": "Short explanation in English",
+      "pattern": "Short name of the error pattern"
     }
   ]
 }
 `;
 
-  const response = await client.responses.create({
-    model: "gpt-4.1-mini",
-    input: prompt
+  return generateJson({
+    task: "free_chat",
+    prompt,
+    schema: schemas.freeChatReply
+  });
+}
+
+// ---------- Free chat: summarizing old turns ----------
+export async function summarizeConversation({ level, summary = "", turns }) {
+  const prompt = `
+You are helping a Korean conversation partner named Hangram remember a chat with a student at level ${level}급.
+
+${formatConversation(summary, turns)}Write a short summary in ENGLISH (at most 5 sentences) of everything important from the conversation above:
+facts the student shared about themselves, topics already discussed, questions already asked, and any recurring mistakes.
+If there is an earlier summary, merge it into the new one.
+
+Return ONLY valid JSON with no explanations, exactly in the format:
+
+{
+  "summary": "Short summary in English"
+}
+`;
+
+  const data = await generateJson({
+    task: "summary",
+    prompt,
+    schema: schemas.conversationSummary
   });
 
-  const jsonString = response.output_text;
+  return data.summary;
+}
 
-  let data;
-  try {
-    data = JSON.parse(jsonString);
-  } catch (err) {
-    console.error("Failed to parse JSON from generateFreeChatReply:", jsonString);
-    throw err;
+// ---------- Role-play scenarios ----------
+function formatScenarioTranscript(history, roleName) {
+  if (!Array.isArray(history) || history.length === 0) {
+    return "(no messages yet)";
   }
+  return history
+    .map((turn) => `${turn.role === "assistant" ? roleName : "Learner"}: ${turn.text}`)
+    .join("\n");
+}
+
+// goals: [{ text, done }]; history: [{ role, text }] without the current message
+export async function generateScenarioTurn({ level, scenario, goals, history = [], userMessage = "" }) {
+  const goalsList = goals
+    .map((g, idx) => `${idx + 1}. ${g.text}${g.done ? " (already done)" : ""}`)
+    .join("\n");
+
+  const prompt = `
+You are playing a role in a Korean conversation practice with a learner at level ${level}급.
+
+YOUR ROLE: ${scenario.botRole}
+SITUATION: ${scenario.setting}
+
+The learner has these GOALS to complete in Korean during the conversation:
+${goalsList}
+
+CONVERSATION SO FAR:
+${formatScenarioTranscript(history, "You")}
+
+LEARNER'S LAST MESSAGE (may be empty at the very start, may come from voice recognition):
+"""${userMessage}"""
+
+Do the following:
+1. Stay in your role. Reply in natural KOREAN, 1–2 short sentences, adjusted to ${level}급.
+   If the learner's message is empty, open the scene yourself (greet them as your role would).
+   React to what the learner said and let the scene move forward, but do NOT complete the goals for them.
+2. Translate your reply into ENGLISH.
+3. Decide which goals the learner has now completed with their OWN Korean words (in this message or earlier).
+   Only count a goal if the learner clearly did it. Return the goal numbers.
+4. Give a very short hint in English about what the learner could say next to work on a goal that is not done yet.
+
+Return ONLY valid JSON with no explanations, exactly in the format:
+
+{
+  "korean": "Your in-role reply in Korean",
+  "english_translation": "Translation in English",
+  "goals_completed": [1, 2],
+  "hint": "Short hint in English"
+}
+`;
+
+  return generateJson({
+    task: "scenario_turn",
+    prompt,
+    schema: schemas.scenarioTurn
+  });
+}
+
+export async function evaluateScenario({ level, scenario, goals, history }) {
+  const goalsList = goals
+    .map((g, idx) => `${idx + 1}. ${g.text} — ${g.done ? "completed" : "not completed"}`)
+    .join("\n");
+
+  const prompt = `
+You are a friendly Korean teacher giving a debrief after a role-play with a learner at level ${level}급.
+
+SCENARIO: ${scenario.title}
+The other side was played by: ${scenario.botRole}
+
+GOALS AND STATUS:
+${goalsList}
+
+TRANSCRIPT:
+${formatScenarioTranscript(history, "Partner")}
+
+Do the following, in simple English:
+1. Score the learner's performance from 1 to 10 (integer), considering goal completion, grammar, vocabulary, and how natural and polite they sounded for the situation.
+2. For each goal, say briefly how it went.
+3. Point out up to 3 mistakes the learner made, with corrected Korean and a short name of the error pattern (e.g. "particle 을/를", "honorific endings").
+4. Give 2–4 useful Korean phrases for this situation that the learner could use next time.
+5. Give one sentence of overall feedback.
+
+Return ONLY valid JSON with no explanations, exactly in the format:
+
+{
+  "score": 7,
+  "per_goal": [
+    { "number": 1, "achieved": true, "comment": "Short comment" }
+  ],
+  "corrections": [
+    { "original": "Learner's phrase", "corrected": "Correct Korean", "explanation": "Short explanation", "pattern": "Error pattern" }
+  ],
+  "useful_phrases": ["Korean phrase — English meaning"],
+  "overall_feedback": "One sentence"
+}
+`;
 
-  return data;
+  return generateJson({
+    task: "scenario_eval",
+    prompt,
+    schema: schemas.scenarioEvaluation
+  });
 }
 
 // ---------- Speaking: exercise generation ----------
@@ -269,22 +769,11 @@ The response format must be strictly valid JSON with no extra text:
 }
 `;
 
-  const response = await client.responses.create({
-    model: "gpt-4.1-mini",
-    input: prompt
+  return generateJson({
+    task: "speaking",
+    prompt,
+    schema: schemas.speakingExercise
   });
-
-  const jsonString = response.output_text;
-
-  let data;
-  try {
-    data = JSON.parse(jsonString);
-  } catch (err) {
-    console.error("Failed to parse JSON from generateSpeakingExercise:", jsonString);
-    throw err;
-  }
-
-  return data;
 }
 
 // ---------- Speaking: response evaluation ----------
@@ -312,30 +801,25 @@ Do the following:
 1. Score the answer on a scale from 1 to 10 (integer), taking into account vocabulary, grammar, coherence, and relevance to the topic.
 2. Give a short comment in English (what is good, what should be improved).
 3. Provide an improved sample answer in KOREAN (2–4 sentences) on the same topic, appropriate for the student's level.
+4. List up to 3 concrete mistakes from the transcript: the student's phrase, the corrected Korean, a short explanation in English
+   and a short name of the error pattern (e.g. "particle 을/를", "past tense"). Ignore obvious recognition errors.
+   If there are no real mistakes, return an empty list.
 
 Return ONLY valid JSON with no explanations, exactly in the format:
 
 {
   "score": 8,
   "feedback": "Comment in English",
-  "sample_answer_ko": "Example of a good answer in Korean"
+  "sample_answer_ko": "Example of a good answer in Korean",
+  "mistakes": [
+    { "original": "Student's phrase", "corrected": "Correct Korean", "explanation": "Short explanation", "pattern": "Error pattern" }
+  ]
 }
 `;
 
-  const response = await client.responses.create({
-    model: "gpt-4.1-mini",
-    input: prompt
+  return generateJson({
+    task: "speaking_eval",
+    prompt,
+    schema: schemas.speakingEvaluation
   });
-
-  const jsonString = response.output_text;
-
-  let data;
-  try {
-    data = JSON.parse(jsonString);
-  } catch (err) {
-    console.error("Failed to parse JSON from evaluateSpeakingResponse:", jsonString);
-    throw err;
-  }
-
-  return data;
 }
\ No newline at end of file
@@ -0,0 +1,286 @@
+import { composeSyllable, isVowel, romanize, sameText } from "./hangul.js";
+
+// The 0급 Hangul course: letters, syllable blocks and 받침 in small steps, each
+// lesson closed by a quiz that is generated and graded locally. Lessons open one
+// after another; finishing the last one unlocks 1급.
+
+export const QUIZ_LENGTH = 8;
+export const LESSON_PASS_SCORE = 8;   // quiz score (0–10) that completes a lesson and opens the next
+
+// recognition first, typing last: two questions of each kind
+const QUIZ_PLAN = ["which", "which", "read", "read", "listen", "listen", "type", "type"];
+
+// items: { ko, roman, sound, note } for letters (sound is what TTS reads, roman is how it's taught);
+// syllables and words only need ko (plus en for words), the rest is derived
+export const LESSONS = [
+  {
+    id: "vowels",
+    title: "Basic vowels",
+    unit: "letter",
+    intro:
+      "Hangul is an alphabet: every syllable is built from letters. Start with six vowels.\n" +
+      "A vowel never stands alone — a silent ㅇ fills the empty consonant slot, so ㅏ is written 아.",
+    items: [
+      { ko: "ㅏ", roman: "a", sound: "아", note: "as in father" },
+      { ko: "ㅓ", roman: "eo", sound: "어", note: "as in song, mouth open" },
+      { ko: "ㅗ", roman: "o", sound: "오", note: "as in go, lips rounded" },
+      { ko: "ㅜ", roman: "u", sound: "우", note: "as in moon" },
+      { ko: "ㅡ", roman: "eu", sound: "으", note: "lips flat, teeth together" },
+      { ko: "ㅣ", roman: "i", sound: "이", note: "as in see" }
+    ]
+  },
+  {
+    id: "consonants",
+    title: "Basic consonants",
+    unit: "letter",
+    intro:
+      "Ten everyday consonants. Their shapes sketch the mouth: ㄱ is the tongue touching the back of the mouth, ㅁ is closed lips.\n" +
+      "Some sound softer at the start of a word (ㄱ is between g and k).",
+    items: [
+      { ko: "ㄱ", roman: "g/k", sound: "가" },
+      { ko: "ㄴ", roman: "n", sound: "나" },
+      { ko: "ㄷ", roman: "d/t", sound: "다" },
+      { ko: "ㄹ", roman: "r/l", sound: "라", note: "a light flap, between r and l" },
+      { ko: "ㅁ", roman: "m", sound: "마" },
+      { ko: "ㅂ", roman: "b/p", sound: "바" },
+      { ko: "ㅅ", roman: "s", sound: "사" },
+      { ko: "ㅇ", roman: "silent/ng", sound: "아", note: "silent before a vowel, ng at the end" },
+      { ko: "ㅈ", roman: "j", sound: "자" },
+      { ko: "ㅎ", roman: "h", sound: "하" }
+    ]
+  },
+  {
+    id: "blocks",
+    title: "Syllable blocks",
+    unit: "syllable",
+    intro:
+      "Letters are stacked into one block per syllable: consonant + vowel.\n" +
+      "Tall vowels (ㅏ ㅓ ㅣ) go to the right: ㄱ + ㅏ → 가.\n" +
+      "Flat vowels (ㅗ ㅜ ㅡ) go underneath: ㄱ + ㅗ → 고.",
+    items: ["가", "너", "도", "루", "므", "비", "소", "주", "하", "오", "리", "느"].map((ko) => ({ ko }))
+  },
+  {
+    id: "more_vowels",
+    title: "Y-vowels, ㅐ and ㅔ",
+    unit: "letter",
+    intro:
+      "A second short stroke adds a y-sound: ㅏ → ㅑ (ya), ㅓ → ㅕ (yeo).\n" +
+      "ㅐ and ㅔ sound almost the same today (like e in bed).",
+    items: [
+      { ko: "ㅑ", roman: "ya", sound: "야" },
+      { ko: "ㅕ", roman: "yeo", sound: "여" },
+      { ko: "ㅛ", roman: "yo", sound: "요" },
+      { ko: "ㅠ", roman: "yu", sound: "유" },
+      { ko: "ㅐ", roman: "ae", sound: "애" },
+      { ko: "ㅔ", roman: "e", sound: "에" },
+      { ko: "ㅒ", roman: "yae", sound: "얘" },
+      { ko: "ㅖ", roman: "ye", sound: "예" }
+    ]
+  },
+  {
+    id: "strong_consonants",
+    title: "Aspirated and tense consonants",
+    unit: "letter",
+    intro:
+      "An extra stroke adds a puff of air (aspirated): ㄱ → ㅋ, ㄷ → ㅌ, ㅂ → ㅍ, ㅈ → ㅊ.\n" +
+      "A doubled letter is tense — tight throat, no air: ㄲ ㄸ ㅃ ㅆ ㅉ.",
+    items: [
+      { ko: "ㅋ", roman: "k", sound: "카", note: "with a puff of air" },
+      { ko: "ㅌ", roman: "t", sound: "타", note: "with a puff of air" },
+      { ko: "ㅍ", roman: "p", sound: "파", note: "with a puff of air" },
+      { ko: "ㅊ", roman: "ch", sound: "차", note: "with a puff of air" },
+      { ko: "ㄲ", roman: "kk", sound: "까", note: "tense" },
+      { ko: "ㄸ", roman: "tt", sound: "따", note: "tense" },
+      { ko: "ㅃ", roman: "pp", sound: "빠", note: "tense" },
+      { ko: "ㅆ", roman: "ss", sound: "싸", note: "tense" },
+      { ko: "ㅉ", roman: "jj", sound: "짜", note: "tense" }
+    ]
+  },
+  {
+    id: "compound_vowels",
+    title: "Compound vowels",
+    unit: "letter",
+    intro:
+      "Two vowels glide into one: ㅗ + ㅏ → ㅘ (wa), ㅜ + ㅓ → ㅝ (wo), ㅡ + ㅣ → ㅢ (ui).\n" +
+      "Say the first one quickly and land on the second.",
+    items: [
+      { ko: "ㅘ", roman: "wa", sound: "와" },
+      { ko: "ㅝ", roman: "wo", sound: "워" },
+      { ko: "ㅙ", roman: "wae", sound: "왜" },
+      { ko: "ㅞ", roman: "we", sound: "웨" },
+      { ko: "ㅚ", roman: "oe", sound: "외" },
+      { ko: "ㅟ", roman: "wi", sound: "위" },
+      { ko: "ㅢ", roman: "ui", sound: "의" }
+    ]
+  },
+  {
+    id: "batchim",
+    title: "Final consonants (받침)",
+    unit: "syllable",
+    intro:
+      "A consonant at the bottom of a block is a 받침: 가 + ㄱ → 각.\n" +
+      "Whatever the letter, a 받침 ends in one of only seven sounds:\n" +
+      "ㄱ ㅋ ㄲ → k · ㄴ → n · ㄷ ㅅ ㅆ ㅈ ㅊ ㅌ ㅎ → t · ㄹ → l · ㅁ → m · ㅂ ㅍ → p · ㅇ → ng",
+    items: ["국", "밖", "안", "옷", "낮", "말", "감", "밥", "앞", "강", "꽃", "밭"].map((ko) => ({ ko }))
+  },
+  {
+    id: "words",
+    title: "Reading words",
+    unit: "word",
+    intro:
+      "Put it all together and read whole words, one block at a time.\n" +
+      "A 받침 followed by a vowel slides over to it: 한국어 is read 한구거.",
+    items: [
+      { ko: "한국", en: "Korea" },
+      { ko: "사람", en: "person" },
+      { ko: "학교", en: "school" },
+      { ko: "우유", en: "milk" },
+      { ko: "김치", en: "kimchi" },
+      { ko: "커피", en: "coffee" },
+      { ko: "친구", en: "friend" },
+      { ko: "물", en: "water" },
+      { ko: "바다", en: "sea" },
+      { ko: "노래", en: "song" },
+      { ko: "사랑", en: "love" },
+      { ko: "시간", en: "time" }
+    ]
+  }
+];
+
+export function findLesson(id) {
+  return LESSONS.find((l) => l.id === id) || null;
+}
+
+export function isLessonCompleted(progress, id) {
+  return Boolean(progress[id]?.completed);
+}
+
+// a lesson opens once the one before it is completed
+export function isUnlocked(progress, id) {
+  const index = LESSONS.findIndex((l) => l.id === id);
+  return index === 0 || (index > 0 && isLessonCompleted(progress, LESSONS[index - 1].id));
+}
+
+export function courseSummary(progress) {
+  return { done: LESSONS.filter((l) => isLessonCompleted(progress, l.id)).length, total: LESSONS.length };
+}
+
+export function courseCompleted(progress) {
+  const { done, total } = courseSummary(progress);
+  return done === total;
+}
+
+// keeps the best score; returns true when this attempt completed the lesson
+export function recordQuizResult(progress, id, score, now = Date.now()) {
+  const entry = progress[id] || { attempts: 0, best: 0, completed: false, completedAt: null };
+  entry.attempts++;
+  entry.best = Math.max(entry.best, score);
+
+  const newlyCompleted = !entry.completed && score >= LESSON_PASS_SCORE;
+  if (newlyCompleted) {
+    entry.completed = true;
+    entry.completedAt = now;
+  }
+
+  progress[id] = entry;
+  return newlyCompleted;
+}
+
+// skipped questions count as wrong
+export function scoreHangulQuiz(results, total) {
+  const correct = results.filter((r) => r === "correct").length;
+  return { correct, score: total > 0 ? Math.round((correct / total) * 10) : 0 };
+}
+
+function romanOf(item) {
+  return item.roman || romanize(item.ko);
+}
+
+function soundOf(item) {
+  return item.sound || item.ko;
+}
+
+// a vowel can also be typed the way it's written on its own: ㅓ or 어
+function acceptedAnswers(item) {
+  return isVowel(item.ko) ? [item.ko, composeSyllable("ㅇ", item.ko)] : [item.ko];
+}
+
+function shuffle(list, random) {
+  const copy = [...list];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+// Button questions get three distractors from the same lesson;
+// "read" shows romanizations, the others show Hangul.
+export function createHangulQuiz(lesson, { random = Math.random } = {}) {
+  const order = shuffle(lesson.items, random);
+
+  return QUIZ_PLAN.map((type, idx) => {
+    const item = order[idx % order.length];
+    const question = { type, ko: item.ko, roman: romanOf(item), sound: soundOf(item) };
+
+    if (type === "type") {
+      question.answers = acceptedAnswers(item);
+      return question;
+    }
+
+    const others = shuffle(lesson.items.filter((i) => i !== item), random).slice(0, 3);
+    const options = shuffle([item, ...others], random);
+    question.options = options.map((o) => (type === "read" ? romanOf(o) : o.ko));
+    question.answer = options.indexOf(item);
+    return question;
+  });
+}
+
+export function expectedHangulAnswer(question) {
+  return question.type === "type" ? question.answers[0] : question.options[question.answer];
+}
+
+// typed answers: spelling has to be exact, spacing and punctuation aside
+export function gradeHangulAnswer(question, answer) {
+  return question.answers.some((expected) => sameText(expected, answer)) ? "correct" : "wrong";
+}
+
+export function formatHangulLesson(lesson, progress) {
+  const number = LESSONS.indexOf(lesson) + 1;
+  const entry = progress[lesson.id];
+
+  let msg = `🔡 Lesson ${number}/${LESSONS.length} · ${lesson.title}\n\n${lesson.intro}\n\n`;
+  msg += lesson.items
+    .map((item) => {
+      const details = [item.en, item.note].filter(Boolean).join(", ");
+      return `${item.ko}  ${romanOf(item)}${details ? ` — ${details}` : ""}`;
+    })
+    .join("\n");
+  msg += "\n\nTap a 🔊 button to hear each sound, then take the quiz.";
+
+  if (entry?.completed) {
+    msg += `\n\n✅ Completed · best quiz score ${entry.best}/10`;
+  } else if (entry) {
+    msg += `\n\nBest quiz score so far: ${entry.best}/10 (${LESSON_PASS_SCORE}/10 completes the lesson)`;
+  }
+  return msg;
+}
+
+export function formatHangulQuestion(lesson, question, index, total) {
+  const { unit } = lesson;
+  let text;
+
+  if (question.type === "which") {
+    text = `Which ${unit} is “${question.roman}”?`;
+  } else if (question.type === "read") {
+    text = unit === "letter" ? `How do you read ${question.ko}?` : `Read this ${unit}: ${question.ko}`;
+  } else if (question.type === "listen") {
+    text = `🔊 Which ${unit} did you hear?`;
+  } else {
+    text = unit === "letter"
+      ? `Type the letter for “${question.roman}”.`
+      : `Type “${question.roman}” in Hangul.`;
+    text += "\n\n⌨️ Switch your keyboard to Korean (한국어) to answer.";
+  }
+  return `${index + 1}/${total} · ${text}`;
+}
@@ -0,0 +1,73 @@
+import fs from "fs";
+import path from "path";
+import ffmpeg from "fluent-ffmpeg";
+import ffmpegPath from "ffmpeg-static";
+
+// tell fluent-ffmpeg where the ffmpeg binary is located
+if (ffmpegPath) {
+  ffmpeg.setFfmpegPath(ffmpegPath);
+}
+
+const SAMPLE_RATE = 24000;   // what the TTS models return
+const MIN_TEMPO = 0.5;       // atempo's supported range
+const MAX_TEMPO = 2;
+
+async function tmpFiles(prefix, count) {
+  const tmpDir = path.join(process.cwd(), "tmp");
+  await fs.promises.mkdir(tmpDir, { recursive: true });
+
+  const stamp = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  return Array.from({ length: count }, (_, idx) => path.join(tmpDir, `${prefix}-${stamp}-${idx}`));
+}
+
+function removeFiles(paths) {
+  for (const p of paths) {
+    fs.promises.unlink(p).catch(() => {});
+  }
+}
+
+function run(command, outputPath) {
+  return new Promise((resolve, reject) => {
+    command.on("end", resolve).on("error", reject).save(outputPath);
+  });
+}
+
+export async function convertToMp3(inputPath, outputPath) {
+  await run(ffmpeg(inputPath).toFormat("mp3"), outputPath);
+}
+
+export function clampTempo(tempo) {
+  const value = Number(tempo) || 1;
+  return Math.min(MAX_TEMPO, Math.max(MIN_TEMPO, value));
+}
+
+// Joins mp3 clips into one mp3 with `pauseMs` of silence between them,
+// optionally slowed down or sped up (pitch stays the same).
+export async function mixClips({ clips, pauseMs = 0, tempo = 1 }) {
+  const [outputPath, ...inputPaths] = await tmpFiles("mix", clips.length + 1);
+  const inputs = inputPaths.map((p) => `${p}.mp3`);
+  const output = `${outputPath}.mp3`;
+  const speed = clampTempo(tempo);
+
+  try {
+    await Promise.all(clips.map((clip, idx) => fs.promises.writeFile(inputs[idx], clip)));
+
+    // clips from different voices may differ in format, so normalize before joining
+    const filters = inputs.map((_, idx) => {
+      const steps = [`aresample=${SAMPLE_RATE}`, "aformat=sample_fmts=fltp:channel_layouts=mono"];
+      if (pauseMs > 0 && idx < inputs.length - 1) steps.push(`apad=pad_dur=${pauseMs / 1000}`);
+      if (speed !== 1) steps.push(`atempo=${speed}`);
+      return `[${idx}:a]${steps.join(",")}[a${idx}]`;
+    });
+    filters.push(`${inputs.map((_, idx) => `[a${idx}]`).join("")}concat=n=${inputs.length}:v=0:a=1[out]`);
+
+    const command = ffmpeg();
+    inputs.forEach((input) => command.input(input));
+    command.complexFilter(filters, "out").audioCodec("libmp3lame").toFormat("mp3");
+
+    await run(command, output);
+    return await fs.promises.readFile(output);
+  } finally {
+    removeFiles([...inputs, output]);
+  }
+}
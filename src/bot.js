@@ -0,0 +1,3961 @@
+import { Telegraf } from "telegraf";
+
+import {
+    levelKeyboard,
+    practiceKeyboard,
+    mainMenuKeyboard,
+    readingResultKeyboard,
+    readingHelpKeyboard,
+    listeningResultKeyboard,
+    speakingResultKeyboard,
+    listeningAudioKeyboard,
+    listeningLinesKeyboard,
+    audioSettingsKeyboard,
+    vocabCardKeyboard,
+    vocabGradeKeyboard,
+    scenarioListKeyboard,
+    scenarioTurnKeyboard,
+    scenarioResultKeyboard,
+    answerFormatKeyboard,
+    quizQuestionKeyboard,
+    dictationKeyboard,
+    dictationResultKeyboard,
+    shadowingKeyboard,
+    shadowingResultKeyboard,
+    placementQuestionKeyboard,
+    levelSuggestionKeyboard,
+    autoLevelKeyboard,
+    mistakesKeyboard,
+    mistakeDrillKeyboard,
+    mistakeDrillResultKeyboard,
+    writingTypeKeyboard,
+    writingResultKeyboard,
+    examMenuKeyboard,
+    examQuestionKeyboard,
+    examResultKeyboard,
+    grammarLevelsKeyboard,
+    grammarPointsKeyboard,
+    grammarLessonKeyboard,
+    grammarDrillKeyboard,
+    grammarResultKeyboard,
+    conjugationKeyboard,
+    conjugationResultKeyboard,
+    hangulCourseKeyboard,
+    hangulLessonKeyboard,
+    hangulQuizKeyboard,
+    hangulResultKeyboard,
+} from "./keyboards.js";
+
+import {
+    getSession,
+    resetSession,
+    saveSessions,
+    listSessions,
+    nextExerciseId
+} from "./sessions.js";
+import { createUserQueue } from "./queue.js";
+import { MODE_LABELS, addScoreToStats, buildProgressReport } from "./stats.js";
+import {
+    GRADES,
+    addCard,
+    addCards,
+    findCard,
+    scheduleReview,
+    dueCards,
+    nextDueCard,
+    nextDueTime,
+    formatWaitTime
+} from "./vocab.js";
+
+import {
+    generateReadingExercise,
+    evaluateReadingAnswers,
+    generateListeningExercise,
+    ttsFromKoreanText,
+    synthesizeDialogue,
+    generateSpeakingExercise,
+    evaluateSpeakingResponse,
+    transcribeAudioFromUrl,
+    generateFreeChatReply,
+    summarizeConversation,
+    generateScenarioTurn,
+    evaluateScenario,
+    generateDictationSentences,
+    generateShadowingSentences,
+    generateMistakeDrill,
+    generateWritingTask,
+    evaluateWriting,
+    reviewGrammarAnswer
+} from "./ai.js";
+import {
+    appendTurn,
+    compactConversation,
+    resetConversation
+} from "./conversation.js";
+import {
+    scenariosForLevel,
+    findScenario,
+    goalsForLevel,
+    markGoalsDone,
+    scenarioEnd,
+    formatGoals
+} from "./scenarios.js";
+import {
+    optionLabel,
+    formatQuizQuestion,
+    scoreQuiz,
+    formatQuizResult
+} from "./quiz.js";
+import { gradeDictation, summarizeErrors } from "./dictation.js";
+import { normalizeUnicode, romanize } from "./hangul.js";
+import { escapeHtml } from "./html.js";
+import {
+    PLACEMENT_LENGTH,
+    SKILL_LABELS,
+    createPlacementTest,
+    nextPlacementItem,
+    answerPlacementItem,
+    placementResult,
+    formatPlacementResult
+} from "./placement.js";
+import {
+    WINDOW,
+    evaluateLevel,
+    withinAutoBounds,
+    applyLevel,
+    declineSuggestion,
+    parseBounds
+} from "./leveling.js";
+import {
+    GOAL_TYPES,
+    recordActivity,
+    formatStreakStatus,
+    isValidTimezone,
+    parseTime,
+    localDateKey,
+    localTime
+} from "./streaks.js";
+import {
+    gradeShadowing,
+    formatSounds,
+    takeNextSentence,
+    recordAttempt
+} from "./shadowing.js";
+import {
+    addMistakes,
+    markMastered,
+    topPatterns,
+    mistakesPage,
+    formatMistakesPage,
+    gradeDrillAnswer
+} from "./mistakes.js";
+import {
+    RUBRICS,
+    WRITING_TYPES,
+    writingTypesForLevel,
+    rubricTotal,
+    formatRubric,
+    countCharacters,
+    formatLength,
+    scoreWriting,
+    markCorrections
+} from "./writing.js";
+import {
+    EXAMS,
+    SECTION_LABELS,
+    passageLevels,
+    createExam,
+    currentSkill,
+    startSection,
+    timeLeft,
+    isSectionOverdue,
+    formatTimeLeft,
+    currentItem,
+    answerItem,
+    closeSection,
+    buildAttempt,
+    addAttempt,
+    previousAttempt,
+    formatExamReport,
+    formatExamHistory
+} from "./exam.js";
+import {
+    HELP_TYPES,
+    availableHelp,
+    recordHelp,
+    formatGlossary,
+    formatTranslation,
+    formatHelpUsed
+} from "./glossary.js";
+import {
+    PASS_SCORE,
+    GRAMMAR_LEVELS,
+    findGrammarPoint,
+    pointsForLevel,
+    isCompleted,
+    levelSummary,
+    recordDrillResult,
+    createDrill,
+    expectedAnswer,
+    matchDrillAnswer,
+    scoreDrill,
+    formatLesson,
+    formatDrillItem
+} from "./grammar.js";
+import {
+    FORMS,
+    createConjugationDrill,
+    gradeConjugation,
+    mainRule,
+    formatRules,
+    formatConjugationItem
+} from "./conjugation.js";
+import {
+    LESSONS,
+    QUIZ_LENGTH,
+    LESSON_PASS_SCORE,
+    findLesson,
+    isLessonCompleted,
+    recordQuizResult,
+    scoreHangulQuiz,
+    isUnlocked,
+    courseSummary,
+    courseCompleted,
+    createHangulQuiz,
+    expectedHangulAnswer,
+    gradeHangulAnswer,
+    formatHangulLesson,
+    formatHangulQuestion
+} from "./alphabet.js";
+import {
+    VOICES,
+    SPEEDS,
+    SLOW_SPEED,
+    SPEAKER_LABELS,
+    dialogueVoices,
+    formatAudioSettings
+} from "./voices.js";
+
+const CHANGE_LEVEL_TEXT = "Change difficulty";
+const CHANGE_MODE_TEXT = "Change mode";
+const SHOW_PROGRESS_TEXT = "See progress";
+
+// --- Logging ---
+function log(...args) {
+    console.log("[LOG]", ...args);
+}
+function errorLog(...args) {
+    console.error("[ERROR]", ...args);
+}
+
+// --- Concurrency & stale buttons ---
+const BUSY_TEXT = "⏳ Still working on your previous request — I'll get to this one right after.";
+const TOO_BUSY_TEXT = "⏳ I'm still busy with your previous requests. Please wait a moment and try again.";
+
+// One queue for every bot update and background job, so a job never runs in the middle of a user's update
+const userQueue = createUserQueue();
+
+// Runs each user's updates one at a time. A repeated tap on a button that is
+// already queued is dropped; anything else waits its turn with a short notice.
+function serializePerUser(queue) {
+    return async (ctx, next) => {
+        const userId = ctx.from?.id;
+        if (!userId) return next();
+
+        const data = ctx.callbackQuery?.data;
+        const key = data ? `cb:${data}` : null;
+
+        if (key && queue.has(userId, key)) {
+            await ctx.answerCbQuery("⏳ Already working on it...").catch(() => {});
+            return;
+        }
+
+        if (queue.isFull(userId)) {
+            if (ctx.callbackQuery) {
+                await ctx.answerCbQuery(TOO_BUSY_TEXT).catch(() => {});
+            } else {
+                await ctx.reply(TOO_BUSY_TEXT).catch(() => {});
+            }
+            return;
+        }
+
+        if (queue.isBusy(userId)) {
+            await ctx.reply(BUSY_TEXT).catch(() => {});
+        }
+
+        return queue.run(userId, key, () => next());
+    };
+}
+
+// Middleware for every way into a practice mode (buttons, stale buttons, commands):
+// on the Hangul track they stay locked until the course unlocks 1급.
+async function requireUnlockedPractice(ctx, next) {
+    const session = getSession(ctx.from.id);
+    if (!isHangulTrack(session)) {
+        return next();
+    }
+    await refuseOnHangulTrack(ctx, session);
+}
+
+// Same for leaving 0급 by picking a level or taking the placement test,
+// unless the course was already completed on an earlier visit.
+async function requireHangulCourse(ctx, next) {
+    const session = getSession(ctx.from.id);
+    if (!isHangulTrack(session) || courseCompleted(session.hangul.progress)) {
+        return next();
+    }
+    await refuseOnHangulTrack(ctx, session);
+}
+
+async function refuseOnHangulTrack(ctx, session) {
+    try {
+        if (ctx.callbackQuery) {
+            await ctx.answerCbQuery("Finish the Hangul course first — it unlocks 1급 🙂");
+        }
+        await showHangulCourse(ctx, session);
+    } catch (err) {
+        errorLog("Error in the Hangul track guard:", err);
+    }
+}
+
+// Buttons on result messages carry the id of their exercise (ctx.match[1]).
+// Returns true (and tells the user) if the button belongs to an older exercise.
+async function rejectStaleCallback(ctx, currentExercise) {
+    const buttonExerciseId = Number(ctx.match[1]);
+
+    if (currentExercise && currentExercise.id === buttonExerciseId) {
+        return false;
+    }
+
+    await ctx.answerCbQuery("This button belongs to an older task 🙂 Use the latest message.");
+    log(`Stale callback ${ctx.callbackQuery.data} from user ${ctx.from.id}`);
+    return true;
+}
+
+// ------Score & ramyun handling --------
+
+function buildProgressBar(score) {
+    // progress maximum of 500
+    const s = Math.max(0, Math.min(500, score));
+    const totalBlocks = 10;
+    const filled = Math.round((s / 500) * totalBlocks);
+    const empty = totalBlocks - filled;
+    return "⬛".repeat(filled) + "⬜".repeat(empty);
+}
+
+function getRamyunLevelMeta(score) {
+    // Ramyun level is calculated up to 500
+    const s = Math.max(0, Math.min(500, score));
+
+    // 5 levels:
+    // 0–99   -> Mild
+    // 100–199 -> Original
+    // 200–299 -> Spicy
+    // 300–399 -> Very Spicy
+    // 400–500+ -> Nuclear
+    if (s < 100) {
+        return {
+            name: "Ramyun Mild",
+            description: "Very mild level 🌱 You're just getting started; the spicy stuff is still ahead!",
+            imageUrl: "https://i.ibb.co/LKNMnbC/ramyunmild.png"
+        };
+    } else if (s < 200) {
+        return {
+            name: "Ramyun Original",
+            description: "Classic flavor 🍜 You feel more comfortable now, but there's still a way to go before the real heat.",
+            imageUrl: "https://i.ibb.co/V0TxghVh/neoguriramyun.jpg"
+        };
+    } else if (s < 300) {
+        return {
+            name: "Ramyun Spicy",
+            description: "Spicy ramyun 🌶 You're confident in Korean and not afraid of challenges.",
+            imageUrl: "https://i.ibb.co/bRHrxBPk/jinramyon.jpg"
+        };
+    } else if (s < 400) {
+        return {
+            name: "Ramyun Very Spicy",
+            description: "Very spicy ramyun 🔥 You're advanced now; your grammar and vocabulary are in good shape.",
+            imageUrl: "https://i.ibb.co/QSDtykx/shinramyon.jpg"
+        };
+    } else {
+        // 400–500+ → maximum level
+        return {
+            name: "Ramyun Nuclear",
+            description: "NUCLEAR RAMYUN ☢️ You're almost Korean — you can eat and speak like a local.",
+            imageUrl: "https://i.ibb.co/3mpfbWn0/buldakramyon.jpg"
+        };
+    }
+}
+
+// 1급 learners get romanized hints next to Korean text
+function isBeginner(session) {
+    return String(session.level) === "1";
+}
+
+// 0급 learners only get the Hangul course until they complete it
+function isHangulTrack(session) {
+    return String(session.level) === "0";
+}
+
+// the learner's voice and speed, for practice audio (exams always play at normal speed)
+function speechOptions(session) {
+    return { voice: session.audio.voice || undefined, speed: session.audio.speed };
+}
+
+// Leaving free mode (or entering it again) starts the conversation from scratch;
+// leaving role-play abandons the scene.
+function setPracticeType(session, type) {
+    if (session.practiceType === "free" || type === "free") {
+        resetConversation(session);
+    }
+    if (session.practiceType === "scenario" && type !== "scenario") {
+        session.scenario.state = "idle";
+    }
+    session.practiceType = type;
+}
+
+async function handlePracticeChoice(ctx, type) {
+    try {
+        const userId = ctx.from.id;
+        const session = getSession(userId);
+
+        setPracticeType(session, type);
+
+        await ctx.answerCbQuery();
+
+        if (type === "reading") {
+            await ctx.reply("📖 How would you like to answer the questions?", answerFormatKeyboard("reading"));
+        } else if (type === "speaking") {
+            await ctx.reply("🗣 I'll prepare a speaking task for you...");
+            await startSpeakingExercise(ctx, session);
+        } else if (type === "listening") {
+            await ctx.reply("👂 How would you like to answer the questions?", answerFormatKeyboard("listening"));
+        } else if (type === "free") {
+            await ctx.reply(
+                "💬 Free mode: I will chat with you as a Korean university student. Let's talk!",
+                mainMenuKeyboard()
+            );
+            await startFreeChat(ctx, session);
+            return;
+        } else if (type === "scenario") {
+            await showScenarioList(ctx, session);
+        } else if (type === "dictation") {
+            await ctx.reply("✍️ Preparing a dictation (받아쓰기)...");
+            await startDictation(ctx, session);
+        } else if (type === "shadowing") {
+            await ctx.reply(
+                "🦜 Shadowing: listen to each sentence and repeat it in a voice message, as close to the audio as you can.",
+                mainMenuKeyboard()
+            );
+            await sendShadowingSentence(ctx, session);
+        } else if (type === "exam") {
+            await showExamMenu(ctx, session);
+        } else if (type === "writing") {
+            await showWritingTypes(ctx, session);
+        } else if (type === "grammar") {
+            await showGrammarLevel(ctx, session, session.level || "1");
+        } else if (type === "conjugation") {
+            await startConjugationDrill(ctx, session);
+        } else if (type === "hangul") {
+            await showHangulCourse(ctx, session);
+        } else if (type === "mistakes") {
+            await startMistakeDrill(ctx, session);
+        } else if (type === "review") {
+            await showNextVocabCard(ctx, session);
+        }
+
+        log(`User ${userId} chose practice type: ${type}`);
+    } catch (err) {
+        errorLog("Error in handlePracticeChoice:", err);
+    }
+}
+
+// --- Placement test ---
+async function startPlacementTest(ctx, session) {
+    setPracticeType(session, null);
+
+    session.placement.state = "in_progress";
+    session.placement.exercise = { id: nextExerciseId(session), ...createPlacementTest() };
+
+    await ctx.reply(
+        `🔎 Placement test: ${PLACEMENT_LENGTH} questions on vocabulary, grammar, reading and listening.\n` +
+        "The questions get harder or easier depending on your answers. Don't guess — if you don't know, pick any answer and move on.",
+        mainMenuKeyboard()
+    );
+    await sendPlacementQuestion(ctx, session);
+}
+
+async function sendPlacementQuestion(ctx, session) {
+    const exercise = session.placement.exercise;
+    const item = nextPlacementItem(exercise);
+
+    if (!item) {
+        await finishPlacementTest(ctx, session);
+        return;
+    }
+
+    const number = exercise.answers.length + 1;
+
+    if (item.audio) {
+        const audioBuffer = await ttsFromKoreanText(item.audio);
+        await ctx.replyWithAudio(
+            { source: audioBuffer, filename: "placement.mp3" },
+            { title: `Placement test ${number}/${PLACEMENT_LENGTH}`, performer: "Korean Tutor" }
+        );
+    }
+
+    let msg = `Question ${number}/${PLACEMENT_LENGTH} · ${SKILL_LABELS[item.skill]}\n\n`;
+    if (item.passage) {
+        msg += `${item.passage}\n\n`;
+    }
+    msg += item.question;
+
+    await ctx.reply(msg, placementQuestionKeyboard(exercise.id, exercise.answers.length, item.options));
+}
+
+async function finishPlacementTest(ctx, session) {
+    const result = placementResult(session.placement.exercise);
+
+    session.placement.state = "idle";
+    applyLevel(session, result.level);
+    resetConversation(session);
+
+    await ctx.reply(
+        formatPlacementResult(result) +
+        `\n\nI've saved your level as ${result.level}급. You can change it any time with "${CHANGE_LEVEL_TEXT}".`,
+        mainMenuKeyboard()
+    );
+    await ctx.reply("What would you like to practice?", practiceKeyboard());
+
+    log(`User ${ctx.from.id} placed at ${result.level}급 (${result.correct}/${result.total})`);
+}
+
+// --- Daily goal & streak ---
+async function handleDailyGoal(ctx, session, points) {
+    const result = recordActivity(session.streak, points);
+    if (!result.goalJustMet) return;
+
+    let msg = `🎉 Daily goal reached! 🔥 Streak: ${session.streak.current} day(s)`;
+    if (result.frozen > 0) {
+        msg += `\n🧊 A streak freeze covered the day(s) you missed.`;
+    }
+    if (result.freezeEarned) {
+        msg += `\n🧊 You earned a streak freeze — it saves your streak if you miss a day.`;
+    }
+
+    await ctx.reply(msg, mainMenuKeyboard());
+}
+
+function reminderStatus(streak) {
+    const reminder = streak.reminder;
+    return (
+        (reminder.enabled
+            ? `⏰ Reminders are on: every day at ${reminder.time} (${streak.timezone}) if today's goal isn't done yet.`
+            : "⏰ Reminders are off.") +
+        "\nSet one with /reminder 19:30 Asia/Seoul, or turn it off with /reminder off."
+    );
+}
+
+// --- Level suggestions ---
+function describeLevelChange(change) {
+    const label = MODE_LABELS[change.mode] || change.mode;
+    return `your last ${WINDOW} ${label} scores at ${change.from}급 average ${change.average.toFixed(1)}/10`;
+}
+
+// Runs after an exercise is scored. Auto mode moves the level within its
+// bounds; otherwise the learner gets a one-tap suggestion.
+async function checkLevelChange(ctx, session, mode) {
+    const leveling = session.leveling;
+    if (leveling.pending) return;
+
+    const change = evaluateLevel(session, mode);
+    if (!change) return;
+
+    if (leveling.auto) {
+        if (!withinAutoBounds(leveling, change.to)) return;
+
+        applyLevel(session, change.to);
+        resetConversation(session);
+        await ctx.reply(
+            `🤖 Auto level: ${describeLevelChange(change)}, so I've moved you to ${change.to}급.`,
+            mainMenuKeyboard()
+        );
+        log(`User ${ctx.from.id} auto-moved from ${change.from}급 to ${change.to}급`);
+        return;
+    }
+
+    leveling.pending = { id: nextExerciseId(session), ...change };
+
+    const msg = change.direction === "up"
+        ? `🚀 Great work — ${describeLevelChange(change)}. Ready to try ${change.to}급?`
+        : `💛 This level looks tough right now — ${describeLevelChange(change)}. Would ${change.to}급 feel better for a while?`;
+
+    await ctx.reply(
+        `${msg}\n\nTip: /autolevel lets me adjust your level automatically.`,
+        levelSuggestionKeyboard(leveling.pending.id, change.to, change.from)
+    );
+}
+
+// Once a new score lands in the history: daily goal, streak, level suggestions
+async function afterScoredExercise(ctx, session, lastBefore) {
+    try {
+        const last = session.stats.history.at(-1);
+        if (last && last !== lastBefore) {
+            await handleDailyGoal(ctx, session, last.score);
+            await checkLevelChange(ctx, session, last.mode);
+        }
+    } catch (err) {
+        errorLog("Error after a scored exercise:", err);
+    }
+}
+
+function autoLevelStatus(leveling) {
+    return (
+        `🤖 Auto level is ${leveling.auto ? "on" : "off"} (range ${leveling.min}–${leveling.max}급).\n` +
+        `When it's on, I move your level myself once your last ${WINDOW} scores in a mode are consistently high or low.\n` +
+        "Set the range with /autolevel 2-4, or turn it off with /autolevel off."
+    );
+}
+
+// --- Reading ---
+async function startReadingExercise(ctx, session) {
+    const level = session.level || "1";
+
+    try {
+        const exercise = await generateReadingExercise(level, session.reading.format, { help: true });
+        exercise.id = nextExerciseId(session);
+        exercise.help = [];
+
+        session.reading.state = "waiting_for_answers";
+        session.reading.exercise = exercise;
+
+        const helpKinds = availableHelp(exercise);
+        await ctx.reply(
+            `Here is a reading text (level ${level}급):\n\n${exercise.text}` +
+            (helpKinds.length > 0 ? "\n\nStuck? Open the glossary or the translation — the score will count as assisted." : ""),
+            helpKinds.length > 0 ? readingHelpKeyboard(exercise.id, helpKinds) : undefined
+        );
+
+        if (exercise.format === "quiz") {
+            exercise.answers = [];
+            await sendQuizQuestion(ctx, "reading", exercise);
+            return;
+        }
+
+        const questionsText = exercise.questions
+            .map((q, idx) => `${idx + 1}. ${q}`)
+            .join("\n");
+
+        await ctx.reply(
+            "Questions about the text:\n\n" +
+            questionsText +
+            "\n\nAnswer all 5 questions in a single message.",
+            mainMenuKeyboard()
+        );
+    } catch (err) {
+        errorLog("Error while generating reading exercise:", err);
+        await ctx.reply(
+            "Failed to generate an exercise 😔 Please try again a bit later.",
+            mainMenuKeyboard()
+        );
+    }
+}
+
+async function handleReadingAnswers(ctx, session, userAnswersText) {
+    const level = session.level || "1";
+
+    if (!session.reading.exercise) {
+        await ctx.reply(
+            "It looks like you don't have an active reading task yet. Tap \"Change mode\" → Reading to start.",
+            mainMenuKeyboard()
+        );
+        return;
+    }
+
+    if (session.reading.exercise.format === "quiz") {
+        await ctx.reply("Tap one of the buttons under the question to answer 🙂");
+        return;
+    }
+
+    const { text, questions } = session.reading.exercise;
+
+    try {
+        await ctx.reply("I'll check your answers now...");
+
+        const result = await evaluateReadingAnswers({
+            level,
+            text,
+            questions,
+            userAnswers: userAnswersText
+        });
+
+        const help = session.reading.exercise.help || [];
+
+        if (typeof result.score === "number") {
+            addScoreToStats(session, result.score, {
+                mode: "reading",
+                level,
+                topic: session.reading.exercise.topic,
+                help
+            });
+        }
+
+        session.reading.state = "idle";
+
+        let msg = `Your score for this exercise: ${result.score}/10\n${formatHelpUsed(help)}\n\n`;
+
+        if (Array.isArray(result.per_question)) {
+            msg += "Question-by-question breakdown:\n";
+            for (const q of result.per_question) {
+                const emoji = q.correct ? "✅" : "❌";
+                msg += `${emoji} Question ${q.number}: ${q.comment}\n`;
+            }
+            if (recordWrongAnswers(session, result.per_question, questions, "reading").length > 0) {
+                msg += "📓 Missed questions were added to /mistakes\n";
+            }
+            msg += "\n";
+        }
+
+        if (result.overall_feedback) {
+            msg += `Overall feedback:\n${result.overall_feedback}`;
+        }
+
+        await ctx.reply(msg, readingResultKeyboard(session.reading.exercise.id));
+    } catch (err) {
+        errorLog("Error while evaluating reading answers:", err);
+        await ctx.reply(
+            "There was an error while checking your answers 😔 Please try again or generate a new exercise.",
+            readingResultKeyboard(session.reading.exercise.id)
+        );
+    }
+}
+
+// --- Button quizzes (reading & listening) ---
+async function sendQuizQuestion(ctx, mode, exercise) {
+    const index = exercise.answers.length;
+    const item = exercise.items[index];
+    const labels = item.options.map((_, idx) => optionLabel(item, idx));
+
+    await ctx.reply(
+        formatQuizQuestion(item, index, exercise.items.length),
+        quizQuestionKeyboard(mode, exercise.id, index, labels)
+    );
+}
+
+async function finishQuiz(ctx, session, mode) {
+    const level = session.level || "1";
+    const exercise = session[mode].exercise;
+    const result = scoreQuiz(exercise.items, exercise.answers);
+    // only reading offers a glossary and translation
+    const help = mode === "reading" ? exercise.help || [] : undefined;
+
+    addScoreToStats(session, result.score, {
+        mode,
+        level,
+        topic: exercise.topic,
+        help
+    });
+
+    session[mode].state = "idle";
+
+    const label = mode === "listening" ? " (listening)" : "";
+    const msg =
+        `Your score for this exercise${label}: ${result.score}/10\n` +
+        (help ? `${formatHelpUsed(help)}\n` : "") +
+        "\n" +
+        formatQuizResult(exercise.items, result);
+
+    const keyboard = mode === "listening"
+        ? listeningResultKeyboard(exercise.id)
+        : readingResultKeyboard(exercise.id);
+
+    await ctx.reply(msg, keyboard);
+}
+
+// --- Listening ---
+async function startListeningExercise(ctx, session) {
+    const level = session.level || "1";
+
+    try {
+        const exercise = await generateListeningExercise(level, session.listening.format);
+        exercise.id = nextExerciseId(session);
+        exercise.voices = dialogueVoices(session.audio);
+
+        session.listening.state = "waiting_for_answers";
+        session.listening.exercise = exercise;
+
+        const audioBuffer = await synthesizeDialogue(exercise.lines, {
+            voices: exercise.voices,
+            speed: session.audio.speed
+        });
+
+        await ctx.replyWithAudio(
+            { source: audioBuffer, filename: "listening.mp3" },
+            {
+                title: `Listening (level ${level}급)`,
+                performer: "Korean Tutor",
+                ...listeningAudioKeyboard(exercise.id)
+            }
+        );
+
+        if (exercise.format === "quiz") {
+            exercise.answers = [];
+            await sendQuizQuestion(ctx, "listening", exercise);
+            return;
+        }
+
+        const questionsText = exercise.questions
+            .map((q, idx) => `${idx + 1}. ${q}`)
+            .join("\n");
+
+        await ctx.reply(
+            "Questions about the listening text:\n\n" +
+            questionsText +
+            "\n\nAnswer all 5 questions in a single message.",
+            mainMenuKeyboard()
+        );
+    } catch (err) {
+        errorLog("Error while generating listening exercise:", err);
+        await ctx.reply(
+            "Couldn't prepare a listening task 😔 Please try again a bit later.",
+            mainMenuKeyboard()
+        );
+    }
+}
+
+async function startFreeChat(ctx, session) {
+    const level = session.level || "1";
+
+    try {
+        // Bot starts messaging first
+        const reply = await generateFreeChatReply({
+            level,
+            userMessage: ""
+        });
+
+        appendTurn(session.free, "assistant", reply.korean);
+
+        const keyboard = mainMenuKeyboard();
+
+        let msg =
+            `${reply.korean}\n\n` +
+            `<tg-spoiler>${reply.english_translation}</tg-spoiler>`;
+
+        if (Array.isArray(reply.corrections) && reply.corrections.length > 0) {
+            msg += `\n\n<b>Corrections:</b>\n`;
+            reply.corrections.slice(0, 3).forEach((c, idx) => {
+                msg += `${idx + 1}) ${c.original} → ${c.corrected}\n${c.explanation_ru}\n`;
+            });
+        }
+
+        await ctx.reply(msg, {
+            reply_markup: keyboard.reply_markup,
+            parse_mode: "HTML"
+        });
+    } catch (err) {
+        errorLog("Error in startFreeChat:", err);
+        await ctx.reply(
+            "Failed to start a conversation in free mode 😔 Try again.",
+            mainMenuKeyboard()
+        );
+    }
+}
+
+async function handleFreeChatMessage(ctx, session, userText, source) {
+    const level = session.level || "1";
+    const msgFrom = source === "voice" ? "voice" : "text";
+    try {
+        await compactConversation(session.free, ({ summary, turns }) =>
+            summarizeConversation({ level, summary, turns })
+        );
+
+        const reply = await generateFreeChatReply({
+            level,
+            userMessage: userText,
+            history: session.free.history,
+            summary: session.free.summary
+        });
+
+        appendTurn(session.free, "user", userText);
+        appendTurn(session.free, "assistant", reply.korean);
+
+        const keyboard = mainMenuKeyboard();
+
+        let msg =
+            `${reply.korean}\n\n` +
+            `<tg-spoiler>${reply.english_translation}</tg-spoiler>`;
+
+        if (Array.isArray(reply.corrections) && reply.corrections.length > 0) {
+            msg += `\n\n<b>Corrections:</b>\n`;
+            reply.corrections.slice(0, 3).forEach((c, idx) => {
+                msg += `${idx + 1}) ${c.original} → ${c.corrected}\n${c.explanation_ru}\n`;
+            });
+
+            // corrected phrases go straight into the word deck
+            const saved = addCards(
+                session.vocab,
+                reply.corrections.slice(0, 3).map((c) => ({
+                    front: c.corrected,
+                    back: c.explanation_ru,
+                    example: `❌ ${c.original}`
+                })),
+                "free"
+            );
+            if (saved.length > 0) {
+                msg += `\n🗂 Saved ${saved.length} correction(s) to your word deck.`;
+            }
+
+            recordCorrections(session, reply.corrections.slice(0, 3), "free");
+            msg += "\n📓 Logged in your mistake journal: /mistakes";
+        }
+
+        await ctx.reply(msg, {
+            reply_markup: keyboard.reply_markup,
+            parse_mode: "HTML"
+        });
+
+        log(`Free chat reply (${msgFrom}), user ${ctx.from.id}`);
+    } catch (err) {
+        errorLog("Error in handleFreeChatMessage:", err);
+        await ctx.reply(
+            "An error occurred in free mode 😔 Try writing again or changing the mode.",
+            mainMenuKeyboard()
+        );
+    }
+}
+
+async function handleListeningAnswers(ctx, session, userAnswersText) {
+    const level = session.level || "1";
+
+    if (!session.listening.exercise) {
+        await ctx.reply(
+            "There is no active listening task right now. Tap \"Change mode\" → Listening to start.",
+            mainMenuKeyboard()
+        );
+        return;
+    }
+
+    if (session.listening.exercise.format === "quiz") {
+        await ctx.reply("Tap one of the buttons under the question to answer 🙂");
+        return;
+    }
+
+    const { text, questions } = session.listening.exercise;
+
+    try {
+        await ctx.reply("I'll check your answers for the listening text now...");
+
+        const result = await evaluateReadingAnswers({
+            level,
+            text,
+            questions,
+            userAnswers: userAnswersText
+        });
+
+        if (typeof result.score === "number") {
+            addScoreToStats(session, result.score, {
+                mode: "listening",
+                level,
+                topic: session.listening.exercise.topic
+            });
+        }
+
+        session.listening.state = "idle";
+
+        let msg = `Your score for this exercise (listening): ${result.score}/10\n\n`;
+
+        if (Array.isArray(result.per_question)) {
+            msg += "Question-by-question breakdown:\n";
+            for (const q of result.per_question) {
+                const emoji = q.correct ? "✅" : "❌";
+                msg += `${emoji} Question ${q.number}: ${q.comment}\n`;
+            }
+            if (recordWrongAnswers(session, result.per_question, questions, "listening").length > 0) {
+                msg += "📓 Missed questions were added to /mistakes\n";
+            }
+            msg += "\n";
+        }
+
+        if (result.overall_feedback) {
+            msg += `Overall feedback:\n${result.overall_feedback}`;
+        }
+
+        await ctx.reply(msg, listeningResultKeyboard(session.listening.exercise.id));
+    } catch (err) {
+        errorLog("Error while evaluating listening answers:", err);
+        await ctx.reply(
+            "There was an error while checking your answers 😔 Please try again or generate a new exercise.",
+            listeningResultKeyboard(session.listening.exercise.id)
+        );
+    }
+}
+
+// --- Speaking ---
+async function startSpeakingExercise(ctx, session) {
+    const level = session.level || "1";
+
+    try {
+        const exercise = await generateSpeakingExercise(level);
+        exercise.id = nextExerciseId(session);
+
+        session.speaking.state = "waiting_for_voice";
+        session.speaking.exercise = exercise;
+        session.speaking.lastTranscript = null;
+
+        let msg =
+            `🗣 Speaking task (level ${level}급)\n\n` +
+            `TOPIC: ${exercise.topic}\n\n` +
+            `Task in Korean:\n${exercise.prompt_ko}\n\n` +
+            `In English:\n${exercise.prompt_ru}\n\n` +
+            `Please record a voice message in KOREAN (about 30–60 seconds) and send it here.`;
+
+        await ctx.reply(msg, mainMenuKeyboard());
+    } catch (err) {
+        errorLog("Error while generating speaking exercise:", err);
+        await ctx.reply(
+            "Couldn't prepare a speaking task 😔 Please try again a bit later.",
+            mainMenuKeyboard()
+        );
+    }
+}
+
+// --- Role-play scenarios ---
+
+async function showScenarioList(ctx, session) {
+    const level = session.level || "1";
+    await ctx.reply(
+        `🎭 Role-play (level ${level}급)\nPick a situation. I'll play the other person, and you complete the goals in Korean.`,
+        scenarioListKeyboard(scenariosForLevel(level))
+    );
+}
+
+function scenarioTurnMessage(turn, goals) {
+    let msg =
+        `${escapeHtml(turn.korean)}\n\n` +
+        `<tg-spoiler>${escapeHtml(turn.english_translation)}</tg-spoiler>\n\n` +
+        `<b>Goals:</b>\n${escapeHtml(formatGoals(goals))}`;
+
+    if (turn.hint && goals.some((g) => !g.done)) {
+        msg += `\n\n💡 <tg-spoiler>${escapeHtml(turn.hint)}</tg-spoiler>`;
+    }
+    return msg;
+}
+
+async function startScenario(ctx, session, scenarioId) {
+    const level = session.level || "1";
+    const available = scenariosForLevel(level);
+
+    const scenario = scenarioId === "random"
+        ? available[Math.floor(Math.random() * available.length)]
+        : findScenario(scenarioId);
+
+    if (!scenario || !available.includes(scenario)) {
+        await ctx.reply("This scenario isn't available for your level 🙂", scenarioListKeyboard(available));
+        return;
+    }
+
+    const goals = goalsForLevel(scenario, level);
+    const exercise = {
+        id: nextExerciseId(session),
+        scenarioId: scenario.id,
+        goals
+    };
+
+    setPracticeType(session, "scenario");
+    session.scenario.state = "in_progress";
+    session.scenario.exercise = exercise;
+    session.scenario.history = [];
+
+    await ctx.reply(
+        `🎭 ${scenario.title}\n\n` +
+        `${scenario.setting}\nI'm ${scenario.botRole}.\n\n` +
+        `Your goals:\n${formatGoals(goals)}\n\n` +
+        "Answer in Korean, by text or voice. Tap \"Finish\" any time to get your feedback."
+    );
+
+    try {
+        const turn = await generateScenarioTurn({ level, scenario, goals, history: [] });
+        appendTurn(session.scenario, "assistant", turn.korean);
+
+        await ctx.reply(scenarioTurnMessage(turn, goals), {
+            parse_mode: "HTML",
+            reply_markup: scenarioTurnKeyboard(exercise.id).reply_markup
+        });
+    } catch (err) {
+        errorLog("Error while starting scenario:", err);
+        session.scenario.state = "idle";
+        await ctx.reply(
+            "Couldn't start the role-play 😔 Please try again a bit later.",
+            scenarioResultKeyboard()
+        );
+    }
+}
+
+async function handleScenarioMessage(ctx, session, userText) {
+    const level = session.level || "1";
+    const exercise = session.scenario.exercise;
+    const scenario = findScenario(exercise.scenarioId);
+
+    try {
+        const turn = await generateScenarioTurn({
+            level,
+            scenario,
+            goals: exercise.goals,
+            history: session.scenario.history,
+            userMessage: userText
+        });
+
+        appendTurn(session.scenario, "user", userText);
+        appendTurn(session.scenario, "assistant", turn.korean);
+
+        const newlyDone = markGoalsDone(exercise.goals, turn.goals_completed);
+        const end = scenarioEnd(exercise.goals, session.scenario.history);
+
+        let msg = scenarioTurnMessage(turn, exercise.goals);
+        if (newlyDone.length > 0) {
+            msg += `\n\n🎯 Goal done: ${escapeHtml(newlyDone.map((g) => g.text).join(", "))}`;
+        }
+
+        await ctx.reply(msg, {
+            parse_mode: "HTML",
+            reply_markup: end === "goals" ? undefined : scenarioTurnKeyboard(exercise.id).reply_markup
+        });
+
+        if (end === "goals") {
+            await ctx.reply("🎉 All goals completed! Here is your debrief...");
+            await finishScenario(ctx, session);
+        } else if (end === "turns") {
+            await ctx.reply("⏱ That's the end of the scene. Here is your debrief...");
+            await finishScenario(ctx, session);
+        }
+    } catch (err) {
+        errorLog("Error in handleScenarioMessage:", err);
+        await ctx.reply(
+            "Something went wrong in the role-play 😔 Try sending your message again.",
+            scenarioTurnKeyboard(exercise.id)
+        );
+    }
+}
+
+async function finishScenario(ctx, session) {
+    const level = session.level || "1";
+    const exercise = session.scenario.exercise;
+    const scenario = findScenario(exercise.scenarioId);
+
+    session.scenario.state = "idle";
+
+    if (!session.scenario.history.some((t) => t.role === "user")) {
+        await ctx.reply("You didn't say anything in this scene yet, so there's nothing to grade 🙂", scenarioResultKeyboard());
+        return;
+    }
+
+    try {
+        const result = await evaluateScenario({
+            level,
+            scenario,
+            goals: exercise.goals,
+            history: session.scenario.history
+        });
+
+        addScoreToStats(session, result.score, {
+            mode: "scenario",
+            level,
+            topic: scenario.title
+        });
+
+        const done = exercise.goals.filter((g) => g.done).length;
+
+        let msg =
+            `🎭 Debrief: ${scenario.title}\n\n` +
+            `Score: ${result.score}/10\n` +
+            `Goals completed: ${done}/${exercise.goals.length}\n\n`;
+
+        for (const g of result.per_goal) {
+            const goal = exercise.goals[g.number - 1];
+            if (!goal) continue;
+            msg += `${g.achieved ? "✅" : "❌"} ${goal.text}${g.comment ? ` — ${g.comment}` : ""}\n`;
+        }
+
+        if (result.corrections.length > 0) {
+            msg += "\nCorrections:\n";
+            result.corrections.forEach((c, idx) => {
+                msg += `${idx + 1}) ${c.original} → ${c.corrected}${c.explanation ? `\n${c.explanation}` : ""}\n`;
+            });
+            recordCorrections(session, result.corrections, "scenario");
+        }
+
+        if (result.useful_phrases.length > 0) {
+            msg += `\nUseful phrases:\n${result.useful_phrases.map((p) => `• ${p}`).join("\n")}\n`;
+        }
+
+        if (result.overall_feedback) {
+            msg += `\n${result.overall_feedback}`;
+        }
+
+        await ctx.reply(msg.trim(), scenarioResultKeyboard());
+    } catch (err) {
+        errorLog("Error while evaluating scenario:", err);
+        await ctx.reply(
+            "Couldn't prepare the debrief 😔 Please try again later.",
+            scenarioResultKeyboard()
+        );
+    }
+}
+
+// --- Dictation ---
+async function startDictation(ctx, session) {
+    const level = session.level || "1";
+
+    try {
+        const { topic, sentences } = await generateDictationSentences(level);
+
+        session.dictation.state = "waiting_for_answer";
+        session.dictation.exercise = {
+            id: nextExerciseId(session),
+            topic,
+            sentences,
+            index: 0,
+            results: [],
+            audioFileIds: []
+        };
+
+        await ctx.reply(
+            `✍️ Dictation: ${sentences.length} sentences${topic ? ` (${topic})` : ""}.\n` +
+            "Listen to each one and type exactly what you hear. Spacing and punctuation don't affect the score.",
+            mainMenuKeyboard()
+        );
+        await sendDictationSentence(ctx, session);
+    } catch (err) {
+        session.dictation.state = "idle";
+        errorLog("Error while generating dictation:", err);
+        await ctx.reply(
+            "Couldn't prepare a dictation 😔 Please try again a bit later.",
+            mainMenuKeyboard()
+        );
+    }
+}
+
+// Telegram keeps the uploaded audio, so "Listen again" resends it by file id
+async function sendDictationSentence(ctx, session) {
+    const exercise = session.dictation.exercise;
+    const index = exercise.index;
+    const options = {
+        title: `Dictation ${index + 1}/${exercise.sentences.length}`,
+        performer: "Korean Tutor",
+        ...dictationKeyboard(exercise.id)
+    };
+
+    const fileId = exercise.audioFileIds[index];
+    if (fileId) {
+        await ctx.replyWithAudio(fileId, options);
+        return;
+    }
+
+    const audioBuffer = await ttsFromKoreanText(exercise.sentences[index], speechOptions(session));
+    const sent = await ctx.replyWithAudio(
+        { source: audioBuffer, filename: `dictation-${index + 1}.mp3` },
+        options
+    );
+    if (sent && sent.audio) {
+        exercise.audioFileIds[index] = sent.audio.file_id;
+    }
+}
+
+async function handleDictationAnswer(ctx, session, answer) {
+    const exercise = session.dictation.exercise;
+    const sentence = exercise.sentences[exercise.index];
+    const result = gradeDictation(sentence, answer);
+
+    exercise.results.push(result.accuracy);
+
+    let msg = `${result.accuracy === 1 ? "✅" : "📝"} ${Math.round(result.accuracy * 100)}%\n\n${result.markup}`;
+    if (result.errors.length > 0) {
+        msg += `\n\nCorrect: ${escapeHtml(sentence)}\n${escapeHtml(summarizeErrors(result.errors))}`;
+    }
+    await ctx.reply(msg, { parse_mode: "HTML" });
+
+    await advanceDictation(ctx, session);
+}
+
+async function advanceDictation(ctx, session) {
+    const exercise = session.dictation.exercise;
+    exercise.index++;
+
+    if (exercise.index < exercise.sentences.length) {
+        await sendDictationSentence(ctx, session);
+        return;
+    }
+
+    await finishDictation(ctx, session);
+}
+
+// skipped sentences count as 0%
+async function finishDictation(ctx, session) {
+    const level = session.level || "1";
+    const exercise = session.dictation.exercise;
+    const total = exercise.sentences.length;
+    const accuracy = exercise.results.reduce((acc, value) => acc + value, 0) / total;
+    const score = Math.round(accuracy * 10);
+
+    session.dictation.state = "idle";
+
+    addScoreToStats(session, score, {
+        mode: "dictation",
+        level,
+        topic: exercise.topic
+    });
+
+    await ctx.reply(
+        `🏁 Dictation finished!\n\n` +
+        `Average accuracy: ${Math.round(accuracy * 100)}%\n` +
+        `Score: ${score}/10`,
+        dictationResultKeyboard()
+    );
+}
+
+// --- TOPIK mock exam ---
+function describeExam(kind) {
+    const exam = EXAMS[kind];
+    const sections = Object.entries(exam.sections)
+        .map(([skill, s]) => `${SECTION_LABELS[skill]} ${s.passages * 5} questions / ${s.minutes} min`)
+        .join(", ");
+    return `${exam.label}: ${sections}`;
+}
+
+async function showExamMenu(ctx, session) {
+    const history = formatExamHistory(session.exam.history, session.streak.timezone);
+
+    await ctx.reply(
+        "🎓 TOPIK mock exam: a listening and a reading section under exam conditions.\n" +
+        "Each section has a timer, answers go on buttons, and you only see results at the end.\n\n" +
+        `${describeExam("topik1")}\n${describeExam("topik2")}` +
+        (history ? `\n\n${history}` : ""),
+        examMenuKeyboard()
+    );
+}
+
+async function startExam(ctx, session, kind) {
+    session.exam.state = "in_progress";
+    session.exam.exercise = { id: nextExerciseId(session), ...createExam(kind) };
+
+    await ctx.reply(
+        `🎓 ${EXAMS[kind].label} mock exam. No feedback until the end; ` +
+        "unanswered questions count as wrong when a section's time runs out. 화이팅!",
+        mainMenuKeyboard()
+    );
+    await startExamSection(ctx, session);
+}
+
+// passages are generated before the section's timer starts
+async function startExamSection(ctx, session) {
+    const exam = session.exam.exercise;
+    const skill = currentSkill(exam);
+
+    try {
+        await ctx.reply(`⏳ Preparing the ${SECTION_LABELS[skill]} section...`);
+
+        const generate = skill === "listening" ? generateListeningExercise : generateReadingExercise;
+        const passages = await Promise.all(
+            passageLevels(exam.kind, skill).map(async (level) => ({
+                level,
+                ...(await generate(level, "quiz"))
+            }))
+        );
+
+        const section = startSection(exam, passages);
+
+        await ctx.reply(
+            `${SECTION_LABELS[skill]}: ${section.items.length} questions, ` +
+            `${EXAMS[exam.kind].sections[skill].minutes} minutes. The timer starts now ⏱`
+        );
+        await sendExamQuestion(ctx, session);
+    } catch (err) {
+        errorLog("Error while preparing exam section:", err);
+
+        // sections already finished still count: report and keep them
+        if (Object.keys(exam.results).length > 0) {
+            await ctx.reply(`Couldn't prepare the ${SECTION_LABELS[skill]} section 😔 Here's your report for the rest.`);
+            await finishExam(ctx, session);
+            return;
+        }
+
+        session.exam.state = "idle";
+        await ctx.reply(
+            "Couldn't prepare the exam 😔 Please try again a bit later.",
+            mainMenuKeyboard()
+        );
+    }
+}
+
+// a passage (audio or text) goes out before its first question
+async function sendExamQuestion(ctx, session) {
+    const exam = session.exam.exercise;
+    const section = exam.section;
+    const index = section.answers.length;
+    const item = currentItem(exam);
+
+    if (index === 0 || section.items[index - 1].passage !== item.passage) {
+        const passage = section.passages[item.passage];
+        const label = `${section.skill === "listening" ? "Listening" : "Passage"} ${item.passage + 1}/${section.passages.length}`;
+
+        if (section.skill === "listening") {
+            const audioBuffer = passage.lines
+                ? await synthesizeDialogue(passage.lines, { voices: dialogueVoices(session.audio) })
+                : await ttsFromKoreanText(passage.text);
+            await ctx.replyWithAudio(
+                { source: audioBuffer, filename: `exam-listening-${item.passage + 1}.mp3` },
+                { title: label, performer: "Korean Tutor" }
+            );
+        } else {
+            await ctx.reply(`📖 ${label}\n\n${passage.text}`);
+        }
+    }
+
+    const labels = item.options.map((_, idx) => optionLabel(item, idx));
+    await ctx.reply(
+        `${formatQuizQuestion(item, index, section.items.length)}\n\n⏱ ${formatTimeLeft(timeLeft(exam))} left`,
+        examQuestionKeyboard(exam.id, index, labels)
+    );
+}
+
+async function advanceExamSection(ctx, session) {
+    const exam = session.exam.exercise;
+    const finished = SECTION_LABELS[exam.section.skill];
+
+    if (closeSection(exam)) {
+        await ctx.reply(`✅ ${finished} section finished. Next: ${SECTION_LABELS[currentSkill(exam)]}.`);
+        await startExamSection(ctx, session);
+        return;
+    }
+
+    await finishExam(ctx, session);
+}
+
+async function closeTimedOutSection(ctx, session) {
+    await ctx.reply(
+        `⏱ Time's up for the ${SECTION_LABELS[session.exam.exercise.section.skill]} section. ` +
+        "Unanswered questions count as wrong."
+    );
+    await advanceExamSection(ctx, session);
+}
+
+// What the exam flow needs from ctx, for messages that don't answer an update
+function chatContext(telegram, userId) {
+    return {
+        from: { id: userId },
+        reply: (text, extra) => telegram.sendMessage(userId, text, extra),
+        replyWithAudio: (audio, extra) => telegram.sendAudio(userId, audio, extra)
+    };
+}
+
+// A learner who switched to another mode isn't interrupted: the section
+// closes when they tap one of its buttons again.
+function isExamOverdue(session, now) {
+    return (
+        session.practiceType === "exam" &&
+        session.exam.state === "in_progress" &&
+        isSectionOverdue(session.exam.exercise, now)
+    );
+}
+
+// Closes sections whose time ran out while nobody tapped a button: the next
+// section starts, or the report goes out. index.js runs this every minute.
+export async function closeOverdueExams(telegram, now = Date.now()) {
+    let closed = 0;
+
+    for (const [key, session] of listSessions()) {
+        if (!isExamOverdue(session, now)) continue;
+
+        // session keys are strings; updates are queued under the numeric ctx.from.id
+        const userId = Number(key);
+        await userQueue.run(userId, null, async () => {
+            // an update in the queue may have closed it already
+            if (!isExamOverdue(session, now)) return;
+
+            const ctx = chatContext(telegram, userId);
+            const lastBefore = session.stats.history.at(-1);
+            try {
+                await closeTimedOutSection(ctx, session);
+                closed++;
+            } catch (err) {
+                errorLog(`Failed to close the exam section of ${userId}:`, err.message || err);
+            }
+            await afterScoredExercise(ctx, session, lastBefore);
+        });
+    }
+
+    if (closed > 0) {
+        await saveSessions();
+    }
+    return closed;
+}
+
+async function finishExam(ctx, session) {
+    const level = session.level || "1";
+    const exam = session.exam.exercise;
+    const attempt = buildAttempt(exam);
+    const previous = previousAttempt(session.exam.history, attempt);
+
+    addAttempt(session.exam.history, attempt);
+    session.exam.state = "idle";
+
+    addScoreToStats(session, Math.round(attempt.points / 20), {
+        mode: "exam",
+        level,
+        topic: EXAMS[exam.kind].label
+    });
+
+    await ctx.reply(formatExamReport(attempt, previous), examResultKeyboard(exam.kind));
+}
+
+// --- Writing ---
+async function showWritingTypes(ctx, session) {
+    const types = writingTypesForLevel(session.level || "1");
+
+    await ctx.reply(
+        "📝 Writing practice. Choose a task — each one is graded on content, organization and language use:",
+        writingTypeKeyboard(types.map((type) => ({ type, label: WRITING_TYPES[type].label })))
+    );
+}
+
+// only the parts of the task that belong to its type are shown
+function formatWritingTask(exercise) {
+    const info = WRITING_TYPES[exercise.type];
+    let msg = `${info.label}\n\n`;
+
+    if (exercise.type === "graph" && exercise.title) {
+        msg += `📊 ${exercise.title}\n`;
+    }
+    msg += `${exercise.instructions}\n`;
+
+    if (exercise.type === "completion" && exercise.passage) {
+        msg += `\n${exercise.passage}\n\nSend both answers in one message:\n㉠ ...\n㉡ ...\n`;
+    }
+    if (exercise.type === "graph" && exercise.data.length > 0) {
+        msg += `\n${exercise.data.map((d) => `• ${d}`).join("\n")}\n`;
+    }
+    if (exercise.type === "essay" && exercise.guide_questions.length > 0) {
+        msg += `\n${exercise.guide_questions.map((q) => `• ${q}`).join("\n")}\n`;
+    }
+    if (info.minChars) {
+        msg += `\n📏 Length: ${info.minChars}–${info.maxChars} characters, spaces included.\n`;
+    }
+
+    msg += `\n📋 Rubric (${rubricTotal(exercise.type)} points):\n${formatRubric(exercise.type)}`;
+    return msg;
+}
+
+async function startWritingTask(ctx, session, type) {
+    const level = session.level || "1";
+
+    try {
+        const task = await generateWritingTask({ level, type });
+
+        session.writing.state = "waiting_for_text";
+        session.writing.exercise = { id: nextExerciseId(session), type, ...task };
+
+        await ctx.reply(formatWritingTask(session.writing.exercise), mainMenuKeyboard());
+    } catch (err) {
+        session.writing.state = "idle";
+        errorLog("Error while generating writing task:", err);
+        await ctx.reply(
+            "Couldn't prepare a writing task 😔 Please try again a bit later.",
+            mainMenuKeyboard()
+        );
+    }
+}
+
+async function handleWritingSubmission(ctx, session, text) {
+    const level = session.level || "1";
+    const exercise = session.writing.exercise;
+    const info = WRITING_TYPES[exercise.type];
+    const count = countCharacters(text).withSpaces;
+
+    try {
+        await ctx.reply("📝 Checking your writing against the rubric...");
+
+        const result = await evaluateWriting({
+            level,
+            task: exercise,
+            rubric: RUBRICS[exercise.type],
+            text,
+            charCount: count,
+            target: info.minChars ? `${info.minChars}–${info.maxChars} characters` : null
+        });
+
+        const grade = scoreWriting(exercise.type, result.criteria);
+
+        addScoreToStats(session, grade.score, {
+            mode: "writing",
+            level,
+            topic: exercise.title || info.label
+        });
+
+        session.writing.state = "idle";
+
+        let msg = `📝 Writing score: ${grade.score}/10 (${grade.points}/${grade.max} points)\n\n`;
+
+        for (const row of grade.rows) {
+            msg += `<b>${row.label}</b>: ${row.score}/${row.max}${row.comment ? ` — ${escapeHtml(row.comment)}` : ""}\n`;
+        }
+        msg += `\n${formatLength(exercise.type, count)}\n`;
+
+        if (result.corrections.length > 0) {
+            const { html, unplaced } = markCorrections(text, result.corrections);
+            msg += `\n<b>Your text with corrections:</b>\n${html}\n\n`;
+
+            result.corrections.forEach((c, idx) => {
+                const mark = unplaced.includes(c) ? `${escapeHtml(c.original)} → ${escapeHtml(c.corrected)}` : escapeHtml(c.corrected);
+                msg += `${idx + 1}) ${mark}${c.explanation ? ` — ${escapeHtml(c.explanation)}` : ""}\n`;
+            });
+
+            recordCorrections(session, result.corrections, "writing");
+            msg += "📓 Logged in /mistakes\n";
+        }
+
+        if (result.model_answer) {
+            msg += `\n💡 Model answer:\n<tg-spoiler>${escapeHtml(result.model_answer)}</tg-spoiler>\n`;
+        }
+        if (result.overall_feedback) {
+            msg += `\n${escapeHtml(result.overall_feedback)}`;
+        }
+
+        await ctx.reply(msg.trim(), {
+            parse_mode: "HTML",
+            ...writingResultKeyboard(exercise.type)
+        });
+    } catch (err) {
+        errorLog("Error while evaluating writing:", err);
+        await ctx.reply(
+            "There was an error while checking your text 😔 Please send it again.",
+            mainMenuKeyboard()
+        );
+    }
+}
+
+// --- Mistake journal & review drills ---
+// chat, role-play and speaking corrections share one shape
+function recordCorrections(session, corrections, mode) {
+    return addMistakes(
+        session.mistakes,
+        corrections.map((c) => ({
+            original: c.original,
+            correction: c.corrected,
+            explanation: c.explanation_ru ?? c.explanation,
+            pattern: c.pattern
+        })),
+        mode
+    );
+}
+
+// a missed question is kept with the checker's comment on it
+function recordWrongAnswers(session, perQuestion, questions, mode) {
+    const wrong = perQuestion.filter((q) => !q.correct && questions[q.number - 1]);
+    return addMistakes(
+        session.mistakes,
+        wrong.map((q) => ({ original: questions[q.number - 1], explanation: q.comment })),
+        mode
+    );
+}
+
+// --- Reading help ---
+// Help opened while the task is open marks the attempt as assisted;
+// after grading it's just a study aid.
+async function showReadingHelp(ctx, kind) {
+    const session = getSession(ctx.from.id);
+    const exercise = session.reading.exercise;
+
+    if (await rejectStaleCallback(ctx, exercise)) return;
+
+    if (!availableHelp(exercise).includes(kind)) {
+        await ctx.answerCbQuery("Not available for this text, sorry.");
+        return;
+    }
+
+    const counts = session.reading.state === "waiting_for_answers" && recordHelp(exercise, kind);
+    await ctx.answerCbQuery(counts ? `${HELP_TYPES[kind]} opened — this attempt counts as assisted` : undefined);
+
+    const html = kind === "glossary" ? formatGlossary(exercise) : formatTranslation(exercise);
+    await ctx.reply(html, { parse_mode: "HTML" });
+}
+
+// --- Voice & speed ---
+async function showAudioSettings(ctx, session) {
+    const settings = session.audio;
+    const voices = [
+        { id: "default", label: "Default", selected: !settings.voice },
+        ...Object.entries(VOICES).map(([id, v]) => ({ id, label: v.label, selected: settings.voice === id }))
+    ];
+    const speeds = Object.entries(SPEEDS).map(([id, label]) => ({
+        id,
+        label,
+        selected: Number(id) === settings.speed
+    }));
+
+    await ctx.reply(
+        `${formatAudioSettings(settings)}\n\n` +
+        "Pick the voice and speed for practice audio. Dialogues keep one man and one woman; " +
+        "mock exams always play at normal speed.",
+        audioSettingsKeyboard(voices, speeds)
+    );
+}
+
+async function showMistakes(ctx, session, page = 0) {
+    const result = mistakesPage(session.mistakes, page);
+    const text = formatMistakesPage(session.mistakes, result.page, session.streak.timezone);
+
+    if (result.total === 0) {
+        await ctx.reply(text, mainMenuKeyboard());
+        return;
+    }
+    await ctx.reply(text, mistakesKeyboard(result.items, result.page, result.pages));
+}
+
+async function startMistakeDrill(ctx, session) {
+    const level = session.level || "1";
+    const patterns = topPatterns(session.mistakes, { drillable: true });
+
+    if (patterns.length === 0) {
+        await ctx.reply(
+            "🩹 Nothing to review yet. Chat in free mode, try a role-play or a speaking task — " +
+            "the corrections you get there will turn into drills here.",
+            mainMenuKeyboard()
+        );
+        return;
+    }
+
+    try {
+        await ctx.reply(`🩹 Preparing drills on: ${patterns.map((p) => p.pattern).join(", ")}...`);
+
+        const { items } = await generateMistakeDrill({ level, patterns });
+
+        session.mistakeReview.state = "waiting_for_answer";
+        session.mistakeReview.exercise = {
+            id: nextExerciseId(session),
+            topic: patterns[0].pattern,
+            items,
+            index: 0,
+            results: []
+        };
+
+        await ctx.reply(
+            `🩹 Mistake review: ${items.length} short items. Type the Korean answer to each one.`,
+            mainMenuKeyboard()
+        );
+        await sendMistakeDrillItem(ctx, session);
+    } catch (err) {
+        session.mistakeReview.state = "idle";
+        errorLog("Error while generating mistake drill:", err);
+        await ctx.reply(
+            "Couldn't prepare a review 😔 Please try again a bit later.",
+            mainMenuKeyboard()
+        );
+    }
+}
+
+async function sendMistakeDrillItem(ctx, session) {
+    const exercise = session.mistakeReview.exercise;
+    const item = exercise.items[exercise.index];
+
+    await ctx.reply(
+        `${exercise.index + 1}/${exercise.items.length}${item.pattern ? ` · 🏷 ${item.pattern}` : ""}\n\n${item.prompt}`,
+        mistakeDrillKeyboard(exercise.id)
+    );
+}
+
+async function handleMistakeDrillAnswer(ctx, session, answer) {
+    const exercise = session.mistakeReview.exercise;
+    const item = exercise.items[exercise.index];
+    const grade = gradeDrillAnswer(item.answer, answer);
+
+    exercise.results.push(grade);
+
+    let msg;
+    if (grade === "correct") {
+        msg = "✅ Correct!";
+    } else if (grade === "close") {
+        msg = `🟡 Almost! Check the spelling: ${item.answer}`;
+    } else {
+        msg = `❌ The answer is: ${item.answer}`;
+    }
+    if (item.explanation) {
+        msg += `\n${item.explanation}`;
+    }
+    await ctx.reply(msg);
+
+    await advanceMistakeDrill(ctx, session);
+}
+
+async function advanceMistakeDrill(ctx, session) {
+    const exercise = session.mistakeReview.exercise;
+    exercise.index++;
+
+    if (exercise.index < exercise.items.length) {
+        await sendMistakeDrillItem(ctx, session);
+        return;
+    }
+
+    await finishMistakeDrill(ctx, session);
+}
+
+// "almost" answers get half a point, skipped items none
+async function finishMistakeDrill(ctx, session) {
+    const level = session.level || "1";
+    const exercise = session.mistakeReview.exercise;
+    const total = exercise.items.length;
+    const correct = exercise.results.filter((r) => r === "correct").length;
+    const close = exercise.results.filter((r) => r === "close").length;
+    const score = Math.round(((correct + close / 2) / total) * 10);
+
+    session.mistakeReview.state = "idle";
+
+    addScoreToStats(session, score, {
+        mode: "mistakes",
+        level,
+        topic: exercise.topic
+    });
+
+    await ctx.reply(
+        `🏁 Review finished!\n\n` +
+        `Correct: ${correct}/${total}${close > 0 ? ` (+${close} almost)` : ""}\n` +
+        `Score: ${score}/10\n\n` +
+        "Feel confident about a mistake now? Mark it as mastered in /mistakes.",
+        mistakeDrillResultKeyboard()
+    );
+}
+
+// --- Grammar lessons ---
+async function showGrammarMenu(ctx, session) {
+    const levels = GRAMMAR_LEVELS.map((level) => ({ level, ...levelSummary(session.grammar.progress, level) }));
+
+    await ctx.reply(
+        "📐 Grammar lessons: TOPIK-standard patterns for each level, with examples and a short drill.\n" +
+        `Score ${PASS_SCORE}/10 or more in a drill to mark the point as completed ✅`,
+        grammarLevelsKeyboard(levels)
+    );
+}
+
+async function showGrammarLevel(ctx, session, level) {
+    const progress = session.grammar.progress;
+    const points = pointsForLevel(level);
+    const { done, total } = levelSummary(progress, level);
+
+    await ctx.reply(
+        `📐 ${level}급 grammar — ${done}/${total} completed\n\n` +
+        points.map((p) => `${isCompleted(progress, p.id) ? "✅" : "•"} ${p.pattern} — ${p.title}`).join("\n"),
+        grammarPointsKeyboard(points.map((p) => ({ id: p.id, pattern: p.pattern, done: isCompleted(progress, p.id) })))
+    );
+}
+
+async function showGrammarLesson(ctx, session, point) {
+    const related = point.related.map(findGrammarPoint).filter(Boolean);
+
+    await ctx.reply(
+        formatLesson(point, session.grammar.progress),
+        grammarLessonKeyboard(point, related.map((r) => ({ id: r.id, pattern: r.pattern })))
+    );
+}
+
+async function sendGrammarExamples(ctx, session, point) {
+    const audioBuffer = await ttsFromKoreanText(
+        point.examples.map((e) => e.ko).join("\n"),
+        speechOptions(session)
+    );
+
+    await ctx.replyWithAudio(
+        { source: audioBuffer, filename: "grammar-examples.mp3" },
+        { title: `${point.pattern} — examples`, performer: "Korean Tutor" }
+    );
+}
+
+async function startGrammarDrill(ctx, session, point) {
+    setPracticeType(session, "grammar");
+
+    session.grammar.state = "drilling";
+    session.grammar.exercise = { id: nextExerciseId(session), ...createDrill(point) };
+
+    await ctx.reply(
+        `🏋️ ${point.pattern} drill: ${point.drills.length} short items. Tap ⏭ Skip if you're stuck.`,
+        mainMenuKeyboard()
+    );
+    await sendGrammarDrillItem(ctx, session);
+}
+
+async function sendGrammarDrillItem(ctx, session) {
+    const exercise = session.grammar.exercise;
+    const point = findGrammarPoint(exercise.pointId);
+    const item = exercise.items[exercise.index];
+
+    await ctx.reply(
+        formatDrillItem(point, item, exercise.index, exercise.items.length),
+        grammarDrillKeyboard(exercise.id, exercise.index, item.type === "choose" ? item.options : [])
+    );
+}
+
+// Choices are checked against the key; typed answers are matched exactly first
+// and only go to the model when they differ, since another wording can be right too.
+async function handleGrammarAnswer(ctx, session, answer, choice = null) {
+    const exercise = session.grammar.exercise;
+    const point = findGrammarPoint(exercise.pointId);
+    const item = exercise.items[exercise.index];
+    const expected = expectedAnswer(item);
+
+    let grade;
+    let review = null;
+
+    if (item.type === "choose") {
+        grade = choice === item.answer ? "correct" : "wrong";
+    } else {
+        grade = matchDrillAnswer(item, answer);
+        if (grade !== "correct") {
+            try {
+                review = await reviewGrammarAnswer({ point, item, answer });
+            } catch (err) {
+                errorLog("Error while reviewing a grammar answer:", err);
+            }
+            if (review?.correct) grade = "correct";
+        }
+    }
+
+    exercise.results.push(grade);
+
+    let msg;
+    if (grade === "correct") {
+        msg = review ? `✅ That works too!\n${review.feedback}` : "✅ Correct!";
+    } else {
+        msg = grade === "close" ? `🟡 Almost! The answer is: ${expected}` : `❌ The answer is: ${expected}`;
+        if (review?.feedback) msg += `\n${review.feedback}`;
+
+        addMistakes(
+            session.mistakes,
+            [{ original: answer, correction: expected, explanation: item.explanation, pattern: point.pattern }],
+            "grammar"
+        );
+    }
+    if (item.explanation && !review?.correct) {
+        msg += `\n💡 ${item.explanation}`;
+    }
+    await ctx.reply(msg);
+
+    await advanceGrammarDrill(ctx, session);
+}
+
+async function advanceGrammarDrill(ctx, session) {
+    const exercise = session.grammar.exercise;
+    exercise.index++;
+
+    if (exercise.index < exercise.items.length) {
+        await sendGrammarDrillItem(ctx, session);
+        return;
+    }
+
+    await finishGrammarDrill(ctx, session);
+}
+
+async function finishGrammarDrill(ctx, session) {
+    const exercise = session.grammar.exercise;
+    const point = findGrammarPoint(exercise.pointId);
+    const total = exercise.items.length;
+    const { correct, close, score } = scoreDrill(exercise.results, total);
+
+    session.grammar.state = "idle";
+
+    addScoreToStats(session, score, {
+        mode: "grammar",
+        level: point.level,
+        topic: point.pattern
+    });
+    const completed = recordDrillResult(session.grammar.progress, point.id, score);
+
+    let msg =
+        `🏁 ${point.pattern} drill finished!\n\n` +
+        `Correct: ${correct}/${total}${close > 0 ? ` (+${close} almost)` : ""}\n` +
+        `Score: ${score}/10\n\n`;
+
+    if (completed) {
+        msg += `🎉 ${point.pattern} is now marked as completed.`;
+    } else if (isCompleted(session.grammar.progress, point.id)) {
+        msg += "✅ Already completed — nice refresher.";
+    } else {
+        msg += `Score ${PASS_SCORE}/10 or more to complete this point. Missed answers were added to /mistakes.`;
+    }
+
+    await ctx.reply(msg, grammarResultKeyboard(point));
+}
+
+// --- Conjugation drills ---
+// Everything is generated and graded by the local rule engine: no model calls.
+async function startConjugationDrill(ctx, session) {
+    const items = createConjugationDrill(session.level || "1");
+
+    session.conjugation.state = "waiting_for_answer";
+    session.conjugation.exercise = { id: nextExerciseId(session), items, index: 0, results: [] };
+
+    await ctx.reply(
+        `🔤 Conjugation drill: ${items.length} verbs and adjectives. Type each form in Korean — ` +
+        "I'll check it right away and show which rule applies.",
+        mainMenuKeyboard()
+    );
+    await sendConjugationItem(ctx, session);
+}
+
+async function sendConjugationItem(ctx, session) {
+    const exercise = session.conjugation.exercise;
+
+    await ctx.reply(
+        formatConjugationItem(exercise.items[exercise.index], exercise.index, exercise.items.length),
+        conjugationKeyboard(exercise.id)
+    );
+}
+
+async function handleConjugationAnswer(ctx, session, answer) {
+    const exercise = session.conjugation.exercise;
+    const item = exercise.items[exercise.index];
+    const grade = gradeConjugation(item, answer);
+    const [expected] = item.answers;
+
+    exercise.results.push(grade);
+
+    let msg;
+    if (grade === "correct") {
+        msg = `✅ ${expected}`;
+    } else if (grade === "close") {
+        msg = `🟡 Almost! ${item.dict} → ${expected}`;
+    } else {
+        msg = `❌ ${item.dict} → ${expected}`;
+    }
+    msg += `\n${formatRules(item.rules)}`;
+
+    if (grade !== "correct") {
+        addMistakes(
+            session.mistakes,
+            [{ original: answer, correction: expected, explanation: `${item.dict}, ${FORMS[item.form].label}`, pattern: mainRule(item) }],
+            "conjugation"
+        );
+    }
+
+    await ctx.reply(msg);
+    await advanceConjugationDrill(ctx, session);
+}
+
+async function advanceConjugationDrill(ctx, session) {
+    const exercise = session.conjugation.exercise;
+    exercise.index++;
+
+    if (exercise.index < exercise.items.length) {
+        await sendConjugationItem(ctx, session);
+        return;
+    }
+
+    await finishConjugationDrill(ctx, session);
+}
+
+async function finishConjugationDrill(ctx, session) {
+    const level = session.level || "1";
+    const exercise = session.conjugation.exercise;
+    const total = exercise.items.length;
+    const { correct, close, score } = scoreDrill(exercise.results, total);
+
+    session.conjugation.state = "idle";
+
+    addScoreToStats(session, score, {
+        mode: "conjugation",
+        level,
+        topic: "conjugation"
+    });
+
+    const missed = exercise.items.filter((_, idx) => exercise.results[idx] !== "correct");
+    let msg =
+        `🏁 Conjugation drill finished!\n\n` +
+        `Correct: ${correct}/${total}${close > 0 ? ` (+${close} almost)` : ""}\n` +
+        `Score: ${score}/10`;
+    if (missed.length > 0) {
+        msg += `\n\nTo review: ${missed.map((item) => `${item.dict} → ${item.answers[0]}`).join(", ")}`;
+    }
+
+    await ctx.reply(msg, conjugationResultKeyboard());
+}
+
+// --- Hangul course (0급) ---
+async function showHangulCourse(ctx, session) {
+    const progress = session.hangul.progress;
+    const { done, total } = courseSummary(progress);
+    const lessons = LESSONS.map((l) => ({
+        id: l.id,
+        title: l.title,
+        done: isLessonCompleted(progress, l.id),
+        open: isUnlocked(progress, l.id)
+    }));
+
+    let msg =
+        `🔡 Hangul course — ${done}/${total} lessons completed\n\n` +
+        "Learn to read Korean step by step: vowels, consonants, syllable blocks and 받침.\n" +
+        `Each lesson ends with a short quiz; score ${LESSON_PASS_SCORE}/10 to open the next one.`;
+    if (isHangulTrack(session)) {
+        msg += "\n\nComplete every lesson to unlock 1급 🔓";
+    }
+
+    await ctx.reply(msg, hangulCourseKeyboard(lessons));
+}
+
+async function showHangulLesson(ctx, session, lesson) {
+    await ctx.reply(formatHangulLesson(lesson, session.hangul.progress), hangulLessonKeyboard(lesson));
+}
+
+async function sendHangulSound(ctx, session, text) {
+    const audioBuffer = await ttsFromKoreanText(text, speechOptions(session));
+
+    await ctx.replyWithAudio(
+        { source: audioBuffer, filename: "hangul.mp3" },
+        { title: text, performer: "Korean Tutor" }
+    );
+}
+
+async function startHangulQuiz(ctx, session, lesson) {
+    setPracticeType(session, "hangul");
+
+    session.hangul.state = "quiz";
+    session.hangul.exercise = {
+        id: nextExerciseId(session),
+        lessonId: lesson.id,
+        questions: createHangulQuiz(lesson),
+        index: 0,
+        results: []
+    };
+
+    await ctx.reply(
+        `📝 ${lesson.title} quiz: ${QUIZ_LENGTH} questions. Tap ⏭ Skip if you're stuck.`,
+        mainMenuKeyboard()
+    );
+    await sendHangulQuestion(ctx, session);
+}
+
+async function sendHangulQuestion(ctx, session) {
+    const exercise = session.hangul.exercise;
+    const lesson = findLesson(exercise.lessonId);
+    const question = exercise.questions[exercise.index];
+
+    if (question.type === "listen") {
+        await sendHangulSound(ctx, session, question.sound);
+    }
+
+    await ctx.reply(
+        formatHangulQuestion(lesson, question, exercise.index, exercise.questions.length),
+        hangulQuizKeyboard(exercise.id, exercise.index, question.options)
+    );
+}
+
+// everything is checked locally: button answers against the key, typed ones by spelling
+async function handleHangulAnswer(ctx, session, answer, choice = null) {
+    const exercise = session.hangul.exercise;
+    const question = exercise.questions[exercise.index];
+
+    const grade = question.type === "type"
+        ? gradeHangulAnswer(question, answer)
+        : choice === question.answer ? "correct" : "wrong";
+    exercise.results.push(grade);
+
+    const reading = `${question.ko} = ${question.roman}`;
+    await ctx.reply(
+        grade === "correct"
+            ? `✅ Correct! ${reading}`
+            : `❌ The answer is: ${expectedHangulAnswer(question)}\n${reading}`
+    );
+
+    await advanceHangulQuiz(ctx, session);
+}
+
+async function advanceHangulQuiz(ctx, session) {
+    const exercise = session.hangul.exercise;
+    exercise.index++;
+
+    if (exercise.index < exercise.questions.length) {
+        await sendHangulQuestion(ctx, session);
+        return;
+    }
+
+    await finishHangulQuiz(ctx, session);
+}
+
+async function finishHangulQuiz(ctx, session) {
+    const exercise = session.hangul.exercise;
+    const lesson = findLesson(exercise.lessonId);
+    const progress = session.hangul.progress;
+    const total = exercise.questions.length;
+    const { correct, score } = scoreHangulQuiz(exercise.results, total);
+
+    session.hangul.state = "idle";
+
+    addScoreToStats(session, score, {
+        mode: "hangul",
+        level: "0",
+        topic: lesson.title
+    });
+    const completed = recordQuizResult(progress, lesson.id, score);
+    // also for a learner who finished the course earlier and came back to 0급
+    const unlocksLevel = courseCompleted(progress) && isHangulTrack(session);
+    const next = LESSONS[LESSONS.indexOf(lesson) + 1] || null;
+
+    let msg =
+        `🏁 ${lesson.title} quiz finished!\n\n` +
+        `Correct: ${correct}/${total}\n` +
+        `Score: ${score}/10\n\n`;
+
+    if (completed) {
+        msg += next ? `🎉 Lesson completed! Next up: ${next.title}.` : "🎉 Lesson completed!";
+    } else if (isLessonCompleted(progress, lesson.id)) {
+        msg += "✅ Already completed — nice refresher.";
+    } else {
+        msg += `Score ${LESSON_PASS_SCORE}/10 or more to complete the lesson. Listen to the sounds again and give it another go 💪`;
+    }
+
+    await ctx.reply(msg, hangulResultKeyboard(lesson, isLessonCompleted(progress, lesson.id) ? next : null));
+
+    if (unlocksLevel) {
+        applyLevel(session, "1");
+        resetConversation(session);
+        setPracticeType(session, null);
+
+        await ctx.reply(
+            "🎓 You've finished the Hangul course — you can read Korean now!\n" +
+            "1급 is unlocked and saved as your level.",
+            mainMenuKeyboard()
+        );
+        await ctx.reply("What would you like to practice?", practiceKeyboard());
+
+        log(`User ${ctx.from.id} completed the Hangul course and moved to 1급`);
+    }
+}
+
+// --- Shadowing ---
+async function sendShadowingSentence(ctx, session) {
+    const shadowing = session.shadowing;
+
+    try {
+        let sentence = takeNextSentence(shadowing);
+        if (!sentence) {
+            const { sentences } = await generateShadowingSentences(session.level || "1");
+            shadowing.upcoming.push(...sentences);
+            sentence = takeNextSentence(shadowing, { allowEarly: true });
+        }
+
+        shadowing.exercise = { id: nextExerciseId(session), ...sentence, audioFileId: null };
+        shadowing.state = "waiting_for_voice";
+
+        await ctx.reply(
+            (sentence.retry ? "🔁 This one was tricky last time — let's try it again.\n\n" : "") +
+            `🦜 Repeat after me:\n\n${sentence.korean}` +
+            (isBeginner(session) ? `\n[${romanize(sentence.korean)}]` : "") +
+            (sentence.english ? `\n${sentence.english}` : "")
+        );
+        await playShadowingAudio(ctx, session);
+    } catch (err) {
+        shadowing.state = "idle";
+        errorLog("Error while preparing shadowing sentence:", err);
+        await ctx.reply(
+            "Couldn't prepare a shadowing sentence 😔 Please try again a bit later.",
+            mainMenuKeyboard()
+        );
+    }
+}
+
+async function playShadowingAudio(ctx, session) {
+    const exercise = session.shadowing.exercise;
+    const options = {
+        title: "Shadowing",
+        performer: "Korean Tutor",
+        ...shadowingKeyboard(exercise.id)
+    };
+
+    if (exercise.audioFileId) {
+        await ctx.replyWithAudio(exercise.audioFileId, options);
+        return;
+    }
+
+    const audioBuffer = await ttsFromKoreanText(exercise.korean, speechOptions(session));
+    const sent = await ctx.replyWithAudio({ source: audioBuffer, filename: "shadowing.mp3" }, options);
+    if (sent && sent.audio) {
+        exercise.audioFileId = sent.audio.file_id;
+    }
+}
+
+async function handleShadowingVoice(ctx, session, transcript) {
+    const level = session.level || "1";
+    const shadowing = session.shadowing;
+    const exercise = shadowing.exercise;
+    const result = gradeShadowing(exercise.korean, transcript);
+
+    shadowing.state = "idle";
+    const weak = recordAttempt(shadowing, exercise, result.accuracy);
+
+    addScoreToStats(session, Math.round(result.accuracy * 10), {
+        mode: "shadowing",
+        level,
+        topic: exercise.korean
+    });
+
+    let msg =
+        `🎙 I heard: ${escapeHtml(transcript || "…")}\n\n` +
+        `${result.markup}\n\n` +
+        `Accuracy: ${Math.round(result.accuracy * 100)}%`;
+
+    if (result.sounds.length > 0) {
+        msg += `\n\nSounds to work on:\n${escapeHtml(formatSounds(result.sounds))}`;
+    }
+    if (weak) {
+        msg += "\n\nI'll bring this sentence back in a little while 🙂";
+    }
+
+    await ctx.reply(msg, { parse_mode: "HTML", ...shadowingResultKeyboard(exercise.id) });
+}
+
+// --- Vocabulary deck ---
+function findExampleSentence(text, word) {
+    if (!text || !word) return "";
+    const stem = word.endsWith("다") && word.length > 1 ? word.slice(0, -1) : word;
+    const sentences = text.split(/(?<=[.!?。])\s+/);
+    return sentences.find((s) => s.includes(stem)) || "";
+}
+
+async function showNextVocabCard(ctx, session) {
+    const deck = session.vocab;
+
+    if (deck.cards.length === 0) {
+        session.vocab.currentCardId = null;
+        await ctx.reply(
+            "Your word deck is empty 🗂\n" +
+            "Tap \"💾 Save words from this text\" after a reading or listening task, " +
+            "or save a word yourself: /save 단어 = meaning\n" +
+            "Corrections from free mode are saved automatically.",
+            mainMenuKeyboard()
+        );
+        return;
+    }
+
+    const card = nextDueCard(deck);
+
+    if (!card) {
+        session.vocab.currentCardId = null;
+        const wait = nextDueTime(deck) - Date.now();
+        await ctx.reply(
+            `All done for now 🎉 No words are due.\nNext review in ${formatWaitTime(wait)}. ` +
+            `Words in your deck: ${deck.cards.length}.`,
+            mainMenuKeyboard()
+        );
+        return;
+    }
+
+    session.vocab.currentCardId = card.id;
+    const left = dueCards(deck).length;
+
+    await ctx.reply(
+        `🗂 Word review (${left} due)\n\n<b>${escapeHtml(card.front)}</b>\n\nDo you remember what it means?`,
+        { parse_mode: "HTML", reply_markup: vocabCardKeyboard(card.id).reply_markup }
+    );
+}
+
+async function saveExerciseWords(ctx, session, exercise, source) {
+    await ctx.answerCbQuery();
+
+    const vocabulary = exercise && Array.isArray(exercise.vocabulary) ? exercise.vocabulary : [];
+    if (vocabulary.length === 0) {
+        await ctx.reply("There are no words to save from this text 😔", mainMenuKeyboard());
+        return;
+    }
+
+    const added = addCards(
+        session.vocab,
+        vocabulary.map((w) => ({
+            front: w.ko,
+            back: w.en,
+            example: findExampleSentence(exercise.text, w.ko)
+        })),
+        source
+    );
+
+    if (added.length === 0) {
+        await ctx.reply("These words are already in your deck 🙂", mainMenuKeyboard());
+        return;
+    }
+
+    await ctx.reply(
+        `🗂 Saved ${added.length} word(s): ${added.map((c) => c.front).join(", ")}\n` +
+        "Review them any time: \"Change mode\" → Review words.",
+        mainMenuKeyboard()
+    );
+}
+
+// Builds the bot with every handler registered but does not launch it:
+// index.js decides between polling and other transports, tests feed updates directly.
+export function createBot(token = process.env.BOT_TOKEN, options = {}) {
+    const bot = new Telegraf(token, options);
+
+    // --- Persist sessions after every update ---
+    bot.use(async (ctx, next) => {
+        try {
+            await next();
+        } finally {
+            try {
+                await saveSessions();
+            } catch (err) {
+                errorLog("Failed to save sessions:", err);
+            }
+        }
+    });
+
+    // --- One update at a time per user ---
+    bot.use(serializePerUser(userQueue));
+
+    // --- Once a new score lands in the history: daily goal, streak, level suggestions ---
+    bot.use(async (ctx, next) => {
+        const userId = ctx.from && ctx.from.id;
+        const lastBefore = userId ? getSession(userId).stats.history.at(-1) : null;
+
+        await next();
+
+        if (!userId) return;
+        await afterScoredExercise(ctx, getSession(userId), lastBefore);
+    });
+
+    // --- /start ---
+    bot.start(async (ctx) => {
+        try {
+            const userId = ctx.from.id;
+            resetSession(userId);
+
+            const firstName = ctx.from.first_name || "friend";
+
+            await ctx.reply(
+                `Hello, ${firstName}! 👋\nThis bot will help you practice Korean 🇰🇷.`,
+                mainMenuKeyboard()
+            );
+
+            await ctx.reply(
+                "First, choose your Korean level or check it:\n" +
+                "Can't read Korean letters yet? Start at 0급 with a short Hangul course.",
+                levelKeyboard()
+            );
+
+            log("User started bot:", userId);
+        } catch (err) {
+            errorLog("Error in /start:", err);
+        }
+    });
+
+    // --- Level selection ---
+    const levels = ["1", "2", "3", "4", "5", "6"];
+
+    levels.forEach((lvl) => {
+        bot.action(`LEVEL_${lvl}`, requireHangulCourse, async (ctx) => {
+            try {
+                const userId = ctx.from.id;
+                const session = getSession(userId);
+
+                applyLevel(session, lvl);
+                session.placement.state = "idle";
+                // the partner adapts to the level, so old turns would mislead it
+                resetConversation(session);
+
+                await ctx.answerCbQuery();
+                await ctx.reply(`Great! I've saved your level as ${lvl}급.`);
+
+                await ctx.reply("What would you like to practice?", practiceKeyboard());
+
+                log(`User ${userId} set level to ${lvl}급`);
+            } catch (err) {
+                errorLog("Error on level select:", err);
+            }
+        });
+    });
+
+    bot.action("LEVEL_0", async (ctx) => {
+        try {
+            const userId = ctx.from.id;
+            const session = getSession(userId);
+
+            applyLevel(session, "0");
+            session.placement.state = "idle";
+            resetConversation(session);
+            setPracticeType(session, "hangul");
+
+            await ctx.answerCbQuery();
+            await ctx.reply("Great! We'll start with the Korean alphabet, Hangul (한글).");
+            await showHangulCourse(ctx, session);
+
+            log(`User ${userId} set level to 0급 (Hangul course)`);
+        } catch (err) {
+            errorLog("Error on level select:", err);
+        }
+    });
+
+    // --- Placement test ---
+    bot.action("PLACEMENT_START", requireHangulCourse, async (ctx) => {
+        try {
+            const session = getSession(ctx.from.id);
+            await ctx.answerCbQuery();
+            await startPlacementTest(ctx, session);
+        } catch (err) {
+            errorLog("Error in PLACEMENT_START:", err);
+            await ctx.reply("Couldn't start the placement test 😔 Please try again later.", levelKeyboard());
+        }
+    });
+
+    bot.action(/^PLACEMENT_(\d+)_(\d+)_(\d+)$/, async (ctx) => {
+        try {
+            const session = getSession(ctx.from.id);
+            const exercise = session.placement.exercise;
+            const questionIndex = Number(ctx.match[2]);
+
+            // only the current question of the current test can be answered
+            if (
+                !exercise ||
+                exercise.id !== Number(ctx.match[1]) ||
+                session.placement.state !== "in_progress" ||
+                exercise.answers.length !== questionIndex
+            ) {
+                await ctx.answerCbQuery("This question is already answered or belongs to an older test 🙂");
+                return;
+            }
+
+            answerPlacementItem(exercise, Number(ctx.match[3]));
+            await ctx.answerCbQuery("Answer saved");
+            await sendPlacementQuestion(ctx, session);
+        } catch (err) {
+            errorLog("Error in PLACEMENT answer:", err);
+            await ctx.reply("Something went wrong 😔 Tap the answer again, or pick your level manually.", levelKeyboard());
+        }
+    });
+
+    // --- Level suggestions & auto level ---
+    bot.action(/^LEVEL_ACCEPT:(\d+)$/, async (ctx) => {
+        try {
+            const session = getSession(ctx.from.id);
+            const pending = session.leveling.pending;
+
+            if (await rejectStaleCallback(ctx, pending)) return;
+
+            applyLevel(session, pending.to);
+            resetConversation(session);
+
+            await ctx.answerCbQuery();
+            await ctx.reply(`Great! Your level is now ${session.level}급 🎉`, mainMenuKeyboard());
+            log(`User ${ctx.from.id} accepted a move to ${session.level}급`);
+        } catch (err) {
+            errorLog("Error in LEVEL_ACCEPT:", err);
+        }
+    });
+
+    bot.action(/^LEVEL_DECLINE:(\d+)$/, async (ctx) => {
+        try {
+            const session = getSession(ctx.from.id);
+
+            if (await rejectStaleCallback(ctx, session.leveling.pending)) return;
+
+            declineSuggestion(session);
+
+            await ctx.answerCbQuery();
+            await ctx.reply(`Okay, staying at ${session.level}급 🙂`, mainMenuKeyboard());
+        } catch (err) {
+            errorLog("Error in LEVEL_DECLINE:", err);
+        }
+    });
+
+    // /autolevel, /autolevel on|off, /autolevel 2-4
+    bot.command("autolevel", async (ctx) => {
+        try {
+            const leveling = getSession(ctx.from.id).leveling;
+            const input = ctx.message.text.replace(/^\/autolevel(@\w+)?/, "").trim().toLowerCase();
+
+            if (input === "on" || input === "off") {
+                leveling.auto = input === "on";
+            } else if (input) {
+                const bounds = parseBounds(input.replace(/^on\s+/, ""));
+                if (!bounds) {
+                    await ctx.reply("Usage: /autolevel on, /autolevel off or /autolevel 2-4", mainMenuKeyboard());
+                    return;
+                }
+                Object.assign(leveling, bounds, { auto: true });
+            }
+
+            await ctx.reply(autoLevelStatus(leveling), autoLevelKeyboard(leveling.auto));
+        } catch (err) {
+            errorLog("Error in /autolevel:", err);
+        }
+    });
+
+    bot.action(/^AUTOLEVEL_(ON|OFF)$/, async (ctx) => {
+        try {
+            const leveling = getSession(ctx.from.id).leveling;
+            leveling.auto = ctx.match[1] === "ON";
+
+            await ctx.answerCbQuery(leveling.auto ? "Auto level on" : "Auto level off");
+            await ctx.reply(autoLevelStatus(leveling), autoLevelKeyboard(leveling.auto));
+        } catch (err) {
+            errorLog("Error in AUTOLEVEL:", err);
+        }
+    });
+
+    // --- Daily goal & reminders ---
+    // /goal, /goal 5, /goal 30 points
+    bot.command("goal", async (ctx) => {
+        try {
+            const streak = getSession(ctx.from.id).streak;
+            const input = ctx.message.text.replace(/^\/goal(@\w+)?/, "").trim().toLowerCase();
+
+            if (input) {
+                const match = input.match(/^(\d{1,3})\s*(exercises?|points?)?$/);
+                const target = match ? Number(match[1]) : 0;
+                if (!match || target < 1) {
+                    await ctx.reply("Usage: /goal 3 (exercises a day) or /goal 30 points", mainMenuKeyboard());
+                    return;
+                }
+                streak.goal = {
+                    type: match[2] && match[2].startsWith("point") ? "points" : "exercises",
+                    target
+                };
+            }
+
+            await ctx.reply(
+                `🎯 Daily goal: ${streak.goal.target} ${GOAL_TYPES[streak.goal.type]}.\n` +
+                `${formatStreakStatus(streak)}\n\n` +
+                "Change it with /goal 5 or /goal 30 points.",
+                mainMenuKeyboard()
+            );
+        } catch (err) {
+            errorLog("Error in /goal:", err);
+        }
+    });
+
+    // /reminder, /reminder off, /reminder 19:30 [Area/City]
+    bot.command("reminder", async (ctx) => {
+        try {
+            const streak = getSession(ctx.from.id).streak;
+            const input = ctx.message.text.replace(/^\/reminder(@\w+)?/, "").trim();
+
+            if (input.toLowerCase() === "off") {
+                streak.reminder.enabled = false;
+            } else if (input) {
+                const [timeText, timezone] = input.split(/\s+/);
+                const time = parseTime(timeText);
+
+                if (!time || (timezone && !isValidTimezone(timezone))) {
+                    await ctx.reply(
+                        "Usage: /reminder 19:30 Asia/Seoul (time zone names like Europe/Berlin or America/New_York)",
+                        mainMenuKeyboard()
+                    );
+                    return;
+                }
+
+                if (timezone) {
+                    streak.timezone = timezone;
+                }
+                streak.reminder.enabled = true;
+                streak.reminder.time = time;
+
+                // don't fire right away if today's time has already passed
+                const now = Date.now();
+                streak.reminder.lastSent = localTime(now, streak.timezone) >= time
+                    ? localDateKey(now, streak.timezone)
+                    : null;
+            }
+
+            await ctx.reply(reminderStatus(streak), mainMenuKeyboard());
+        } catch (err) {
+            errorLog("Error in /reminder:", err);
+        }
+    });
+
+    // --- Voice & speed ---
+    bot.command("audio", async (ctx) => {
+        try {
+            await showAudioSettings(ctx, getSession(ctx.from.id));
+        } catch (err) {
+            errorLog("Error in /audio:", err);
+        }
+    });
+
+    bot.action(/^VOICE_(\w+)$/, async (ctx) => {
+        try {
+            const session = getSession(ctx.from.id);
+            const id = ctx.match[1];
+
+            if (id !== "default" && !VOICES[id]) {
+                await ctx.answerCbQuery("Unknown voice.");
+                return;
+            }
+            session.audio.voice = id === "default" ? null : id;
+
+            await ctx.answerCbQuery(`Voice: ${id === "default" ? "Default" : VOICES[id].label}`);
+            await showAudioSettings(ctx, session);
+        } catch (err) {
+            errorLog("Error in VOICE:", err);
+        }
+    });
+
+    bot.action(/^SPEED_([\d.]+)$/, async (ctx) => {
+        try {
+            const session = getSession(ctx.from.id);
+            const id = ctx.match[1];
+
+            if (!SPEEDS[id]) {
+                await ctx.answerCbQuery("Unknown speed.");
+                return;
+            }
+            session.audio.speed = Number(id);
+
+            await ctx.answerCbQuery(`Speed: ${SPEEDS[id]}`);
+            await showAudioSettings(ctx, session);
+        } catch (err) {
+            errorLog("Error in SPEED:", err);
+        }
+    });
+
+    // --- Mistake journal ---
+    bot.command("mistakes", async (ctx) => {
+        try {
+            await showMistakes(ctx, getSession(ctx.from.id));
+        } catch (err) {
+            errorLog("Error in /mistakes:", err);
+        }
+    });
+
+    bot.action(/^MISTAKES_PAGE_(\d+)$/, async (ctx) => {
+        try {
+            await ctx.answerCbQuery();
+            await showMistakes(ctx, getSession(ctx.from.id), Number(ctx.match[1]));
+        } catch (err) {
+            errorLog("Error in MISTAKES_PAGE:", err);
+        }
+    });
+
+    bot.action(/^MISTAKE_MASTER_(\d+)_(\d+)$/, async (ctx) => {
+        try {
+            const session = getSession(ctx.from.id);
+            const item = markMastered(session.mistakes, ctx.match[1]);
+
+            await ctx.answerCbQuery(item ? `#${item.id} marked as mastered ✅` : "Already mastered 🙂");
+            await showMistakes(ctx, session, Number(ctx.match[2]));
+        } catch (err) {
+            errorLog("Error in MISTAKE_MASTER:", err);
+        }
+    });
+
+    bot.action(/^MISTAKE_DRILL_SKIP:(\d+)$/, async (ctx) => {
+        try {
+            const session = getSession(ctx.from.id);
+
+            if (await rejectStaleCallback(ctx, session.mistakeReview.exercise)) return;
+
+            if (session.mistakeReview.state !== "waiting_for_answer") {
+                await ctx.answerCbQuery("This review is already over 🙂");
+                return;
+            }
+
+            const exercise = session.mistakeReview.exercise;
+            exercise.results.push("skipped");
+
+            await ctx.answerCbQuery();
+            await ctx.reply(`⏭ The answer was: ${exercise.items[exercise.index].answer}`);
+            await advanceMistakeDrill(ctx, session);
+        } catch (err) {
+            errorLog("Error in MISTAKE_DRILL_SKIP:", err);
+        }
+    });
+
+    // --- Bottom keyboard ---
+    bot.hears(CHANGE_LEVEL_TEXT, async (ctx) => {
+        try {
+            const userId = ctx.from.id;
+            const session = getSession(userId);
+
+            session.level = null;
+            resetConversation(session);
+
+            await ctx.reply(
+                "Okay, choose your new Korean level:",
+                levelKeyboard()
+            );
+
+            log(`User ${userId} wants to change level`);
+        } catch (err) {
+            errorLog("Error in CHANGE_LEVEL_TEXT:", err);
+        }
+    });
+
+    bot.hears(CHANGE_MODE_TEXT, async (ctx) => {
+        try {
+            const userId = ctx.from.id;
+            const session = getSession(userId);
+
+            if (!session.level) {
+                await ctx.reply(
+                    "First choose your level, then the practice mode 🙂",
+                    levelKeyboard()
+                );
+                return;
+            }
+
+            if (isHangulTrack(session)) {
+                await showHangulCourse(ctx, session);
+                return;
+            }
+
+            await ctx.reply(
+                "What would you like to practice?",
+                practiceKeyboard()
+            );
+
+            log(`User ${userId} wants to change practice type`);
+        } catch (err) {
+            errorLog("Error in CHANGE_MODE_TEXT:", err);
+        }
+    });
+
+    bot.hears(SHOW_PROGRESS_TEXT, async (ctx) => {
+        try {
+            const userId = ctx.from.id;
+            const session = getSession(userId);
+
+            const total = session.stats?.totalScore || 0;
+
+            if (total <= 0) {
+                await ctx.reply(
+                    "You don't have any points yet.\n" +
+                    "Complete tasks in reading / listening / speaking modes and I'll start counting your ramyun points 🍜",
+                    mainMenuKeyboard()
+                );
+                return;
+            }
+
+            const displayScore = Math.max(0, Math.min(500, total));
+            const bar = buildProgressBar(displayScore);
+            const level = getRamyunLevelMeta(displayScore);
+
+            const msg =
+                `Your progress:\n` +
+                `Score ${displayScore}/500\n` +
+                `${bar}\n\n` +
+                `You are: ${level.name}\n` +
+                `${level.description}\n\n` +
+                formatStreakStatus(session.streak);
+
+            // клавиатура отдельно, чтобы можно было засунуть её в replyWithPhoto
+            const keyboard = mainMenuKeyboard();
+
+            if (level.imageUrl) {
+                // img + caption
+                await ctx.replyWithPhoto(level.imageUrl, {
+                    caption: msg,
+                    reply_markup: keyboard.reply_markup
+                });
+            } else {
+                // if no image then just text
+                await ctx.reply(msg, keyboard);
+            }
+
+            const report = buildProgressReport(session);
+            if (report) {
+                await ctx.reply(report, keyboard);
+            }
+        } catch (err) {
+            errorLog("Error in SHOW_PROGRESS_TEXT:", err);
+        }
+    });
+
+    // --- Practice mode selection ---
+    bot.action("PRACTICE_SPEAKING", requireUnlockedPractice, async (ctx) => {
+        await handlePracticeChoice(ctx, "speaking");
+    });
+
+    bot.action("PRACTICE_LISTENING", requireUnlockedPractice, async (ctx) => {
+        await handlePracticeChoice(ctx, "listening");
+    });
+
+    bot.action("PRACTICE_READING", requireUnlockedPractice, async (ctx) => {
+        await handlePracticeChoice(ctx, "reading");
+    });
+
+    bot.action("PRACTICE_FREE", requireUnlockedPractice, async (ctx) => {
+        await handlePracticeChoice(ctx, "free");
+    });
+
+    bot.action("PRACTICE_SCENARIO", requireUnlockedPractice, async (ctx) => {
+        await handlePracticeChoice(ctx, "scenario");
+    });
+
+    bot.action("PRACTICE_DICTATION", requireUnlockedPractice, async (ctx) => {
+        await handlePracticeChoice(ctx, "dictation");
+    });
+
+    bot.action("PRACTICE_SHADOWING", requireUnlockedPractice, async (ctx) => {
+        await handlePracticeChoice(ctx, "shadowing");
+    });
+
+    bot.action("PRACTICE_EXAM", requireUnlockedPractice, async (ctx) => {
+        await handlePracticeChoice(ctx, "exam");
+    });
+
+    bot.action(/^EXAM_START_(topik1|topik2)$/, requireUnlockedPractice, async (ctx) => {
+        try {
+            const session = getSession(ctx.from.id);
+            setPracticeType(session, "exam");
+
+            await ctx.answerCbQuery();
+            await startExam(ctx, session, ctx.match[1]);
+        } catch (err) {
+            errorLog("Error in EXAM_START:", err);
+        }
+    });
+
+    // no feedback until the end; a tap after the deadline closes the section
+    bot.action(/^EXAM_(\d+)_(\d+)_(\d+|skip)$/, async (ctx) => {
+        try {
+            const session = getSession(ctx.from.id);
+            const exam = session.exam.exercise;
+
+            if (
+                !exam ||
+                exam.id !== Number(ctx.match[1]) ||
+                session.exam.state !== "in_progress" ||
+                !exam.section ||
+                exam.section.answers.length !== Number(ctx.match[2])
+            ) {
+                await ctx.answerCbQuery("This question is already answered or belongs to an older exam 🙂");
+                return;
+            }
+
+            setPracticeType(session, "exam");
+
+            if (isSectionOverdue(exam)) {
+                await ctx.answerCbQuery("⏱ Time's up");
+                await closeTimedOutSection(ctx, session);
+                return;
+            }
+
+            const item = currentItem(exam);
+            const option = ctx.match[3] === "skip" ? null : Number(ctx.match[3]);
+            if (option !== null && option >= item.options.length) {
+                await ctx.answerCbQuery();
+                return;
+            }
+
+            const sectionDone = answerItem(exam, option);
+            await ctx.answerCbQuery(option === null ? "Skipped" : "Answer saved");
+
+            if (sectionDone) {
+                await advanceExamSection(ctx, session);
+            } else {
+                await sendExamQuestion(ctx, session);
+            }
+        } catch (err) {
+            errorLog("Error in EXAM answer:", err);
+        }
+    });
+
+    bot.action("PRACTICE_WRITING", requireUnlockedPractice, async (ctx) => {
+        await handlePracticeChoice(ctx, "writing");
+    });
+
+    bot.action(/^WRITING_TYPE_(diary|completion|graph|essay)$/, requireUnlockedPractice, async (ctx) => {
+        try {
+            const session = getSession(ctx.from.id);
+            const type = ctx.match[1];
+
+            setPracticeType(session, "writing");
+
+            await ctx.answerCbQuery();
+            await ctx.reply(`📝 Preparing a task: ${WRITING_TYPES[type].label}...`);
+            await startWritingTask(ctx, session, type);
+        } catch (err) {
+            errorLog("Error in WRITING_TYPE:", err);
+        }
+    });
+
+    // --- Grammar lessons ---
+    bot.action("PRACTICE_GRAMMAR", requireUnlockedPractice, async (ctx) => {
+        await handlePracticeChoice(ctx, "grammar");
+    });
+
+    bot.command("grammar", requireUnlockedPractice, async (ctx) => {
+        try {
+            const session = getSession(ctx.from.id);
+            setPracticeType(session, "grammar");
+            await showGrammarLevel(ctx, session, session.level || "1");
+        } catch (err) {
+            errorLog("Error in /grammar:", err);
+        }
+    });
+
+    bot.action("GRAMMAR_MENU", requireUnlockedPractice, async (ctx) => {
+        try {
+            await ctx.answerCbQuery();
+            await showGrammarMenu(ctx, getSession(ctx.from.id));
+        } catch (err) {
+            errorLog("Error in GRAMMAR_MENU:", err);
+        }
+    });
+
+    bot.action(/^GRAMMAR_LEVEL_([1-6])$/, requireUnlockedPractice, async (ctx) => {
+        try {
+            await ctx.answerCbQuery();
+            await showGrammarLevel(ctx, getSession(ctx.from.id), ctx.match[1]);
+        } catch (err) {
+            errorLog("Error in GRAMMAR_LEVEL:", err);
+        }
+    });
+
+    bot.action(/^GRAMMAR_(POINT|AUDIO|DRILL)_([a-z_]+)$/, requireUnlockedPractice, async (ctx) => {
+        try {
+            const session = getSession(ctx.from.id);
+            const point = findGrammarPoint(ctx.match[2]);
+
+            if (!point) {
+                await ctx.answerCbQuery("This lesson doesn't exist anymore.");
+                return;
+            }
+            await ctx.answerCbQuery();
+
+            if (ctx.match[1] === "POINT") {
+                await showGrammarLesson(ctx, session, point);
+            } else if (ctx.match[1] === "AUDIO") {
+                await sendGrammarExamples(ctx, session, point);
+            } else {
+                await startGrammarDrill(ctx, session, point);
+            }
+        } catch (err) {
+            errorLog("Error in GRAMMAR lesson button:", err);
+        }
+    });
+
+    bot.action(/^GRAMMAR_(?:CHOICE|SKIP)_(\d+)_(\d+)(?:_(\d+))?$/, async (ctx) => {
+        try {
+            const session = getSession(ctx.from.id);
+            const exercise = session.grammar.exercise;
+
+            if (await rejectStaleCallback(ctx, exercise)) return;
+
+            if (session.grammar.state !== "drilling" || Number(ctx.match[2]) !== exercise.index) {
+                await ctx.answerCbQuery("Already answered 🙂");
+                return;
+            }
+            await ctx.answerCbQuery();
+
+            if (ctx.match[3] === undefined) {
+                exercise.results.push("wrong");
+                await ctx.reply(`⏭ Skipped. The answer was: ${expectedAnswer(exercise.items[exercise.index])}`);
+                await advanceGrammarDrill(ctx, session);
+                return;
+            }
+
+            const item = exercise.items[exercise.index];
+            const choice = Number(ctx.match[3]);
+            await handleGrammarAnswer(ctx, session, item.options[choice], choice);
+        } catch (err) {
+            errorLog("Error in GRAMMAR answer:", err);
+        }
+    });
+
+    // --- Hangul course ---
+    bot.action("PRACTICE_HANGUL", async (ctx) => {
+        await handlePracticeChoice(ctx, "hangul");
+    });
+
+    bot.command("hangul", async (ctx) => {
+        try {
+            const session = getSession(ctx.from.id);
+            setPracticeType(session, "hangul");
+            await showHangulCourse(ctx, session);
+        } catch (err) {
+            errorLog("Error in /hangul:", err);
+        }
+    });
+
+    bot.action("HANGUL_MENU", async (ctx) => {
+        try {
+            await ctx.answerCbQuery();
+            await showHangulCourse(ctx, getSession(ctx.from.id));
+        } catch (err) {
+            errorLog("Error in HANGUL_MENU:", err);
+        }
+    });
+
+    bot.action(/^HANGUL_(LESSON|QUIZ)_([a-z_]+)$/, async (ctx) => {
+        try {
+            const session = getSession(ctx.from.id);
+            const lesson = findLesson(ctx.match[2]);
+
+            if (!lesson) {
+                await ctx.answerCbQuery("This lesson doesn't exist anymore.");
+                return;
+            }
+            if (!isUnlocked(session.hangul.progress, lesson.id)) {
+                await ctx.answerCbQuery("🔒 Complete the previous lesson first");
+                return;
+            }
+            await ctx.answerCbQuery();
+
+            if (ctx.match[1] === "LESSON") {
+                await showHangulLesson(ctx, session, lesson);
+            } else {
+                await startHangulQuiz(ctx, session, lesson);
+            }
+        } catch (err) {
+            errorLog("Error in HANGUL lesson button:", err);
+        }
+    });
+
+    bot.action(/^HANGUL_SOUND_([a-z_]+)_(\d+)$/, async (ctx) => {
+        try {
+            const item = findLesson(ctx.match[1])?.items[Number(ctx.match[2])];
+
+            if (!item) {
+                await ctx.answerCbQuery("This sound doesn't exist anymore.");
+                return;
+            }
+            await ctx.answerCbQuery();
+            await sendHangulSound(ctx, getSession(ctx.from.id), item.sound || item.ko);
+        } catch (err) {
+            errorLog("Error in HANGUL_SOUND:", err);
+            await ctx.reply("Couldn't play the sound 😔 Please try again.");
+        }
+    });
+
+    bot.action(/^HANGUL_(?:CHOICE|SKIP)_(\d+)_(\d+)(?:_(\d+))?$/, async (ctx) => {
+        try {
+            const session = getSession(ctx.from.id);
+            const exercise = session.hangul.exercise;
+
+            if (await rejectStaleCallback(ctx, exercise)) return;
+
+            if (session.hangul.state !== "quiz" || Number(ctx.match[2]) !== exercise.index) {
+                await ctx.answerCbQuery("Already answered 🙂");
+                return;
+            }
+            await ctx.answerCbQuery();
+
+            const question = exercise.questions[exercise.index];
+
+            if (ctx.match[3] === undefined) {
+                exercise.results.push("wrong");
+                await ctx.reply(`⏭ Skipped. The answer was: ${expectedHangulAnswer(question)}`);
+                await advanceHangulQuiz(ctx, session);
+                return;
+            }
+
+            await handleHangulAnswer(ctx, session, null, Number(ctx.match[3]));
+        } catch (err) {
+            errorLog("Error in HANGUL answer:", err);
+        }
+    });
+
+    // --- Conjugation drills ---
+    bot.action("PRACTICE_CONJUGATION", requireUnlockedPractice, async (ctx) => {
+        await handlePracticeChoice(ctx, "conjugation");
+    });
+
+    bot.action(/^CONJ_SKIP:(\d+)$/, async (ctx) => {
+        try {
+            const session = getSession(ctx.from.id);
+            const exercise = session.conjugation.exercise;
+
+            if (await rejectStaleCallback(ctx, exercise)) return;
+            if (session.conjugation.state !== "waiting_for_answer") {
+                await ctx.answerCbQuery("This drill is already finished 🙂");
+                return;
+            }
+
+            const item = exercise.items[exercise.index];
+            exercise.results.push("wrong");
+
+            await ctx.answerCbQuery();
+            await ctx.reply(`⏭ ${item.dict} → ${item.answers[0]}\n${formatRules(item.rules)}`);
+            await advanceConjugationDrill(ctx, session);
+        } catch (err) {
+            errorLog("Error in CONJ_SKIP:", err);
+        }
+    });
+
+    bot.action("PRACTICE_MISTAKES", requireUnlockedPractice, async (ctx) => {
+        await handlePracticeChoice(ctx, "mistakes");
+    });
+
+    bot.action("PRACTICE_REVIEW", requireUnlockedPractice, async (ctx) => {
+        await handlePracticeChoice(ctx, "review");
+    });
+
+    // --- Answer format & quiz buttons ---
+    bot.action(/^FORMAT_(reading|listening)_(text|quiz)$/, requireUnlockedPractice, async (ctx) => {
+        try {
+            const session = getSession(ctx.from.id);
+            const mode = ctx.match[1];
+
+            session[mode].format = ctx.match[2];
+            setPracticeType(session, mode);
+
+            await ctx.answerCbQuery();
+
+            if (mode === "reading") {
+                await ctx.reply("📖 I'm preparing a reading text for you...");
+                await startReadingExercise(ctx, session);
+            } else {
+                await ctx.reply("👂 I'll prepare a listening audio for you...");
+                await startListeningExercise(ctx, session);
+            }
+        } catch (err) {
+            errorLog("Error in FORMAT:", err);
+        }
+    });
+
+    bot.action(/^QUIZ_(reading|listening)_(\d+)_(\d+)_(\d+)$/, async (ctx) => {
+        try {
+            const session = getSession(ctx.from.id);
+            const mode = ctx.match[1];
+            const exercise = session[mode].exercise;
+            const questionIndex = Number(ctx.match[3]);
+            const optionIndex = Number(ctx.match[4]);
+
+            // only the current question of the current quiz can be answered
+            if (
+                !exercise ||
+                exercise.format !== "quiz" ||
+                exercise.id !== Number(ctx.match[2]) ||
+                session[mode].state !== "waiting_for_answers" ||
+                exercise.answers.length !== questionIndex
+            ) {
+                await ctx.answerCbQuery("This question is already answered or belongs to an older task 🙂");
+                return;
+            }
+
+            const item = exercise.items[questionIndex];
+            if (optionIndex >= item.options.length) {
+                await ctx.answerCbQuery();
+                return;
+            }
+
+            exercise.answers.push(optionIndex);
+            setPracticeType(session, mode);
+            await ctx.answerCbQuery(`Your answer: ${optionLabel(item, optionIndex)}`);
+
+            if (exercise.answers.length < exercise.items.length) {
+                await sendQuizQuestion(ctx, mode, exercise);
+            } else {
+                await finishQuiz(ctx, session, mode);
+            }
+        } catch (err) {
+            errorLog("Error in QUIZ answer:", err);
+        }
+    });
+
+    // --- Buttons after results ---
+    // result keyboards sent before buttons carried an exercise id are always stale
+    bot.action(
+        ["READING_NEXT", "LISTENING_NEXT", "SPEAKING_NEXT", "VOCAB_SAVE_READING", "VOCAB_SAVE_LISTENING"],
+        async (ctx) => {
+            try {
+                await rejectStaleCallback(ctx, null);
+            } catch (err) {
+                errorLog("Error in an old result button:", err);
+            }
+        }
+    );
+
+    bot.action(/^READING_NEXT:(\d+)$/, requireUnlockedPractice, async (ctx) => {
+        try {
+            const userId = ctx.from.id;
+            const session = getSession(userId);
+
+            if (await rejectStaleCallback(ctx, session.reading.exercise)) return;
+
+            setPracticeType(session, "reading");
+
+            await ctx.answerCbQuery();
+            await ctx.reply("📖 Generating a new reading text...");
+            await startReadingExercise(ctx, session);
+        } catch (err) {
+            errorLog("Error in READING_NEXT:", err);
+        }
+    });
+
+    bot.action(/^LISTENING_NEXT:(\d+)$/, requireUnlockedPractice, async (ctx) => {
+        try {
+            const userId = ctx.from.id;
+            const session = getSession(userId);
+
+            if (await rejectStaleCallback(ctx, session.listening.exercise)) return;
+
+            setPracticeType(session, "listening");
+
+            await ctx.answerCbQuery();
+            await ctx.reply("👂 Preparing a new listening task...");
+            await startListeningExercise(ctx, session);
+        } catch (err) {
+            errorLog("Error in LISTENING_NEXT:", err);
+        }
+    });
+
+    // --- Reading help ---
+    bot.action(/^READING_GLOSSARY:(\d+)$/, async (ctx) => {
+        try {
+            await showReadingHelp(ctx, "glossary");
+        } catch (err) {
+            errorLog("Error in READING_GLOSSARY:", err);
+        }
+    });
+
+    bot.action(/^READING_TRANSLATION:(\d+)$/, async (ctx) => {
+        try {
+            await showReadingHelp(ctx, "translation");
+        } catch (err) {
+            errorLog("Error in READING_TRANSLATION:", err);
+        }
+    });
+
+    // --- Listening replays ---
+    bot.action(/^LISTEN_SLOW:(\d+)$/, async (ctx) => {
+        try {
+            const session = getSession(ctx.from.id);
+            const exercise = session.listening.exercise;
+
+            if (await rejectStaleCallback(ctx, exercise)) return;
+
+            await ctx.answerCbQuery("🐢 Slowing down...");
+            const audioBuffer = await synthesizeDialogue(exercise.lines, {
+                voices: exercise.voices,
+                speed: SLOW_SPEED
+            });
+            await ctx.replyWithAudio(
+                { source: audioBuffer, filename: "listening-slow.mp3" },
+                { title: "Listening (slow)", performer: "Korean Tutor" }
+            );
+        } catch (err) {
+            errorLog("Error in LISTEN_SLOW:", err);
+        }
+    });
+
+    bot.action(/^LISTEN_LINES:(\d+)$/, async (ctx) => {
+        try {
+            const session = getSession(ctx.from.id);
+            const exercise = session.listening.exercise;
+
+            if (await rejectStaleCallback(ctx, exercise)) return;
+
+            const labels = exercise.lines.map((line, idx) => ({
+                label: `${idx + 1} · ${line.speaker === "man" ? "👨" : "👩"}`
+            }));
+
+            await ctx.answerCbQuery();
+            await ctx.reply("Which line do you want to hear again?", listeningLinesKeyboard(exercise.id, labels));
+        } catch (err) {
+            errorLog("Error in LISTEN_LINES:", err);
+        }
+    });
+
+    bot.action(/^LISTEN_LINE_(\d+)_(\d+)$/, async (ctx) => {
+        try {
+            const session = getSession(ctx.from.id);
+            const exercise = session.listening.exercise;
+
+            if (await rejectStaleCallback(ctx, exercise)) return;
+
+            const index = Number(ctx.match[2]);
+            const line = exercise.lines[index];
+            if (!line) {
+                await ctx.answerCbQuery("That line doesn't exist.");
+                return;
+            }
+
+            await ctx.answerCbQuery();
+            const audioBuffer = await ttsFromKoreanText(line.text, {
+                voice: exercise.voices[line.speaker],
+                speed: session.audio.speed
+            });
+            await ctx.replyWithAudio(
+                { source: audioBuffer, filename: `line-${index + 1}.mp3` },
+                { title: `Line ${index + 1} · ${SPEAKER_LABELS[line.speaker]}`, performer: "Korean Tutor" }
+            );
+        } catch (err) {
+            errorLog("Error in LISTEN_LINE:", err);
+        }
+    });
+
+    bot.action(/^SPEAKING_NEXT:(\d+)$/, requireUnlockedPractice, async (ctx) => {
+        try {
+            const userId = ctx.from.id;
+            const session = getSession(userId);
+
+            if (await rejectStaleCallback(ctx, session.speaking.exercise)) return;
+
+            setPracticeType(session, "speaking");
+
+            await ctx.answerCbQuery();
+            await ctx.reply("🗣 Preparing a new speaking task...");
+            await startSpeakingExercise(ctx, session);
+        } catch (err) {
+            errorLog("Error in SPEAKING_NEXT:", err);
+        }
+    });
+
+    bot.action("CHANGE_MODE_INLINE", async (ctx) => {
+        try {
+            const userId = ctx.from.id;
+            const session = getSession(userId);
+            setPracticeType(session, null);
+
+            await ctx.answerCbQuery();
+            if (isHangulTrack(session)) {
+                await showHangulCourse(ctx, session);
+                return;
+            }
+            await ctx.reply("Choose what you want to practice:", practiceKeyboard());
+        } catch (err) {
+            errorLog("Error in CHANGE_MODE_INLINE:", err);
+        }
+    });
+
+    // --- Role-play scenarios ---
+    bot.action(/^SCENARIO_START_(\w+)$/, requireUnlockedPractice, async (ctx) => {
+        try {
+            const session = getSession(ctx.from.id);
+            await ctx.answerCbQuery();
+
+            if (!session.level) {
+                await ctx.reply("First choose your level 🙂", levelKeyboard());
+                return;
+            }
+
+            await startScenario(ctx, session, ctx.match[1]);
+        } catch (err) {
+            errorLog("Error in SCENARIO_START:", err);
+        }
+    });
+
+    bot.action(/^SCENARIO_FINISH:(\d+)$/, async (ctx) => {
+        try {
+            const session = getSession(ctx.from.id);
+
+            if (await rejectStaleCallback(ctx, session.scenario.exercise)) return;
+
+            if (session.scenario.state !== "in_progress") {
+                await ctx.answerCbQuery("This role-play is already over 🙂");
+                return;
+            }
+
+            await ctx.answerCbQuery();
+            await ctx.reply("🏁 Let's wrap up. Preparing your debrief...");
+            await finishScenario(ctx, session);
+        } catch (err) {
+            errorLog("Error in SCENARIO_FINISH:", err);
+        }
+    });
+
+    // --- Dictation ---
+    bot.action(/^DICTATION_REPLAY:(\d+)$/, async (ctx) => {
+        try {
+            const session = getSession(ctx.from.id);
+
+            if (await rejectStaleCallback(ctx, session.dictation.exercise)) return;
+
+            if (session.dictation.state !== "waiting_for_answer") {
+                await ctx.answerCbQuery("This dictation is already over 🙂");
+                return;
+            }
+
+            await ctx.answerCbQuery();
+            await sendDictationSentence(ctx, session);
+        } catch (err) {
+            errorLog("Error in DICTATION_REPLAY:", err);
+        }
+    });
+
+    bot.action(/^DICTATION_SKIP:(\d+)$/, async (ctx) => {
+        try {
+            const session = getSession(ctx.from.id);
+
+            if (await rejectStaleCallback(ctx, session.dictation.exercise)) return;
+
+            if (session.dictation.state !== "waiting_for_answer") {
+                await ctx.answerCbQuery("This dictation is already over 🙂");
+                return;
+            }
+
+            const exercise = session.dictation.exercise;
+            exercise.results.push(0);
+
+            await ctx.answerCbQuery();
+            await ctx.reply(`⏭ The sentence was: ${exercise.sentences[exercise.index]}`);
+            await advanceDictation(ctx, session);
+        } catch (err) {
+            errorLog("Error in DICTATION_SKIP:", err);
+        }
+    });
+
+    // --- Shadowing ---
+    bot.action(/^SHADOWING_REPLAY:(\d+)$/, async (ctx) => {
+        try {
+            const session = getSession(ctx.from.id);
+
+            if (await rejectStaleCallback(ctx, session.shadowing.exercise)) return;
+
+            await ctx.answerCbQuery();
+            await playShadowingAudio(ctx, session);
+        } catch (err) {
+            errorLog("Error in SHADOWING_REPLAY:", err);
+        }
+    });
+
+    bot.action(/^SHADOWING_AGAIN:(\d+)$/, requireUnlockedPractice, async (ctx) => {
+        try {
+            const session = getSession(ctx.from.id);
+
+            if (await rejectStaleCallback(ctx, session.shadowing.exercise)) return;
+
+            setPracticeType(session, "shadowing");
+            session.shadowing.state = "waiting_for_voice";
+
+            await ctx.answerCbQuery();
+            await ctx.reply(`🦜 Once more:\n\n${session.shadowing.exercise.korean}`);
+            await playShadowingAudio(ctx, session);
+        } catch (err) {
+            errorLog("Error in SHADOWING_AGAIN:", err);
+        }
+    });
+
+    bot.action(/^SHADOWING_NEXT:(\d+)$/, requireUnlockedPractice, async (ctx) => {
+        try {
+            const session = getSession(ctx.from.id);
+
+            if (await rejectStaleCallback(ctx, session.shadowing.exercise)) return;
+
+            setPracticeType(session, "shadowing");
+
+            await ctx.answerCbQuery();
+            await sendShadowingSentence(ctx, session);
+        } catch (err) {
+            errorLog("Error in SHADOWING_NEXT:", err);
+        }
+    });
+
+    // --- Vocabulary deck ---
+    bot.action(/^VOCAB_SHOW_(\d+)$/, async (ctx) => {
+        try {
+            const userId = ctx.from.id;
+            const session = getSession(userId);
+            const card = findCard(session.vocab, ctx.match[1]);
+
+            await ctx.answerCbQuery();
+
+            if (!card || session.vocab.currentCardId !== card.id) {
+                await ctx.reply("This card is no longer active 🙂", mainMenuKeyboard());
+                return;
+            }
+
+            let msg = `<b>${escapeHtml(card.front)}</b>`;
+            if (isBeginner(session)) {
+                msg += ` [${escapeHtml(romanize(card.front))}]`;
+            }
+            msg += `\n${escapeHtml(card.back || "(no meaning saved)")}`;
+            if (card.example) {
+                msg += `\n\n<i>${escapeHtml(card.example)}</i>`;
+            }
+            msg += "\n\nHow well did you remember it?";
+
+            await ctx.reply(msg, {
+                parse_mode: "HTML",
+                reply_markup: vocabGradeKeyboard(card.id).reply_markup
+            });
+        } catch (err) {
+            errorLog("Error in VOCAB_SHOW:", err);
+        }
+    });
+
+    bot.action(/^VOCAB_GRADE_(\d+)_(again|hard|good|easy)$/, async (ctx) => {
+        try {
+            const userId = ctx.from.id;
+            const session = getSession(userId);
+            const card = findCard(session.vocab, ctx.match[1]);
+
+            await ctx.answerCbQuery();
+
+            // ignore taps on old cards so a card is never graded twice
+            if (!card || session.vocab.currentCardId !== card.id) {
+                return;
+            }
+
+            scheduleReview(card, GRADES[ctx.match[2]]);
+            session.vocab.currentCardId = null;
+
+            await showNextVocabCard(ctx, session);
+        } catch (err) {
+            errorLog("Error in VOCAB_GRADE:", err);
+        }
+    });
+
+    bot.action(/^VOCAB_SAVE_READING:(\d+)$/, async (ctx) => {
+        try {
+            const session = getSession(ctx.from.id);
+            if (await rejectStaleCallback(ctx, session.reading.exercise)) return;
+            await saveExerciseWords(ctx, session, session.reading.exercise, "reading");
+        } catch (err) {
+            errorLog("Error in VOCAB_SAVE_READING:", err);
+        }
+    });
+
+    bot.action(/^VOCAB_SAVE_LISTENING:(\d+)$/, async (ctx) => {
+        try {
+            const session = getSession(ctx.from.id);
+            if (await rejectStaleCallback(ctx, session.listening.exercise)) return;
+            await saveExerciseWords(ctx, session, session.listening.exercise, "listening");
+        } catch (err) {
+            errorLog("Error in VOCAB_SAVE_LISTENING:", err);
+        }
+    });
+
+    // /save 단어 = meaning
+    bot.command("save", async (ctx) => {
+        try {
+            const session = getSession(ctx.from.id);
+            const input = ctx.message.text.replace(/^\/save(@\w+)?/, "").trim();
+            const [front, ...rest] = input.split(/\s*=\s*|\s+[-–—]\s+/);
+            const back = rest.join(" — ");
+
+            if (!front) {
+                await ctx.reply("Usage: /save 단어 = meaning", mainMenuKeyboard());
+                return;
+            }
+
+            const card = addCard(session.vocab, { front, back, source: "manual" });
+            if (!card) {
+                await ctx.reply("This word is already in your deck 🙂", mainMenuKeyboard());
+                return;
+            }
+
+            await ctx.reply(`🗂 Saved: ${card.front}${card.back ? ` — ${card.back}` : ""}`, mainMenuKeyboard());
+        } catch (err) {
+            errorLog("Error in /save:", err);
+        }
+    });
+
+    // --- General text handler ---
+    bot.on("text", async (ctx, next) => {
+        // NFC + compatibility jamo, so answers typed on any keyboard compare the same
+        const text = normalizeUnicode(ctx.message.text);
+
+        if (
+            text === CHANGE_LEVEL_TEXT ||
+            text === CHANGE_MODE_TEXT ||
+            text === SHOW_PROGRESS_TEXT
+        ) {
+            return next();
+        }
+
+        const userId = ctx.from.id;
+        const session = getSession(userId);
+
+        if (session.placement.state === "in_progress") {
+            await ctx.reply("You're in the middle of the placement test — tap one of the answer buttons 🙂");
+            return;
+        }
+
+        if (session.practiceType === "free") {
+            await handleFreeChatMessage(ctx, session, text, "text");
+            return;
+        }
+
+        if (
+            session.practiceType === "scenario" &&
+            session.scenario.state === "in_progress"
+        ) {
+            await handleScenarioMessage(ctx, session, text);
+            return;
+        }
+
+        if (
+            session.practiceType === "dictation" &&
+            session.dictation.state === "waiting_for_answer"
+        ) {
+            try {
+                await handleDictationAnswer(ctx, session, text);
+            } catch (err) {
+                errorLog("Error while grading dictation:", err);
+                await ctx.reply("Something went wrong 😔 Please try again.", mainMenuKeyboard());
+            }
+            return;
+        }
+
+        if (
+            session.practiceType === "exam" &&
+            session.exam.state === "in_progress"
+        ) {
+            if (isSectionOverdue(session.exam.exercise)) {
+                try {
+                    await closeTimedOutSection(ctx, session);
+                } catch (err) {
+                    errorLog("Error while closing a timed-out exam section:", err);
+                }
+                return;
+            }
+            await ctx.reply("Answer with the buttons under the question 🙂 The timer keeps running.");
+            return;
+        }
+
+        if (
+            session.practiceType === "writing" &&
+            session.writing.state === "waiting_for_text"
+        ) {
+            await handleWritingSubmission(ctx, session, text);
+            return;
+        }
+
+        if (
+            session.practiceType === "grammar" &&
+            session.grammar.state === "drilling"
+        ) {
+            const exercise = session.grammar.exercise;
+            if (exercise.items[exercise.index].type === "choose") {
+                await ctx.reply("Tap one of the buttons under the question 🙂");
+                return;
+            }
+            try {
+                await handleGrammarAnswer(ctx, session, text);
+            } catch (err) {
+                errorLog("Error while checking a grammar answer:", err);
+                await ctx.reply("Something went wrong 😔 Please try again.", mainMenuKeyboard());
+            }
+            return;
+        }
+
+        if (
+            session.practiceType === "hangul" &&
+            session.hangul.state === "quiz"
+        ) {
+            const exercise = session.hangul.exercise;
+            if (exercise.questions[exercise.index].type !== "type") {
+                await ctx.reply("Tap one of the buttons under the question 🙂");
+                return;
+            }
+            try {
+                await handleHangulAnswer(ctx, session, text);
+            } catch (err) {
+                errorLog("Error while checking a Hangul answer:", err);
+                await ctx.reply("Something went wrong 😔 Please try again.", mainMenuKeyboard());
+            }
+            return;
+        }
+
+        if (
+            session.practiceType === "conjugation" &&
+            session.conjugation.state === "waiting_for_answer"
+        ) {
+            await handleConjugationAnswer(ctx, session, text);
+            return;
+        }
+
+        if (
+            session.practiceType === "mistakes" &&
+            session.mistakeReview.state === "waiting_for_answer"
+        ) {
+            try {
+                await handleMistakeDrillAnswer(ctx, session, text);
+            } catch (err) {
+                errorLog("Error while checking a review answer:", err);
+                await ctx.reply("Something went wrong 😔 Please try again.", mainMenuKeyboard());
+            }
+            return;
+        }
+
+        if (
+            session.practiceType === "reading" &&
+            session.reading &&
+            session.reading.state === "waiting_for_answers"
+        ) {
+            await handleReadingAnswers(ctx, session, text);
+            return;
+        }
+
+        if (
+            session.practiceType === "listening" &&
+            session.listening &&
+            session.listening.state === "waiting_for_answers"
+        ) {
+            await handleListeningAnswers(ctx, session, text);
+            return;
+        }
+
+        if (
+            session.practiceType === "shadowing" &&
+            session.shadowing.state === "waiting_for_voice"
+        ) {
+            await ctx.reply(
+                "Please repeat the sentence in a voice message 🎙",
+                mainMenuKeyboard()
+            );
+            return;
+        }
+
+        if (
+            session.practiceType === "speaking" &&
+            session.speaking &&
+            session.speaking.state === "waiting_for_voice"
+        ) {
+            await ctx.reply(
+                "You currently have a speaking task. Please send a voice message in Korean 🙂",
+                mainMenuKeyboard()
+            );
+            return;
+        }
+
+        return next();
+    });
+
+    // --- Voice message handling for speaking ---
+    bot.on("voice", async (ctx, next) => {
+        const userId = ctx.from.id;
+        const session = getSession(userId);
+
+        // free-mode
+        if (session.practiceType === "free") {
+            try {
+                const voice = ctx.message.voice;
+                const fileId = voice.file_id;
+
+                const fileLink = await ctx.telegram.getFileLink(fileId);
+                const fileUrl = fileLink.href || fileLink.toString();
+
+                await ctx.reply("Сейчас расшифрую ваше голосовое и отвечу 🙂");
+
+                const transcript = await transcribeAudioFromUrl(fileUrl);
+
+                await handleFreeChatMessage(ctx, session, transcript, "voice");
+            } catch (err) {
+                errorLog("Error in free-mode voice handler:", err);
+                await ctx.reply(
+                    "Unable to process voice in free mode 😔 Try again or write in text.",
+                    mainMenuKeyboard()
+                );
+            }
+            return;
+        }
+
+        // role-play voice turns
+        if (
+            session.practiceType === "scenario" &&
+            session.scenario.state === "in_progress"
+        ) {
+            try {
+                const fileLink = await ctx.telegram.getFileLink(ctx.message.voice.file_id);
+                const fileUrl = fileLink.href || fileLink.toString();
+
+                const transcript = await transcribeAudioFromUrl(fileUrl);
+
+                if (!transcript) {
+                    await ctx.reply("I couldn't hear anything in that recording 😔 Try again?");
+                    return;
+                }
+
+                await ctx.reply(`🎙 You said: ${transcript}`);
+                await handleScenarioMessage(ctx, session, transcript);
+            } catch (err) {
+                errorLog("Error in scenario voice handler:", err);
+                await ctx.reply(
+                    "Unable to process voice in role-play 😔 Try again or write in text.",
+                    mainMenuKeyboard()
+                );
+            }
+            return;
+        }
+
+        // shadowing: compare the transcript with the target sentence
+        if (
+            session.practiceType === "shadowing" &&
+            session.shadowing.state === "waiting_for_voice"
+        ) {
+            try {
+                const fileLink = await ctx.telegram.getFileLink(ctx.message.voice.file_id);
+                const fileUrl = fileLink.href || fileLink.toString();
+
+                const transcript = await transcribeAudioFromUrl(fileUrl);
+
+                await handleShadowingVoice(ctx, session, transcript);
+            } catch (err) {
+                errorLog("Error in shadowing voice handler:", err);
+                await ctx.reply(
+                    "Couldn't process the voice message 😔 Please try again.",
+                    mainMenuKeyboard()
+                );
+            }
+            return;
+        }
+
+        if (
+            session.practiceType !== "speaking" ||
+            !session.speaking ||
+            session.speaking.state !== "waiting_for_voice"
+        ) {
+            return next();
+        }
+
+        try {
+            const voice = ctx.message.voice;
+            const fileId = voice.file_id;
+
+            const fileLink = await ctx.telegram.getFileLink(fileId);
+            const fileUrl = fileLink.href || fileLink.toString();
+
+            await ctx.reply("Got your voice message, I'll transcribe it and evaluate your answer...");
+
+            const transcript = await transcribeAudioFromUrl(fileUrl);
+
+            session.speaking.lastTranscript = transcript;
+
+            const level = session.level || "1";
+            const exercise = session.speaking.exercise;
+
+            const result = await evaluateSpeakingResponse({
+                level,
+                topic: exercise.topic,
+                promptKo: exercise.prompt_ko,
+                promptRu: exercise.prompt_ru,
+                transcript
+            });
+
+            if (typeof result.score === "number") {
+                addScoreToStats(session, result.score, {
+                    mode: "speaking",
+                    level,
+                    topic: exercise.topic
+                });
+            }
+
+            session.speaking.state = "idle";
+
+            let msg =
+                "Here is what I could recognize from your answer:\n\n" +
+                `${transcript}\n\n` +
+                `Speaking score: ${result.score}/10\n\n` +
+                `Comment:\n${result.feedback}\n\n`;
+
+            if (result.mistakes.length > 0) {
+                msg += "Mistakes:\n";
+                result.mistakes.forEach((m, idx) => {
+                    msg += `${idx + 1}) ${m.original} → ${m.corrected}${m.explanation ? `\n${m.explanation}` : ""}\n`;
+                });
+                msg += "📓 Logged in /mistakes\n\n";
+                recordCorrections(session, result.mistakes, "speaking");
+            }
+
+            if (result.sample_answer_ko) {
+                msg += `Example of a good answer in Korean:\n${result.sample_answer_ko}`;
+            }
+
+            await ctx.reply(msg, speakingResultKeyboard(exercise.id));
+        } catch (err) {
+            errorLog("Error in speaking voice handler:", err);
+            await ctx.reply(
+                "Couldn't process the voice message 😔 Please try again, maybe with a slightly shorter recording.",
+                mainMenuKeyboard()
+            );
+        }
+    });
+
+    return bot;
+}
@@ -0,0 +1,361 @@
+// Rule-based verb and adjective conjugation, so drills can be graded locally.
+// Every form comes with the rules that produced it, for the explanations.
+// Irregular classes are lexical (입다 is regular, 덥다 isn't), so they're
+// stored per verb; ㅡ drop and ㄹ drop follow from the stem itself.
+
+import { decomposeSyllable, composeSyllable } from "./hangul.js";
+import { gradeDrillAnswer } from "./mistakes.js";
+
+export const RULES = {
+  harmony_a: { label: "vowel harmony", text: "The last vowel is ㅏ or ㅗ, so the ending starts with 아." },
+  harmony_eo: { label: "vowel harmony", text: "The last vowel isn't ㅏ or ㅗ, so the ending starts with 어." },
+  contraction: {
+    label: "vowel contraction",
+    text: "The stem ends in a vowel that merges with 아/어: ㅗ+ㅏ → ㅘ, ㅜ+ㅓ → ㅝ, ㅣ+ㅓ → ㅕ, ㅚ+ㅓ → ㅙ; ㅏ, ㅓ, ㅐ, ㅔ and ㅕ simply absorb it."
+  },
+  hada: { label: "하다 verb", text: "하 + 아/어 always becomes 해." },
+  b_irregular: {
+    label: "ㅂ irregular",
+    text: "ㅂ turns into 우 before a vowel: 춥 + 어요 → 추워요, 춥 + 으면 → 추우면. 돕다 and 곱다 take 와 (도와요)."
+  },
+  d_irregular: { label: "ㄷ irregular", text: "ㄷ turns into ㄹ before a vowel: 듣 + 어요 → 들어요, 듣 + 으면 → 들으면." },
+  s_irregular: { label: "ㅅ irregular", text: "ㅅ drops before a vowel, and the vowels don't merge: 짓 + 어요 → 지어요, 짓 + 으면 → 지으면." },
+  reu_irregular: { label: "르 irregular", text: "르 loses its ㅡ and adds an extra ㄹ before 아/어: 모르 + 아요 → 몰라요." },
+  h_irregular: {
+    label: "ㅎ irregular",
+    text: "ㅎ drops before a vowel; with 아/어 the vowel becomes ㅐ: 그렇 + 어요 → 그래요, 그렇 + 으면 → 그러면."
+  },
+  eu_drop: {
+    label: "ㅡ drop",
+    text: "A stem ending in ㅡ loses it before 아/어, and the syllable before it decides 아 or 어: 바쁘 → 바빠요, 쓰 → 써요."
+  },
+  l_drop: {
+    label: "ㄹ drop",
+    text: "A stem ending in ㄹ never takes 으, and drops the ㄹ before ㄴ, ㅂ and ㅅ: 살 → 살면, 삽니다, 사세요."
+  },
+  eu_insert: { label: "connecting 으", text: "A stem ending in a consonant adds 으 before -(으) endings: 먹 + 으면 → 먹으면." },
+  no_eu: { label: "vowel stem", text: "A stem ending in a vowel takes -(으) endings without 으: 가 + 면 → 가면." },
+  seumnida: { label: "-습니다/-ㅂ니다", text: "Consonant stems take -습니다; vowel stems add ㅂ니다 to the last syllable." },
+  special_honorific: { label: "honorific verb", text: "Some verbs have their own honorific form: 먹다 → 드시다, 자다 → 주무시다." },
+  plain: { label: "attach as is", text: "Endings that start with a consonant, like -고, attach to the stem unchanged." }
+};
+
+// level: first 급 the form is drilled at; verbsOnly: doesn't make sense with adjectives
+export const FORMS = {
+  present_haeyo: { label: "present · 해요체", level: 1 },
+  past_haeyo: { label: "past · 해요체", level: 1 },
+  present_hamnida: { label: "present · 합니다체", level: 1 },
+  want: { label: "-고 싶어요 (want to)", level: 1, verbsOnly: true },
+  future_haeyo: { label: "future · -(으)ㄹ 거예요", level: 2 },
+  past_hamnida: { label: "past · 합니다체", level: 2 },
+  conditional: { label: "-(으)면 (if)", level: 2 },
+  honorific_present: { label: "honorific · -(으)세요", level: 2, verbsOnly: true },
+  present_banmal: { label: "present · 반말", level: 3 },
+  past_banmal: { label: "past · 반말", level: 3 },
+  future_banmal: { label: "future · 반말 -(으)ㄹ 거야", level: 3 },
+  future_hamnida: { label: "future · 합니다체 -(으)ㄹ 겁니다", level: 3 },
+  honorific_past: { label: "honorific past · -(으)셨어요", level: 3, verbsOnly: true }
+};
+
+// irregular: "ㅂ" | "ㄷ" | "ㅅ" | "르" | "ㅎ"; honorific: stem of a special honorific verb, without 시
+export const VERBS = [
+  { dict: "가다", en: "to go", level: 1, pos: "verb" },
+  { dict: "오다", en: "to come", level: 1, pos: "verb" },
+  { dict: "보다", en: "to see", level: 1, pos: "verb" },
+  { dict: "주다", en: "to give", level: 1, pos: "verb" },
+  { dict: "배우다", en: "to learn", level: 1, pos: "verb" },
+  { dict: "마시다", en: "to drink", level: 1, pos: "verb" },
+  { dict: "기다리다", en: "to wait", level: 1, pos: "verb" },
+  { dict: "만나다", en: "to meet", level: 1, pos: "verb" },
+  { dict: "자다", en: "to sleep", level: 1, pos: "verb", honorific: "주무" },
+  { dict: "먹다", en: "to eat", level: 1, pos: "verb", honorific: "드" },
+  { dict: "읽다", en: "to read", level: 1, pos: "verb" },
+  { dict: "앉다", en: "to sit", level: 1, pos: "verb" },
+  { dict: "공부하다", en: "to study", level: 1, pos: "verb" },
+  { dict: "좋다", en: "to be good", level: 1, pos: "adj" },
+  { dict: "살다", en: "to live", level: 1, pos: "verb" },
+  { dict: "만들다", en: "to make", level: 1, pos: "verb" },
+  { dict: "알다", en: "to know", level: 1, pos: "verb" },
+  { dict: "쓰다", en: "to write", level: 1, pos: "verb" },
+  { dict: "크다", en: "to be big", level: 1, pos: "adj" },
+  { dict: "바쁘다", en: "to be busy", level: 1, pos: "adj" },
+  { dict: "아프다", en: "to hurt, be sick", level: 1, pos: "adj" },
+  { dict: "춥다", en: "to be cold", level: 1, pos: "adj", irregular: "ㅂ" },
+  { dict: "덥다", en: "to be hot", level: 1, pos: "adj", irregular: "ㅂ" },
+  { dict: "듣다", en: "to listen", level: 1, pos: "verb", irregular: "ㄷ" },
+  { dict: "걷다", en: "to walk", level: 1, pos: "verb", irregular: "ㄷ" },
+  { dict: "모르다", en: "not to know", level: 1, pos: "verb", irregular: "르" },
+
+  { dict: "되다", en: "to become", level: 2, pos: "verb" },
+  { dict: "쉬다", en: "to rest", level: 2, pos: "verb" },
+  { dict: "보내다", en: "to send", level: 2, pos: "verb" },
+  { dict: "가르치다", en: "to teach", level: 2, pos: "verb" },
+  { dict: "입다", en: "to wear", level: 2, pos: "verb" },
+  { dict: "받다", en: "to receive", level: 2, pos: "verb" },
+  { dict: "씻다", en: "to wash", level: 2, pos: "verb" },
+  { dict: "열다", en: "to open", level: 2, pos: "verb" },
+  { dict: "예쁘다", en: "to be pretty", level: 2, pos: "adj" },
+  { dict: "기쁘다", en: "to be glad", level: 2, pos: "adj" },
+  { dict: "돕다", en: "to help", level: 2, pos: "verb", irregular: "ㅂ" },
+  { dict: "쉽다", en: "to be easy", level: 2, pos: "adj", irregular: "ㅂ" },
+  { dict: "어렵다", en: "to be difficult", level: 2, pos: "adj", irregular: "ㅂ" },
+  { dict: "묻다", en: "to ask", level: 2, pos: "verb", irregular: "ㄷ" },
+  { dict: "짓다", en: "to build", level: 2, pos: "verb", irregular: "ㅅ" },
+  { dict: "낫다", en: "to get better", level: 2, pos: "verb", irregular: "ㅅ" },
+  { dict: "부르다", en: "to sing, call", level: 2, pos: "verb", irregular: "르" },
+  { dict: "고르다", en: "to choose", level: 2, pos: "verb", irregular: "르" },
+  { dict: "빠르다", en: "to be fast", level: 2, pos: "adj", irregular: "르" },
+  { dict: "그렇다", en: "to be so", level: 2, pos: "adj", irregular: "ㅎ" },
+  { dict: "빨갛다", en: "to be red", level: 2, pos: "adj", irregular: "ㅎ" },
+
+  { dict: "괜찮다", en: "to be okay", level: 3, pos: "adj" },
+  { dict: "따르다", en: "to follow", level: 3, pos: "verb" },
+  { dict: "잠그다", en: "to lock", level: 3, pos: "verb" },
+  { dict: "가볍다", en: "to be light", level: 3, pos: "adj", irregular: "ㅂ" },
+  { dict: "무겁다", en: "to be heavy", level: 3, pos: "adj", irregular: "ㅂ" },
+  { dict: "깨닫다", en: "to realize", level: 3, pos: "verb", irregular: "ㄷ" },
+  { dict: "싣다", en: "to load", level: 3, pos: "verb", irregular: "ㄷ" },
+  { dict: "붓다", en: "to pour", level: 3, pos: "verb", irregular: "ㅅ" },
+  { dict: "잇다", en: "to connect", level: 3, pos: "verb", irregular: "ㅅ" },
+  { dict: "누르다", en: "to press", level: 3, pos: "verb", irregular: "르" },
+  { dict: "자르다", en: "to cut", level: 3, pos: "verb", irregular: "르" },
+  { dict: "하얗다", en: "to be white", level: 3, pos: "adj", irregular: "ㅎ" },
+  { dict: "파랗다", en: "to be blue", level: 3, pos: "adj", irregular: "ㅎ" }
+];
+
+const BRIGHT_VOWELS = new Set(["ㅏ", "ㅗ"]);
+const WA_VERBS = new Set(["돕다", "곱다"]);
+const CONTRACTIONS = { "ㅏ": "ㅏ", "ㅓ": "ㅓ", "ㅕ": "ㅕ", "ㅐ": "ㅐ", "ㅔ": "ㅔ", "ㅗ": "ㅘ", "ㅜ": "ㅝ", "ㅣ": "ㅕ", "ㅚ": "ㅙ" };
+const UNCONTRACTED_OK = new Set(["ㅐ", "ㅔ", "ㅚ"]);   // 보내어요, 되어요 are correct too
+const H_VOWELS = { "ㅏ": "ㅐ", "ㅓ": "ㅐ", "ㅑ": "ㅒ", "ㅕ": "ㅖ" };
+const L_DROPPING = new Set(["ㄴ", "ㅂ", "ㅅ"]);
+
+// ---------- Stem helpers ----------
+function stemOf(verb) {
+  return verb.dict.slice(0, -1);
+}
+
+function lastOf(word) {
+  return decomposeSyllable(word.at(-1));
+}
+
+function replaceLast(word, changes) {
+  const last = lastOf(word);
+  const next = { ...last, ...changes };
+  return word.slice(0, -1) + composeSyllable(next.initial, next.medial, next.final);
+}
+
+function harmony(medial) {
+  return BRIGHT_VOWELS.has(medial) ? { vowel: "아", rule: "harmony_a" } : { vowel: "어", rule: "harmony_eo" };
+}
+
+export function stemKind(verb) {
+  if (verb.irregular) return verb.irregular;
+
+  const stem = stemOf(verb);
+  const last = lastOf(stem);
+  if (stem.endsWith("하")) return "하";
+  if (last.final === "ㄹ") return "ㄹ";
+  if (last.final) return "consonant";
+  if (last.medial === "ㅡ") return "ㅡ";
+  return "vowel";
+}
+
+// ---------- 아/어 forms: 해요체, 반말, past ----------
+// The stem + 아/어 "base" (가, 먹어, 추워, 몰라...), always ending without a final consonant.
+function aeoBase(verb) {
+  const stem = stemOf(verb);
+  const last = lastOf(stem);
+
+  switch (stemKind(verb)) {
+    case "하":
+      return { forms: [stem.slice(0, -1) + "해"], rules: ["hada"] };
+
+    case "ㅂ":
+      return { forms: [replaceLast(stem, { final: "" }) + (WA_VERBS.has(verb.dict) ? "와" : "워")], rules: ["b_irregular"] };
+
+    case "ㄷ": {
+      const h = harmony(last.medial);
+      return { forms: [replaceLast(stem, { final: "ㄹ" }) + h.vowel], rules: ["d_irregular", h.rule] };
+    }
+
+    case "ㅅ": {
+      const h = harmony(last.medial);
+      return { forms: [replaceLast(stem, { final: "" }) + h.vowel], rules: ["s_irregular", h.rule] };
+    }
+
+    case "르": {
+      const head = stem.slice(0, -1);
+      const h = harmony(lastOf(head).medial);
+      return { forms: [replaceLast(head, { final: "ㄹ" }) + (h.vowel === "아" ? "라" : "러")], rules: ["reu_irregular", h.rule] };
+    }
+
+    case "ㅎ":
+      return { forms: [replaceLast(stem, { medial: H_VOWELS[last.medial] || last.medial, final: "" })], rules: ["h_irregular"] };
+
+    case "ㅡ": {
+      const h = stem.length > 1 ? harmony(lastOf(stem.slice(0, -1)).medial) : harmony(null);
+      return { forms: [replaceLast(stem, { medial: h.vowel === "아" ? "ㅏ" : "ㅓ" })], rules: ["eu_drop", h.rule] };
+    }
+
+    case "vowel": {
+      const merged = CONTRACTIONS[last.medial];
+      if (!merged) {
+        return { forms: [stem + "어"], rules: ["harmony_eo"] };
+      }
+      const forms = [replaceLast(stem, { medial: merged })];
+      if (UNCONTRACTED_OK.has(last.medial)) forms.push(stem + "어");
+      return { forms, rules: ["contraction"] };
+    }
+
+    default: {
+      const h = harmony(last.medial);
+      return { forms: [stem + h.vowel], rules: [h.rule] };
+    }
+  }
+}
+
+// tail after 아/어: "요", "", or "ㅆ어요" where ㅆ becomes the base's final consonant
+function withAeo(verb, tail) {
+  const { forms, rules } = aeoBase(verb);
+  const attach = (base) => (tail.startsWith("ㅆ") ? replaceLast(base, { final: "ㅆ" }) + tail.slice(1) : base + tail);
+  return { answers: forms.map(attach), rules };
+}
+
+// ---------- -(으) forms ----------
+// ending: "면", "세요", "셨어요" or "ㄹ 거예요" (ㄹ joins the stem as its final consonant)
+function withEu(verb, ending) {
+  const stem = stemOf(verb);
+  const joinsL = ending.startsWith("ㄹ");
+  const rest = joinsL ? ending.slice(1) : ending;
+
+  let base;
+  let rules;
+  switch (stemKind(verb)) {
+    case "ㄹ": {
+      if (joinsL) return { answers: [stem + rest], rules: ["l_drop"] };
+      const next = decomposeSyllable(ending[0]);
+      base = next && L_DROPPING.has(next.initial) ? replaceLast(stem, { final: "" }) : stem;
+      return { answers: [base + ending], rules: ["l_drop"] };
+    }
+    case "ㅂ":
+      base = replaceLast(stem, { final: "" }) + "우";
+      rules = ["b_irregular"];
+      break;
+    case "ㄷ":
+      base = replaceLast(stem, { final: "ㄹ" }) + "으";
+      rules = ["d_irregular", "eu_insert"];
+      break;
+    case "ㅅ":
+      base = replaceLast(stem, { final: "" }) + "으";
+      rules = ["s_irregular", "eu_insert"];
+      break;
+    case "ㅎ":
+      base = replaceLast(stem, { final: "" });
+      rules = ["h_irregular"];
+      break;
+    case "consonant":
+      base = stem + "으";
+      rules = ["eu_insert"];
+      break;
+    default:
+      base = stem;
+      rules = ["no_eu"];
+  }
+
+  return { answers: [joinsL ? replaceLast(base, { final: "ㄹ" }) + rest : base + ending], rules };
+}
+
+function withSeumnida(verb) {
+  const stem = stemOf(verb);
+  const kind = stemKind(verb);
+
+  if (kind === "ㄹ") return { answers: [replaceLast(stem, { final: "ㅂ" }) + "니다"], rules: ["l_drop", "seumnida"] };
+  if (lastOf(stem).final) return { answers: [stem + "습니다"], rules: ["seumnida"] };
+  return { answers: [replaceLast(stem, { final: "ㅂ" }) + "니다"], rules: ["seumnida"] };
+}
+
+function withHonorific(verb, ending) {
+  if (verb.honorific) {
+    return { answers: [verb.honorific + ending], rules: ["special_honorific"] };
+  }
+  return withEu(verb, ending);
+}
+
+// -> { answers: [main form, ...other correct spellings], rules: [keys of RULES] }
+export function conjugate(verb, form) {
+  switch (form) {
+    case "present_haeyo": return withAeo(verb, "요");
+    case "past_haeyo": return withAeo(verb, "ㅆ어요");
+    case "present_hamnida": return withSeumnida(verb);
+    case "past_hamnida": return withAeo(verb, "ㅆ습니다");
+    case "present_banmal": return withAeo(verb, "");
+    case "past_banmal": return withAeo(verb, "ㅆ어");
+    case "future_haeyo": return withEu(verb, "ㄹ 거예요");
+    case "future_hamnida": return withEu(verb, "ㄹ 겁니다");
+    case "future_banmal": return withEu(verb, "ㄹ 거야");
+    case "conditional": return withEu(verb, "면");
+    case "want": return { answers: [stemOf(verb) + "고 싶어요"], rules: ["plain"] };
+    case "honorific_present": return withHonorific(verb, "세요");
+    case "honorific_past": return withHonorific(verb, "셨어요");
+    default: throw new Error(`Unknown conjugation form: ${form}`);
+  }
+}
+
+// ---------- Drills ----------
+export const DRILL_LENGTH = 8;
+
+export function formsForLevel(level) {
+  return Object.keys(FORMS).filter((f) => FORMS[f].level <= Number(level));
+}
+
+export function verbsForLevel(level) {
+  return VERBS.filter((v) => v.level <= Number(level));
+}
+
+function pick(list, random) {
+  return list[Math.floor(random() * list.length)];
+}
+
+// Half the items use irregular stems (the part that actually needs practice);
+// no verb + form pair repeats.
+export function createConjugationDrill(level, { count = DRILL_LENGTH, random = Math.random } = {}) {
+  const verbs = verbsForLevel(level);
+  const irregular = verbs.filter((v) => !["consonant", "vowel", "하"].includes(stemKind(v)));
+  const forms = formsForLevel(level);
+  const seen = new Set();
+  const items = [];
+
+  for (let attempt = 0; items.length < count && attempt < count * 20; attempt++) {
+    const verb = pick(items.length % 2 === 0 && irregular.length > 0 ? irregular : verbs, random);
+    const form = pick(forms.filter((f) => !(FORMS[f].verbsOnly && verb.pos === "adj")), random);
+    const key = `${verb.dict}:${form}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    items.push({ dict: verb.dict, en: verb.en, form, ...conjugate(verb, form) });
+  }
+  return items;
+}
+
+// "correct" | "close" | "wrong", against every accepted spelling
+export function gradeConjugation(item, answer) {
+  const grades = item.answers.map((expected) => gradeDrillAnswer(expected, answer));
+  if (grades.includes("correct")) return "correct";
+  if (grades.includes("close")) return "close";
+  return "wrong";
+}
+
+// the rule a mistake gets filed under in the journal: the irregular class if there is one
+export function mainRule(item) {
+  const key = item.rules.find((r) => r.endsWith("irregular") || r.endsWith("drop")) || item.rules[0];
+  return RULES[key].label;
+}
+
+export function formatRules(rules) {
+  return [...new Set(rules)].map((key) => `• ${RULES[key].label}: ${RULES[key].text}`).join("\n");
+}
+
+export function formatConjugationItem(item, index, total) {
+  return `${index + 1}/${total} · ${item.dict} (${item.en})\n→ ${FORMS[item.form].label}\n\nType the conjugated form.`;
+}
@@ -0,0 +1,50 @@
+// Free-mode conversation memory: recent turns are sent verbatim,
+// older ones are folded into a running summary.
+
+const MAX_TURNS = 16;      // summarize once the history grows past this
+const KEEP_TURNS = 6;      // turns kept verbatim after summarizing
+const MAX_TURN_LENGTH = 500;
+
+export function createEmptyConversation() {
+  return {
+    history: [],      // [{ role: "user" | "assistant", text }]
+    summary: ""
+  };
+}
+
+export function resetConversation(session) {
+  session.free = createEmptyConversation();
+}
+
+export function appendTurn(conversation, role, text) {
+  const clean = String(text || "").trim();
+  if (!clean) return;
+
+  conversation.history.push({
+    role,
+    text: clean.length > MAX_TURN_LENGTH ? `${clean.slice(0, MAX_TURN_LENGTH)}…` : clean
+  });
+}
+
+// summarize({ summary, turns }) -> new summary text
+export async function compactConversation(conversation, summarize) {
+  if (conversation.history.length <= MAX_TURNS) {
+    return false;
+  }
+
+  const older = conversation.history.slice(0, conversation.history.length - KEEP_TURNS);
+  const recent = conversation.history.slice(-KEEP_TURNS);
+
+  try {
+    conversation.summary = await summarize({
+      summary: conversation.summary,
+      turns: older
+    });
+  } catch (err) {
+    // without a summary the old turns are simply forgotten; the chat still works
+    console.error("[ERROR] Failed to summarize conversation:", err);
+  }
+
+  conversation.history = recent;
+  return true;
+}
@@ -0,0 +1,209 @@
+// Dictation (받아쓰기) grading: syllable-level alignment of the learner's answer
+// against the source sentence. Spacing and punctuation don't affect the score;
+// spacing mistakes are reported separately.
+
+import { decomposeSyllable, normalizeText } from "./hangul.js";
+import { escapeHtml } from "./html.js";
+
+// "학교에 가요" -> { chars: ["학","교","에","가","요"], spaceAfter: Set{2} }
+function splitSyllables(text) {
+  const chars = [];
+  const spaceAfter = new Set();
+
+  for (const ch of normalizeText(text)) {
+    if (ch === " ") {
+      if (chars.length > 0) spaceAfter.add(chars.length - 1);
+    } else {
+      chars.push(ch);
+    }
+  }
+
+  return { chars, spaceAfter };
+}
+
+// which jamo slots differ between two syllables
+function jamoDiff(expected, actual) {
+  const a = decomposeSyllable(expected);
+  const b = decomposeSyllable(actual);
+  if (!a || !b) return null;
+
+  return {
+    initial: a.initial !== b.initial,
+    medial: a.medial !== b.medial,
+    final: a.final !== b.final,
+    expected: a,
+    actual: b
+  };
+}
+
+function substitutionCost(expected, actual) {
+  if (expected === actual) return 0;
+  const diff = jamoDiff(expected, actual);
+  if (!diff) return 1;
+  // similar syllables align with each other rather than as a deletion + insertion
+  const differing = [diff.initial, diff.medial, diff.final].filter(Boolean).length;
+  return 0.6 + 0.2 * (differing - 1);
+}
+
+// Weighted Levenshtein with backtrace. Ops: match | substitute | missing | extra.
+export function alignSyllables(expected, actual) {
+  const n = expected.length;
+  const m = actual.length;
+  const dp = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+
+  for (let i = 1; i <= n; i++) dp[i][0] = i;
+  for (let j = 1; j <= m; j++) dp[0][j] = j;
+
+  for (let i = 1; i <= n; i++) {
+    for (let j = 1; j <= m; j++) {
+      dp[i][j] = Math.min(
+        dp[i - 1][j - 1] + substitutionCost(expected[i - 1], actual[j - 1]),
+        dp[i - 1][j] + 1,
+        dp[i][j - 1] + 1
+      );
+    }
+  }
+
+  const ops = [];
+  let i = n;
+  let j = m;
+  const EPS = 1e-9;
+
+  while (i > 0 || j > 0) {
+    if (i > 0 && j > 0) {
+      const cost = substitutionCost(expected[i - 1], actual[j - 1]);
+      if (Math.abs(dp[i][j] - (dp[i - 1][j - 1] + cost)) < EPS) {
+        ops.push({
+          op: cost === 0 ? "match" : "substitute",
+          expected: expected[i - 1],
+          actual: actual[j - 1],
+          i: i - 1,
+          j: j - 1
+        });
+        i--;
+        j--;
+        continue;
+      }
+    }
+    if (i > 0 && Math.abs(dp[i][j] - (dp[i - 1][j] + 1)) < EPS) {
+      ops.push({ op: "missing", expected: expected[i - 1], i: i - 1, j: j });
+      i--;
+    } else {
+      ops.push({ op: "extra", actual: actual[j - 1], i: i, j: j - 1 });
+      j--;
+    }
+  }
+
+  return ops.reverse();
+}
+
+function classifySubstitution(expected, actual) {
+  const diff = jamoDiff(expected, actual);
+  if (!diff) return { type: "other" };
+
+  if (!diff.initial && !diff.medial && diff.final) {
+    return { type: "batchim", from: diff.expected.final || "∅", to: diff.actual.final || "∅" };
+  }
+  if (!diff.initial && diff.medial && !diff.final) {
+    return { type: "vowel", from: diff.expected.medial, to: diff.actual.medial };
+  }
+  if (diff.initial && !diff.medial && !diff.final) {
+    return { type: "consonant", from: diff.expected.initial, to: diff.actual.initial };
+  }
+  return { type: "other" };
+}
+
+// ignoreSpacing: for speech transcripts, where spacing says nothing about the learner
+export function gradeDictation(target, answer, { ignoreSpacing = false } = {}) {
+  const expected = splitSyllables(target);
+  const actual = splitSyllables(answer);
+  const ops = alignSyllables(expected.chars, actual.chars);
+
+  const errors = [];
+  let markup = "";
+  let matched = 0;
+
+  ops.forEach((step, idx) => {
+    if (step.op === "match") {
+      matched++;
+      markup += escapeHtml(step.expected);
+    } else if (step.op === "substitute") {
+      errors.push({ ...classifySubstitution(step.expected, step.actual), expected: step.expected, actual: step.actual });
+      markup += `<s>${escapeHtml(step.actual)}</s><b>${escapeHtml(step.expected)}</b>`;
+    } else if (step.op === "missing") {
+      errors.push({ type: "missing", expected: step.expected });
+      markup += `<b>[${escapeHtml(step.expected)}]</b>`;
+    } else {
+      errors.push({ type: "extra", actual: step.actual });
+      markup += `<s>${escapeHtml(step.actual)}</s>`;
+    }
+
+    // spacing is compared on syllables both sides share; before a missing
+    // syllable the learner's space belongs to the gap, so it isn't judged
+    const nextOp = ops[idx + 1] && ops[idx + 1].op;
+    if (!ignoreSpacing && (step.op === "match" || step.op === "substitute") && nextOp !== "missing") {
+      const shouldSpace = expected.spaceAfter.has(step.i);
+      const didSpace = actual.spaceAfter.has(step.j);
+      if (shouldSpace && !didSpace) {
+        errors.push({ type: "spacing", kind: "missing", after: step.expected });
+        markup += "<u>␣</u>";
+      } else if (!shouldSpace && didSpace && step.i < expected.chars.length - 1) {
+        errors.push({ type: "spacing", kind: "extra", after: step.expected });
+        markup += "<s>␣</s>";
+      } else if (shouldSpace) {
+        markup += " ";
+      }
+    } else if (expected.spaceAfter.has(step.i) && step.op !== "extra") {
+      markup += " ";
+    }
+  });
+
+  const total = expected.chars.length;
+  const wrong = errors.filter((e) => e.type !== "spacing").length;
+  const accuracy = total > 0 ? Math.max(0, (total - wrong) / total) : 0;
+
+  return {
+    accuracy,
+    matched,
+    total,
+    errors,
+    markup: markup.trim()
+  };
+}
+
+const ERROR_LABELS = {
+  batchim: "받침 (final consonant)",
+  vowel: "vowel",
+  consonant: "initial consonant",
+  other: "other syllable",
+  missing: "missing syllable",
+  extra: "extra syllable",
+  spacing: "spacing (띄어쓰기)"
+};
+
+export function summarizeErrors(errors) {
+  const lines = [];
+  const counts = {};
+
+  for (const e of errors) {
+    counts[e.type] = (counts[e.type] || 0) + 1;
+  }
+
+  for (const [type, count] of Object.entries(counts)) {
+    const examples = errors
+      .filter((e) => e.type === type)
+      .slice(0, 3)
+      .map((e) => {
+        if (e.type === "batchim" || e.type === "vowel" || e.type === "consonant") {
+          return `${e.expected} (${e.from}) → ${e.actual} (${e.to})`;
+        }
+        if (e.type === "spacing") {
+          return e.kind === "missing" ? `needs a space after ${e.after}` : `no space after ${e.after}`;
+        }
+        return e.expected || e.actual;
+      });
+    lines.push(`• ${ERROR_LABELS[type]} ×${count}: ${examples.join(", ")}`);
+  }
+
+  return lines.join("\n");
+}
@@ -0,0 +1,199 @@
+// TOPIK mock exams: a listening and a reading section, each a set of quiz
+// passages from easy to hard, answered on buttons against a section timer.
+// Nothing is graded until the end; attempts are kept so they can be compared.
+
+import { localDateKey } from "./streaks.js";
+
+const MINUTE_MS = 60 * 1000;
+const HISTORY_LIMIT = 20;
+
+// Scaled-down sections at roughly the real exam's time per question.
+// Bands are the official cut-offs; TOPIK II also has a 100-point writing
+// section we don't run, so its band assumes writing at the same rate.
+export const EXAMS = {
+  topik1: {
+    label: "TOPIK I",
+    levels: ["1", "2"],
+    sections: {
+      listening: { passages: 4, minutes: 27 },
+      reading: { passages: 4, minutes: 30 }
+    },
+    maxPoints: 200,
+    bands: [{ level: "2", min: 140 }, { level: "1", min: 80 }]
+  },
+  topik2: {
+    label: "TOPIK II",
+    levels: ["3", "4", "5", "6"],
+    sections: {
+      listening: { passages: 5, minutes: 30 },
+      reading: { passages: 5, minutes: 35 }
+    },
+    maxPoints: 300,
+    bands: [
+      { level: "6", min: 230 },
+      { level: "5", min: 190 },
+      { level: "4", min: 150 },
+      { level: "3", min: 120 }
+    ]
+  }
+};
+
+export const SECTION_ORDER = ["listening", "reading"];
+
+export const SECTION_LABELS = {
+  listening: "👂 Listening",
+  reading: "📖 Reading"
+};
+
+export function createExamHistory() {
+  return [];   // [{ kind, at, sections: { listening, reading }, points, projected, band }]
+}
+
+// passage levels climb through the exam's range, like the real paper
+export function passageLevels(kind, skill) {
+  const exam = EXAMS[kind];
+  const count = exam.sections[skill].passages;
+  return Array.from({ length: count }, (_, idx) => exam.levels[Math.floor((idx * exam.levels.length) / count)]);
+}
+
+export function createExam(kind) {
+  return {
+    kind,
+    sectionIndex: 0,
+    section: null,     // { skill, passages, items, answers, startedAt, deadline }
+    results: {}        // { listening: scoreSection(), reading: ... }
+  };
+}
+
+export function currentSkill(exam) {
+  return SECTION_ORDER[exam.sectionIndex] || null;
+}
+
+// passages: [{ level, topic, text, lines?, items }] from the quiz generators
+export function startSection(exam, passages, now = Date.now()) {
+  const skill = currentSkill(exam);
+  const items = passages.flatMap((p, passage) => p.items.map((item) => ({ ...item, passage })));
+
+  exam.section = {
+    skill,
+    passages: passages.map(({ level, topic, text, lines }) => ({ level, topic, text, lines: lines || null })),
+    items,
+    answers: [],       // option index per question, null when skipped
+    startedAt: now,
+    deadline: now + EXAMS[exam.kind].sections[skill].minutes * MINUTE_MS
+  };
+  return exam.section;
+}
+
+export function timeLeft(exam, now = Date.now()) {
+  return Math.max(0, exam.section.deadline - now);
+}
+
+export function isTimeUp(exam, now = Date.now()) {
+  return timeLeft(exam, now) === 0;
+}
+
+// a section that is still being prepared has no clock yet
+export function isSectionOverdue(exam, now = Date.now()) {
+  return Boolean(exam && exam.section) && isTimeUp(exam, now);
+}
+
+export function formatTimeLeft(ms) {
+  const seconds = Math.ceil(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+}
+
+export function currentItem(exam) {
+  return exam.section.items[exam.section.answers.length] || null;
+}
+
+// true when that was the section's last question
+export function answerItem(exam, optionIndex) {
+  exam.section.answers.push(optionIndex);
+  return exam.section.answers.length >= exam.section.items.length;
+}
+
+// Each section is out of 100, like the real exam. Unanswered questions are wrong.
+export function scoreSection(section, now = Date.now()) {
+  const total = section.items.length;
+  const correct = section.items.filter((item, idx) => section.answers[idx] === item.answer).length;
+
+  return {
+    correct,
+    answered: section.answers.filter((a) => a !== null && a !== undefined).length,
+    total,
+    points: total > 0 ? Math.round((correct / total) * 100) : 0,
+    minutes: Math.ceil((Math.min(now, section.deadline) - section.startedAt) / MINUTE_MS)
+  };
+}
+
+// keeps the finished section's score and moves to the next one; false when the exam is over
+export function closeSection(exam, now = Date.now()) {
+  exam.results[exam.section.skill] = scoreSection(exam.section, now);
+  exam.section = null;
+  exam.sectionIndex++;
+  return exam.sectionIndex < SECTION_ORDER.length;
+}
+
+export function estimateBand(kind, points) {
+  const exam = EXAMS[kind];
+  const projected = Math.round((points / 200) * exam.maxPoints);
+  const band = exam.bands.find((b) => projected >= b.min);
+  return { projected, band: band ? band.level : null };
+}
+
+export function buildAttempt(exam, now = Date.now()) {
+  const points = SECTION_ORDER.reduce((acc, skill) => acc + (exam.results[skill]?.points || 0), 0);
+  return { kind: exam.kind, at: now, sections: exam.results, points, ...estimateBand(exam.kind, points) };
+}
+
+export function addAttempt(history, attempt) {
+  history.push(attempt);
+  if (history.length > HISTORY_LIMIT) {
+    history.splice(0, history.length - HISTORY_LIMIT);
+  }
+}
+
+// the attempt before `attempt` of the same kind, if any
+export function previousAttempt(history, attempt) {
+  return history.filter((a) => a.kind === attempt.kind && a.at < attempt.at).at(-1) || null;
+}
+
+function formatDiff(now, before) {
+  const diff = now - before;
+  return diff > 0 ? ` (+${diff})` : diff < 0 ? ` (${diff})` : " (=)";
+}
+
+export function formatExamReport(attempt, previous = null) {
+  const exam = EXAMS[attempt.kind];
+  let msg = `🎓 ${exam.label} mock exam — report\n\n`;
+
+  for (const skill of SECTION_ORDER) {
+    const s = attempt.sections[skill];
+    if (!s) continue;
+    msg +=
+      `${SECTION_LABELS[skill]}: ${s.points}/100` +
+      (previous?.sections[skill] ? formatDiff(s.points, previous.sections[skill].points) : "") +
+      ` · ${s.correct}/${s.total} correct, ${s.answered} answered, ${s.minutes} min\n`;
+  }
+
+  msg += `\nTotal: ${attempt.points}/200${previous ? formatDiff(attempt.points, previous.points) : ""}\n`;
+
+  if (attempt.kind === "topik2") {
+    msg += `Projected with writing at the same rate: ${attempt.projected}/${exam.maxPoints}\n`;
+  }
+  msg += attempt.band
+    ? `Estimated grade: ${attempt.band}급 🎉`
+    : `Estimated grade: below ${exam.bands.at(-1).level}급 — keep going 💪`;
+
+  return msg;
+}
+
+export function formatExamHistory(history, timeZone = "UTC", limit = 5) {
+  if (history.length === 0) return "";
+
+  const lines = history.slice(-limit).reverse().map((a) =>
+    `${localDateKey(a.at, timeZone)} · ${EXAMS[a.kind].label}: ${a.points}/200 · ${a.band ? `${a.band}급` : "no grade"}`
+  );
+  return `Your recent attempts:\n${lines.join("\n")}`;
+}
@@ -0,0 +1,70 @@
+// On-demand help for reading texts: a glossary (key words + grammar points)
+// and a sentence-by-sentence translation. Whatever the learner opens while
+// the task is still open is kept on the exercise, so the score can be marked
+// as assisted.
+
+import { escapeHtml } from "./html.js";
+
+export const HELP_TYPES = {
+  glossary: "📚 Glossary",
+  translation: "🌐 Translation"
+};
+
+// the kinds of help this exercise actually came with
+export function availableHelp(exercise) {
+  const kinds = [];
+  if (exercise.vocabulary?.length > 0 || exercise.grammar?.length > 0) kinds.push("glossary");
+  if (exercise.translation?.length > 0) kinds.push("translation");
+  return kinds;
+}
+
+// true the first time `kind` is opened for this exercise
+export function recordHelp(exercise, kind) {
+  if (!Array.isArray(exercise.help)) {
+    exercise.help = [];
+  }
+  if (exercise.help.includes(kind)) return false;
+
+  exercise.help.push(kind);
+  return true;
+}
+
+export function isAssisted(help) {
+  return Array.isArray(help) && help.length > 0;
+}
+
+export function formatGlossary(exercise) {
+  let html = `<b>${HELP_TYPES.glossary}</b>\n`;
+
+  const words = exercise.vocabulary || [];
+  if (words.length > 0) {
+    html += "\n<b>Words</b>\n";
+    html += words.map((w) => `${escapeHtml(w.ko)} — ${escapeHtml(w.en || "…")}`).join("\n") + "\n";
+  }
+
+  const grammar = exercise.grammar || [];
+  if (grammar.length > 0) {
+    html += "\n<b>Grammar</b>\n";
+    html += grammar
+      .map((g) => `${escapeHtml(g.pattern)} — ${escapeHtml(g.meaning)}${g.example ? `\n  <i>${escapeHtml(g.example)}</i>` : ""}`)
+      .join("\n") + "\n";
+  }
+
+  return html.trim();
+}
+
+// each English sentence is a spoiler, so the learner can reveal just the one they're stuck on
+export function formatTranslation(exercise) {
+  const sentences = (exercise.translation || []).map(
+    (s, idx) => `${idx + 1}. ${escapeHtml(s.ko)}\n<tg-spoiler>${escapeHtml(s.en)}</tg-spoiler>`
+  );
+  return `<b>${HELP_TYPES.translation}</b> — tap a line to reveal it\n\n${sentences.join("\n\n")}`;
+}
+
+export function formatHelpUsed(help) {
+  if (!isAssisted(help)) {
+    return "💪 Done without help";
+  }
+  const labels = help.map((kind) => HELP_TYPES[kind] || kind);
+  return `🆘 With help: ${labels.join(", ")} — counted as an assisted attempt`;
+}
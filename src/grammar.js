@@ -0,0 +1,453 @@
+// Grammar lessons: a fixed, level-tagged catalog of TOPIK-standard patterns,
+// each with an explanation, examples and a short drill. Drill answers are
+// matched exactly first; anything else goes to the model for review.
+
+import { gradeDrillAnswer } from "./mistakes.js";
+
+export const PASS_SCORE = 8;   // drill score (0–10) that marks a point as completed
+
+export const DRILL_TYPES = {
+  choose: "Choose the right form",
+  fill: "Fill in the blank",
+  transform: "Transform the sentence"
+};
+
+// drills: { type: "choose", prompt, options, answer: index, explanation }
+//       | { type: "fill" | "transform", prompt, answers: [accepted], explanation }
+export const GRAMMAR_POINTS = [
+  // ---------- 1급 ----------
+  {
+    id: "iyeyo",
+    level: "1",
+    pattern: "N이에요/예요",
+    title: "to be (am / is / are)",
+    explanation:
+      "Put 이에요 after a noun that ends in a consonant and 예요 after one that ends in a vowel. " +
+      "The same form asks a question when your voice goes up at the end.",
+    examples: [
+      { ko: "저는 학생이에요.", en: "I'm a student." },
+      { ko: "이건 사과예요.", en: "This is an apple." },
+      { ko: "여기는 학교예요?", en: "Is this a school?" }
+    ],
+    related: [],
+    drills: [
+      { type: "choose", prompt: "저는 의사___. (I'm a doctor.)", options: ["이에요", "예요"], answer: 1, explanation: "의사 ends in a vowel, so it takes 예요." },
+      { type: "fill", prompt: "이건 책___. (This is a book.)", answers: ["이에요"], explanation: "책 ends in a consonant (ㄱ), so it takes 이에요." },
+      { type: "transform", prompt: "Make a sentence: 저 / 한국 사람 (I'm Korean.)", answers: ["저는 한국 사람이에요"], explanation: "사람 ends in ㅁ, so it takes 이에요." }
+    ]
+  },
+  {
+    id: "ayo",
+    level: "1",
+    pattern: "-아요/어요",
+    title: "polite present tense",
+    explanation:
+      "The everyday polite ending. Stems whose last vowel is ㅏ or ㅗ take -아요, all others take -어요, " +
+      "and 하다 becomes 해요. Vowels often merge: 가 + 아요 → 가요, 마시 + 어요 → 마셔요.",
+    examples: [
+      { ko: "저는 매일 커피를 마셔요.", en: "I drink coffee every day." },
+      { ko: "친구가 집에 와요.", en: "My friend is coming to my place." },
+      { ko: "주말에 도서관에서 공부해요.", en: "I study at the library on weekends." }
+    ],
+    related: ["eosseoyo"],
+    drills: [
+      { type: "choose", prompt: "먹다 → ?", options: ["먹아요", "먹어요", "먹해요"], answer: 1, explanation: "The last vowel of 먹 is ㅓ, so it takes -어요." },
+      { type: "fill", prompt: "저는 학교에 ___. (가다 — I go to school.)", answers: ["가요"], explanation: "가 + 아요 merges into 가요." },
+      { type: "transform", prompt: "Make it polite: 책을 읽다 (I read a book.)", answers: ["책을 읽어요"], explanation: "읽 has ㅣ, so it takes -어요." }
+    ]
+  },
+  {
+    id: "eosseoyo",
+    level: "1",
+    pattern: "-았어요/었어요",
+    title: "polite past tense",
+    explanation:
+      "Past tense in the polite style. The vowel rule is the same as for -아요/어요: ㅏ/ㅗ → -았어요, " +
+      "everything else → -었어요, and 하다 → 했어요.",
+    examples: [
+      { ko: "어제 영화를 봤어요.", en: "I watched a movie yesterday." },
+      { ko: "점심을 벌써 먹었어요.", en: "I've already had lunch." },
+      { ko: "주말에 방을 청소했어요.", en: "I cleaned my room at the weekend." }
+    ],
+    related: ["ayo"],
+    drills: [
+      { type: "choose", prompt: "오다 → past?", options: ["왔어요", "오었어요", "와요"], answer: 0, explanation: "오 + 았어요 merges into 왔어요." },
+      { type: "fill", prompt: "어제 친구를 ___. (만나다 — I met a friend yesterday.)", answers: ["만났어요"], explanation: "만나 + 았어요 → 만났어요." },
+      { type: "transform", prompt: "Put it in the past: 저는 한국어를 공부해요.", answers: ["저는 한국어를 공부했어요"], explanation: "하다 verbs take 했어요." }
+    ]
+  },
+  {
+    id: "go_sipeoyo",
+    level: "1",
+    pattern: "-고 싶어요",
+    title: "want to",
+    explanation:
+      "Add -고 싶어요 to a verb stem to say what you want to do. " +
+      "When talking about what someone else wants, use -고 싶어해요.",
+    examples: [
+      { ko: "한국에 가고 싶어요.", en: "I want to go to Korea." },
+      { ko: "오늘은 비빔밥을 먹고 싶어요.", en: "I want to eat bibimbap today." },
+      { ko: "동생은 강아지를 키우고 싶어해요.", en: "My younger sibling wants to have a puppy." }
+    ],
+    related: [],
+    drills: [
+      { type: "choose", prompt: "동생이 자고 ___. (My sibling wants to sleep.)", options: ["싶어요", "싶어해요", "있어요"], answer: 1, explanation: "For someone else's wish, use -고 싶어해요." },
+      { type: "fill", prompt: "물을 ___ 싶어요. (마시다 — I want to drink water.)", answers: ["마시고"], explanation: "Stem 마시 + -고 싶어요." },
+      { type: "transform", prompt: "Say you want to do it: 여행을 해요.", answers: ["여행을 하고 싶어요"], explanation: "Stem 하 + -고 싶어요." }
+    ]
+  },
+
+  // ---------- 2급 ----------
+  {
+    id: "aseo",
+    level: "2",
+    pattern: "-아서/어서",
+    title: "so / because; and then",
+    explanation:
+      "Two uses: (1) a natural reason — 'so, because'; (2) a sequence where the second action builds on the first " +
+      "(가서, 만나서: go there and…). As a reason it can't come before a command or suggestion " +
+      "(-(으)세요, -(으)ㅂ시다) — use -(으)니까 there. It never takes the past tense: 늦어서, not 늦었어서.",
+    examples: [
+      { ko: "배가 고파서 라면을 먹었어요.", en: "I was hungry, so I ate ramyun." },
+      { ko: "시장에 가서 과일을 샀어요.", en: "I went to the market and bought fruit." },
+      { ko: "비가 와서 집에 있었어요.", en: "It rained, so I stayed home." }
+    ],
+    related: ["eunikka", "gi_ttaemune"],
+    drills: [
+      { type: "choose", prompt: "어제 너무 ___ 일찍 잤어요. (I was so tired yesterday that I went to bed early.)", options: ["피곤했어서", "피곤해서", "피곤하니까서"], answer: 1, explanation: "-아서/어서 never takes the past tense; the main verb 잤어요 carries it." },
+      { type: "fill", prompt: "길이 ___ 늦었어요. (막히다 — The roads were jammed, so I was late.)", answers: ["막혀서"], explanation: "막히 + 어서 → 막혀서." },
+      { type: "transform", prompt: "Join with -아서/어서: 도서관에 가요. 책을 빌려요.", answers: ["도서관에 가서 책을 빌려요"], explanation: "Sequence: you go to the library and borrow a book there." }
+    ]
+  },
+  {
+    id: "eunikka",
+    level: "2",
+    pattern: "-(으)니까",
+    title: "because (with advice, commands, suggestions)",
+    explanation:
+      "Gives a reason the listener should act on. Unlike -아서/어서, it works before commands and suggestions " +
+      "(-(으)세요, -(으)ㅂ시다, -(으)ㄹ까요?) and can take the past tense (왔으니까). " +
+      "Consonant stems take -으니까, vowel and ㄹ stems -니까 (살다 → 사니까). " +
+      "비가 와서 우산을 가져가세요 ✗ → 비가 오니까 우산을 가져가세요 ✓",
+    examples: [
+      { ko: "비가 오니까 우산을 가져가세요.", en: "It's raining, so take an umbrella." },
+      { ko: "시간이 없으니까 빨리 갑시다.", en: "We don't have time, so let's hurry." },
+      { ko: "이미 먹었으니까 괜찮아요.", en: "I've already eaten, so I'm fine." }
+    ],
+    related: ["aseo", "gi_ttaemune"],
+    drills: [
+      { type: "choose", prompt: "날씨가 ___ 산책할까요? (The weather is nice — shall we take a walk?)", options: ["좋아서", "좋으니까", "좋고"], answer: 1, explanation: "A suggestion (-(으)ㄹ까요?) needs -(으)니까, not -아서." },
+      { type: "fill", prompt: "아기가 ___ 조용히 하세요. (자다 — The baby is sleeping, so please be quiet.)", answers: ["자니까"], explanation: "A command follows, so the reason takes -(으)니까; 자 is a vowel stem → 자니까." },
+      { type: "transform", prompt: "Join with -(으)니까: 길이 막혀요. 지하철을 탑시다.", answers: ["길이 막히니까 지하철을 탑시다"], explanation: "막히 is a vowel stem → 막히니까." }
+    ]
+  },
+  {
+    id: "eul_su_itda",
+    level: "2",
+    pattern: "-(으)ㄹ 수 있어요/없어요",
+    title: "can / can't",
+    explanation:
+      "Ability or possibility. Vowel stems take -ㄹ 수 있어요 (갈 수 있어요), consonant stems -을 수 있어요 " +
+      "(먹을 수 있어요), and ㄹ stems just add 수 있어요 (만들 수 있어요). Use 없어요 for 'can't'.",
+    examples: [
+      { ko: "저는 한국어를 읽을 수 있어요.", en: "I can read Korean." },
+      { ko: "내일은 바빠서 만날 수 없어요.", en: "I'm busy tomorrow, so I can't meet." },
+      { ko: "김치를 만들 수 있어요?", en: "Can you make kimchi?" }
+    ],
+    related: [],
+    drills: [
+      { type: "choose", prompt: "듣다 + -(으)ㄹ 수 있어요", options: ["듣을 수 있어요", "들을 수 있어요", "듣 수 있어요"], answer: 1, explanation: "듣다 is ㄷ-irregular: ㄷ becomes ㄹ before a vowel → 들을." },
+      { type: "fill", prompt: "저는 수영을 ___ 수 있어요. (하다 — I can swim.)", answers: ["할"], explanation: "하 is a vowel stem → 할 수 있어요." },
+      { type: "transform", prompt: "Say you can't: 오늘 가요.", answers: ["오늘 갈 수 없어요"], explanation: "가 + ㄹ 수 없어요 → 갈 수 없어요." }
+    ]
+  },
+  {
+    id: "neunde",
+    level: "2",
+    pattern: "-(으)ㄴ/는데",
+    title: "background; but",
+    explanation:
+      "Sets up the background for what comes next, or contrasts two facts ('but'). Verbs and 있다/없다 take -는데 " +
+      "(가는데, 맛있는데), other adjectives -(으)ㄴ데 (비싼데, 좋은데), 이다 → 인데, and the past is -았/었는데.",
+    examples: [
+      { ko: "지금 비가 오는데 우산 있어요?", en: "It's raining now — do you have an umbrella?" },
+      { ko: "이 옷은 예쁜데 너무 비싸요.", en: "These clothes are pretty, but too expensive." },
+      { ko: "어제 전화했는데 안 받았어요.", en: "I called yesterday, but you didn't answer." }
+    ],
+    related: [],
+    drills: [
+      { type: "choose", prompt: "이 식당은 맛있___ 좀 멀어요. (This restaurant is tasty but a bit far.)", options: ["는데", "은데", "ㄴ데"], answer: 0, explanation: "Adjectives with 있다/없다 (맛있다, 재미없다) take -는데." },
+      { type: "fill", prompt: "날씨가 ___ 밖에 나갈까요? (좋다 — The weather is nice; shall we go out?)", answers: ["좋은데"], explanation: "좋다 is an adjective with a consonant stem → 좋은데." },
+      { type: "transform", prompt: "Join with -는데 (contrast): 한국어는 재미있어요. 어려워요.", answers: ["한국어는 재미있는데 어려워요"], explanation: "재미있다 takes -는데." }
+    ]
+  },
+
+  // ---------- 3급 ----------
+  {
+    id: "gi_ttaemune",
+    level: "3",
+    pattern: "-기 때문에",
+    title: "because (clear, formal)",
+    explanation:
+      "A clear, somewhat formal 'because', common in writing and explanations. N + 때문에 means 'because of N' " +
+      "(비 때문에). Like -아서/어서, it doesn't go before commands or suggestions.",
+    examples: [
+      { ko: "시험이 있기 때문에 오늘은 못 놀아요.", en: "I have an exam, so I can't hang out today." },
+      { ko: "교통이 편리하기 때문에 이 동네가 좋아요.", en: "I like this neighborhood because transport is convenient." },
+      { ko: "감기 때문에 학교에 못 갔어요.", en: "I couldn't go to school because of a cold." }
+    ],
+    related: ["aseo", "eunikka"],
+    drills: [
+      { type: "choose", prompt: "비___ 경기가 취소됐어요. (The game was cancelled because of the rain.)", options: ["기 때문에", "때문에", "이기 때문에"], answer: 1, explanation: "After a noun, 'because of' is just N 때문에." },
+      { type: "fill", prompt: "사람이 ___ 때문에 예약해야 해요. (많다 — It's crowded, so you need to book.)", answers: ["많기"], explanation: "Stem 많 + -기 때문에." },
+      { type: "transform", prompt: "Join with -기 때문에: 내일 출장을 가요. 오늘 짐을 싸요.", answers: ["내일 출장을 가기 때문에 오늘 짐을 싸요"], explanation: "Stem 가 + -기 때문에." }
+    ]
+  },
+  {
+    id: "geot_gatda",
+    level: "3",
+    pattern: "-(으)ㄴ/는/(으)ㄹ 것 같아요",
+    title: "it seems / I think",
+    explanation:
+      "Softens a statement into a guess. Present verbs and 있다/없다 take -는 것 같아요, adjectives and past verbs " +
+      "-(으)ㄴ 것 같아요, and a guess about the future -(으)ㄹ 것 같아요.",
+    examples: [
+      { ko: "밖에 비가 오는 것 같아요.", en: "It seems to be raining outside." },
+      { ko: "이 가방이 더 좋은 것 같아요.", en: "I think this bag is better." },
+      { ko: "내일은 추울 것 같아요.", en: "It looks like it'll be cold tomorrow." }
+    ],
+    related: [],
+    drills: [
+      { type: "choose", prompt: "내일 눈이 ___ 것 같아요. (It looks like it'll snow tomorrow.)", options: ["오는", "온", "올"], answer: 2, explanation: "A guess about the future takes -(으)ㄹ 것 같아요." },
+      { type: "fill", prompt: "민수 씨가 벌써 집에 ___ 것 같아요. (가다, past — It seems Minsu already went home.)", answers: ["간"], explanation: "A past action takes -(으)ㄴ 것 같아요 → 간." },
+      { type: "transform", prompt: "Soften into a guess: 이 영화는 재미있어요.", answers: ["이 영화는 재미있는 것 같아요"], explanation: "재미있다 takes -는 것 같아요." }
+    ]
+  },
+  {
+    id: "dorok",
+    level: "3",
+    pattern: "-도록",
+    title: "so that; to the point that",
+    explanation:
+      "Shows the purpose or the degree behind the main clause: 'so that…', 'until…'. " +
+      "Common in advice and requests: 늦지 않도록 하세요.",
+    examples: [
+      { ko: "감기에 걸리지 않도록 옷을 따뜻하게 입으세요.", en: "Dress warmly so you don't catch a cold." },
+      { ko: "모두 들을 수 있도록 크게 말해 주세요.", en: "Please speak loudly so everyone can hear." },
+      { ko: "밤새도록 이야기했어요.", en: "We talked all night long." }
+    ],
+    related: [],
+    drills: [
+      { type: "choose", prompt: "잊어버리지 ___ 메모하세요. (Write it down so you don't forget.)", options: ["않도록", "않아서", "않으니까"], answer: 0, explanation: "Purpose ('so that… not') is -지 않도록." },
+      { type: "fill", prompt: "아이가 잘 ___ 불을 꺼 주세요. (자다 — Turn off the light so the child can sleep well.)", answers: ["자도록"], explanation: "Stem 자 + -도록." },
+      { type: "transform", prompt: "Join with -도록: 건강해지다 / 매일 운동해요.", answers: ["건강해지도록 매일 운동해요"], explanation: "Stem 건강해지 + -도록: exercise so that you get healthier." }
+    ]
+  },
+
+  // ---------- 4급 ----------
+  {
+    id: "deorado",
+    level: "4",
+    pattern: "-더라도",
+    title: "even if",
+    explanation:
+      "'Even if' for an assumed or hypothetical situation — stronger than -아도/어도. " +
+      "The second clause usually gives a resolve, advice or something that won't change.",
+    examples: [
+      { ko: "힘들더라도 포기하지 마세요.", en: "Even if it's hard, don't give up." },
+      { ko: "비가 오더라도 경기는 계속됩니다.", en: "The game goes on even if it rains." },
+      { ko: "실패하더라도 다시 도전할 거예요.", en: "Even if I fail, I'll try again." }
+    ],
+    related: [],
+    drills: [
+      { type: "choose", prompt: "아무리 ___ 아침은 꼭 드세요. (However busy you are, do eat breakfast.)", options: ["바쁘더라도", "바빠서", "바쁘니까"], answer: 0, explanation: "아무리 … -더라도: however much…, still." },
+      { type: "fill", prompt: "조금 ___ 끝까지 들어 보세요. (지루하다 — Even if it's a bit boring, listen to the end.)", answers: ["지루하더라도"], explanation: "Stem 지루하 + -더라도." },
+      { type: "transform", prompt: "Join with -더라도: 시간이 걸려요. 제대로 하고 싶어요.", answers: ["시간이 걸리더라도 제대로 하고 싶어요"], explanation: "Stem 걸리 + -더라도." }
+    ]
+  },
+  {
+    id: "neun_barame",
+    level: "4",
+    pattern: "-는 바람에",
+    title: "because (something unexpected)",
+    explanation:
+      "An unplanned cause led to a result, usually a bad one. The result is in the past, " +
+      "and the sentence can't end in a command or suggestion.",
+    examples: [
+      { ko: "알람이 안 울리는 바람에 지각했어요.", en: "My alarm didn't go off, so I was late." },
+      { ko: "갑자기 비가 오는 바람에 옷이 다 젖었어요.", en: "It suddenly rained and my clothes got soaked." },
+      { ko: "버스를 놓치는 바람에 약속에 늦었어요.", en: "I missed the bus, so I was late for the appointment." }
+    ],
+    related: ["aseo"],
+    drills: [
+      { type: "choose", prompt: "휴대폰이 ___ 연락을 못 했어요. (My phone died, so I couldn't get in touch.)", options: ["꺼지는 바람에", "꺼지도록", "꺼지더라도"], answer: 0, explanation: "An unexpected cause with a bad result: -는 바람에." },
+      { type: "fill", prompt: "길을 ___ 바람에 한참 헤맸어요. (잃다 — I got lost, so I wandered around for ages.)", answers: ["잃는"], explanation: "Stem 잃 + -는 바람에." },
+      { type: "transform", prompt: "Join with -는 바람에: 지하철이 고장 났어요. 회의에 늦었어요.", answers: ["지하철이 고장 나는 바람에 회의에 늦었어요"], explanation: "The first clause stays in the present form: 고장 나는 바람에." }
+    ]
+  },
+
+  // ---------- 5급 ----------
+  {
+    id: "neun_han",
+    level: "5",
+    pattern: "-는 한",
+    title: "as long as",
+    explanation:
+      "The second clause holds as long as the first one does. With 없다/않다 it means 'unless': " +
+      "특별한 일이 없는 한 (unless something comes up). 제가 아는 한 = as far as I know.",
+    examples: [
+      { ko: "포기하지 않는 한 기회는 있습니다.", en: "As long as you don't give up, there's a chance." },
+      { ko: "특별한 일이 없는 한 매일 운동을 합니다.", en: "Unless something comes up, I work out every day." },
+      { ko: "제가 아는 한 그 사람은 정직합니다.", en: "As far as I know, he's honest." }
+    ],
+    related: [],
+    drills: [
+      { type: "choose", prompt: "제가 ___ 그런 일은 없었습니다. (As far as I know, that never happened.)", options: ["아는 한", "알더라도", "아는 바람에"], answer: 0, explanation: "'As far as I know' is 제가 아는 한." },
+      { type: "fill", prompt: "비가 많이 ___ 한 행사는 예정대로 진행됩니다. (오다, negative — Unless it rains heavily, the event goes ahead.)", answers: ["오지 않는"], explanation: "'Unless' is the negative -지 않는 한." },
+      { type: "transform", prompt: "Join with -는 한: 노력해요. 실력이 늘 거예요.", answers: ["노력하는 한 실력이 늘 거예요"], explanation: "Stem 노력하 + -는 한." }
+    ]
+  },
+  {
+    id: "gi_maryeonida",
+    level: "5",
+    pattern: "-기 마련이다",
+    title: "is bound to",
+    explanation:
+      "Says that something naturally or inevitably happens. Used for general truths, often in writing and advice.",
+    examples: [
+      { ko: "처음에는 누구나 실수하기 마련이에요.", en: "Everyone is bound to make mistakes at first." },
+      { ko: "시간이 지나면 잊기 마련입니다.", en: "As time passes, you're bound to forget." },
+      { ko: "열심히 하면 좋은 결과가 있기 마련이다.", en: "If you work hard, good results are bound to follow." }
+    ],
+    related: [],
+    drills: [
+      { type: "choose", prompt: "처음에는 누구나 ___. (Everyone is bound to be nervous at first.)", options: ["긴장하기 마련이에요", "긴장하는 바람에요", "긴장하더라도요"], answer: 0, explanation: "A general truth: -기 마련이다." },
+      { type: "fill", prompt: "좋은 일이 있으면 나쁜 일도 ___ 마련이다. (있다 — Where there are good times, bad times are bound to come too.)", answers: ["있기"], explanation: "Stem 있 + -기 마련이다." },
+      { type: "transform", prompt: "Say it's bound to happen: 물건은 오래 쓰면 고장 나요.", answers: ["물건은 오래 쓰면 고장 나기 마련이에요"], explanation: "Stem 고장 나 + -기 마련이에요." }
+    ]
+  },
+
+  // ---------- 6급 ----------
+  {
+    id: "euljieonjeong",
+    level: "6",
+    pattern: "-(으)ㄹ지언정",
+    title: "even if; would rather … than",
+    explanation:
+      "Accepts something extreme in the first clause to stress a firm refusal or resolve in the second. " +
+      "Formal and emphatic; the second clause is often negative.",
+    examples: [
+      { ko: "굶을지언정 남의 것은 훔치지 않겠다.", en: "I'd rather starve than steal from others." },
+      { ko: "실패할지언정 도전은 멈추지 않을 것이다.", en: "I may fail, but I won't stop trying." },
+      { ko: "가난할지언정 비굴하게 살고 싶지는 않다.", en: "I may be poor, but I don't want to live without dignity." }
+    ],
+    related: ["deorado"],
+    drills: [
+      { type: "choose", prompt: "죽을___ 포기하지 않겠다. (I'd rather die than give up.)", options: ["지언정", "더라도", "수록"], answer: 0, explanation: "죽을 + 지언정 stresses the resolve in the second clause." },
+      { type: "fill", prompt: "몸은 ___ 마음은 편하다. (힘들다 — My body may be worn out, but my mind is at ease.)", answers: ["힘들지언정"], explanation: "힘들 is an ㄹ stem → 힘들지언정." },
+      { type: "transform", prompt: "Join with -(으)ㄹ지언정: 손해를 봐요. 거짓말은 하지 않겠어요.", answers: ["손해를 볼지언정 거짓말은 하지 않겠어요"], explanation: "보 is a vowel stem → 볼지언정." }
+    ]
+  },
+  {
+    id: "eumedo",
+    level: "6",
+    pattern: "-(으)ㅁ에도 불구하고",
+    title: "despite / even though",
+    explanation:
+      "Formal 'despite': the clause is turned into a noun with -(으)ㅁ and followed by 에도 불구하고. " +
+      "With a plain noun it's N에도 불구하고.",
+    examples: [
+      { ko: "비가 왔음에도 불구하고 많은 사람이 모였다.", en: "Despite the rain, a lot of people gathered." },
+      { ko: "여러 번 설명했음에도 불구하고 이해하지 못했다.", en: "Even though I explained several times, they didn't understand." },
+      { ko: "어려운 상황에도 불구하고 최선을 다했다.", en: "They did their best despite the difficult situation." }
+    ],
+    related: ["deorado"],
+    drills: [
+      { type: "choose", prompt: "노력했___ 결과가 좋지 않았다. (Despite the effort, the result wasn't good.)", options: ["음에도 불구하고", "기 마련이고", "는 바람에"], answer: 0, explanation: "노력했 + 음에도 불구하고." },
+      { type: "fill", prompt: "많은 반대가 ___ 불구하고 계획을 진행했다. (있다, past — Despite a lot of opposition, they went ahead with the plan.)", answers: ["있었음에도"], explanation: "Past 있었 + -음에도 불구하고." },
+      { type: "transform", prompt: "Join with -(으)ㅁ에도 불구하고: 나이가 많아요. 아주 건강해요.", answers: ["나이가 많음에도 불구하고 아주 건강해요"], explanation: "많 is a consonant stem → 많음에도 불구하고." }
+    ]
+  }
+];
+
+export const GRAMMAR_LEVELS = ["1", "2", "3", "4", "5", "6"];
+
+export function findGrammarPoint(id) {
+  return GRAMMAR_POINTS.find((p) => p.id === id) || null;
+}
+
+export function pointsForLevel(level) {
+  return GRAMMAR_POINTS.filter((p) => p.level === String(level));
+}
+
+export function createGrammarProgress() {
+  return {};   // { [pointId]: { attempts, best, completed, completedAt } }
+}
+
+export function isCompleted(progress, id) {
+  return Boolean(progress[id]?.completed);
+}
+
+export function levelSummary(progress, level) {
+  const points = pointsForLevel(level);
+  return { done: points.filter((p) => isCompleted(progress, p.id)).length, total: points.length };
+}
+
+// keeps the best score; returns true when this attempt completed the point
+export function recordDrillResult(progress, id, score, now = Date.now()) {
+  const entry = progress[id] || { attempts: 0, best: 0, completed: false, completedAt: null };
+  entry.attempts++;
+  entry.best = Math.max(entry.best, score);
+
+  const newlyCompleted = !entry.completed && score >= PASS_SCORE;
+  if (newlyCompleted) {
+    entry.completed = true;
+    entry.completedAt = now;
+  }
+
+  progress[id] = entry;
+  return newlyCompleted;
+}
+
+// the drill as it's stored in the session: the catalog items plus the learner's results
+export function createDrill(point) {
+  return { pointId: point.id, items: point.drills.map((d) => ({ ...d })), index: 0, results: [] };
+}
+
+export function expectedAnswer(item) {
+  return item.type === "choose" ? item.options[item.answer] : item.answers[0];
+}
+
+// typed answers: "correct" on an exact match (spacing and punctuation aside),
+// otherwise the closest local grade so the model review has something to fall back on
+export function matchDrillAnswer(item, answer) {
+  const grades = item.answers.map((expected) => gradeDrillAnswer(expected, answer));
+  if (grades.includes("correct")) return "correct";
+  if (grades.includes("close")) return "close";
+  return "wrong";
+}
+
+// "almost" answers get half a point, skipped items none
+export function scoreDrill(results, total) {
+  const correct = results.filter((r) => r === "correct").length;
+  const close = results.filter((r) => r === "close").length;
+  return { correct, close, score: total > 0 ? Math.round(((correct + close / 2) / total) * 10) : 0 };
+}
+
+export function formatLesson(point, progress) {
+  const entry = progress[point.id];
+  let msg = `📐 ${point.pattern} — ${point.title} (${point.level}급)\n\n${point.explanation}\n\nExamples:\n`;
+  msg += point.examples.map((e) => `• ${e.ko}\n  ${e.en}`).join("\n");
+
+  if (entry?.completed) {
+    msg += `\n\n✅ Completed · best drill score ${entry.best}/10`;
+  } else if (entry) {
+    msg += `\n\nBest drill score so far: ${entry.best}/10 (${PASS_SCORE}/10 completes it)`;
+  }
+  return msg;
+}
+
+export function formatDrillItem(point, item, index, total) {
+  const instruction = item.type === "choose" ? "Tap the right form." : "Type your answer in Korean.";
+  return `${index + 1}/${total} · ${DRILL_TYPES[item.type]} · ${point.pattern}\n\n${item.prompt}\n\n${instruction}`;
+}
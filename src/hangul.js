@@ -0,0 +1,424 @@
+// Korean-aware text helpers: jamo (de)composition, normalization, Revised
+// Romanization and jamo-level edit distance. Pure functions, no dependencies.
+
+const SYLLABLE_BASE = 0xac00;
+const SYLLABLE_LAST = 0xd7a3;
+const MEDIAL_COUNT = 21;
+const FINAL_COUNT = 28;
+
+// conjoining jamo blocks (what NFD produces)
+const CONJOINING_INITIAL_BASE = 0x1100;
+const CONJOINING_MEDIAL_BASE = 0x1161;
+const CONJOINING_FINAL_BASE = 0x11a8;
+
+// compatibility jamo, in Unicode syllable order
+export const INITIALS = ["ㄱ", "ㄲ", "ㄴ", "ㄷ", "ㄸ", "ㄹ", "ㅁ", "ㅂ", "ㅃ", "ㅅ", "ㅆ", "ㅇ", "ㅈ", "ㅉ", "ㅊ", "ㅋ", "ㅌ", "ㅍ", "ㅎ"];
+export const MEDIALS = ["ㅏ", "ㅐ", "ㅑ", "ㅒ", "ㅓ", "ㅔ", "ㅕ", "ㅖ", "ㅗ", "ㅘ", "ㅙ", "ㅚ", "ㅛ", "ㅜ", "ㅝ", "ㅞ", "ㅟ", "ㅠ", "ㅡ", "ㅢ", "ㅣ"];
+export const FINALS = ["", "ㄱ", "ㄲ", "ㄳ", "ㄴ", "ㄵ", "ㄶ", "ㄷ", "ㄹ", "ㄺ", "ㄻ", "ㄼ", "ㄽ", "ㄾ", "ㄿ", "ㅀ", "ㅁ", "ㅂ", "ㅄ", "ㅅ", "ㅆ", "ㅇ", "ㅈ", "ㅊ", "ㅋ", "ㅌ", "ㅍ", "ㅎ"];
+
+// compound jamo and the two jamo they are typed as
+const COMPOUND_VOWELS = {
+  "ㅘ": ["ㅗ", "ㅏ"],
+  "ㅙ": ["ㅗ", "ㅐ"],
+  "ㅚ": ["ㅗ", "ㅣ"],
+  "ㅝ": ["ㅜ", "ㅓ"],
+  "ㅞ": ["ㅜ", "ㅔ"],
+  "ㅟ": ["ㅜ", "ㅣ"],
+  "ㅢ": ["ㅡ", "ㅣ"]
+};
+
+const COMPOUND_FINALS = {
+  "ㄳ": ["ㄱ", "ㅅ"],
+  "ㄵ": ["ㄴ", "ㅈ"],
+  "ㄶ": ["ㄴ", "ㅎ"],
+  "ㄺ": ["ㄹ", "ㄱ"],
+  "ㄻ": ["ㄹ", "ㅁ"],
+  "ㄼ": ["ㄹ", "ㅂ"],
+  "ㄽ": ["ㄹ", "ㅅ"],
+  "ㄾ": ["ㄹ", "ㅌ"],
+  "ㄿ": ["ㄹ", "ㅍ"],
+  "ㅀ": ["ㄹ", "ㅎ"],
+  "ㅄ": ["ㅂ", "ㅅ"]
+};
+
+function joinPairs(table) {
+  const joined = {};
+  for (const [compound, [a, b]] of Object.entries(table)) {
+    joined[a + b] = compound;
+  }
+  return joined;
+}
+
+const JOIN_VOWELS = joinPairs(COMPOUND_VOWELS);
+const JOIN_FINALS = joinPairs(COMPOUND_FINALS);
+
+export function isHangulSyllable(ch) {
+  if (!ch) return false;
+  const code = ch.codePointAt(0);
+  return code >= SYLLABLE_BASE && code <= SYLLABLE_LAST;
+}
+
+export function isConsonant(ch) {
+  return INITIALS.includes(ch) || (ch !== "" && FINALS.includes(ch));
+}
+
+export function isVowel(ch) {
+  return MEDIALS.includes(ch);
+}
+
+export function containsHangul(text) {
+  return /[가-힣ㄱ-ㆎᄀ-ᇿ]/.test(String(text || ""));
+}
+
+// ---------- Syllables ----------
+
+// "갔" -> { initial: "ㄱ", medial: "ㅏ", final: "ㅆ" }; null for anything that isn't a syllable
+export function decomposeSyllable(ch) {
+  if (!isHangulSyllable(ch)) return null;
+
+  const index = ch.codePointAt(0) - SYLLABLE_BASE;
+  const initial = Math.floor(index / (MEDIAL_COUNT * FINAL_COUNT));
+  const medial = Math.floor((index % (MEDIAL_COUNT * FINAL_COUNT)) / FINAL_COUNT);
+  const final = index % FINAL_COUNT;
+
+  return {
+    initial: INITIALS[initial],
+    medial: MEDIALS[medial],
+    final: FINALS[final]
+  };
+}
+
+// ("ㄱ", "ㅏ", "ㅆ") -> "갔"; null if the jamo can't form a syllable
+export function composeSyllable(initial, medial, final = "") {
+  const i = INITIALS.indexOf(initial);
+  const m = MEDIALS.indexOf(medial);
+  const f = FINALS.indexOf(final || "");
+  if (i === -1 || m === -1 || f === -1) return null;
+
+  return String.fromCodePoint(SYLLABLE_BASE + (i * MEDIAL_COUNT + m) * FINAL_COUNT + f);
+}
+
+// "값이" -> "ㄱㅏㅄㅇㅣ" (or "ㄱㅏㅂㅅㅇㅣ" with splitCompounds); other characters are kept
+export function toJamo(text, { splitCompounds = false } = {}) {
+  const split = (jamo) => {
+    if (!splitCompounds) return jamo;
+    const pair = COMPOUND_VOWELS[jamo] || COMPOUND_FINALS[jamo];
+    return pair ? pair.join("") : jamo;
+  };
+
+  let out = "";
+  for (const ch of toCompatibilityJamo(String(text || "").normalize("NFC"))) {
+    const parts = decomposeSyllable(ch);
+    if (parts) {
+      out += split(parts.initial) + split(parts.medial) + split(parts.final);
+    } else {
+      out += split(ch);
+    }
+  }
+  return out;
+}
+
+// Inverse of toJamo: assembles compatibility jamo into syllables the way a
+// Korean keyboard does ("ㄱㅏㅂㅅㅇㅣ" -> "값이"). Anything else passes through.
+export function fromJamo(jamo) {
+  let out = "";
+  let cur = null;   // { initial, medial, final } being built
+
+  const flush = () => {
+    if (!cur) return;
+    if (cur.initial && cur.medial) {
+      out += composeSyllable(cur.initial, cur.medial, cur.final);
+    } else {
+      out += (cur.initial || "") + (cur.medial || "");
+    }
+    cur = null;
+  };
+
+  for (const ch of String(jamo || "")) {
+    if (isVowel(ch)) {
+      if (cur && cur.initial && !cur.medial) {
+        cur.medial = ch;
+      } else if (cur && cur.medial && !cur.final && JOIN_VOWELS[cur.medial + ch]) {
+        cur.medial = JOIN_VOWELS[cur.medial + ch];
+      } else if (cur && cur.final) {
+        // the last consonant moves over to start the new syllable
+        const pair = COMPOUND_FINALS[cur.final];
+        const next = pair ? pair[1] : cur.final;
+        cur.final = pair ? pair[0] : "";
+        flush();
+        cur = { initial: next, medial: ch, final: "" };
+      } else {
+        flush();
+        cur = { initial: "", medial: ch, final: "" };
+      }
+    } else if (isConsonant(ch)) {
+      if (cur && cur.initial && cur.medial && !cur.final && FINALS.includes(ch)) {
+        cur.final = ch;
+      } else if (cur && cur.final && JOIN_FINALS[cur.final + ch]) {
+        cur.final = JOIN_FINALS[cur.final + ch];
+      } else {
+        flush();
+        cur = { initial: INITIALS.includes(ch) ? ch : "", medial: "", final: "" };
+        if (!cur.initial) {
+          // a compound like ㄳ can't start a syllable
+          out += ch;
+          cur = null;
+        }
+      }
+    } else {
+      flush();
+      out += ch;
+    }
+  }
+
+  flush();
+  return out;
+}
+
+// ---------- Normalization ----------
+
+// conjoining (U+1100) and halfwidth (U+FFA0) jamo -> compatibility jamo (U+3131)
+export function toCompatibilityJamo(text) {
+  return String(text || "").replace(/[ᄀ-ᇿﾠ-ￜ]/g, (ch) => {
+    const code = ch.codePointAt(0);
+    if (code >= 0xffa0) return toCompatibilityJamo(ch.normalize("NFKC"));
+    if (code >= CONJOINING_INITIAL_BASE && code < CONJOINING_INITIAL_BASE + INITIALS.length) {
+      return INITIALS[code - CONJOINING_INITIAL_BASE];
+    }
+    if (code >= CONJOINING_MEDIAL_BASE && code < CONJOINING_MEDIAL_BASE + MEDIALS.length) {
+      return MEDIALS[code - CONJOINING_MEDIAL_BASE];
+    }
+    if (code >= CONJOINING_FINAL_BASE && code < CONJOINING_FINAL_BASE + FINALS.length - 1) {
+      return FINALS[code - CONJOINING_FINAL_BASE + 1];
+    }
+    return ch;
+  });
+}
+
+// NFC (default): precomposed syllables, stray jamo as compatibility jamo.
+// NFD: syllables split into conjoining jamo, as macOS file names and some keyboards send them.
+export function normalizeUnicode(text, form = "NFC") {
+  const value = String(text || "");
+  if (form === "NFD") return value.normalize("NFD");
+  return toCompatibilityJamo(value.normalize("NFC"));
+}
+
+// strips punctuation/symbols and collapses whitespace; NFC so decomposed input compares equal
+export function normalizeText(text) {
+  return normalizeUnicode(text)
+    .replace(/[\p{P}\p{S}]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// for spacing-insensitive matching: "먹어 보다!" and "먹어보다" give the same key
+export function compactText(text) {
+  return normalizeText(text).replace(/ /g, "").toLowerCase();
+}
+
+export function sameText(a, b) {
+  return compactText(a) === compactText(b);
+}
+
+// ---------- Edit distance ----------
+
+function levenshtein(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(
+        prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+        prev[j] + 1,
+        row[j - 1] + 1
+      );
+    }
+    prev = row;
+  }
+
+  return prev[b.length];
+}
+
+// edits counted per jamo, so 갔 -> 갓 is 1 and 과 -> 가 is 1 (ㅘ = ㅗ + ㅏ)
+export function jamoDistance(a, b, { ignoreSpacing = false } = {}) {
+  const prepare = (text) => {
+    const normalized = ignoreSpacing ? compactText(text) : normalizeText(text);
+    return [...toJamo(normalized, { splitCompounds: true })];
+  };
+  return levenshtein(prepare(a), prepare(b));
+}
+
+// 0–1, 1 meaning identical
+export function jamoSimilarity(a, b, options = {}) {
+  const length = Math.max(
+    toJamo(compactText(a), { splitCompounds: true }).length,
+    toJamo(compactText(b), { splitCompounds: true }).length
+  );
+  if (length === 0) return 1;
+  return Math.max(0, 1 - jamoDistance(a, b, { ignoreSpacing: true, ...options }) / length);
+}
+
+// ---------- Revised Romanization ----------
+
+const RR_INITIALS = {
+  "ㄱ": "g", "ㄲ": "kk", "ㄴ": "n", "ㄷ": "d", "ㄸ": "tt", "ㄹ": "r", "ㅁ": "m", "ㅂ": "b", "ㅃ": "pp", "ㅅ": "s",
+  "ㅆ": "ss", "ㅇ": "", "ㅈ": "j", "ㅉ": "jj", "ㅊ": "ch", "ㅋ": "k", "ㅌ": "t", "ㅍ": "p", "ㅎ": "h"
+};
+
+const RR_MEDIALS = {
+  "ㅏ": "a", "ㅐ": "ae", "ㅑ": "ya", "ㅒ": "yae", "ㅓ": "eo", "ㅔ": "e", "ㅕ": "yeo", "ㅖ": "ye", "ㅗ": "o", "ㅘ": "wa",
+  "ㅙ": "wae", "ㅚ": "oe", "ㅛ": "yo", "ㅜ": "u", "ㅝ": "wo", "ㅞ": "we", "ㅟ": "wi", "ㅠ": "yu", "ㅡ": "eu", "ㅢ": "ui", "ㅣ": "i"
+};
+
+const RR_FINALS = { "ㄱ": "k", "ㄴ": "n", "ㄷ": "t", "ㄹ": "l", "ㅁ": "m", "ㅂ": "p", "ㅇ": "ng" };
+
+// what a final sounds like before a consonant or at the end of a word
+const NEUTRAL_FINALS = {
+  "ㄱ": "ㄱ", "ㄲ": "ㄱ", "ㅋ": "ㄱ", "ㄳ": "ㄱ", "ㄺ": "ㄱ",
+  "ㄴ": "ㄴ", "ㄵ": "ㄴ", "ㄶ": "ㄴ",
+  "ㄷ": "ㄷ", "ㅅ": "ㄷ", "ㅆ": "ㄷ", "ㅈ": "ㄷ", "ㅊ": "ㄷ", "ㅌ": "ㄷ", "ㅎ": "ㄷ",
+  "ㄹ": "ㄹ", "ㄼ": "ㄹ", "ㄽ": "ㄹ", "ㄾ": "ㄹ", "ㅀ": "ㄹ",
+  "ㅁ": "ㅁ", "ㄻ": "ㅁ",
+  "ㅂ": "ㅂ", "ㅍ": "ㅂ", "ㅄ": "ㅂ", "ㄿ": "ㅂ",
+  "ㅇ": "ㅇ"
+};
+
+const ASPIRATED = { "ㄱ": "ㅋ", "ㄷ": "ㅌ", "ㅈ": "ㅊ", "ㅂ": "ㅍ" };
+const NASALIZED = { "ㄱ": "ㅇ", "ㄷ": "ㄴ", "ㅂ": "ㅁ" };
+
+// final + ㅎ -> aspirated initial: 축하해요 [추카해요], 맞히다 [마치다]
+const ASPIRATE_BEFORE_H = {
+  "ㄱ": ["", "ㅋ"], "ㄲ": ["", "ㅋ"], "ㅋ": ["", "ㅋ"], "ㄺ": ["ㄹ", "ㅋ"],
+  "ㄷ": ["", "ㅌ"], "ㅅ": ["", "ㅌ"], "ㅆ": ["", "ㅌ"], "ㅌ": ["", "ㅌ"],
+  "ㅈ": ["", "ㅊ"], "ㅊ": ["", "ㅊ"],
+  "ㅂ": ["", "ㅍ"], "ㅍ": ["", "ㅍ"], "ㄼ": ["ㄹ", "ㅍ"], "ㅄ": ["", "ㅍ"]
+};
+
+// In nouns Revised Romanization keeps ㅎ after ㄱ/ㄷ/ㅂ (입학 iphak, 백화점 baekhwajeom)
+// and writes the aspiration only in verb forms. Without a dictionary, a ㅎ syllable
+// counts as verbal when it's a 하다/히다 form with an ending after it:
+// 생각해요 saenggakaeyo, but 축하 chukha.
+const NOUN_H_FINALS = ["ㄱ", "ㄷ", "ㅂ"];
+const VERBAL_H_SYLLABLES = ["하", "해", "했", "합", "히", "혀", "혔"];
+
+function keepsNounH(final, next, nextIsLast) {
+  if (!NOUN_H_FINALS.includes(final)) return false;
+  const syllable = composeSyllable(next.initial, next.medial, next.final);
+  return nextIsLast || !VERBAL_H_SYLLABLES.includes(syllable);
+}
+
+// Sound changes between the final of `cur` and the initial of `next` that
+// Revised Romanization writes down (tensing isn't written, so it's skipped).
+function applySoundChange(cur, next, nextIsLast) {
+  const final = cur.final;
+  if (!final) return;
+
+  // linking (연음), with palatalization: 같이 [가치], 굳이 [구지]
+  if (next.initial === "ㅇ") {
+    if (final === "ㅇ") return;
+    if (final === "ㅎ") {
+      cur.final = "";
+      return;
+    }
+    const pair = COMPOUND_FINALS[final];
+    if (pair) {
+      // 많아 [마나], 싫어 [시러]: the ㅎ drops; otherwise the second consonant moves
+      if (pair[1] === "ㅎ") {
+        cur.final = "";
+        next.initial = pair[0];
+      } else {
+        cur.final = pair[0];
+        next.initial = pair[1];
+      }
+      return;
+    }
+    cur.final = "";
+    next.initial = final;
+    if (next.medial === "ㅣ" && (final === "ㄷ" || final === "ㅌ")) {
+      next.initial = final === "ㄷ" ? "ㅈ" : "ㅊ";
+    }
+    return;
+  }
+
+  if (next.initial === "ㅎ" && keepsNounH(final, next, nextIsLast)) {
+    return;
+  }
+  if (next.initial === "ㅎ" && ASPIRATE_BEFORE_H[final]) {
+    [cur.final, next.initial] = ASPIRATE_BEFORE_H[final];
+    return;
+  }
+
+  // ㅎ + ㄱ/ㄷ/ㅈ aspirates: 좋다 [조타], 많지 [만치]
+  if ((final === "ㅎ" || final === "ㄶ" || final === "ㅀ") && ["ㄱ", "ㄷ", "ㅈ"].includes(next.initial)) {
+    cur.final = final === "ㅎ" ? "" : COMPOUND_FINALS[final][0];
+    next.initial = ASPIRATED[next.initial];
+    return;
+  }
+  if (final === "ㅎ" && next.initial === "ㅅ") {
+    cur.final = "";
+    next.initial = "ㅆ";
+    return;
+  }
+
+  let sound = NEUTRAL_FINALS[final] || final;
+
+  if (next.initial === "ㄹ") {
+    if (sound === "ㄴ") {
+      sound = "ㄹ";                       // 신라 [실라]
+    } else if (sound !== "ㄹ") {
+      next.initial = "ㄴ";                // 종로 [종노], 독립 [동닙]
+    }
+  } else if (next.initial === "ㄴ" && sound === "ㄹ") {
+    next.initial = "ㄹ";                  // 설날 [설랄]
+  }
+
+  if ((next.initial === "ㄴ" || next.initial === "ㅁ") && NASALIZED[sound]) {
+    sound = NASALIZED[sound];             // 국물 [궁물], 합니다 [함니다]
+  }
+
+  cur.final = sound;
+}
+
+function romanizeWord(syllables) {
+  for (let k = 0; k < syllables.length - 1; k++) {
+    applySoundChange(syllables[k], syllables[k + 1], k + 1 === syllables.length - 1);
+  }
+
+  let out = "";
+  syllables.forEach((s, k) => {
+    const prevFinal = k > 0 ? syllables[k - 1].final : "";
+    // ㄹ is l after another ㄹ (설날 seollal), r elsewhere
+    out += s.initial === "ㄹ" && prevFinal === "ㄹ" ? "l" : RR_INITIALS[s.initial];
+    out += RR_MEDIALS[s.medial];
+    if (s.final) {
+      out += RR_FINALS[NEUTRAL_FINALS[s.final]];
+    }
+  });
+  return out;
+}
+
+// "한국어 좋아요!" -> "hangugeo joayo!"; sound changes apply within a word, not across spaces
+export function romanize(text) {
+  let out = "";
+  let word = [];
+
+  const flush = () => {
+    if (word.length > 0) out += romanizeWord(word);
+    word = [];
+  };
+
+  for (const ch of normalizeUnicode(text)) {
+    const parts = decomposeSyllable(ch);
+    if (parts) {
+      word.push({ ...parts });
+    } else {
+      flush();
+      const jamo = RR_INITIALS[ch] ?? RR_MEDIALS[ch];
+      out += jamo !== undefined && jamo !== "" ? jamo : ch;
+    }
+  }
+
+  flush();
+  return out;
+}
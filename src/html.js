@@ -0,0 +1,6 @@
+// Helpers for messages sent with parse_mode: "HTML".
+
+// Telegram only needs &, < and > escaped in text outside of tags
+export function escapeHtml(text) {
+  return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
@@ -1,9 +1,8 @@
 import { Markup } from "telegraf";
 
-const PLACEMENT_BOT_LINK = "https://t.me/hangeulplacementbot";
-
 export function levelKeyboard() {
   return Markup.inlineKeyboard([
+    [Markup.button.callback("🔡 0급 · I can't read Hangul yet", "LEVEL_0")],
     [
       Markup.button.callback("1급", "LEVEL_1"),
       Markup.button.callback("2급", "LEVEL_2")
@@ -16,7 +15,7 @@ export function levelKeyboard() {
       Markup.button.callback("5급", "LEVEL_5"),
       Markup.button.callback("6급", "LEVEL_6")
     ],
-    [Markup.button.url("🔎 Check your level", PLACEMENT_BOT_LINK)]
+    [Markup.button.callback("🔎 Take a placement test", "PLACEMENT_START")]
   ]);
 }
 
@@ -25,7 +24,17 @@ export function practiceKeyboard() {
     [Markup.button.callback("🗣 Speaking", "PRACTICE_SPEAKING")],
     [Markup.button.callback("👂 Listening", "PRACTICE_LISTENING")],
     [Markup.button.callback("📖 Reading", "PRACTICE_READING")],
-    [Markup.button.callback("💬 Free mode", "PRACTICE_FREE")]
+    [Markup.button.callback("💬 Free mode", "PRACTICE_FREE")],
+    [Markup.button.callback("🎭 Role-play", "PRACTICE_SCENARIO")],
+    [Markup.button.callback("✍️ Dictation (받아쓰기)", "PRACTICE_DICTATION")],
+    [Markup.button.callback("🦜 Shadowing", "PRACTICE_SHADOWING")],
+    [Markup.button.callback("📝 Writing (TOPIK)", "PRACTICE_WRITING")],
+    [Markup.button.callback("📐 Grammar lessons", "PRACTICE_GRAMMAR")],
+    [Markup.button.callback("🔤 Conjugation drill", "PRACTICE_CONJUGATION")],
+    [Markup.button.callback("🔡 Hangul course", "PRACTICE_HANGUL")],
+    [Markup.button.callback("🎓 TOPIK mock exam", "PRACTICE_EXAM")],
+    [Markup.button.callback("🩹 Mistake review", "PRACTICE_MISTAKES")],
+    [Markup.button.callback("🗂 Review words", "PRACTICE_REVIEW")]
   ]);
 }
 
@@ -36,23 +45,358 @@ export function mainMenuKeyboard() {
   ]).resize();
 }
 
-export function readingResultKeyboard() {
+// Result keyboards carry the exercise id so taps on an old result can be told apart.
+export function readingResultKeyboard(exerciseId) {
+  return Markup.inlineKeyboard([
+    [Markup.button.callback("➡️ More text (reading)", `READING_NEXT:${exerciseId}`)],
+    [Markup.button.callback("💾 Save words from this text", `VOCAB_SAVE_READING:${exerciseId}`)],
+    [Markup.button.callback("🔁 Change mode", "CHANGE_MODE_INLINE")]
+  ]);
+}
+
+// under the reading text; kinds: the help the exercise came with
+export function readingHelpKeyboard(exerciseId, kinds) {
+  const buttons = {
+    glossary: Markup.button.callback("📚 Glossary", `READING_GLOSSARY:${exerciseId}`),
+    translation: Markup.button.callback("🌐 Translation", `READING_TRANSLATION:${exerciseId}`)
+  };
+  return Markup.inlineKeyboard([kinds.map((kind) => buttons[kind])]);
+}
+
+export function listeningResultKeyboard(exerciseId) {
+  return Markup.inlineKeyboard([
+    [Markup.button.callback("▶️ Another task (listening)", `LISTENING_NEXT:${exerciseId}`)],
+    [Markup.button.callback("💾 Save words from this text", `VOCAB_SAVE_LISTENING:${exerciseId}`)],
+    [Markup.button.callback("🔁 Change mode", "CHANGE_MODE_INLINE")]
+  ]);
+}
+
+// under the listening audio, for the whole time the task is open
+export function listeningAudioKeyboard(exerciseId) {
+  return Markup.inlineKeyboard([
+    [
+      Markup.button.callback("🐢 Replay slowly", `LISTEN_SLOW:${exerciseId}`),
+      Markup.button.callback("🔂 Replay a line", `LISTEN_LINES:${exerciseId}`)
+    ]
+  ]);
+}
+
+// lines: [{ label }], four buttons to a row
+export function listeningLinesKeyboard(exerciseId, lines) {
+  const buttons = lines.map((line, idx) =>
+    Markup.button.callback(line.label, `LISTEN_LINE_${exerciseId}_${idx}`)
+  );
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 4) {
+    rows.push(buttons.slice(i, i + 4));
+  }
+  return Markup.inlineKeyboard(rows);
+}
+
+// voices / speeds: [{ id, label, selected }]
+export function audioSettingsKeyboard(voices, speeds) {
+  const mark = (option) => (option.selected ? `✓ ${option.label}` : option.label);
+  const voiceButtons = voices.map((v) => Markup.button.callback(mark(v), `VOICE_${v.id}`));
+
+  const rows = [];
+  for (let i = 0; i < voiceButtons.length; i += 4) {
+    rows.push(voiceButtons.slice(i, i + 4));
+  }
+  rows.push(speeds.map((sp) => Markup.button.callback(mark(sp), `SPEED_${sp.id}`)));
+  return Markup.inlineKeyboard(rows);
+}
+
+export function speakingResultKeyboard(exerciseId) {
+  return Markup.inlineKeyboard([
+    [Markup.button.callback("🎙 Another task (speaking)", `SPEAKING_NEXT:${exerciseId}`)],
+    [Markup.button.callback("🔁 Change mode", "CHANGE_MODE_INLINE")]
+  ]);
+}
+
+export function vocabCardKeyboard(cardId) {
+  return Markup.inlineKeyboard([
+    [Markup.button.callback("👀 Show answer", `VOCAB_SHOW_${cardId}`)],
+    [Markup.button.callback("🔁 Change mode", "CHANGE_MODE_INLINE")]
+  ]);
+}
+
+export function vocabGradeKeyboard(cardId) {
+  return Markup.inlineKeyboard([
+    [
+      Markup.button.callback("❌ Again", `VOCAB_GRADE_${cardId}_again`),
+      Markup.button.callback("😓 Hard", `VOCAB_GRADE_${cardId}_hard`)
+    ],
+    [
+      Markup.button.callback("🙂 Good", `VOCAB_GRADE_${cardId}_good`),
+      Markup.button.callback("😎 Easy", `VOCAB_GRADE_${cardId}_easy`)
+    ]
+  ]);
+}
+
+export function scenarioListKeyboard(scenarios) {
+  return Markup.inlineKeyboard([
+    ...scenarios.map((s) => [Markup.button.callback(s.title, `SCENARIO_START_${s.id}`)]),
+    [Markup.button.callback("🎲 Surprise me", "SCENARIO_START_random")]
+  ]);
+}
+
+export function scenarioTurnKeyboard(exerciseId) {
   return Markup.inlineKeyboard([
-    [Markup.button.callback("➡️ More text (reading)", "READING_NEXT")],
+    [Markup.button.callback("🏁 Finish & get feedback", `SCENARIO_FINISH:${exerciseId}`)]
+  ]);
+}
+
+export function scenarioResultKeyboard() {
+  return Markup.inlineKeyboard([
+    [Markup.button.callback("🎭 Another scenario", "PRACTICE_SCENARIO")],
     [Markup.button.callback("🔁 Change mode", "CHANGE_MODE_INLINE")]
   ]);
 }
 
-export function listeningResultKeyboard() {
+export function answerFormatKeyboard(mode) {
+  return Markup.inlineKeyboard([
+    [Markup.button.callback("🔘 Quiz with buttons", `FORMAT_${mode}_quiz`)],
+    [Markup.button.callback("✍️ Write my own answers", `FORMAT_${mode}_text`)]
+  ]);
+}
+
+// true/false items get one row, multiple choice one button per row
+export function quizQuestionKeyboard(mode, exerciseId, questionIndex, labels) {
+  const buttons = labels.map((label, idx) =>
+    Markup.button.callback(label, `QUIZ_${mode}_${exerciseId}_${questionIndex}_${idx}`)
+  );
+  return Markup.inlineKeyboard(labels.length === 2 ? [buttons] : buttons.map((b) => [b]));
+}
+
+export function dictationKeyboard(exerciseId) {
+  return Markup.inlineKeyboard([
+    [
+      Markup.button.callback("🔁 Listen again", `DICTATION_REPLAY:${exerciseId}`),
+      Markup.button.callback("⏭ Skip", `DICTATION_SKIP:${exerciseId}`)
+    ]
+  ]);
+}
+
+export function dictationResultKeyboard() {
   return Markup.inlineKeyboard([
-    [Markup.button.callback("▶️ Another task (listening)", "LISTENING_NEXT")],
+    [Markup.button.callback("✍️ Another dictation", "PRACTICE_DICTATION")],
     [Markup.button.callback("🔁 Change mode", "CHANGE_MODE_INLINE")]
   ]);
 }
 
-export function speakingResultKeyboard() {
+export function shadowingKeyboard(exerciseId) {
   return Markup.inlineKeyboard([
-    [Markup.button.callback("🎙 Another task (speaking)", "SPEAKING_NEXT")],
+    [
+      Markup.button.callback("🔁 Listen again", `SHADOWING_REPLAY:${exerciseId}`),
+      Markup.button.callback("⏭ Skip", `SHADOWING_NEXT:${exerciseId}`)
+    ]
+  ]);
+}
+
+export function shadowingResultKeyboard(exerciseId) {
+  return Markup.inlineKeyboard([
+    [
+      Markup.button.callback("🎙 Try again", `SHADOWING_AGAIN:${exerciseId}`),
+      Markup.button.callback("▶️ Next sentence", `SHADOWING_NEXT:${exerciseId}`)
+    ],
     [Markup.button.callback("🔁 Change mode", "CHANGE_MODE_INLINE")]
   ]);
-}
\ No newline at end of file
+}
+
+export function writingTypeKeyboard(types) {
+  return Markup.inlineKeyboard(
+    types.map((t) => [Markup.button.callback(t.label, `WRITING_TYPE_${t.type}`)])
+  );
+}
+
+export function writingResultKeyboard(type) {
+  return Markup.inlineKeyboard([
+    [Markup.button.callback("📝 Another task like this", `WRITING_TYPE_${type}`)],
+    [Markup.button.callback("🗂 Other writing tasks", "PRACTICE_WRITING")],
+    [Markup.button.callback("🔁 Change mode", "CHANGE_MODE_INLINE")]
+  ]);
+}
+
+export function examMenuKeyboard() {
+  return Markup.inlineKeyboard([
+    [
+      Markup.button.callback("TOPIK I (1–2급)", "EXAM_START_topik1"),
+      Markup.button.callback("TOPIK II (3–6급)", "EXAM_START_topik2")
+    ]
+  ]);
+}
+
+// no feedback on tap, so a skip is just another answer
+export function examQuestionKeyboard(examId, questionIndex, labels) {
+  const buttons = labels.map((label, idx) =>
+    Markup.button.callback(label, `EXAM_${examId}_${questionIndex}_${idx}`)
+  );
+  return Markup.inlineKeyboard([
+    ...(labels.length === 2 ? [buttons] : buttons.map((b) => [b])),
+    [Markup.button.callback("⏭ Skip", `EXAM_${examId}_${questionIndex}_skip`)]
+  ]);
+}
+
+export function examResultKeyboard(kind) {
+  return Markup.inlineKeyboard([
+    [Markup.button.callback("🎓 Take it again", `EXAM_START_${kind}`)],
+    [Markup.button.callback("🔁 Change mode", "CHANGE_MODE_INLINE")]
+  ]);
+}
+
+export function placementQuestionKeyboard(exerciseId, questionIndex, options) {
+  return Markup.inlineKeyboard(
+    options.map((label, idx) => [
+      Markup.button.callback(label, `PLACEMENT_${exerciseId}_${questionIndex}_${idx}`)
+    ])
+  );
+}
+
+export function levelSuggestionKeyboard(suggestionId, to, from) {
+  return Markup.inlineKeyboard([
+    [Markup.button.callback(`✅ Move to ${to}급`, `LEVEL_ACCEPT:${suggestionId}`)],
+    [Markup.button.callback(`Stay at ${from}급`, `LEVEL_DECLINE:${suggestionId}`)]
+  ]);
+}
+
+export function autoLevelKeyboard(auto) {
+  return Markup.inlineKeyboard([
+    auto
+      ? [Markup.button.callback("⏸ Turn auto level off", "AUTOLEVEL_OFF")]
+      : [Markup.button.callback("🤖 Turn auto level on", "AUTOLEVEL_ON")]
+  ]);
+}
+
+// one "mastered" button per mistake on the page, then paging
+export function mistakesKeyboard(items, page, pages) {
+  const rows = items.map((m) => [
+    Markup.button.callback(`✅ Mastered #${m.id}`, `MISTAKE_MASTER_${m.id}_${page}`)
+  ]);
+
+  const nav = [];
+  if (page > 0) nav.push(Markup.button.callback("◀️ Newer", `MISTAKES_PAGE_${page - 1}`));
+  if (page < pages - 1) nav.push(Markup.button.callback("Older ▶️", `MISTAKES_PAGE_${page + 1}`));
+  if (nav.length > 0) rows.push(nav);
+
+  if (items.length > 0) {
+    rows.push([Markup.button.callback("🩹 Drill my frequent mistakes", "PRACTICE_MISTAKES")]);
+  }
+  return Markup.inlineKeyboard(rows);
+}
+
+export function mistakeDrillKeyboard(exerciseId) {
+  return Markup.inlineKeyboard([
+    [Markup.button.callback("⏭ Skip", `MISTAKE_DRILL_SKIP:${exerciseId}`)]
+  ]);
+}
+
+export function mistakeDrillResultKeyboard() {
+  return Markup.inlineKeyboard([
+    [Markup.button.callback("🩹 Another drill", "PRACTICE_MISTAKES")],
+    [Markup.button.callback("📓 My mistakes", "MISTAKES_PAGE_0")],
+    [Markup.button.callback("🔁 Change mode", "CHANGE_MODE_INLINE")]
+  ]);
+}
+
+// levels: [{ level, done, total }]
+export function grammarLevelsKeyboard(levels) {
+  const buttons = levels.map((l) =>
+    Markup.button.callback(`${l.level}급 · ${l.done}/${l.total}${l.done === l.total ? " ✅" : ""}`, `GRAMMAR_LEVEL_${l.level}`)
+  );
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 2) {
+    rows.push(buttons.slice(i, i + 2));
+  }
+  return Markup.inlineKeyboard(rows);
+}
+
+// points: [{ id, pattern, done }]
+export function grammarPointsKeyboard(points) {
+  return Markup.inlineKeyboard([
+    ...points.map((p) => [Markup.button.callback(`${p.done ? "✅ " : ""}${p.pattern}`, `GRAMMAR_POINT_${p.id}`)]),
+    [Markup.button.callback("📚 All levels", "GRAMMAR_MENU")]
+  ]);
+}
+
+// related: [{ id, pattern }] shown as "compare with" links
+export function grammarLessonKeyboard(point, related) {
+  return Markup.inlineKeyboard([
+    [
+      Markup.button.callback("🔊 Listen to the examples", `GRAMMAR_AUDIO_${point.id}`),
+      Markup.button.callback("🏋️ Drill", `GRAMMAR_DRILL_${point.id}`)
+    ],
+    ...related.map((r) => [Markup.button.callback(`↔️ Compare with ${r.pattern}`, `GRAMMAR_POINT_${r.id}`)]),
+    [Markup.button.callback(`⬅️ ${point.level}급 grammar`, `GRAMMAR_LEVEL_${point.level}`)]
+  ]);
+}
+
+// options: labels for "choose" items, none for typed ones
+export function grammarDrillKeyboard(exerciseId, itemIndex, options = []) {
+  return Markup.inlineKeyboard([
+    ...options.map((label, idx) => [Markup.button.callback(label, `GRAMMAR_CHOICE_${exerciseId}_${itemIndex}_${idx}`)]),
+    [Markup.button.callback("⏭ Skip", `GRAMMAR_SKIP_${exerciseId}_${itemIndex}`)]
+  ]);
+}
+
+export function grammarResultKeyboard(point) {
+  return Markup.inlineKeyboard([
+    [Markup.button.callback("🔁 Drill again", `GRAMMAR_DRILL_${point.id}`)],
+    [Markup.button.callback(`📐 More ${point.level}급 grammar`, `GRAMMAR_LEVEL_${point.level}`)],
+    [Markup.button.callback("🔁 Change mode", "CHANGE_MODE_INLINE")]
+  ]);
+}
+
+export function conjugationKeyboard(exerciseId) {
+  return Markup.inlineKeyboard([
+    [Markup.button.callback("⏭ Skip", `CONJ_SKIP:${exerciseId}`)]
+  ]);
+}
+
+export function conjugationResultKeyboard() {
+  return Markup.inlineKeyboard([
+    [Markup.button.callback("🔤 Another round", "PRACTICE_CONJUGATION")],
+    [Markup.button.callback("🔁 Change mode", "CHANGE_MODE_INLINE")]
+  ]);
+}
+
+// lessons: [{ id, title, done, open }]; locked lessons stay tappable and explain why
+export function hangulCourseKeyboard(lessons) {
+  return Markup.inlineKeyboard(
+    lessons.map((l, idx) => [
+      Markup.button.callback(`${l.done ? "✅" : l.open ? "▶️" : "🔒"} ${idx + 1}. ${l.title}`, `HANGUL_LESSON_${l.id}`)
+    ])
+  );
+}
+
+export function hangulLessonKeyboard(lesson) {
+  const perRow = lesson.unit === "word" ? 3 : 4;
+  const sounds = lesson.items.map((item, idx) => Markup.button.callback(`🔊 ${item.ko}`, `HANGUL_SOUND_${lesson.id}_${idx}`));
+  const rows = [];
+  for (let i = 0; i < sounds.length; i += perRow) {
+    rows.push(sounds.slice(i, i + perRow));
+  }
+  return Markup.inlineKeyboard([
+    ...rows,
+    [Markup.button.callback("📝 Take the quiz", `HANGUL_QUIZ_${lesson.id}`)],
+    [Markup.button.callback("🔡 All lessons", "HANGUL_MENU")]
+  ]);
+}
+
+// options: labels for button questions, none for typed ones
+export function hangulQuizKeyboard(exerciseId, questionIndex, options = []) {
+  const buttons = options.map((label, idx) => Markup.button.callback(label, `HANGUL_CHOICE_${exerciseId}_${questionIndex}_${idx}`));
+  return Markup.inlineKeyboard([
+    buttons.slice(0, 2),
+    buttons.slice(2),
+    [Markup.button.callback("⏭ Skip", `HANGUL_SKIP_${exerciseId}_${questionIndex}`)]
+  ].filter((row) => row.length > 0));
+}
+
+// next: the following lesson once this one is completed, otherwise null
+export function hangulResultKeyboard(lesson, next) {
+  return Markup.inlineKeyboard([
+    ...(next ? [[Markup.button.callback(`▶️ Next: ${next.title}`, `HANGUL_LESSON_${next.id}`)]] : []),
+    [Markup.button.callback("🔁 Quiz again", `HANGUL_QUIZ_${lesson.id}`)],
+    [Markup.button.callback("🔡 All lessons", "HANGUL_MENU")]
+  ]);
+}
@@ -0,0 +1,88 @@
+// Level suggestions from recent scores. Each mode keeps its own rolling window
+// of the last few scores at the current level; a window that is consistently
+// high or low suggests moving up or down (or, with auto on, just moves).
+
+export const WINDOW = 5;
+export const PROMOTE_AVERAGE = 8.5;
+export const DEMOTE_AVERAGE = 4;
+
+const MIN_LEVEL = 1;
+const MAX_LEVEL = 6;
+
+// review drills repeat known weak spots, mock exams span several levels,
+// grammar lessons can be picked from any level, conjugation drills stop at 3급
+// and the Hangul course is 0급 only, so none says much about the current one
+const IGNORED_MODES = new Set(["mistakes", "exam", "grammar", "conjugation", "hangul"]);
+
+export function createLevelingState() {
+  return {
+    auto: false,
+    min: MIN_LEVEL,       // bounds for auto moves
+    max: MAX_LEVEL,
+    windowStart: 0,       // scores before this don't count (level changed or suggestion declined)
+    pending: null         // { id, from, to, mode, average } waiting for a tap
+  };
+}
+
+// scores for `mode` that still count toward the current level's window;
+// attempts made with the glossary or translation open don't show the real level
+function recentScores(session, mode) {
+  const level = String(session.level);
+  const since = session.leveling.windowStart || 0;
+
+  return (session.stats?.history || [])
+    .filter((e) => e.mode === mode && e.level === level && e.at >= since && !e.help?.length)
+    .slice(-WINDOW)
+    .map((e) => e.score);
+}
+
+// null, or the move the latest scores in `mode` call for
+export function evaluateLevel(session, mode) {
+  const level = Number(session.level);
+  if (!level || !mode || IGNORED_MODES.has(mode)) return null;
+
+  const scores = recentScores(session, mode);
+  if (scores.length < WINDOW) return null;
+
+  const average = scores.reduce((acc, s) => acc + s, 0) / scores.length;
+
+  let to = null;
+  if (average >= PROMOTE_AVERAGE && level < MAX_LEVEL) to = level + 1;
+  if (average <= DEMOTE_AVERAGE && level > MIN_LEVEL) to = level - 1;
+  if (to === null) return null;
+
+  return {
+    from: String(level),
+    to: String(to),
+    direction: to > level ? "up" : "down",
+    mode,
+    average
+  };
+}
+
+export function withinAutoBounds(leveling, level) {
+  const n = Number(level);
+  return n >= leveling.min && n <= leveling.max;
+}
+
+// every level change starts a fresh window
+export function applyLevel(session, level, now = Date.now()) {
+  session.level = String(level);
+  session.leveling.windowStart = now;
+  session.leveling.pending = null;
+}
+
+export function declineSuggestion(session, now = Date.now()) {
+  session.leveling.windowStart = now;
+  session.leveling.pending = null;
+}
+
+// "2-4" / "2 4" / "3" -> { min, max }; null if it isn't a valid range
+export function parseBounds(text) {
+  const match = String(text || "").match(/^\s*([1-6])\s*(?:[-–~ ]\s*([1-6]))?\s*$/);
+  if (!match) return null;
+
+  const a = Number(match[1]);
+  const b = match[2] ? Number(match[2]) : a;
+  return { min: Math.min(a, b), max: Math.max(a, b) };
+}
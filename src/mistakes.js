@@ -0,0 +1,178 @@
+// Mistake journal: corrections from free chat, role-play, reading/listening
+// answers and speaking feedback, kept per learner until they're mastered.
+
+import { MODE_LABELS } from "./stats.js";
+import { sameText, containsHangul, jamoSimilarity } from "./hangul.js";
+import { localDateKey } from "./streaks.js";
+
+const JOURNAL_LIMIT = 200;
+export const PAGE_SIZE = 5;
+const CLOSE_SIMILARITY = 0.85;   // drill answers this close count as "almost"
+
+export const SOURCE_LABELS = {
+  ...MODE_LABELS,
+  free: "💬 Free chat"
+};
+
+// used when the model didn't name the error type
+const DEFAULT_PATTERNS = {
+  reading: "reading comprehension",
+  listening: "listening comprehension",
+  speaking: "speaking",
+  free: "other",
+  scenario: "other"
+};
+
+export function createMistakeJournal() {
+  return {
+    nextId: 1,
+    items: []     // [{ id, original, correction, explanation, pattern, mode, at, count, mastered, masteredAt }]
+  };
+}
+
+// patterns are grouped case-insensitively, so "Particle 을/를" and "particle 을/를" count together
+function patternKey(pattern) {
+  return String(pattern || "").trim().toLowerCase();
+}
+
+function trimmed(value) {
+  return String(value ?? "").trim();
+}
+
+// mastered mistakes go first when the journal is full, then the oldest open ones
+function prune(journal) {
+  while (journal.items.length > JOURNAL_LIMIT) {
+    const idx = journal.items.findIndex((m) => m.mastered);
+    journal.items.splice(idx === -1 ? 0 : idx, 1);
+  }
+}
+
+// Adds a mistake, or bumps the count of the same open one. Returns the entry, or null if empty.
+export function addMistake(journal, { original, correction, explanation, pattern, mode }, now = Date.now()) {
+  const entry = {
+    original: trimmed(original),
+    correction: trimmed(correction),
+    explanation: trimmed(explanation),
+    pattern: trimmed(pattern) || DEFAULT_PATTERNS[mode] || "other",
+    mode: mode || null
+  };
+  if (!entry.original && !entry.correction) return null;
+
+  const existing = journal.items.find(
+    (m) => !m.mastered && sameText(m.original, entry.original) && sameText(m.correction, entry.correction)
+  );
+  if (existing) {
+    existing.count++;
+    existing.at = now;
+    if (entry.explanation) existing.explanation = entry.explanation;
+    return existing;
+  }
+
+  const item = { id: journal.nextId++, ...entry, at: now, count: 1, mastered: false, masteredAt: null };
+  journal.items.push(item);
+  prune(journal);
+  return item;
+}
+
+export function addMistakes(journal, list, mode, now = Date.now()) {
+  return list
+    .map((m) => addMistake(journal, { ...m, mode }, now))
+    .filter(Boolean);
+}
+
+export function findMistake(journal, id) {
+  return journal.items.find((m) => m.id === Number(id)) || null;
+}
+
+// newest first
+export function openMistakes(journal) {
+  return journal.items.filter((m) => !m.mastered).sort((a, b) => b.at - a.at);
+}
+
+export function markMastered(journal, id, now = Date.now()) {
+  const item = findMistake(journal, id);
+  if (!item || item.mastered) return null;
+  item.mastered = true;
+  item.masteredAt = now;
+  return item;
+}
+
+// Most frequent open error patterns, with a few examples each. Drills need a
+// Korean correction to build on, so `drillable` skips everything else.
+export function topPatterns(journal, { limit = 3, drillable = false } = {}) {
+  const groups = new Map();
+
+  for (const m of openMistakes(journal)) {
+    if (drillable && !containsHangul(m.correction)) continue;
+
+    const key = patternKey(m.pattern);
+    const group = groups.get(key) || { pattern: m.pattern, count: 0, examples: [] };
+    group.count += m.count;
+    if (group.examples.length < 3) group.examples.push(m);
+    groups.set(key, group);
+  }
+
+  // ties go to the pattern seen most recently (groups keep newest-first order)
+  return [...groups.values()]
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit);
+}
+
+export function mistakesPage(journal, page = 0) {
+  const open = openMistakes(journal);
+  const pages = Math.max(1, Math.ceil(open.length / PAGE_SIZE));
+  const current = Math.min(Math.max(0, Number(page) || 0), pages - 1);
+
+  return {
+    items: open.slice(current * PAGE_SIZE, (current + 1) * PAGE_SIZE),
+    page: current,
+    pages,
+    total: open.length,
+    mastered: journal.items.length - open.length
+  };
+}
+
+export function formatMistake(item, timeZone = "UTC") {
+  let text = `#${item.id} · ${SOURCE_LABELS[item.mode] || "📝"} · ${localDateKey(item.at, timeZone)}`;
+  if (item.count > 1) text += ` · ×${item.count}`;
+  text += "\n";
+
+  if (item.original && item.correction) {
+    text += `❌ ${item.original}\n✅ ${item.correction}\n`;
+  } else {
+    text += `${item.original || item.correction}\n`;
+  }
+  if (item.explanation) text += `💡 ${item.explanation}\n`;
+  text += `🏷 ${item.pattern}`;
+
+  return text;
+}
+
+export function formatMistakesPage(journal, page = 0, timeZone = "UTC") {
+  const result = mistakesPage(journal, page);
+
+  if (result.total === 0) {
+    return result.mastered > 0
+      ? `📓 Your mistake journal is clear — ${result.mastered} mistake(s) mastered 🎉`
+      : "📓 Your mistake journal is empty. Corrections from free chat, role-play, reading, listening and speaking will show up here.";
+  }
+
+  let msg = `📓 Mistake journal: ${result.total} open, ${result.mastered} mastered`;
+  if (result.pages > 1) msg += ` · page ${result.page + 1}/${result.pages}`;
+  msg += "\n";
+
+  const top = topPatterns(journal);
+  if (top.length > 0) {
+    msg += `Most frequent: ${top.map((g) => `${g.pattern} (${g.count})`).join(", ")}\n`;
+  }
+
+  msg += "\n" + result.items.map((m) => formatMistake(m, timeZone)).join("\n\n");
+  return msg;
+}
+
+// "correct" | "close" | "wrong"; spacing and punctuation don't matter
+export function gradeDrillAnswer(expected, answer) {
+  if (sameText(expected, answer)) return "correct";
+  if (jamoSimilarity(expected, answer) >= CLOSE_SIMILARITY) return "close";
+  return "wrong";
+}
@@ -0,0 +1,366 @@
+// Built-in placement test. A staircase over the item bank below: a right
+// answer moves one 급 up, a wrong one moves one down, and the skills take
+// turns. Everything is local, so the same answers always give the same level.
+
+export const PLACEMENT_LENGTH = 12;
+const START_LEVEL = 2;
+
+export const SKILLS = ["vocabulary", "grammar", "reading", "listening"];
+
+export const SKILL_LABELS = {
+  vocabulary: "📚 Vocabulary",
+  grammar: "🧩 Grammar",
+  reading: "📖 Reading",
+  listening: "👂 Listening"
+};
+
+// passage: shown above the question; audio: sent as TTS before the question
+export const PLACEMENT_ITEMS = [
+  // ---------- 1급 ----------
+  { id: "v1a", level: 1, skill: "vocabulary", question: "What does 물 mean?", options: ["water", "fire", "rice", "door"], answer: 0 },
+  { id: "v1b", level: 1, skill: "vocabulary", question: "Which word means \"school\"?", options: ["병원", "학교", "시장", "식당"], answer: 1 },
+  { id: "g1a", level: 1, skill: "grammar", question: "저___ 학생이에요.", options: ["는", "를", "에", "와"], answer: 0 },
+  { id: "g1b", level: 1, skill: "grammar", question: "어제 친구를 ___.", options: ["만나요", "만날 거예요", "만났어요", "만나세요"], answer: 2 },
+  {
+    id: "r1a", level: 1, skill: "reading",
+    passage: "저는 마이클이에요. 미국 사람이에요. 회사원이에요.",
+    question: "What is Michael's job?",
+    options: ["student", "office worker", "teacher", "doctor"], answer: 1
+  },
+  {
+    id: "r1b", level: 1, skill: "reading",
+    passage: "오늘은 토요일이에요. 저는 집에서 쉬어요.",
+    question: "What does the writer do today?",
+    options: ["goes to work", "rests at home", "meets friends", "studies at school"], answer: 1
+  },
+  {
+    id: "l1a", level: 1, skill: "listening",
+    audio: "커피 두 잔 주세요.",
+    question: "What does the speaker want?",
+    options: ["one coffee", "two coffees", "two teas", "one tea"], answer: 1
+  },
+  {
+    id: "l1b", level: 1, skill: "listening",
+    audio: "지금 세 시예요.",
+    question: "What time is it?",
+    options: ["1:00", "2:00", "3:00", "4:00"], answer: 2
+  },
+
+  // ---------- 2급 ----------
+  { id: "v2a", level: 2, skill: "vocabulary", question: "Choose the opposite of 싸다 (cheap).", options: ["작다", "비싸다", "많다", "쉽다"], answer: 1 },
+  { id: "v2b", level: 2, skill: "vocabulary", question: "What does 약속 mean?", options: ["medicine", "weather", "an appointment / promise", "price"], answer: 2 },
+  { id: "g2a", level: 2, skill: "grammar", question: "비가 ___ 우산을 가져가세요.", options: ["오지만", "오니까", "오고", "오면서"], answer: 1 },
+  { id: "g2b", level: 2, skill: "grammar", question: "한국어를 잘 ___ 싶어요.", options: ["하면", "해서", "하는", "하고"], answer: 3 },
+  {
+    id: "r2a", level: 2, skill: "reading",
+    passage: "저는 주말마다 공원에서 자전거를 타요. 그런데 이번 주말에는 비가 와서 집에서 영화를 봤어요.",
+    question: "What did the writer do this weekend?",
+    options: ["rode a bike", "watched a movie at home", "went to the park", "met a friend"], answer: 1
+  },
+  {
+    id: "r2b", level: 2, skill: "reading",
+    passage: "민수 씨는 내일 아침 9시에 친구하고 도서관에서 만나기로 했어요.",
+    question: "Where will Minsu meet his friend?",
+    options: ["at a café", "at school", "at the library", "at the station"], answer: 2
+  },
+  {
+    id: "l2a", level: 2, skill: "listening",
+    audio: "여기에서 명동까지 지하철로 20분쯤 걸려요.",
+    question: "How do you get to Myeongdong, and how long does it take?",
+    options: ["bus, about 10 minutes", "subway, about 20 minutes", "bus, about 20 minutes", "subway, about 2 hours"], answer: 1
+  },
+  {
+    id: "l2b", level: 2, skill: "listening",
+    audio: "이 바지 좀 입어 봐도 돼요?",
+    question: "What does the speaker want to do?",
+    options: ["buy shoes", "exchange a shirt", "get a discount", "try on the pants"], answer: 3
+  },
+
+  // ---------- 3급 ----------
+  { id: "v3a", level: 3, skill: "vocabulary", question: "회의를 다음 주로 ___.", options: ["떨어졌어요", "모였어요", "미뤘어요", "찾았어요"], answer: 2 },
+  { id: "v3b", level: 3, skill: "vocabulary", question: "What does 경험 mean?", options: ["economy", "experience", "expression", "exam"], answer: 1 },
+  { id: "g3a", level: 3, skill: "grammar", question: "피곤해서 일찍 ___ 했는데 잠이 안 왔어요.", options: ["자려고", "자면서", "자니까", "자더니"], answer: 0 },
+  { id: "g3b", level: 3, skill: "grammar", question: "한국에 ___ 지 2년이 됐어요.", options: ["오는", "올", "온", "왔던"], answer: 2 },
+  {
+    id: "r3a", level: 3, skill: "reading",
+    passage: "요즘 혼자 밥을 먹는 사람들이 늘고 있다. 바빠서 다른 사람과 시간을 맞추기 어렵고, 혼자 먹는 것이 더 편하다고 생각하는 사람도 많기 때문이다.",
+    question: "Why are more people eating alone?",
+    options: [
+      "They don't like restaurants",
+      "Schedules are hard to match and it feels more comfortable",
+      "Eating alone is cheaper",
+      "Restaurants have fewer tables"
+    ],
+    answer: 1
+  },
+  {
+    id: "r3b", level: 3, skill: "reading",
+    passage: "이 식당은 음식이 맛있기로 유명하지만 주말에는 손님이 너무 많아서 한 시간 이상 기다려야 한다. 그래서 나는 평일 점심에 간다.",
+    question: "When does the writer go to this restaurant?",
+    options: ["weekend dinner", "weekend lunch", "weekday dinner", "weekday lunch"], answer: 3
+  },
+  {
+    id: "l3a", level: 3, skill: "listening",
+    audio: "죄송하지만 오늘은 예약이 다 찼습니다. 내일 저녁은 자리가 있는데 괜찮으세요?",
+    question: "What does the speaker say?",
+    options: [
+      "Today is fully booked, but tomorrow evening is free",
+      "The restaurant is closed tomorrow",
+      "There are seats tonight",
+      "Your reservation was cancelled"
+    ],
+    answer: 0
+  },
+  {
+    id: "l3b", level: 3, skill: "listening",
+    audio: "회의가 길어져서 조금 늦을 것 같아요. 먼저 식사하고 계세요.",
+    question: "What should the listener do?",
+    options: ["wait without eating", "start eating first", "cancel dinner", "come to the meeting"], answer: 1
+  },
+
+  // ---------- 4급 ----------
+  { id: "v4a", level: 4, skill: "vocabulary", question: "이번 프로젝트의 성공은 팀원들의 ___ 덕분이에요.", options: ["경쟁", "협력", "불만", "포기"], answer: 1 },
+  { id: "v4b", level: 4, skill: "vocabulary", question: "What does 꼼꼼하다 mean?", options: ["lazy", "generous", "careful and thorough", "talkative"], answer: 2 },
+  { id: "g4a", level: 4, skill: "grammar", question: "길이 막히는 ___ 회의에 늦었어요.", options: ["바람에", "대신에", "김에", "동안에"], answer: 0 },
+  { id: "g4b", level: 4, skill: "grammar", question: "시험이 ___ 여행을 가려고 해요.", options: ["끝나는 탓에", "끝나는 반면에", "끝나는 척하고", "끝나는 대로"], answer: 3 },
+  {
+    id: "r4a", level: 4, skill: "reading",
+    passage: "최근 재택근무를 하는 회사가 늘면서 출퇴근 시간이 줄어 만족한다는 직원이 많다. 하지만 동료와 직접 얼굴을 보고 이야기할 기회가 줄어 소통이 어렵다는 의견도 있다.",
+    question: "What downside of working from home is mentioned?",
+    options: ["a longer commute", "harder communication with colleagues", "a lower salary", "more meetings"], answer: 1
+  },
+  {
+    id: "r4b", level: 4, skill: "reading",
+    passage: "이 제품은 가볍고 디자인이 예뻐서 젊은 층에게 인기가 많지만, 배터리가 빨리 닳는다는 단점이 있다.",
+    question: "What is the product's weakness?",
+    options: ["the battery runs out quickly", "it's heavy", "the design is old-fashioned", "it's expensive"], answer: 0
+  },
+  {
+    id: "l4a", level: 4, skill: "listening",
+    audio: "고객님, 주문하신 상품은 현재 재고가 없어서 배송이 일주일 정도 늦어질 예정입니다. 취소를 원하시면 말씀해 주세요.",
+    question: "Why will the delivery be late?",
+    options: ["wrong address", "bad weather", "the item is out of stock", "the payment failed"], answer: 2
+  },
+  {
+    id: "l4b", level: 4, skill: "listening",
+    audio: "이번 주 금요일 회식은 장소가 바뀌었습니다. 회사 앞 식당 대신 역 근처 한식집에서 7시에 모이겠습니다.",
+    question: "What changed about Friday's team dinner?",
+    options: ["the time", "the place", "the day", "it was cancelled"], answer: 1
+  },
+
+  // ---------- 5급 ----------
+  { id: "v5a", level: 5, skill: "vocabulary", question: "정부는 청년 실업 문제를 해결하기 위한 대책을 ___.", options: ["차렸다", "마련했다", "꾸몄다", "담았다"], answer: 1 },
+  { id: "v5b", level: 5, skill: "vocabulary", question: "What does 불가피하다 mean?", options: ["unnecessary", "unfair", "unbelievable", "unavoidable"], answer: 3 },
+  { id: "g5a", level: 5, skill: "grammar", question: "그는 돈이 많___ 늘 검소하게 생활한다.", options: ["음에도 불구하고", "기 때문에", "을 테니까", "다면"], answer: 0 },
+  { id: "g5b", level: 5, skill: "grammar", question: "조금만 늦었으면 기차를 놓칠 ___.", options: ["리가 없었어요", "뻔했어요", "만했어요", "척했어요"], answer: 1 },
+  {
+    id: "r5a", level: 5, skill: "reading",
+    passage: "전문가들은 스마트폰 사용 시간이 늘어날수록 집중력이 떨어질 수 있다고 경고한다. 특히 잠들기 직전의 사용은 수면의 질을 낮추므로 자제하는 것이 바람직하다.",
+    question: "What do the experts recommend?",
+    options: ["using the phone to study", "sleeping fewer hours", "avoiding the phone right before sleep", "switching to a tablet"], answer: 2
+  },
+  {
+    id: "r5b", level: 5, skill: "reading",
+    passage: "지역 축제가 관광객을 끌어들이는 데에는 성공했지만, 쓰레기와 소음 문제로 주민들의 불만이 커지고 있다. 축제가 계속되려면 주민과 함께 살 수 있는 방안이 필요하다.",
+    question: "What is the main point?",
+    options: [
+      "Festivals should be cancelled",
+      "Festivals need solutions that work for residents too",
+      "Tourists don't enjoy festivals",
+      "Festivals should be free"
+    ],
+    answer: 1
+  },
+  {
+    id: "l5a", level: 5, skill: "listening",
+    audio: "이번 조사에 따르면 1인 가구의 절반 이상이 외로움을 느낀다고 답했지만, 혼자 사는 삶에 만족한다는 응답도 60퍼센트에 달했습니다.",
+    question: "What did the survey find?",
+    options: [
+      "Most people living alone want to move",
+      "Fewer people live alone than before",
+      "Loneliness has decreased",
+      "Many feel lonely, yet 60% are satisfied living alone"
+    ],
+    answer: 3
+  },
+  {
+    id: "l5b", level: 5, skill: "listening",
+    audio: "환경 보호를 위해 다음 달부터 매장 내 일회용 컵 사용이 금지됩니다. 개인 컵을 가져오시는 고객께는 300원을 할인해 드립니다.",
+    question: "What do customers get if they bring their own cup?",
+    options: ["a 300 won discount", "a free drink", "a loyalty stamp", "nothing"], answer: 0
+  },
+
+  // ---------- 6급 ----------
+  { id: "v6a", level: 6, skill: "vocabulary", question: "Choose the word closest in meaning to 간과하다.", options: ["살피다", "강조하다", "놓치다", "따지다"], answer: 2 },
+  { id: "v6b", level: 6, skill: "vocabulary", question: "What does 타당하다 mean?", options: ["fragile", "valid, reasonable", "greedy", "lazy"], answer: 1 },
+  { id: "g6a", level: 6, skill: "grammar", question: "경험이 많은 전문가___ 이 문제를 쉽게 해결하기는 어려울 것이다.", options: ["라 할지라도", "이다시피", "이자", "이기에"], answer: 0 },
+  { id: "g6b", level: 6, skill: "grammar", question: "칭찬을 ___ 오히려 꾸중만 들었다.", options: ["받다시피", "받는 한", "받기는커녕", "받을망정"], answer: 2 },
+  {
+    id: "r6a", level: 6, skill: "reading",
+    passage: "인공지능 기술의 발전은 생산성을 높이는 동시에 일자리 감소에 대한 우려를 낳고 있다. 그러나 역사적으로 기술 혁신은 기존 일자리를 대체하는 한편 새로운 직업을 만들어 왔다는 점에서 지나친 비관은 경계할 필요가 있다.",
+    question: "What is the writer's position?",
+    options: [
+      "AI will destroy most jobs",
+      "Too much pessimism is unwarranted, since innovation also creates jobs",
+      "AI development should be stopped",
+      "Productivity no longer matters"
+    ],
+    answer: 1
+  },
+  {
+    id: "r6b", level: 6, skill: "reading",
+    passage: "언어는 단순한 의사소통의 도구가 아니라 그 사회의 가치관과 사고방식을 반영한다. 따라서 외국어를 배운다는 것은 곧 다른 문화를 이해하는 과정이라 할 수 있다.",
+    question: "What does the passage claim?",
+    options: [
+      "Language is only a tool for communication",
+      "Culture has little effect on language",
+      "Foreign languages are too hard to master",
+      "Learning a language means coming to understand another culture"
+    ],
+    answer: 3
+  },
+  {
+    id: "l6a", level: 6, skill: "listening",
+    audio: "전문가들은 저출산 문제를 해결하려면 단순한 현금 지원보다 일과 육아를 병행할 수 있는 사회적 환경을 만드는 것이 우선이라고 강조합니다.",
+    question: "What do the experts emphasize?",
+    options: [
+      "more cash support for families",
+      "shorter working hours only",
+      "a society where work and childcare can go together",
+      "building more schools"
+    ],
+    answer: 2
+  },
+  {
+    id: "l6b", level: 6, skill: "listening",
+    audio: "이번 판결은 개인 정보 보호의 중요성을 재확인했다는 점에서 의미가 크지만, 기업들의 데이터 활용을 지나치게 위축시킬 수 있다는 비판도 제기되고 있습니다.",
+    question: "What criticism of the ruling is mentioned?",
+    options: [
+      "It may hold back companies' use of data too much",
+      "It ignores privacy",
+      "It came too late",
+      "Companies refused to follow it"
+    ],
+    answer: 0
+  }
+];
+
+export function findPlacementItem(id) {
+  return PLACEMENT_ITEMS.find((item) => item.id === id) || null;
+}
+
+export function createPlacementTest() {
+  return {
+    level: START_LEVEL,   // difficulty of the next item
+    current: null,        // id of the item on screen
+    answers: []           // [{ itemId, level, skill, correct }]
+  };
+}
+
+// Picks the next unused item at the current difficulty, preferring the skill
+// whose turn it is, then the nearest level that still has items. null = done.
+export function nextPlacementItem(test) {
+  if (test.answers.length >= PLACEMENT_LENGTH) return null;
+
+  const used = new Set(test.answers.map((a) => a.itemId));
+  const skill = SKILLS[test.answers.length % SKILLS.length];
+  const unused = PLACEMENT_ITEMS.filter((item) => !used.has(item.id));
+
+  for (let distance = 0; distance < 6; distance++) {
+    for (const level of [test.level - distance, test.level + distance]) {
+      const atLevel = unused.filter((item) => item.level === level);
+      const item = atLevel.find((i) => i.skill === skill) || atLevel[0];
+      if (item) {
+        test.current = item.id;
+        return item;
+      }
+    }
+  }
+
+  return null;
+}
+
+export function answerPlacementItem(test, optionIndex) {
+  const item = findPlacementItem(test.current);
+  if (!item) return null;
+
+  const correct = optionIndex === item.answer;
+  test.answers.push({ itemId: item.id, level: item.level, skill: item.skill, correct });
+  test.current = null;
+  test.level = Math.max(1, Math.min(6, test.level + (correct ? 1 : -1)));
+
+  return { item, correct };
+}
+
+// The recommended level is the highest 급 where at least half of the items were right.
+export function placementResult(test) {
+  const byLevel = {};
+  const bySkill = {};
+  for (const skill of SKILLS) {
+    bySkill[skill] = { correct: 0, total: 0 };
+  }
+
+  for (const a of test.answers) {
+    byLevel[a.level] = byLevel[a.level] || { correct: 0, total: 0 };
+    byLevel[a.level].total++;
+    bySkill[a.skill].total++;
+    if (a.correct) {
+      byLevel[a.level].correct++;
+      bySkill[a.skill].correct++;
+    }
+  }
+
+  let level = 1;
+  for (const [lvl, s] of Object.entries(byLevel)) {
+    if (s.correct > 0 && s.correct / s.total >= 0.5) {
+      level = Math.max(level, Number(lvl));
+    }
+  }
+
+  const ranked = SKILLS
+    .filter((skill) => bySkill[skill].total > 0)
+    .sort((a, b) => bySkill[b].correct / bySkill[b].total - bySkill[a].correct / bySkill[a].total);
+
+  let strongest = null;
+  let weakest = null;
+  if (ranked.length >= 2) {
+    const top = bySkill[ranked[0]];
+    const bottom = bySkill[ranked[ranked.length - 1]];
+    if (top.correct / top.total > bottom.correct / bottom.total) {
+      strongest = ranked[0];
+      weakest = ranked[ranked.length - 1];
+    }
+  }
+
+  return {
+    level: String(level),
+    correct: test.answers.filter((a) => a.correct).length,
+    total: test.answers.length,
+    bySkill,
+    strongest,
+    weakest
+  };
+}
+
+export function formatPlacementResult(result) {
+  let msg =
+    `🎯 Placement test finished: ${result.correct}/${result.total} correct.\n\n` +
+    `Recommended level: ${result.level}급\n\n`;
+
+  for (const skill of SKILLS) {
+    const s = result.bySkill[skill];
+    if (s.total > 0) {
+      msg += `${SKILL_LABELS[skill]}: ${s.correct}/${s.total}\n`;
+    }
+  }
+
+  if (result.strongest && result.weakest) {
+    msg +=
+      `\nStrongest: ${SKILL_LABELS[result.strongest]}. ` +
+      `Needs the most work: ${SKILL_LABELS[result.weakest]}.`;
+  } else {
+    msg += "\nYour skills look evenly balanced.";
+  }
+
+  return msg.trim();
+}
@@ -0,0 +1,384 @@
+// Canned responses for the mock provider. Each task has a list; the mock picks
+// one by hashing the prompt, so the same input always gives the same output.
+
+export const defaultFixtures = {
+  reading: [
+    {
+      topic: "Weekend at the park",
+      text: "저는 주말에 친구와 같이 공원에 갔어요. 날씨가 아주 좋았어요. 우리는 김밥을 먹고 자전거를 탔어요. 저녁에는 카페에서 커피를 마셨어요.",
+      questions: [
+        "Where did the writer go on the weekend?",
+        "Who did the writer go with?",
+        "How was the weather?",
+        "What did they eat?",
+        "Where did they drink coffee?"
+      ],
+      vocabulary: [
+        { ko: "주말", en: "weekend" },
+        { ko: "공원", en: "park" },
+        { ko: "날씨", en: "weather" },
+        { ko: "자전거를 타다", en: "to ride a bicycle" },
+        { ko: "마시다", en: "to drink" }
+      ],
+      grammar: [
+        { pattern: "-와/과 같이", meaning: "together with", example: "친구와 같이" },
+        { pattern: "-고", meaning: "and (joins two actions)", example: "김밥을 먹고 자전거를 탔어요" }
+      ],
+      translation: [
+        { ko: "저는 주말에 친구와 같이 공원에 갔어요.", en: "On the weekend I went to the park with a friend." },
+        { ko: "날씨가 아주 좋았어요.", en: "The weather was very nice." },
+        { ko: "우리는 김밥을 먹고 자전거를 탔어요.", en: "We ate kimbap and rode bicycles." },
+        { ko: "저녁에는 카페에서 커피를 마셨어요.", en: "In the evening we drank coffee at a café." }
+      ]
+    },
+    {
+      topic: "Shopping at the market",
+      text: "오늘 어머니와 시장에 갔어요. 시장에는 사람이 많았어요. 우리는 사과와 딸기를 샀어요. 사과는 싸고 맛있었어요. 집에 와서 같이 과일을 먹었어요.",
+      questions: [
+        "Who did the writer go to the market with?",
+        "Were there many people at the market?",
+        "What fruit did they buy?",
+        "How were the apples?",
+        "What did they do after coming home?"
+      ],
+      vocabulary: [
+        { ko: "시장", en: "market" },
+        { ko: "사과", en: "apple" },
+        { ko: "딸기", en: "strawberry" },
+        { ko: "싸다", en: "to be cheap" },
+        { ko: "과일", en: "fruit" }
+      ],
+      grammar: [
+        { pattern: "-에는", meaning: "at/in (topic of a place)", example: "시장에는 사람이 많았어요" },
+        { pattern: "-아서/어서", meaning: "after doing, then", example: "집에 와서" }
+      ],
+      translation: [
+        { ko: "오늘 어머니와 시장에 갔어요.", en: "Today I went to the market with my mother." },
+        { ko: "시장에는 사람이 많았어요.", en: "There were a lot of people at the market." },
+        { ko: "우리는 사과와 딸기를 샀어요.", en: "We bought apples and strawberries." },
+        { ko: "사과는 싸고 맛있었어요.", en: "The apples were cheap and tasty." },
+        { ko: "집에 와서 같이 과일을 먹었어요.", en: "After coming home, we ate the fruit together." }
+      ]
+    }
+  ],
+
+  reading_quiz: [
+    {
+      topic: "Weekend at the park",
+      text: "저는 주말에 친구와 같이 공원에 갔어요. 날씨가 아주 좋았어요. 우리는 김밥을 먹고 자전거를 탔어요. 저녁에는 카페에서 커피를 마셨어요.",
+      items: [
+        {
+          type: "multiple_choice",
+          question: "Where did the writer go on the weekend?",
+          options: ["To the beach", "To the park", "To a museum", "To school"],
+          answer: 1,
+          explanation: "공원에 갔어요 — they went to the park."
+        },
+        {
+          type: "true_false",
+          question: "The weather was bad.",
+          options: ["True", "False"],
+          answer: 1,
+          explanation: "날씨가 아주 좋았어요 — the weather was very good."
+        },
+        {
+          type: "multiple_choice",
+          question: "What did they eat?",
+          options: ["Ramyun", "Bibimbap", "Kimbap", "Tteokbokki"],
+          answer: 2,
+          explanation: "김밥을 먹고 — they ate kimbap."
+        },
+        {
+          type: "true_false",
+          question: "They rode bicycles.",
+          options: ["True", "False"],
+          answer: 0,
+          explanation: "자전거를 탔어요 — they rode bicycles."
+        },
+        {
+          type: "multiple_choice",
+          question: "Where did they drink coffee?",
+          options: ["At home", "At the park", "At a friend's house", "At a café"],
+          answer: 3,
+          explanation: "카페에서 커피를 마셨어요 — at a café."
+        }
+      ],
+      vocabulary: [
+        { ko: "공원", en: "park" },
+        { ko: "자전거를 타다", en: "to ride a bicycle" }
+      ],
+      grammar: [
+        { pattern: "-와/과 같이", meaning: "together with", example: "친구와 같이" },
+        { pattern: "-고", meaning: "and (joins two actions)", example: "김밥을 먹고 자전거를 탔어요" }
+      ],
+      translation: [
+        { ko: "저는 주말에 친구와 같이 공원에 갔어요.", en: "On the weekend I went to the park with a friend." },
+        { ko: "날씨가 아주 좋았어요.", en: "The weather was very nice." },
+        { ko: "우리는 김밥을 먹고 자전거를 탔어요.", en: "We ate kimbap and rode bicycles." },
+        { ko: "저녁에는 카페에서 커피를 마셨어요.", en: "In the evening we drank coffee at a café." }
+      ]
+    }
+  ],
+
+  reading_eval: [
+    {
+      score: 7,
+      per_question: [
+        { number: 1, correct: true, comment: "Correct." },
+        { number: 2, correct: true, comment: "Correct." },
+        { number: 3, correct: false, comment: "Look at the second sentence again." },
+        { number: 4, correct: true, comment: "Correct." },
+        { number: 5, correct: true, comment: "Correct." }
+      ],
+      overall_feedback: "Good job! Read the text once more and pay attention to the details."
+    }
+  ],
+
+  listening: [
+    {
+      topic: "Weekend plans",
+      lines: [
+        { speaker: "woman", text: "민수 씨, 이번 주말에 뭐 해요?" },
+        { speaker: "man", text: "토요일에 친구하고 등산을 가요." },
+        { speaker: "woman", text: "와, 좋겠어요. 어느 산에 가요?" },
+        { speaker: "man", text: "북한산에 가요. 지수 씨도 같이 갈래요?" }
+      ],
+      questions: [
+        "What is the man doing on Saturday?",
+        "Who is he going with?",
+        "Which mountain are they going to?",
+        "What does the man suggest to the woman?",
+        "How does the woman react to his plan?"
+      ],
+      vocabulary: [
+        { ko: "주말", en: "weekend" },
+        { ko: "등산", en: "hiking" },
+        { ko: "산", en: "mountain" },
+        { ko: "같이", en: "together" }
+      ]
+    }
+  ],
+
+  listening_quiz: [
+    {
+      topic: "At the cafe",
+      lines: [
+        { speaker: "man", text: "어서 오세요. 뭐 드릴까요?" },
+        { speaker: "woman", text: "따뜻한 라테 한 잔 주세요." },
+        { speaker: "man", text: "여기서 드시고 가세요?" },
+        { speaker: "woman", text: "아니요, 가지고 갈게요." }
+      ],
+      items: [
+        {
+          type: "multiple_choice",
+          question: "Where does the conversation take place?",
+          options: ["A bank", "A cafe", "A school", "A hospital"],
+          answer: 1,
+          explanation: "The man takes a drink order."
+        },
+        {
+          type: "true_false",
+          question: "The woman orders an iced drink.",
+          options: ["True", "False"],
+          answer: 1,
+          explanation: "She asks for a warm (따뜻한) latte."
+        },
+        {
+          type: "multiple_choice",
+          question: "How many drinks does the woman order?",
+          options: ["Three", "Two", "One", "Four"],
+          answer: 2,
+          explanation: "라테 한 잔 = one latte."
+        },
+        {
+          type: "true_false",
+          question: "The woman will take her drink with her.",
+          options: ["True", "False"],
+          answer: 0,
+          explanation: "가지고 갈게요 — she'll take it to go."
+        },
+        {
+          type: "multiple_choice",
+          question: "Who is the man?",
+          options: ["Her friend", "A teacher", "A doctor", "The cafe staff"],
+          answer: 3,
+          explanation: "He greets her with 어서 오세요 and takes her order."
+        }
+      ],
+      vocabulary: [
+        { ko: "따뜻하다", en: "to be warm" },
+        { ko: "잔", en: "cup (counter)" },
+        { ko: "가지고 가다", en: "to take away" }
+      ]
+    }
+  ],
+
+  free_chat: [
+    {
+      korean: "안녕하세요! 저는 한그램이에요. 서울에서 대학교에 다녀요. 오늘 뭐 했어요?",
+      english_translation: "Hi! I'm Hangram. I go to university in Seoul. What did you do today?",
+      corrections: []
+    },
+    {
+      korean: "와, 재미있네요! 주말에는 보통 뭐 해요?",
+      english_translation: "Wow, that's fun! What do you usually do on weekends?",
+      corrections: [
+        {
+          original: "저는 학생이에요 입니다",
+          corrected: "저는 학생이에요",
+          explanation_ru: "Use only one ending: 이에요 or 입니다.",
+          pattern: "polite endings"
+        }
+      ]
+    }
+  ],
+
+  summary: [
+    {
+      summary: "The student is a university student who likes Korean food and watched a drama last weekend. Hangram asked about their hobbies and weekend plans."
+    }
+  ],
+
+  scenario_turn: [
+    {
+      korean: "어서 오세요! 주문하시겠어요?",
+      english_translation: "Welcome! Would you like to order?",
+      goals_completed: [],
+      hint: "Try ordering a drink: 아이스 아메리카노 주세요."
+    },
+    {
+      korean: "네, 알겠습니다. 다른 건 필요하세요?",
+      english_translation: "Sure. Do you need anything else?",
+      goals_completed: [1, 2],
+      hint: "Now try to finish the remaining goals."
+    }
+  ],
+
+  scenario_eval: [
+    {
+      score: 8,
+      per_goal: [
+        { number: 1, achieved: true, comment: "Clear and polite." },
+        { number: 2, achieved: true, comment: "Good use of 주세요." }
+      ],
+      corrections: [
+        { original: "카드로 계산해요", corrected: "카드로 계산할게요", explanation: "-ㄹ게요 sounds more natural when you tell the staff what you will do.", pattern: "future -ㄹ게요" }
+      ],
+      useful_phrases: ["사이즈 업 해 주세요 — Please size it up", "여기서 먹고 갈게요 — I'll eat here"],
+      overall_feedback: "Great job, you sounded natural and polite!"
+    }
+  ],
+
+  dictation: [
+    {
+      topic: "School day",
+      sentences: [
+        "저는 학교에 갔어요.",
+        "날씨가 좋아요.",
+        "친구를 만났어요."
+      ]
+    }
+  ],
+
+  shadowing: [
+    {
+      sentences: [
+        { korean: "저는 커피를 좋아해요.", english: "I like coffee." },
+        { korean: "지하철역이 어디예요?", english: "Where is the subway station?" },
+        { korean: "주말에 친구를 만났어요.", english: "I met a friend on the weekend." }
+      ]
+    }
+  ],
+
+  mistake_drill: [
+    {
+      items: [
+        {
+          pattern: "particle 을/를",
+          prompt: "Fill in the blank: 저는 사과___ 좋아해요. (I like apples.)",
+          answer: "를",
+          explanation: "사과 ends in a vowel, so it takes 를."
+        },
+        {
+          pattern: "particle 을/를",
+          prompt: "Fix the mistake: 동생이 책이 읽어요.",
+          answer: "동생이 책을 읽어요.",
+          explanation: "읽다 takes an object, so 책 needs 을."
+        },
+        {
+          pattern: "polite endings",
+          prompt: "Fix the mistake: 저는 의사예요 입니다.",
+          answer: "저는 의사예요.",
+          explanation: "Use only one ending: 예요 or 입니다."
+        }
+      ]
+    }
+  ],
+
+  writing: [
+    {
+      title: "직장인의 여가 활동",
+      instructions: "Write about what you did last weekend: where you went, who you met and how it was.",
+      passage: "저는 다음 주에 이사를 합니다. 그래서 (㉠). 이삿짐이 많지 않으니까 (㉡).",
+      data: ["조사 대상: 직장인 500명", "1위 운동 45%, 2위 여행 30%, 3위 독서 15%"],
+      guide_questions: ["여가 활동은 왜 필요한가?", "바람직한 여가 활동은 무엇인가?"]
+    }
+  ],
+
+  writing_eval: [
+    {
+      criteria: [
+        { key: "content", score: 3, comment: "You described your weekend clearly." },
+        { key: "organization", score: 2, comment: "Good order of events." },
+        { key: "language", score: 2, comment: "Watch particles and past tense." }
+      ],
+      corrections: [
+        { original: "친구가 만났어요", corrected: "친구를 만났어요", explanation: "만나다 takes 을/를.", pattern: "particle 을/를" },
+        { original: "재미있어요", corrected: "재미있었어요", explanation: "Use the past tense for last weekend.", pattern: "past tense" }
+      ],
+      model_answer: "지난 주말에 친구를 만났어요. 같이 영화를 보고 저녁을 먹었어요. 정말 재미있었어요.",
+      overall_feedback: "Nice diary! Keep an eye on particles and tense."
+    }
+  ],
+
+  grammar_review: [
+    {
+      correct: true,
+      feedback: "That works too — a natural way to use the pattern.",
+      corrected: ""
+    }
+  ],
+
+  speaking: [
+    {
+      topic: "Favorite food",
+      prompt_ko: "요즘 제일 좋아하는 음식이 뭐예요? 왜 좋아하는지 이야기해 주세요.",
+      prompt_ru: "Tell me about your favorite food these days and why you like it."
+    },
+    {
+      topic: "Weekend plans",
+      prompt_ko: "이번 주말에 뭐 할 거예요? 누구하고 같이 할 거예요?",
+      prompt_ru: "Talk about your plans for this weekend and who you will spend it with."
+    }
+  ],
+
+  speaking_eval: [
+    {
+      score: 6,
+      feedback: "Nice try! Your sentences are understandable. Try to use more connecting words like 그래서 and 그리고.",
+      sample_answer_ko: "저는 김치찌개를 제일 좋아해요. 맵지만 정말 맛있어요. 그래서 일주일에 한 번 먹어요.",
+      mistakes: [
+        {
+          original: "김치찌개가 좋아해요",
+          corrected: "김치찌개를 좋아해요",
+          explanation: "좋아하다 takes an object, so use 을/를.",
+          pattern: "particle 을/를"
+        }
+      ]
+    }
+  ],
+
+  transcripts: [
+    "저는 김치찌개를 좋아해요. 맛있어요."
+  ]
+};
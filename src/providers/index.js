@@ -0,0 +1,79 @@
+import { createOpenAIProvider } from "./openai.js";
+import { createMockProvider } from "./mock.js";
+
+// A provider implements:
+//   generateText({ task, prompt })      -> string (raw model output)
+//   synthesizeSpeech({ text, voice })   -> Buffer (mp3)
+//   mixAudio({ clips, pauseMs, tempo }) -> Buffer (mp3): clips joined with pauses, tempo 0.5–2
+//   transcribeAudio({ fileUrl })        -> string
+//
+// task is one of "reading", "reading_quiz", "reading_eval", "listening", "listening_quiz", "free_chat",
+// "summary", "scenario_turn", "scenario_eval", "dictation", "shadowing", "mistake_drill", "writing",
+// "writing_eval", "grammar_review", "speaking", "speaking_eval".
+
+const DEFAULT_MODELS = {
+  text: "gpt-4.1-mini",
+  tts: "gpt-4o-mini-tts",
+  stt: "gpt-4o-mini-transcribe"
+};
+
+// AI_MODEL_<TASK> overrides the model for one task, AI_MODEL_TEXT for all text tasks
+const TASK_MODEL_VARS = {
+  reading: "AI_MODEL_READING",
+  reading_quiz: "AI_MODEL_READING_QUIZ",
+  reading_eval: "AI_MODEL_READING_EVAL",
+  listening: "AI_MODEL_LISTENING",
+  listening_quiz: "AI_MODEL_LISTENING_QUIZ",
+  free_chat: "AI_MODEL_FREE_CHAT",
+  summary: "AI_MODEL_SUMMARY",
+  scenario_turn: "AI_MODEL_SCENARIO_TURN",
+  scenario_eval: "AI_MODEL_SCENARIO_EVAL",
+  dictation: "AI_MODEL_DICTATION",
+  shadowing: "AI_MODEL_SHADOWING",
+  mistake_drill: "AI_MODEL_MISTAKE_DRILL",
+  writing: "AI_MODEL_WRITING",
+  writing_eval: "AI_MODEL_WRITING_EVAL",
+  grammar_review: "AI_MODEL_GRAMMAR_REVIEW",
+  speaking: "AI_MODEL_SPEAKING",
+  speaking_eval: "AI_MODEL_SPEAKING_EVAL"
+};
+
+export function loadAIConfig(env = process.env) {
+  const models = {
+    text: env.AI_MODEL_TEXT || DEFAULT_MODELS.text,
+    tts: env.AI_MODEL_TTS || DEFAULT_MODELS.tts,
+    stt: env.AI_MODEL_STT || DEFAULT_MODELS.stt
+  };
+
+  for (const [task, varName] of Object.entries(TASK_MODEL_VARS)) {
+    if (env[varName]) {
+      models[task] = env[varName];
+    }
+  }
+
+  return {
+    provider: (env.AI_PROVIDER || "openai").toLowerCase(),
+    apiKey: env.AI_API_KEY || env.OPENAI_API_KEY,
+    baseURL: env.AI_BASE_URL || null,
+    textApi: (env.AI_TEXT_API || "responses").toLowerCase(),   // "responses" | "chat"
+    ttsVoice: env.AI_TTS_VOICE || "alloy",
+    fixturesPath: env.AI_MOCK_FIXTURES || null,
+    models
+  };
+}
+
+export function createProvider(config = loadAIConfig()) {
+  if (config.provider === "mock") {
+    return createMockProvider(config);
+  }
+
+  if (config.provider === "openai") {
+    // local OpenAI-compatible servers usually don't check the key
+    if (!config.apiKey && !config.baseURL) {
+      throw new Error("OPENAI_API_KEY (or AI_API_KEY) is not set");
+    }
+    return createOpenAIProvider({ ...config, apiKey: config.apiKey || "not-needed" });
+  }
+
+  throw new Error(`Unknown AI_PROVIDER: ${config.provider}`);
+}
@@ -0,0 +1,55 @@
+import fs from "fs";
+import { defaultFixtures } from "./fixtures.js";
+
+// Offline provider: no network, no API key. Responses come from fixtures
+// and are picked deterministically from the input.
+
+function hashString(str) {
+  let hash = 0;
+  for (let i = 0; i < str.length; i++) {
+    hash = (hash * 31 + str.charCodeAt(i)) | 0;
+  }
+  return Math.abs(hash);
+}
+
+function pick(list, key) {
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error("Mock provider has no fixture for this task");
+  }
+  return list[hashString(key || "") % list.length];
+}
+
+export function loadFixtures(filePath) {
+  if (!filePath) return defaultFixtures;
+  const custom = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  return { ...defaultFixtures, ...custom };
+}
+
+export function createMockProvider(config = {}) {
+  const fixtures = config.fixtures || loadFixtures(config.fixturesPath);
+
+  return {
+    name: "mock",
+    fixtures,
+
+    async generateText({ task, prompt }) {
+      const fixture = pick(fixtures[task], prompt);
+      return typeof fixture === "string" ? fixture : JSON.stringify(fixture);
+    },
+
+    async synthesizeSpeech({ text, voice }) {
+      // not playable audio, just something stable to send around in tests
+      return Buffer.from(`MOCK-AUDIO:${voice || "alloy"}:${text}`, "utf8");
+    },
+
+    // keeps every clip readable, so tests can see what was joined and at what tempo
+    async mixAudio({ clips, pauseMs = 0, tempo = 1 }) {
+      const parts = clips.map((clip) => clip.toString("utf8"));
+      return Buffer.from(`MOCK-MIX:${tempo}:${pauseMs}:${parts.join("|")}`, "utf8");
+    },
+
+    async transcribeAudio({ fileUrl }) {
+      return pick(fixtures.transcripts, fileUrl);
+    }
+  };
+}
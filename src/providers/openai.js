@@ -0,0 +1,89 @@
+import OpenAI from "openai";
+import fetch from "node-fetch";
+import fs from "fs";
+import path from "path";
+import { convertToMp3, mixClips } from "../audio.js";
+
+// Works with api.openai.com and any OpenAI-compatible server (AI_BASE_URL).
+export function createOpenAIProvider(config) {
+  const client = new OpenAI({
+    apiKey: config.apiKey,
+    baseURL: config.baseURL || undefined
+  });
+
+  return {
+    name: config.baseURL ? `openai-compatible (${config.baseURL})` : "openai",
+
+    async generateText({ task, prompt }) {
+      const model = config.models[task] || config.models.text;
+
+      // many local servers only implement chat completions
+      if (config.textApi === "chat") {
+        const completion = await client.chat.completions.create({
+          model,
+          messages: [{ role: "user", content: prompt }]
+        });
+        return completion.choices?.[0]?.message?.content || "";
+      }
+
+      const response = await client.responses.create({
+        model,
+        input: prompt
+      });
+      return response.output_text;
+    },
+
+    async synthesizeSpeech({ text, voice }) {
+      const response = await client.audio.speech.create({
+        model: config.models.tts,
+        voice: voice || config.ttsVoice,
+        input: text
+      });
+
+      return Buffer.from(await response.arrayBuffer());
+    },
+
+    async mixAudio({ clips, pauseMs, tempo }) {
+      return mixClips({ clips, pauseMs, tempo });
+    },
+
+    async transcribeAudio({ fileUrl }) {
+      // 1) Download .oga from Telegram
+      const res = await fetch(fileUrl);
+      if (!res.ok) {
+        throw new Error(`Failed to download audio: ${res.status} ${res.statusText}`);
+      }
+
+      const arrayBuffer = await res.arrayBuffer();
+      const inputBuffer = Buffer.from(arrayBuffer);
+
+      // 2) Create temporary files
+      const tmpDir = path.join(process.cwd(), "tmp");
+      await fs.promises.mkdir(tmpDir, { recursive: true });
+
+      const ts = Date.now();
+      const oggPath = path.join(tmpDir, `input-${ts}.oga`);
+      const mp3Path = path.join(tmpDir, `output-${ts}.mp3`);
+
+      await fs.promises.writeFile(oggPath, inputBuffer);
+
+      try {
+        // 3) Convert .oga → .mp3 via ffmpeg
+        await convertToMp3(oggPath, mp3Path);
+
+        // 4) Send mp3 for transcription
+        const transcription = await client.audio.transcriptions.create({
+          model: config.models.stt,
+          file: fs.createReadStream(mp3Path),
+          response_format: "json"
+        });
+
+        return transcription && transcription.text ? transcription.text : "";
+      } finally {
+        // 5) Delete temporary files
+        fs.promises.unlink(oggPath).catch(() => {});
+        fs.promises.unlink(mp3Path).catch(() => {});
+      }
+    }
+  };
+}
@@ -0,0 +1,61 @@
+// Per-user job queue: jobs of one user run one after another, different users run in parallel.
+// Each job may carry a key (e.g. the callback data of a button) so repeated taps
+// of the same button can be recognised while the first one is still queued or running.
+
+export function createUserQueue({ maxPending = 3 } = {}) {
+  const users = new Map();   // userId -> { tail, keys, size }
+
+  function entry(userId) {
+    let e = users.get(userId);
+    if (!e) {
+      e = { tail: Promise.resolve(), keys: new Map(), size: 0 };
+      users.set(userId, e);
+    }
+    return e;
+  }
+
+  return {
+    isBusy(userId) {
+      const e = users.get(userId);
+      return Boolean(e && e.size > 0);
+    },
+
+    isFull(userId) {
+      const e = users.get(userId);
+      return Boolean(e && e.size >= maxPending);
+    },
+
+    has(userId, key) {
+      const e = users.get(userId);
+      return Boolean(key && e && e.keys.has(key));
+    },
+
+    run(userId, key, job) {
+      const e = entry(userId);
+
+      e.size += 1;
+      if (key) {
+        e.keys.set(key, (e.keys.get(key) || 0) + 1);
+      }
+
+      const result = e.tail.then(() => job());
+
+      // the chain itself never rejects, so one failed job doesn't block the next
+      e.tail = result
+        .catch(() => {})
+        .finally(() => {
+          e.size -= 1;
+          if (key) {
+            const left = e.keys.get(key) - 1;
+            if (left > 0) e.keys.set(key, left);
+            else e.keys.delete(key);
+          }
+          if (e.size === 0) {
+            users.delete(userId);
+          }
+        });
+
+      return result;
+    }
+  };
+}
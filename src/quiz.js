@@ -0,0 +1,68 @@
+// Button quizzes for reading and listening: answer keys come with the exercise,
+// so grading is local and always gives the same result for the same answers.
+
+const OPTION_LETTERS = ["A", "B", "C", "D"];
+
+export function optionLabel(item, optionIndex) {
+  if (item.type === "true_false") {
+    return item.options[optionIndex];
+  }
+  return `${OPTION_LETTERS[optionIndex]}) ${item.options[optionIndex]}`;
+}
+
+export function formatQuizQuestion(item, index, total) {
+  let msg = `Question ${index + 1}/${total}\n${item.question}`;
+
+  if (item.type === "multiple_choice") {
+    msg += "\n\n" + item.options.map((_, idx) => optionLabel(item, idx)).join("\n");
+  } else {
+    msg += "\n\n(True or false?)";
+  }
+
+  return msg;
+}
+
+// answers: chosen option index per question (null if skipped)
+export function scoreQuiz(items, answers) {
+  const perQuestion = items.map((item, idx) => {
+    const chosen = answers[idx] ?? null;
+    return {
+      number: idx + 1,
+      correct: chosen === item.answer,
+      chosen,
+      answer: item.answer,
+      explanation: item.explanation || ""
+    };
+  });
+
+  const correct = perQuestion.filter((q) => q.correct).length;
+  const total = items.length;
+
+  return {
+    correct,
+    total,
+    // same 0–10 scale as the LLM-graded exercises
+    score: total > 0 ? Math.round((correct / total) * 10) : 0,
+    perQuestion
+  };
+}
+
+export function formatQuizResult(items, result) {
+  let msg = `Question-by-question breakdown (${result.correct}/${result.total} correct):\n`;
+
+  for (const q of result.perQuestion) {
+    const item = items[q.number - 1];
+    const emoji = q.correct ? "✅" : "❌";
+    msg += `\n${emoji} Question ${q.number}: ${item.question}\n`;
+
+    if (!q.correct) {
+      const yours = q.chosen === null ? "no answer" : optionLabel(item, q.chosen);
+      msg += `Your answer: ${yours}\nCorrect: ${optionLabel(item, q.answer)}\n`;
+    }
+    if (q.explanation) {
+      msg += `${q.explanation}\n`;
+    }
+  }
+
+  return msg.trim();
+}
@@ -0,0 +1,89 @@
+// Practice reminders. Settings and "already sent today" live in the sessions,
+// so a restart just picks up where it left off: anything due and not sent yet
+// goes out on the first tick.
+
+import { isReminderDue, markReminderSent, streakStatus, GOAL_TYPES } from "./streaks.js";
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+export function reminderText(streak, now = Date.now()) {
+  const status = streakStatus(streak, now);
+  const done = status.goal.type === "points" ? status.today.points : status.today.exercises;
+  const left = Math.max(0, status.goal.target - done);
+
+  let msg = "⏰ Time for a little Korean practice!\n";
+  msg += status.current > 0
+    ? `🔥 Keep your ${status.current}-day streak going: `
+    : "🎯 Start a new streak today: ";
+  msg += `${left} more ${GOAL_TYPES[status.goal.type]} to reach today's goal.`;
+
+  return msg;
+}
+
+export function createReminderScheduler({
+  telegram,
+  listSessions,
+  save,
+  intervalMs = CHECK_INTERVAL_MS,
+  now = () => Date.now(),
+  log = () => {},
+  errorLog = () => {}
+}) {
+  let timer = null;
+  let running = false;
+
+  async function tick() {
+    // a slow send shouldn't let two ticks overlap
+    if (running) return 0;
+    running = true;
+
+    let sent = 0;
+    try {
+      for (const [userId, session] of listSessions()) {
+        const streak = session.streak;
+        const at = now();
+        if (!streak || !isReminderDue(streak, at)) continue;
+
+        try {
+          await telegram.sendMessage(userId, reminderText(streak, at));
+          markReminderSent(streak, at);
+          sent++;
+        } catch (err) {
+          // the user blocked the bot: stop trying
+          if (err.response && err.response.error_code === 403) {
+            streak.reminder.enabled = false;
+            sent++;
+          }
+          errorLog(`Failed to send reminder to ${userId}:`, err.message || err);
+        }
+      }
+
+      if (sent > 0) {
+        await save();
+        log(`Sent ${sent} reminder(s)`);
+      }
+    } finally {
+      running = false;
+    }
+
+    return sent;
+  }
+
+  return {
+    tick,
+
+    start() {
+      if (timer) return;
+      timer = setInterval(() => {
+        tick().catch((err) => errorLog("Reminder tick failed:", err));
+      }, intervalMs);
+      timer.unref();
+      tick().catch((err) => errorLog("Reminder tick failed:", err));
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
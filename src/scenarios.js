@@ -0,0 +1,160 @@
+// Role-play scenarios for "🎭 Role-play" mode.
+// A goal is only given to learners at or above its minLevel, so the same
+// situation gets richer as the level goes up.
+
+export const SCENARIOS = [
+  {
+    id: "cafe",
+    title: "Ordering at a café",
+    minLevel: 1,
+    botRole: "a barista at a busy café in Seoul",
+    setting: "The learner walks up to the counter to order a drink.",
+    goals: [
+      { text: "Order an iced americano", minLevel: 1 },
+      { text: "Ask for a bigger size", minLevel: 1 },
+      { text: "Say whether it's for here or to go", minLevel: 2 },
+      { text: "Pay by card", minLevel: 1 },
+      { text: "Ask for less ice or an extra shot", minLevel: 3 }
+    ]
+  },
+  {
+    id: "subway",
+    title: "Buying a subway card",
+    minLevel: 1,
+    botRole: "a station employee at the information desk of a Seoul subway station",
+    setting: "The learner has just arrived in Seoul and needs a transportation card.",
+    goals: [
+      { text: "Ask where you can buy a T-money card", minLevel: 1 },
+      { text: "Buy a card", minLevel: 1 },
+      { text: "Top it up with 10,000 won", minLevel: 2 },
+      { text: "Ask which line goes to Gangnam", minLevel: 2 },
+      { text: "Ask how long the trip takes", minLevel: 3 }
+    ]
+  },
+  {
+    id: "restaurant",
+    title: "Eating at a restaurant",
+    minLevel: 1,
+    botRole: "a friendly server at a Korean restaurant",
+    setting: "The learner sits down at a table and wants to eat dinner.",
+    goals: [
+      { text: "Ask for the menu or a recommendation", minLevel: 1 },
+      { text: "Order two dishes", minLevel: 1 },
+      { text: "Ask for it not to be too spicy", minLevel: 2 },
+      { text: "Ask for more side dishes (반찬)", minLevel: 2 },
+      { text: "Ask for the bill and pay", minLevel: 1 }
+    ]
+  },
+  {
+    id: "hotel",
+    title: "Checking into a hotel",
+    minLevel: 2,
+    botRole: "a receptionist at a hotel in Busan",
+    setting: "The learner arrives at the hotel with a reservation.",
+    goals: [
+      { text: "Say you have a reservation and give your name", minLevel: 2 },
+      { text: "Ask what time breakfast is", minLevel: 2 },
+      { text: "Ask for the Wi-Fi password", minLevel: 2 },
+      { text: "Ask for a room with an ocean view", minLevel: 3 },
+      { text: "Ask to store your luggage after check-out", minLevel: 4 }
+    ]
+  },
+  {
+    id: "doctor",
+    title: "Seeing a doctor",
+    minLevel: 3,
+    botRole: "a doctor at a small neighborhood clinic",
+    setting: "The learner has not been feeling well for a few days.",
+    goals: [
+      { text: "Describe your symptoms (fever, headache, cough)", minLevel: 3 },
+      { text: "Say since when you have been sick", minLevel: 3 },
+      { text: "Mention a medicine you are allergic to", minLevel: 4 },
+      { text: "Ask how often to take the medicine", minLevel: 3 },
+      { text: "Ask for a medical certificate for work or school", minLevel: 5 }
+    ]
+  },
+  {
+    id: "salon",
+    title: "Booking a hair salon by phone",
+    minLevel: 3,
+    botRole: "a receptionist answering the phone at a hair salon",
+    setting: "The learner calls the salon to make an appointment.",
+    goals: [
+      { text: "Say you want to make a reservation", minLevel: 3 },
+      { text: "Choose a day and time", minLevel: 3 },
+      { text: "Explain what you want done (cut, perm, color)", minLevel: 3 },
+      { text: "Ask how much it costs", minLevel: 3 },
+      { text: "Ask for a specific stylist", minLevel: 4 }
+    ]
+  },
+  {
+    id: "lost",
+    title: "Reporting a lost item",
+    minLevel: 4,
+    botRole: "a police officer at a local police box (파출소)",
+    setting: "The learner left their wallet in a taxi an hour ago.",
+    goals: [
+      { text: "Explain what you lost", minLevel: 4 },
+      { text: "Describe the item in detail", minLevel: 4 },
+      { text: "Explain when and where you lost it", minLevel: 4 },
+      { text: "Give your contact information", minLevel: 4 },
+      { text: "Ask what to do if it isn't found", minLevel: 5 }
+    ]
+  },
+  {
+    id: "interview",
+    title: "Job interview",
+    minLevel: 5,
+    botRole: "an interviewer at a Korean company, polite and formal",
+    setting: "The learner is interviewing for a marketing position.",
+    goals: [
+      { text: "Introduce yourself formally", minLevel: 5 },
+      { text: "Explain why you applied to this company", minLevel: 5 },
+      { text: "Describe a strength with an example", minLevel: 5 },
+      { text: "Answer a question about a past difficulty", minLevel: 5 },
+      { text: "Ask the interviewer a question about the job", minLevel: 6 }
+    ]
+  }
+];
+
+export function scenariosForLevel(level) {
+  const lvl = Number(level) || 1;
+  return SCENARIOS.filter((s) => s.minLevel <= lvl);
+}
+
+export function findScenario(id) {
+  return SCENARIOS.find((s) => s.id === id) || null;
+}
+
+export function goalsForLevel(scenario, level) {
+  const lvl = Number(level) || 1;
+  return scenario.goals
+    .filter((g) => g.minLevel <= lvl)
+    .map((g) => ({ text: g.text, done: false }));
+}
+
+// goal numbers are 1-based, as the model sees them
+export function markGoalsDone(goals, numbers) {
+  const newlyDone = [];
+  for (const n of numbers || []) {
+    const goal = goals[Number(n) - 1];
+    if (goal && !goal.done) {
+      goal.done = true;
+      newlyDone.push(goal);
+    }
+  }
+  return newlyDone;
+}
+
+const MAX_LEARNER_TURNS = 10;
+
+// "goals" once every goal is done, "turns" when the learner has used up the scene, else null
+export function scenarioEnd(goals, history) {
+  if (goals.every((g) => g.done)) return "goals";
+  const learnerTurns = history.filter((t) => t.role === "user").length;
+  return learnerTurns >= MAX_LEARNER_TURNS ? "turns" : null;
+}
+
+export function formatGoals(goals) {
+  return goals.map((g, idx) => `${g.done ? "✅" : "⬜"} ${idx + 1}. ${g.text}`).join("\n");
+}
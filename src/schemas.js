@@ -0,0 +1,432 @@
+// Declared shapes for every JSON response we ask the model for.
+// checkValue() validates and normalizes in one pass: recoverable problems
+// (numeric strings, extra items, missing optional fields) are fixed,
+// everything else is reported so the request can be retried with the errors.
+
+export class SchemaError extends Error {
+  constructor(schemaName, errors) {
+    super(`${schemaName}: ${errors.join("; ")}`);
+    this.name = "SchemaError";
+    this.errors = errors;
+  }
+}
+
+// ---------- Spec helpers ----------
+const str = (opts = {}) => ({ type: "string", required: true, ...opts });
+const optStr = (opts = {}) => ({ type: "string", required: false, default: "", ...opts });
+const int = (opts = {}) => ({ type: "integer", required: true, ...opts });
+const bool = (opts = {}) => ({ type: "boolean", required: true, ...opts });
+const arr = (items, opts = {}) => ({ type: "array", required: true, items, ...opts });
+const obj = (fields, opts = {}) => ({ type: "object", required: true, fields, ...opts });
+
+function checkValue(spec, value, path, errors) {
+  if (value === undefined || value === null) {
+    if (spec.required) {
+      errors.push(`${path} is missing`);
+      return undefined;
+    }
+    return typeof spec.default === "function" ? spec.default() : spec.default;
+  }
+
+  switch (spec.type) {
+    case "string": {
+      if (typeof value === "number") value = String(value);
+      if (typeof value !== "string") {
+        errors.push(`${path} must be a string`);
+        return undefined;
+      }
+      const trimmed = value.trim();
+      if (spec.required && trimmed.length === 0) {
+        errors.push(`${path} must not be empty`);
+      }
+      return trimmed;
+    }
+
+    case "integer": {
+      let n = value;
+      if (typeof n === "string") {
+        // "8", "8/10", "score: 8"
+        const match = n.match(/-?\d+(\.\d+)?/);
+        n = match ? Number(match[0]) : NaN;
+      }
+      if (typeof n !== "number" || !Number.isFinite(n)) {
+        errors.push(`${path} must be an integer`);
+        return undefined;
+      }
+      n = Math.round(n);
+      if (spec.min !== undefined && n < spec.min) {
+        errors.push(`${path} must be >= ${spec.min} (got ${n})`);
+      }
+      if (spec.max !== undefined && n > spec.max) {
+        errors.push(`${path} must be <= ${spec.max} (got ${n})`);
+      }
+      return n;
+    }
+
+    case "boolean": {
+      if (typeof value === "boolean") return value;
+      if (value === "true" || value === "yes" || value === 1) return true;
+      if (value === "false" || value === "no" || value === 0) return false;
+      errors.push(`${path} must be true or false`);
+      return undefined;
+    }
+
+    case "array": {
+      if (!Array.isArray(value)) {
+        errors.push(`${path} must be an array`);
+        return undefined;
+      }
+      let list = value;
+      if (spec.maxItems !== undefined && list.length > spec.maxItems) {
+        list = list.slice(0, spec.maxItems);
+      }
+      const out = list.map((item, idx) => checkValue(spec.items, item, `${path}[${idx}]`, errors));
+      if (spec.minItems !== undefined && out.length < spec.minItems) {
+        errors.push(`${path} must have at least ${spec.minItems} items (got ${out.length})`);
+      }
+      return out;
+    }
+
+    case "object": {
+      if (typeof value !== "object" || Array.isArray(value)) {
+        errors.push(`${path} must be an object`);
+        return undefined;
+      }
+      const out = {};
+      for (const [key, fieldSpec] of Object.entries(spec.fields)) {
+        const v = checkValue(fieldSpec, value[key], path ? `${path}.${key}` : key, errors);
+        if (v !== undefined) out[key] = v;
+      }
+      return out;
+    }
+
+    default:
+      throw new Error(`Unknown spec type: ${spec.type}`);
+  }
+}
+
+// ---------- Shared parts ----------
+const quizItems = arr(
+  obj({
+    type: str(),
+    question: str(),
+    options: arr(str(), { required: false, default: () => [], maxItems: 4 }),
+    answer: int({ min: 0 }),
+    explanation: optStr()
+  }),
+  { minItems: 5, maxItems: 5 }
+);
+
+const vocabulary = arr(obj({ ko: str(), en: optStr() }), { required: false, default: () => [], maxItems: 10 });
+
+// reading help the learner can open on demand
+const grammarPoints = arr(obj({ pattern: str(), meaning: str(), example: optStr() }), {
+  required: false,
+  default: () => [],
+  maxItems: 5
+});
+const translation = arr(obj({ ko: str(), en: str() }), { required: false, default: () => [], maxItems: 12 });
+const dialogueLines = arr(obj({ speaker: str(), text: str() }), { minItems: 2, maxItems: 12 });
+
+function checkQuizItems(items, errors) {
+  items.forEach((item, idx) => {
+    const path = `items[${idx}]`;
+    if (item.type === "true_false") {
+      item.options = ["True", "False"];
+    } else if (item.type === "multiple_choice") {
+      if (item.options.length < 3) {
+        errors.push(`${path}.options must have 3–4 options for multiple_choice`);
+      }
+    } else {
+      errors.push(`${path}.type must be "multiple_choice" or "true_false"`);
+    }
+    if (item.answer >= item.options.length) {
+      errors.push(`${path}.answer must be a 0-based index into options`);
+    }
+  });
+}
+
+function checkSpeakers(lines, errors) {
+  lines.forEach((line, idx) => {
+    line.speaker = line.speaker.toLowerCase();
+    if (line.speaker !== "man" && line.speaker !== "woman") {
+      errors.push(`lines[${idx}].speaker must be "man" or "woman"`);
+    }
+  });
+}
+
+// ---------- Response schemas ----------
+export const schemas = {
+  readingExercise: {
+    name: "reading exercise",
+    spec: obj({
+      topic: optStr(),
+      text: str(),
+      questions: arr(str(), { minItems: 5, maxItems: 5 }),
+      vocabulary,
+      grammar: grammarPoints,
+      translation
+    })
+  },
+
+  readingQuiz: {
+    name: "reading quiz",
+    spec: obj({
+      topic: optStr(),
+      text: str(),
+      items: quizItems,
+      vocabulary,
+      grammar: grammarPoints,
+      translation
+    }),
+    check(value, errors) {
+      checkQuizItems(value.items, errors);
+    }
+  },
+
+  listeningDialogue: {
+    name: "listening dialogue",
+    spec: obj({
+      topic: optStr(),
+      lines: dialogueLines,
+      questions: arr(str(), { minItems: 5, maxItems: 5 }),
+      vocabulary
+    }),
+    check(value, errors) {
+      checkSpeakers(value.lines, errors);
+    }
+  },
+
+  listeningQuiz: {
+    name: "listening quiz",
+    spec: obj({
+      topic: optStr(),
+      lines: dialogueLines,
+      items: quizItems,
+      vocabulary
+    }),
+    check(value, errors) {
+      checkSpeakers(value.lines, errors);
+      checkQuizItems(value.items, errors);
+    }
+  },
+
+  readingEvaluation: {
+    name: "reading evaluation",
+    spec: obj({
+      score: int({ min: 1, max: 10 }),
+      per_question: arr(
+        obj({
+          number: int({ min: 1 }),
+          correct: bool(),
+          comment: optStr()
+        }),
+        { required: false, default: () => [], maxItems: 10 }
+      ),
+      overall_feedback: optStr()
+    })
+  },
+
+  speakingExercise: {
+    name: "speaking exercise",
+    spec: obj({
+      topic: str(),
+      prompt_ko: str(),
+      prompt_ru: optStr()
+    })
+  },
+
+  speakingEvaluation: {
+    name: "speaking evaluation",
+    spec: obj({
+      score: int({ min: 1, max: 10 }),
+      feedback: str(),
+      sample_answer_ko: optStr(),
+      mistakes: arr(
+        obj({
+          original: str(),
+          corrected: str(),
+          explanation: optStr(),
+          pattern: optStr()
+        }),
+        { required: false, default: () => [], maxItems: 3 }
+      )
+    })
+  },
+
+  freeChatReply: {
+    name: "free chat reply",
+    spec: obj({
+      korean: str(),
+      english_translation: optStr(),
+      corrections: arr(
+        obj({
+          original: str(),
+          corrected: str(),
+          explanation_ru: optStr(),
+          pattern: optStr()
+        }),
+        { required: false, default: () => [], maxItems: 3 }
+      )
+    })
+  },
+
+  scenarioTurn: {
+    name: "scenario turn",
+    spec: obj({
+      korean: str(),
+      english_translation: optStr(),
+      goals_completed: arr(int({ min: 1 }), { required: false, default: () => [], maxItems: 10 }),
+      hint: optStr()
+    })
+  },
+
+  scenarioEvaluation: {
+    name: "scenario evaluation",
+    spec: obj({
+      score: int({ min: 1, max: 10 }),
+      per_goal: arr(
+        obj({
+          number: int({ min: 1 }),
+          achieved: bool(),
+          comment: optStr()
+        }),
+        { required: false, default: () => [], maxItems: 10 }
+      ),
+      corrections: arr(
+        obj({
+          original: str(),
+          corrected: str(),
+          explanation: optStr(),
+          pattern: optStr()
+        }),
+        { required: false, default: () => [], maxItems: 3 }
+      ),
+      useful_phrases: arr(str(), { required: false, default: () => [], maxItems: 6 }),
+      overall_feedback: optStr()
+    })
+  },
+
+  dictation: {
+    name: "dictation sentences",
+    spec: obj({
+      topic: optStr(),
+      sentences: arr(str(), { minItems: 3, maxItems: 5 })
+    })
+  },
+
+  shadowingSentences: {
+    name: "shadowing sentences",
+    spec: obj({
+      sentences: arr(obj({ korean: str(), english: optStr() }), { minItems: 3, maxItems: 5 })
+    })
+  },
+
+  writingTask: {
+    name: "writing task",
+    spec: obj({
+      title: optStr(),
+      instructions: str(),
+      passage: optStr(),
+      data: arr(str(), { required: false, default: () => [], maxItems: 8 }),
+      guide_questions: arr(str(), { required: false, default: () => [], maxItems: 4 })
+    })
+  },
+
+  writingEvaluation: {
+    name: "writing evaluation",
+    spec: obj({
+      criteria: arr(
+        obj({
+          key: str(),
+          score: int({ min: 0 }),
+          comment: optStr()
+        }),
+        { minItems: 3, maxItems: 3 }
+      ),
+      corrections: arr(
+        obj({
+          original: str(),
+          corrected: str(),
+          explanation: optStr(),
+          pattern: optStr()
+        }),
+        { required: false, default: () => [], maxItems: 8 }
+      ),
+      model_answer: optStr(),
+      overall_feedback: optStr()
+    })
+  },
+
+  mistakeDrill: {
+    name: "mistake drill",
+    spec: obj({
+      items: arr(
+        obj({
+          pattern: optStr(),
+          prompt: str(),
+          answer: str(),
+          explanation: optStr()
+        }),
+        { minItems: 3, maxItems: 5 }
+      )
+    })
+  },
+
+  grammarReview: {
+    name: "grammar review",
+    spec: obj({
+      correct: bool(),
+      feedback: str(),
+      corrected: optStr()
+    })
+  },
+
+  conversationSummary: {
+    name: "conversation summary",
+    spec: obj({
+      summary: str()
+    })
+  }
+};
+
+// Strips markdown fences and any chatter around the outermost JSON object.
+export function extractJson(rawText) {
+  let text = String(rawText || "").trim();
+
+  const fence = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fence) {
+    text = fence[1].trim();
+  }
+
+  const start = text.indexOf("{");
+  const end = text.lastIndexOf("}");
+  if (start !== -1 && end > start) {
+    text = text.slice(start, end + 1);
+  }
+
+  return JSON.parse(text);
+}
+
+export function validate(schema, data) {
+  const errors = [];
+  const value = checkValue(schema.spec, data, "", errors);
+  // cross-field rules that a field spec can't express
+  if (errors.length === 0 && schema.check) {
+    schema.check(value, errors);
+  }
+  if (errors.length > 0) {
+    throw new SchemaError(schema.name, errors);
+  }
+  return value;
+}
+
+export function parseAndValidate(schema, rawText) {
+  let data;
+  try {
+    data = extractJson(rawText);
+  } catch (err) {
+    throw new SchemaError(schema.name, [`response is not valid JSON (${err.message})`]);
+  }
+  return validate(schema, data);
+}
@@ -0,0 +1,65 @@
+import crypto from "crypto";
+import express from "express";
+
+// BOT_MODE        = "polling" (default, local development) | "webhook"
+// WEBHOOK_DOMAIN  = public base URL Telegram should call, e.g. https://hangram.example.com
+// WEBHOOK_PATH    = path the webhook is mounted on (default: /telegram/webhook)
+// WEBHOOK_SECRET  = secret_token Telegram sends back in every request (random if not set)
+export function loadServerConfig(env = process.env) {
+  const mode = (env.BOT_MODE || "polling").toLowerCase();
+
+  if (mode !== "polling" && mode !== "webhook") {
+    throw new Error(`Unknown BOT_MODE: ${mode}`);
+  }
+
+  if (mode === "webhook" && !env.WEBHOOK_DOMAIN) {
+    throw new Error("WEBHOOK_DOMAIN is required when BOT_MODE=webhook");
+  }
+
+  return {
+    port: Number(env.PORT) || 3000,
+    mode,
+    webhookDomain: env.WEBHOOK_DOMAIN ? env.WEBHOOK_DOMAIN.replace(/\/+$/, "") : null,
+    webhookPath: env.WEBHOOK_PATH || "/telegram/webhook",
+    // Telegram only allows A-Z, a-z, 0-9, _ and -
+    webhookSecret: env.WEBHOOK_SECRET || crypto.randomBytes(32).toString("hex")
+  };
+}
+
+// getStatus() -> { bot: { configured, running, mode }, ai: { configured, provider } }
+export function createApp({ getStatus }) {
+  const app = express();
+
+  app.get("/", (req, res) => {
+    res.send("Placement bot is running ✅");
+  });
+
+  app.get("/ready", (req, res) => {
+    const status = getStatus();
+    const ready = Boolean(status.bot.configured && status.bot.running && status.ai.configured);
+    res.status(ready ? 200 : 503).json({ ready, ...status });
+  });
+
+  return app;
+}
+
+// Mounts Telegraf's webhook handler; requests without the right
+// X-Telegram-Bot-Api-Secret-Token header get 403.
+export function mountWebhook(app, bot, config) {
+  const callback = bot.webhookCallback(config.webhookPath, {
+    secretToken: config.webhookSecret
+  });
+
+  app.post(config.webhookPath, (req, res) => {
+    callback(req, res, () => {
+      res.sendStatus(403);
+    });
+  });
+}
+
+export async function registerWebhook(bot, config) {
+  await bot.telegram.setWebhook(`${config.webhookDomain}${config.webhookPath}`, {
+    secret_token: config.webhookSecret,
+    allowed_updates: ["message", "callback_query"]
+  });
+}
@@ -1,33 +1,364 @@
-const sessions = {};
+import { createMemoryStore } from "./storage.js";
+import { createEmptyDeck } from "./vocab.js";
+import { createEmptyConversation } from "./conversation.js";
+import { createShadowingState } from "./shadowing.js";
+import { createLevelingState } from "./leveling.js";
+import { createStreakState } from "./streaks.js";
+import { createMistakeJournal } from "./mistakes.js";
+import { createExamHistory } from "./exam.js";
+import { createAudioSettings } from "./voices.js";
+import { createGrammarProgress } from "./grammar.js";
+
+// bump when the session shape changes and add a step to `migrations`
+export const SESSION_VERSION = 19;
+
+let store = createMemoryStore();
+let sessions = {};
 
 function createEmptySession() {
   return {
-    level: null,          // 1–6
-    practiceType: null,   // "speaking" | "listening" | "reading" | null
+    version: SESSION_VERSION,
+
+    level: null,          // "0" (Hangul course) – "6"
+    leveling: createLevelingState(),   // promotion/demotion suggestions and the auto setting
+    practiceType: null,   // "speaking" | "listening" | "reading" | "free" | "scenario" | "dictation" | "shadowing" | "writing" | "exam" | "grammar" | "conjugation" | "hangul" | "mistakes" | "review" | null
+    exerciseSeq: 0,       // last exercise id, used to spot buttons from old tasks
 
     // overall progress
     stats: {
-      totalScore: 0       // from 0 to 100
+      totalScore: 0,      // from 0 to 100
+      history: []         // [{ mode, level, score, topic, at }]
     },
 
+    // daily goal, streak and reminder settings
+    streak: createStreakState(),
+
+    // preferred TTS voice and playback speed
+    audio: createAudioSettings(),
+
     reading: {
       state: "idle",      // "idle" | "waiting_for_answers"
-      exercise: null      // { text, questions }
+      exercise: null      // { topic, text, questions, grammar, translation, help: ["glossary" | "translation"] }
     },
 
     listening: {
       state: "idle",      // "idle" | "waiting_for_answers"
-      exercise: null      // { text, questions }
+      exercise: null      // { topic, text, lines: [{ speaker, text }], voices: { man, woman }, questions }
     },
 
     speaking: {
       state: "idle",      // "idle" | "waiting_for_voice"
       exercise: null,     // { topic, prompt_ko, prompt_ru }
       lastTranscript: null
+    },
+
+    // free mode memory
+    free: createEmptyConversation(),   // { history, summary }
+
+    dictation: {
+      state: "idle",      // "idle" | "waiting_for_answer"
+      exercise: null      // { id, topic, sentences, index, results: [accuracy], audioFileIds }
+    },
+
+    // TOPIK-style writing, graded against the rubric for its type
+    writing: {
+      state: "idle",      // "idle" | "waiting_for_text"
+      exercise: null      // { id, type, title, instructions, passage, data, guide_questions }
+    },
+
+    // timed TOPIK mock exams and past attempts
+    exam: {
+      state: "idle",      // "idle" | "in_progress"
+      exercise: null,     // { id, ...createExam(kind) }
+      history: createExamHistory()
+    },
+
+    // grammar lessons: the current drill and which points are completed
+    grammar: {
+      state: "idle",      // "idle" | "drilling"
+      exercise: null,     // { id, pointId, items, index, results: ["correct" | "close" | "wrong"] }
+      progress: createGrammarProgress()   // { [pointId]: { attempts, best, completed, completedAt } }
+    },
+
+    // conjugation drills, graded locally by the rule engine
+    conjugation: {
+      state: "idle",      // "idle" | "waiting_for_answer"
+      exercise: null      // { id, items: [{ dict, en, form, answers, rules }], index, results: ["correct" | "close" | "wrong"] }
+    },
+
+    // the 0급 Hangul course; completing every lesson unlocks 1급
+    hangul: {
+      state: "idle",      // "idle" | "quiz"
+      exercise: null,     // { id, lessonId, questions, index, results: ["correct" | "wrong"] }
+      progress: {}        // { [lessonId]: { attempts, best, completed, completedAt } }
+    },
+
+    // repeat-after-me practice, with weak sentences coming back later
+    shadowing: createShadowingState(),
+
+    // corrections and wrong answers from every mode, until marked as mastered
+    mistakes: createMistakeJournal(),   // { nextId, items }
+
+    // drills built from the most frequent mistakes
+    mistakeReview: {
+      state: "idle",      // "idle" | "waiting_for_answer"
+      exercise: null      // { id, items: [{ pattern, prompt, answer, explanation }], index, results: ["correct" | "close" | "wrong"] }
+    },
+
+    // in-bot placement test
+    placement: {
+      state: "idle",      // "idle" | "in_progress"
+      exercise: null      // { id, ...createPlacementTest() }
+    },
+
+    // role-play scenario
+    scenario: {
+      state: "idle",      // "idle" | "in_progress"
+      exercise: null,     // { id, scenarioId, goals: [{ text, done }] }
+      history: []         // [{ role, text }]
+    },
+
+    // spaced-repetition word deck
+    vocab: {
+      ...createEmptyDeck(),
+      currentCardId: null   // card shown in "Review words"
     }
   };
 }
 
+// ---------- Migrations ----------
+// Each step takes a session of version N-1 and returns version N.
+const migrations = {
+  // v0: sessions saved before versioning existed (plain createEmptySession shape)
+  1: (session) => {
+    if (typeof session.level === "number") {
+      session.level = String(session.level);
+    }
+    if (!session.stats || typeof session.stats !== "object") {
+      session.stats = { totalScore: 0 };
+    }
+    return session;
+  },
+
+  // v2: per-exercise score history
+  2: (session) => {
+    if (!Array.isArray(session.stats.history)) {
+      session.stats.history = [];
+    }
+    return session;
+  },
+
+  // v3: vocabulary deck
+  3: (session) => {
+    if (!session.vocab || !Array.isArray(session.vocab.cards)) {
+      session.vocab = { ...createEmptyDeck(), currentCardId: null };
+    }
+    return session;
+  },
+
+  // v4: exercise ids; exercises stored before this get one so their buttons stay valid
+  4: (session) => {
+    let seq = Number.isInteger(session.exerciseSeq) ? session.exerciseSeq : 0;
+    for (const mode of ["reading", "listening", "speaking"]) {
+      const exercise = session[mode] && session[mode].exercise;
+      if (exercise && !exercise.id) {
+        exercise.id = ++seq;
+      }
+    }
+    session.exerciseSeq = seq;
+    return session;
+  },
+
+  // v5: free mode conversation memory
+  5: (session) => {
+    if (!session.free || !Array.isArray(session.free.history)) {
+      session.free = createEmptyConversation();
+    }
+    return session;
+  },
+
+  // v6: role-play scenarios
+  6: (session) => {
+    if (!session.scenario || typeof session.scenario !== "object") {
+      session.scenario = { state: "idle", exercise: null, history: [] };
+    }
+    return session;
+  },
+
+  // v7: answer format for reading / listening
+  7: (session) => {
+    for (const mode of ["reading", "listening"]) {
+      if (session[mode] && !session[mode].format) {
+        session[mode].format = "text";
+      }
+    }
+    return session;
+  },
+
+  // v8: dictation
+  8: (session) => {
+    if (!session.dictation || typeof session.dictation !== "object") {
+      session.dictation = { state: "idle", exercise: null };
+    }
+    return session;
+  },
+
+  // v9: shadowing
+  9: (session) => {
+    if (!session.shadowing || !Array.isArray(session.shadowing.weak)) {
+      session.shadowing = createShadowingState();
+    }
+    return session;
+  },
+
+  // v10: placement test
+  10: (session) => {
+    if (!session.placement || typeof session.placement !== "object") {
+      session.placement = { state: "idle", exercise: null };
+    }
+    return session;
+  },
+
+  // v11: level suggestions; older scores count toward the first window
+  11: (session) => {
+    if (!session.leveling || typeof session.leveling !== "object") {
+      session.leveling = createLevelingState();
+    }
+    return session;
+  },
+
+  // v12: daily goals and streaks
+  12: (session) => {
+    if (!session.streak || typeof session.streak !== "object") {
+      session.streak = createStreakState();
+    }
+    return session;
+  },
+
+  // v13: mistake journal and review drills
+  13: (session) => {
+    if (!session.mistakes || !Array.isArray(session.mistakes.items)) {
+      session.mistakes = createMistakeJournal();
+    }
+    if (!session.mistakeReview || typeof session.mistakeReview !== "object") {
+      session.mistakeReview = { state: "idle", exercise: null };
+    }
+    return session;
+  },
+
+  // v14: writing practice
+  14: (session) => {
+    if (!session.writing || typeof session.writing !== "object") {
+      session.writing = { state: "idle", exercise: null };
+    }
+    return session;
+  },
+
+  // v15: TOPIK mock exams
+  15: (session) => {
+    if (!session.exam || !Array.isArray(session.exam.history)) {
+      session.exam = { state: "idle", exercise: null, history: createExamHistory() };
+    }
+    return session;
+  },
+
+  // v16: voice and speed preferences
+  16: (session) => {
+    if (!session.audio || typeof session.audio !== "object") {
+      session.audio = createAudioSettings();
+    }
+    return session;
+  },
+
+  // v17: grammar lessons
+  17: (session) => {
+    if (!session.grammar || typeof session.grammar !== "object") {
+      session.grammar = { state: "idle", exercise: null, progress: createGrammarProgress() };
+    }
+    return session;
+  },
+
+  // v18: conjugation drills
+  18: (session) => {
+    if (!session.conjugation || typeof session.conjugation !== "object") {
+      session.conjugation = { state: "idle", exercise: null };
+    }
+    return session;
+  },
+
+  // v19: the Hangul course
+  19: (session) => {
+    if (!session.hangul || typeof session.hangul !== "object") {
+      session.hangul = { state: "idle", exercise: null, progress: {} };
+    }
+    return session;
+  }
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// adds any keys the stored session is missing, without touching existing values
+function fillDefaults(target, defaults) {
+  for (const key of Object.keys(defaults)) {
+    if (!(key in target) || target[key] === undefined) {
+      target[key] = defaults[key];
+    } else if (isPlainObject(defaults[key]) && isPlainObject(target[key])) {
+      fillDefaults(target[key], defaults[key]);
+    }
+  }
+  return target;
+}
+
+export function migrateSession(raw) {
+  if (!isPlainObject(raw)) {
+    return createEmptySession();
+  }
+
+  let session = raw;
+  let version = Number.isInteger(session.version) ? session.version : 0;
+
+  while (version < SESSION_VERSION) {
+    version += 1;
+    const step = migrations[version];
+    if (step) {
+      session = step(session);
+    }
+    session.version = version;
+  }
+
+  return fillDefaults(session, createEmptySession());
+}
+
+// ---------- Store ----------
+export function initSessionStore(newStore) {
+  store = newStore;
+
+  const loaded = store.load() || {};
+  sessions = {};
+
+  for (const [userId, raw] of Object.entries(loaded)) {
+    sessions[userId] = migrateSession(raw);
+  }
+
+  return Object.keys(sessions).length;
+}
+
+export async function saveSessions() {
+  await store.save(sessions);
+}
+
+export function nextExerciseId(session) {
+  session.exerciseSeq = (session.exerciseSeq || 0) + 1;
+  return session.exerciseSeq;
+}
+
+// [[userId, session], ...] for background jobs like reminders
+export function listSessions() {
+  return Object.entries(sessions);
+}
+
 export function getSession(userId) {
   if (!sessions[userId]) {
     sessions[userId] = createEmptySession();
@@ -35,6 +366,25 @@ export function getSession(userId) {
   return sessions[userId];
 }
 
+// /start drops whatever task was in progress, but progress, history and settings carry over
 export function resetSession(userId) {
-  sessions[userId] = createEmptySession();
-}
\ No newline at end of file
+  const previous = sessions[userId];
+  const session = createEmptySession();
+
+  if (previous) {
+    session.exerciseSeq = previous.exerciseSeq;   // buttons from before the reset stay stale
+    session.leveling = { ...previous.leveling, pending: null };
+    session.stats = previous.stats;
+    session.streak = previous.streak;
+    session.audio = previous.audio;
+    session.mistakes = previous.mistakes;
+    session.exam.history = previous.exam.history;
+    session.grammar.progress = previous.grammar.progress;
+    session.hangul.progress = previous.hangul.progress;
+    session.shadowing.weak = previous.shadowing.weak;
+    session.shadowing.round = previous.shadowing.round;
+    session.vocab = { ...previous.vocab, currentCardId: null };
+  }
+
+  sessions[userId] = session;
+}
@@ -0,0 +1,118 @@
+// Shadowing: the learner repeats a sentence after the audio and the transcript
+// is aligned against it. Sentences that went badly are queued to come back a few
+// sentences later, until they're said well.
+
+import { decomposeSyllable } from "./hangul.js";
+import { gradeDictation } from "./dictation.js";
+
+export const WEAK_ACCURACY = 0.8;
+const RETRY_AFTER = 3;   // sentences in between before a weak one comes back
+const MAX_WEAK = 20;
+
+export function createShadowingState() {
+  return {
+    state: "idle",      // "idle" | "waiting_for_voice"
+    exercise: null,     // { id, korean, english, retry }
+    upcoming: [],       // [{ korean, english }] generated but not practiced yet
+    weak: [],           // [{ korean, english, accuracy, dueRound }]
+    round: 0            // sentences practiced so far
+  };
+}
+
+// jamo that were heard differently, e.g. { slot: "vowel", expected: "ㅓ", heard: "ㅗ" }
+function soundDiffs(expected, actual) {
+  const a = decomposeSyllable(expected);
+  const b = decomposeSyllable(actual);
+  if (!a || !b) return [];
+
+  const diffs = [];
+  if (a.initial !== b.initial) diffs.push({ slot: "consonant", expected: a.initial, heard: b.initial });
+  if (a.medial !== b.medial) diffs.push({ slot: "vowel", expected: a.medial, heard: b.medial });
+  if (a.final !== b.final) diffs.push({ slot: "batchim", expected: a.final || "∅", heard: b.final || "∅" });
+  return diffs;
+}
+
+// same alignment as dictation, but spacing is meaningless in a transcript
+export function gradeShadowing(target, transcript) {
+  const result = gradeDictation(target, transcript, { ignoreSpacing: true });
+
+  const counts = new Map();
+  for (const e of result.errors) {
+    if (e.expected && e.actual) {
+      for (const d of soundDiffs(e.expected, e.actual)) {
+        const key = `${d.slot}:${d.expected}:${d.heard}`;
+        const entry = counts.get(key) || { ...d, count: 0 };
+        entry.count++;
+        counts.set(key, entry);
+      }
+    }
+  }
+
+  return {
+    ...result,
+    sounds: [...counts.values()].sort((a, b) => b.count - a.count)
+  };
+}
+
+const SLOT_LABELS = {
+  consonant: "consonant",
+  vowel: "vowel",
+  batchim: "받침"
+};
+
+export function formatSounds(sounds) {
+  return sounds
+    .slice(0, 5)
+    .map((s) => `• ${SLOT_LABELS[s.slot]} ${s.expected} sounded like ${s.heard}${s.count > 1 ? ` ×${s.count}` : ""}`)
+    .join("\n");
+}
+
+// A due weak sentence wins over new ones; null means it's time to generate more.
+// Every sentence shown counts as a round, practiced or skipped.
+export function takeNextSentence(shadowing, { allowEarly = false } = {}) {
+  const round = shadowing.round + 1;
+
+  let weakIdx = shadowing.weak.findIndex((w) => w.dueRound <= round);
+  let next = null;
+
+  if (weakIdx === -1) {
+    // a freshly generated sentence may already be waiting in the weak list
+    next = shadowing.upcoming.shift();
+    while (next && shadowing.weak.some((w) => w.korean === next.korean)) {
+      next = shadowing.upcoming.shift();
+    }
+    // nothing new left: bring the weak sentence that's closest to due forward
+    if (!next && allowEarly && shadowing.weak.length > 0) {
+      weakIdx = 0;
+    }
+  }
+
+  if (weakIdx !== -1) {
+    const [item] = shadowing.weak.splice(weakIdx, 1);
+    shadowing.round = round;
+    return { korean: item.korean, english: item.english, retry: true };
+  }
+  if (!next) return null;
+
+  shadowing.round = round;
+  return { korean: next.korean, english: next.english, retry: false };
+}
+
+// returns true when the sentence was queued to come back
+export function recordAttempt(shadowing, sentence, accuracy) {
+  shadowing.weak = shadowing.weak.filter((w) => w.korean !== sentence.korean);
+
+  if (accuracy < WEAK_ACCURACY) {
+    shadowing.weak.push({
+      korean: sentence.korean,
+      english: sentence.english || "",
+      accuracy,
+      dueRound: shadowing.round + RETRY_AFTER + 1
+    });
+    if (shadowing.weak.length > MAX_WEAK) {
+      shadowing.weak.shift();
+    }
+    return true;
+  }
+  return false;
+}
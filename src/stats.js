@@ -0,0 +1,164 @@
+// Per-exercise score history and the detailed part of "See progress".
+
+const HISTORY_LIMIT = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const MODE_LABELS = {
+  reading: "📖 Reading",
+  listening: "👂 Listening",
+  speaking: "🗣 Speaking",
+  scenario: "🎭 Role-play",
+  dictation: "✍️ Dictation",
+  shadowing: "🦜 Shadowing",
+  writing: "📝 Writing",
+  grammar: "📐 Grammar",
+  conjugation: "🔤 Conjugation",
+  hangul: "🔡 Hangul",
+  exam: "🎓 Mock exam",
+  mistakes: "🩹 Mistake review"
+};
+
+// Ramyun points stay the headline; history is what the detailed report is built from.
+export function addScoreToStats(session, score, meta = {}) {
+  if (!session.stats) {
+    session.stats = { totalScore: 0, history: [] };
+  }
+  if (!Array.isArray(session.stats.history)) {
+    session.stats.history = [];
+  }
+
+  const value = Number(score);
+  if (!Number.isFinite(value)) return;
+
+  const current = session.stats.totalScore || 0;
+  const updated = current + value;
+
+  session.stats.totalScore = Math.max(0, updated);
+
+  if (meta.mode) {
+    session.stats.history.push({
+      mode: meta.mode,
+      level: meta.level != null ? String(meta.level) : null,
+      score: value,
+      topic: meta.topic || null,
+      at: meta.at || Date.now(),
+      // only for modes that offer help: which help was opened ([] = on their own)
+      ...(Array.isArray(meta.help) ? { help: [...meta.help] } : {})
+    });
+
+    if (session.stats.history.length > HISTORY_LIMIT) {
+      session.stats.history.splice(0, session.stats.history.length - HISTORY_LIMIT);
+    }
+  }
+}
+
+function average(entries) {
+  if (entries.length === 0) return null;
+  const sum = entries.reduce((acc, e) => acc + e.score, 0);
+  return sum / entries.length;
+}
+
+function formatAverage(value) {
+  return value === null ? "—" : `${value.toFixed(1)}/10`;
+}
+
+export function summarizeHistory(history, now = Date.now()) {
+  const entries = Array.isArray(history) ? history : [];
+
+  const byMode = {};
+  for (const mode of Object.keys(MODE_LABELS)) {
+    const list = entries.filter((e) => e.mode === mode);
+    byMode[mode] = { count: list.length, average: average(list) };
+  }
+
+  const byLevel = {};
+  for (const e of entries) {
+    if (!e.level) continue;
+    byLevel[e.level] = (byLevel[e.level] || 0) + 1;
+  }
+
+  const thisWeek = entries.filter((e) => now - e.at < 7 * DAY_MS);
+  const lastWeek = entries.filter((e) => now - e.at >= 7 * DAY_MS && now - e.at < 14 * DAY_MS);
+
+  const withHelpInfo = entries.filter((e) => Array.isArray(e.help));
+  const assisted = withHelpInfo.filter((e) => e.help.length > 0);
+  const unassisted = withHelpInfo.filter((e) => e.help.length === 0);
+
+  const practiced = Object.entries(byMode).filter(([, s]) => s.count > 0);
+  let weakest = null;
+  let strongest = null;
+  if (practiced.length >= 2) {
+    const sorted = [...practiced].sort((a, b) => a[1].average - b[1].average);
+    if (sorted[0][1].average < sorted[sorted.length - 1][1].average) {
+      weakest = sorted[0][0];
+      strongest = sorted[sorted.length - 1][0];
+    }
+  }
+
+  return {
+    total: entries.length,
+    byMode,
+    byLevel,
+    thisWeek: { count: thisWeek.length, average: average(thisWeek) },
+    lastWeek: { count: lastWeek.length, average: average(lastWeek) },
+    recentScores: entries.slice(-5).map((e) => e.score),
+    assisted: { count: assisted.length, average: average(assisted) },
+    unassisted: { count: unassisted.length, average: average(unassisted) },
+    weakest,
+    strongest
+  };
+}
+
+function trendArrow(current, previous) {
+  if (current === null || previous === null) return "";
+  const diff = current - previous;
+  if (diff >= 0.5) return " ↗️";
+  if (diff <= -0.5) return " ↘️";
+  return " ➡️";
+}
+
+export function buildProgressReport(session, now = Date.now()) {
+  const summary = summarizeHistory(session.stats?.history, now);
+
+  if (summary.total === 0) {
+    return null;
+  }
+
+  let msg = "📊 Detailed report\n\n";
+
+  // only the modes the learner has actually practiced
+  msg += "By skill (average score / exercises):\n";
+  for (const [mode, label] of Object.entries(MODE_LABELS)) {
+    const s = summary.byMode[mode];
+    if (s.count === 0) continue;
+    msg += `${label}: ${formatAverage(s.average)} (${s.count})\n`;
+  }
+
+  msg += "\nRecent trend:\n";
+  msg +=
+    `Last 7 days: ${summary.thisWeek.count} exercise(s), average ${formatAverage(summary.thisWeek.average)}` +
+    `${trendArrow(summary.thisWeek.average, summary.lastWeek.average)}\n`;
+  msg += `Previous 7 days: ${summary.lastWeek.count} exercise(s), average ${formatAverage(summary.lastWeek.average)}\n`;
+  msg += `Last scores: ${summary.recentScores.join(", ")}\n`;
+
+  if (summary.assisted.count > 0) {
+    msg += "\nReading help:\n";
+    msg +=
+      `On your own: ${formatAverage(summary.unassisted.average)} (${summary.unassisted.count}) · ` +
+      `With glossary/translation: ${formatAverage(summary.assisted.average)} (${summary.assisted.count})\n`;
+  }
+
+  const levels = Object.keys(summary.byLevel).sort();
+  if (levels.length > 0) {
+    msg += "\nExercises per level:\n";
+    msg += levels.map((lvl) => `${lvl}급 × ${summary.byLevel[lvl]}`).join(", ") + "\n";
+  }
+
+  if (summary.weakest && summary.strongest) {
+    msg +=
+      `\nStrongest: ${MODE_LABELS[summary.strongest]}. ` +
+      `Needs work: ${MODE_LABELS[summary.weakest]} — try a few more of those 💪`;
+  }
+
+  return msg.trim();
+}
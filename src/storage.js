@@ -0,0 +1,85 @@
+import fs from "fs";
+import path from "path";
+
+// A session store keeps the whole { userId: session } map.
+// load() is synchronous so sessions are available before the bot starts;
+// save() may be async and is always called with the full map.
+
+// ---------- In-memory (development) ----------
+export function createMemoryStore() {
+  let data = {};
+
+  return {
+    name: "memory",
+    load() {
+      return data;
+    },
+    async save(sessions) {
+      data = sessions;
+    }
+  };
+}
+
+// ---------- JSON file ----------
+export function createJsonFileStore(filePath) {
+  const fullPath = path.resolve(filePath);
+
+  // writes are chained so two saves never interleave on disk
+  let pending = Promise.resolve();
+
+  return {
+    name: "json",
+    filePath: fullPath,
+    load() {
+      let raw;
+      try {
+        raw = fs.readFileSync(fullPath, "utf8");
+      } catch (err) {
+        if (err.code === "ENOENT") return {};
+        throw err;
+      }
+
+      if (!raw.trim()) return {};
+
+      try {
+        return JSON.parse(raw);
+      } catch (err) {
+        // keep the broken file around instead of silently overwriting it
+        const brokenPath = `${fullPath}.broken-${Date.now()}`;
+        fs.copyFileSync(fullPath, brokenPath);
+        console.error(`[ERROR] Failed to parse ${fullPath}, copied to ${brokenPath}`);
+        return {};
+      }
+    },
+    save(sessions) {
+      const json = JSON.stringify(sessions);
+
+      pending = pending
+        .catch(() => {})
+        .then(async () => {
+          await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+          const tmpPath = `${fullPath}.tmp`;
+          await fs.promises.writeFile(tmpPath, json, "utf8");
+          await fs.promises.rename(tmpPath, fullPath);
+        });
+
+      return pending;
+    }
+  };
+}
+
+// SESSION_STORE = "json" (default) | "memory"
+// SESSION_FILE  = path to the JSON file (default: data/sessions.json)
+export function createSessionStore(env = process.env) {
+  const kind = (env.SESSION_STORE || "json").toLowerCase();
+
+  if (kind === "memory") {
+    return createMemoryStore();
+  }
+
+  if (kind === "json") {
+    return createJsonFileStore(env.SESSION_FILE || path.join("data", "sessions.json"));
+  }
+
+  throw new Error(`Unknown SESSION_STORE: ${kind}`);
+}
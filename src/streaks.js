@@ -0,0 +1,190 @@
+// Daily goals, streaks and reminder timing. Days are calendar days in the
+// learner's own timezone; pass `now` in to get repeatable results.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const KEEP_DAYS = 14;          // per-day counters kept for the report
+const FREEZE_EVERY = 7;        // a freeze is earned every 7 days of streak
+const MAX_FREEZES = 2;
+
+export const GOAL_TYPES = {
+  exercises: "exercises",
+  points: "ramyun points"
+};
+
+export function createStreakState() {
+  return {
+    goal: { type: "exercises", target: 3 },
+    timezone: "UTC",
+    days: {},              // { "2026-10-18": { exercises, points } }
+    current: 0,
+    best: 0,
+    lastCompleted: null,   // date key of the last day the goal was met
+    freezes: 1,
+    frozenDays: [],        // date keys a freeze was spent on
+    reminder: {
+      enabled: false,
+      time: "19:00",       // local HH:MM
+      lastSent: null       // date key, so a reminder goes out at most once a day
+    }
+  };
+}
+
+export function isValidTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// "HH:MM" -> "HH:MM" with padding, or null
+export function parseTime(text) {
+  const match = String(text || "").trim().match(/^(\d{1,2})[:.](\d{2})$/);
+  if (!match) return null;
+
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) return null;
+
+  return `${String(hours).padStart(2, "0")}:${String(minutes).padStart(2, "0")}`;
+}
+
+function localParts(now, timeZone) {
+  const parts = {};
+  const format = new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23"
+  });
+  for (const p of format.formatToParts(new Date(now))) {
+    parts[p.type] = p.value;
+  }
+  return parts;
+}
+
+export function localDateKey(now, timeZone = "UTC") {
+  const p = localParts(now, timeZone);
+  return `${p.year}-${p.month}-${p.day}`;
+}
+
+export function localTime(now, timeZone = "UTC") {
+  const p = localParts(now, timeZone);
+  return `${p.hour}:${p.minute}`;
+}
+
+// whole days from one date key to another
+function daysBetween(fromKey, toKey) {
+  return Math.round((Date.parse(`${toKey}T00:00:00Z`) - Date.parse(`${fromKey}T00:00:00Z`)) / DAY_MS);
+}
+
+function shiftKey(key, days) {
+  return new Date(Date.parse(`${key}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function goalMet(streak, counts) {
+  const value = streak.goal.type === "points" ? counts.points : counts.exercises;
+  return value >= streak.goal.target;
+}
+
+function pruneDays(streak, todayKey) {
+  for (const key of Object.keys(streak.days)) {
+    if (daysBetween(key, todayKey) >= KEEP_DAYS) delete streak.days[key];
+  }
+}
+
+// Counts a scored exercise toward today. When it completes today's goal the
+// streak grows; missed days in between are covered by freezes if there are
+// enough of them, otherwise the streak starts over.
+export function recordActivity(streak, points, now = Date.now()) {
+  const today = localDateKey(now, streak.timezone);
+  const counts = streak.days[today] || { exercises: 0, points: 0 };
+  counts.exercises++;
+  counts.points += Math.max(0, Number(points) || 0);
+  streak.days[today] = counts;
+  pruneDays(streak, today);
+
+  if (streak.lastCompleted === today || !goalMet(streak, counts)) {
+    return { goalJustMet: false, frozen: 0 };
+  }
+
+  let frozen = 0;
+  const missed = streak.lastCompleted ? daysBetween(streak.lastCompleted, today) - 1 : 0;
+
+  if (streak.lastCompleted && missed === 0) {
+    streak.current++;
+  } else if (streak.lastCompleted && streak.current > 0 && missed <= streak.freezes) {
+    for (let d = 1; d <= missed; d++) {
+      streak.frozenDays.push(shiftKey(streak.lastCompleted, d));
+    }
+    streak.frozenDays = streak.frozenDays.slice(-10);
+    streak.freezes -= missed;
+    frozen = missed;
+    streak.current++;
+  } else {
+    streak.current = 1;
+  }
+
+  streak.lastCompleted = today;
+  streak.best = Math.max(streak.best, streak.current);
+
+  let freezeEarned = false;
+  if (streak.current % FREEZE_EVERY === 0 && streak.freezes < MAX_FREEZES) {
+    streak.freezes++;
+    freezeEarned = true;
+  }
+
+  return { goalJustMet: true, frozen, freezeEarned };
+}
+
+// The streak as it stands right now: it's still alive today if yesterday's goal
+// was met, or if the days since can be covered by freezes.
+export function streakStatus(streak, now = Date.now()) {
+  const today = localDateKey(now, streak.timezone);
+  const counts = streak.days[today] || { exercises: 0, points: 0 };
+
+  let current = 0;
+  if (streak.lastCompleted) {
+    const missed = daysBetween(streak.lastCompleted, today) - 1;
+    current = missed <= streak.freezes ? streak.current : 0;
+  }
+
+  return {
+    current,
+    best: streak.best,
+    freezes: streak.freezes,
+    today: counts,
+    goal: streak.goal,
+    goalMet: streak.lastCompleted === today
+  };
+}
+
+export function formatStreakStatus(streak, now = Date.now()) {
+  const status = streakStatus(streak, now);
+  const done = status.goal.type === "points" ? status.today.points : status.today.exercises;
+
+  return (
+    `🔥 Streak: ${status.current} day(s) (best ${status.best}) · 🧊 Freezes: ${status.freezes}\n` +
+    `🎯 Today: ${Math.min(done, status.goal.target)}/${status.goal.target} ${GOAL_TYPES[status.goal.type]}` +
+    (status.goalMet ? " ✅" : "")
+  );
+}
+
+// reminders go out once a day, after the chosen local time, and only while today's goal is open
+export function isReminderDue(streak, now = Date.now()) {
+  const reminder = streak.reminder;
+  if (!reminder.enabled) return false;
+
+  const today = localDateKey(now, streak.timezone);
+  if (reminder.lastSent === today || streak.lastCompleted === today) return false;
+
+  return localTime(now, streak.timezone) >= reminder.time;
+}
+
+export function markReminderSent(streak, now = Date.now()) {
+  streak.reminder.lastSent = localDateKey(now, streak.timezone);
+}
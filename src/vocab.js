@@ -0,0 +1,128 @@
+// Per-user vocabulary deck with SM-2 style scheduling.
+// Everything here is local and deterministic: pass `now` in to get repeatable results.
+
+import { normalizeUnicode, sameText } from "./hangul.js";
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const DECK_LIMIT = 1000;
+const MIN_EASE = 1.3;
+const START_EASE = 2.5;
+
+// button grade -> SM-2 quality (0–5)
+export const GRADES = {
+  again: 1,
+  hard: 3,
+  good: 4,
+  easy: 5
+};
+
+export function createEmptyDeck() {
+  return {
+    cards: [],
+    nextId: 1
+  };
+}
+
+function normalizeFront(text) {
+  return normalizeUnicode(text).replace(/\s+/g, " ").trim();
+}
+
+export function findCard(deck, id) {
+  return deck.cards.find((c) => c.id === Number(id)) || null;
+}
+
+// returns the new card, or null if the word is empty or already in the deck
+export function addCard(deck, { front, back, example, source }, now = Date.now()) {
+  const word = normalizeFront(front);
+  if (!word) return null;
+
+  // "먹어 보다" and "먹어보다" are the same card
+  if (deck.cards.some((c) => sameText(c.front, word))) {
+    return null;
+  }
+
+  if (deck.cards.length >= DECK_LIMIT) {
+    return null;
+  }
+
+  const card = {
+    id: deck.nextId++,
+    front: word,
+    back: back ? String(back).trim() : "",
+    example: example ? String(example).trim() : "",
+    source: source || "manual",
+    addedAt: now,
+    due: now,
+    interval: 0,          // days
+    ease: START_EASE,
+    reps: 0,
+    lapses: 0
+  };
+
+  deck.cards.push(card);
+  return card;
+}
+
+export function addCards(deck, items, source, now = Date.now()) {
+  const added = [];
+  for (const item of items || []) {
+    const card = addCard(deck, { ...item, source }, now);
+    if (card) added.push(card);
+  }
+  return added;
+}
+
+// SM-2: quality < 3 resets the repetition count, otherwise the interval grows by the ease factor
+export function scheduleReview(card, quality, now = Date.now()) {
+  const q = Math.max(0, Math.min(5, Math.round(quality)));
+
+  if (q < 3) {
+    card.reps = 0;
+    card.lapses += 1;
+    card.interval = 0;
+    // failed cards come back in the same review session
+    card.due = now + 10 * MINUTE_MS;
+  } else {
+    card.reps += 1;
+    if (card.reps === 1) {
+      card.interval = 1;
+    } else if (card.reps === 2) {
+      card.interval = 6;
+    } else {
+      card.interval = Math.round(card.interval * card.ease);
+    }
+    card.due = now + card.interval * DAY_MS;
+  }
+
+  const ease = card.ease + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02));
+  card.ease = Math.max(MIN_EASE, Math.round(ease * 100) / 100);
+
+  card.lastReviewedAt = now;
+  return card;
+}
+
+export function dueCards(deck, now = Date.now()) {
+  return deck.cards
+    .filter((c) => c.due <= now)
+    .sort((a, b) => a.due - b.due || a.id - b.id);
+}
+
+export function nextDueCard(deck, now = Date.now()) {
+  return dueCards(deck, now)[0] || null;
+}
+
+export function nextDueTime(deck) {
+  if (deck.cards.length === 0) return null;
+  return Math.min(...deck.cards.map((c) => c.due));
+}
+
+export function formatWaitTime(ms) {
+  if (ms <= 0) return "now";
+  const minutes = Math.ceil(ms / MINUTE_MS);
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return `${hours} h`;
+  return `${Math.round(hours / 24)} day(s)`;
+}
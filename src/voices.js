@@ -0,0 +1,53 @@
+// Voices and playback speeds for generated audio. Dialogues need a man and a
+// woman; the learner's preferred voice takes whichever role it fits.
+
+export const VOICES = {
+  alloy: { label: "Alloy", gender: null },
+  nova: { label: "Nova", gender: "woman" },
+  shimmer: { label: "Shimmer", gender: "woman" },
+  coral: { label: "Coral", gender: "woman" },
+  onyx: { label: "Onyx", gender: "man" },
+  echo: { label: "Echo", gender: "man" },
+  ash: { label: "Ash", gender: "man" }
+};
+
+export const SPEEDS = {
+  "0.75": "🐢 Slow",
+  "1": "Normal",
+  "1.25": "🐇 Fast"
+};
+
+export const SLOW_SPEED = 0.75;
+
+export const SPEAKER_LABELS = {
+  man: "남자",
+  woman: "여자"
+};
+
+const DIALOGUE_DEFAULTS = { man: "onyx", woman: "nova" };
+
+export function createAudioSettings() {
+  return {
+    voice: null,    // null = the provider's default voice
+    speed: 1
+  };
+}
+
+export function dialogueVoices(settings) {
+  const voices = { ...DIALOGUE_DEFAULTS };
+  const gender = VOICES[settings.voice]?.gender;
+  if (gender) {
+    voices[gender] = settings.voice;
+  }
+  return voices;
+}
+
+// "남자: ...\n여자: ..." like the script of a TOPIK listening item
+export function formatDialogue(lines) {
+  return lines.map((line) => `${SPEAKER_LABELS[line.speaker]}: ${line.text}`).join("\n");
+}
+
+export function formatAudioSettings(settings) {
+  const voice = settings.voice ? VOICES[settings.voice].label : "Default";
+  return `🎧 Voice: ${voice} · Speed: ${SPEEDS[String(settings.speed)] || `${settings.speed}×`}`;
+}
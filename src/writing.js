@@ -0,0 +1,125 @@
+// TOPIK-style writing: task types, the published rubrics, character counts
+// and turning the model's rubric scores into a 0–10 exercise score.
+
+import { escapeHtml } from "./html.js";
+
+// TOPIK II weights for 53/54 (내용 및 과제 수행 / 글의 전개 구조 / 언어 사용);
+// diary and completion use the same three criteria on a 10-point scale.
+export const RUBRICS = {
+  diary: [
+    { key: "content", label: "Content", max: 4, description: "Answers the prompt with enough detail about your own day or experience." },
+    { key: "organization", label: "Organization", max: 2, description: "Sentences follow a clear order and are linked (그리고, 그래서, 그런데)." },
+    { key: "language", label: "Language use", max: 4, description: "Grammar, vocabulary, spelling and spacing at your level; a consistent -아요/어요 style." }
+  ],
+  completion: [
+    { key: "content", label: "Content", max: 4, description: "Each blank fits the meaning of the text around it." },
+    { key: "organization", label: "Organization", max: 2, description: "Each answer connects to the sentences before and after the blank." },
+    { key: "language", label: "Language use", max: 4, description: "Correct grammar and spelling, in the same style (formal or polite) as the text." }
+  ],
+  graph: [
+    { key: "content", label: "Content & task", max: 7, description: "Covers all the information given, without adding opinions." },
+    { key: "organization", label: "Organization", max: 7, description: "Introduces the data, describes changes and comparisons, then concludes." },
+    { key: "language", label: "Language use", max: 16, description: "Varied and accurate grammar and vocabulary in written style (-다), with correct spelling." }
+  ],
+  essay: [
+    { key: "content", label: "Content & task", max: 12, description: "Answers every guide question with a clear opinion and supporting reasons." },
+    { key: "organization", label: "Organization", max: 12, description: "Introduction, body and conclusion, with paragraphs and connecting expressions." },
+    { key: "language", label: "Language use", max: 26, description: "Varied and accurate advanced grammar and vocabulary in written style (-다), with correct spelling." }
+  ]
+};
+
+export const WRITING_TYPES = {
+  diary: { label: "📔 Diary", topik: null, minChars: 80, maxChars: 200 },
+  completion: { label: "✏️ Sentence completion (51–52)", topik: "51–52", minChars: null, maxChars: null },
+  graph: { label: "📊 Graph description (53)", topik: "53", minChars: 200, maxChars: 300 },
+  essay: { label: "🖋 Opinion essay (54)", topik: "54", minChars: 600, maxChars: 700 }
+};
+
+// 1–2급 get diaries and the gentlest TOPIK item; 3급 and up get the TOPIK II set
+export function writingTypesForLevel(level) {
+  return Number(level) <= 2 ? ["diary", "completion"] : ["completion", "graph", "essay"];
+}
+
+export function rubricTotal(type) {
+  return RUBRICS[type].reduce((acc, c) => acc + c.max, 0);
+}
+
+export function formatRubric(type) {
+  return RUBRICS[type]
+    .map((c) => `• ${c.label} (${c.max}): ${c.description}`)
+    .join("\n");
+}
+
+// TOPIK counts every character on the answer sheet, spaces included; line breaks aren't squares
+export function countCharacters(text) {
+  const chars = [...String(text || "").trim().replace(/\r?\n+/g, "")];
+  return {
+    withSpaces: chars.length,
+    withoutSpaces: chars.filter((ch) => !/\s/.test(ch)).length
+  };
+}
+
+export function lengthStatus(type, count) {
+  const { minChars, maxChars } = WRITING_TYPES[type];
+  if (!minChars) return null;
+  if (count < minChars) return "short";
+  if (count > maxChars) return "long";
+  return "ok";
+}
+
+export function formatLength(type, count) {
+  const { minChars, maxChars } = WRITING_TYPES[type];
+  if (!minChars) return `📏 ${count} characters`;
+
+  const marks = { ok: "✅", short: "⚠️ too short", long: "⚠️ too long" };
+  return `📏 ${count} characters (target ${minChars}–${maxChars}) ${marks[lengthStatus(type, count)]}`;
+}
+
+// The model's criterion scores are clamped to the rubric; anything it skipped counts as 0.
+export function scoreWriting(type, criteria) {
+  const byKey = new Map((criteria || []).map((c) => [c.key, c]));
+
+  const rows = RUBRICS[type].map((rubric) => {
+    const given = byKey.get(rubric.key);
+    const score = Math.min(rubric.max, Math.max(0, Number(given?.score) || 0));
+    return { ...rubric, score, comment: given?.comment || "" };
+  });
+
+  const points = rows.reduce((acc, r) => acc + r.score, 0);
+  const max = rubricTotal(type);
+
+  return { rows, points, max, score: Math.round((points / max) * 10) };
+}
+
+// Marks each correction where it occurs in the learner's text (first occurrence,
+// left to right). Returns HTML and the corrections that couldn't be placed.
+export function markCorrections(text, corrections) {
+  const source = String(text || "");
+  const placed = [];
+  const unplaced = [];
+
+  for (const c of corrections) {
+    const original = String(c.original || "").trim();
+    const at = original ? source.indexOf(original) : -1;
+    const overlaps = placed.some((p) => at < p.end && at + original.length > p.start);
+
+    if (at === -1 || overlaps) {
+      unplaced.push(c);
+    } else {
+      placed.push({ start: at, end: at + original.length, correction: c });
+    }
+  }
+
+  placed.sort((a, b) => a.start - b.start);
+
+  let html = "";
+  let pos = 0;
+  for (const p of placed) {
+    html += escapeHtml(source.slice(pos, p.start));
+    html += `<s>${escapeHtml(source.slice(p.start, p.end))}</s> <b>${escapeHtml(p.correction.corrected)}</b>`;
+    pos = p.end;
+  }
+  html += escapeHtml(source.slice(pos));
+
+  return { html, unplaced };
+}
@@ -0,0 +1,61 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { setAIProvider, generateDictationSentences } from "../src/ai.js";
+import { SchemaError } from "../src/schemas.js";
+
+const GOOD = '{"topic": "Weather", "sentences": ["비가 와요.", "날씨가 추워요.", "우산을 샀어요."]}';
+const SHORT = '{"topic": "Weather", "sentences": ["비가 와요."]}';
+
+let prompts;
+let originalError;
+
+// answers the prompts in order with the given responses
+function replyWith(...responses) {
+  setAIProvider({
+    name: "scripted",
+    async generateText({ prompt }) {
+      prompts.push(prompt);
+      return responses[Math.min(prompts.length, responses.length) - 1];
+    }
+  });
+}
+
+beforeEach(() => {
+  prompts = [];
+  originalError = console.error;
+  console.error = () => {};
+});
+
+afterEach(() => {
+  console.error = originalError;
+  setAIProvider(null);
+});
+
+test("a rejected response is retried with the validation errors in the prompt", async () => {
+  replyWith(SHORT, GOOD);
+
+  const result = await generateDictationSentences("2");
+
+  assert.deepEqual(result.sentences, ["비가 와요.", "날씨가 추워요.", "우산을 샀어요."]);
+  assert.equal(prompts.length, 2);
+  assert.ok(prompts[1].startsWith(prompts[0]));
+  assert.ok(prompts[1].includes(`Your previous response was rejected:\n"""${SHORT}"""`));
+  assert.match(prompts[1], /Problems: sentences must have at least 3 items \(got 1\)\n/);
+  assert.match(prompts[1], /return ONLY the corrected JSON/);
+});
+
+test("each retry quotes only the latest response, and the last error is thrown", async () => {
+  replyWith("Sorry, I can't help with that.", SHORT, SHORT);
+
+  await assert.rejects(generateDictationSentences("2"), (err) => {
+    assert.ok(err instanceof SchemaError);
+    assert.deepEqual(err.errors, ["sentences must have at least 3 items (got 1)"]);
+    return true;
+  });
+
+  assert.equal(prompts.length, 3);
+  assert.match(prompts[1], /Problems: response is not valid JSON/);
+  assert.doesNotMatch(prompts[2], /Sorry, I can't help/);
+  assert.equal(prompts[2].split("Your previous response was rejected").length, 2);
+});
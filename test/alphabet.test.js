@@ -0,0 +1,136 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  LESSONS,
+  QUIZ_LENGTH,
+  LESSON_PASS_SCORE,
+  findLesson,
+  isLessonCompleted,
+  isUnlocked,
+  courseSummary,
+  courseCompleted,
+  recordQuizResult,
+  scoreHangulQuiz,
+  createHangulQuiz,
+  expectedHangulAnswer,
+  gradeHangulAnswer,
+  formatHangulLesson,
+  formatHangulQuestion
+} from "../src/alphabet.js";
+import { romanize } from "../src/hangul.js";
+
+function seeded(seed) {
+  let x = seed;
+  return () => {
+    x = (x * 1103515245 + 12345) % 2147483648;
+    return x / 2147483648;
+  };
+}
+
+const completed = (ids) => Object.fromEntries(ids.map((id) => [id, { attempts: 1, best: 9, completed: true, completedAt: 1 }]));
+
+test("the course goes from letters to words with unambiguous items", () => {
+  assert.equal(new Set(LESSONS.map((l) => l.id)).size, LESSONS.length);
+  assert.deepEqual(LESSONS.map((l) => l.unit), ["letter", "letter", "syllable", "letter", "letter", "letter", "syllable", "word"]);
+
+  for (const lesson of LESSONS) {
+    assert.match(lesson.id, /^[a-z_]+$/);
+    assert.ok(lesson.items.length >= 6, lesson.id);
+    assert.equal(new Set(lesson.items.map((i) => i.ko)).size, lesson.items.length, lesson.id);
+
+    const romans = lesson.items.map((i) => i.roman || romanize(i.ko));
+    assert.equal(new Set(romans).size, romans.length, `${lesson.id}: every item reads differently`);
+    if (lesson.unit === "letter") {
+      assert.ok(lesson.items.every((i) => i.roman && i.sound), lesson.id);
+    }
+  }
+});
+
+test("lessons open one by one and the last one completes the course", () => {
+  assert.equal(isUnlocked({}, "vowels"), true);
+  assert.equal(isUnlocked({}, "consonants"), false);
+  assert.equal(isUnlocked({ vowels: { completed: false } }, "consonants"), false);
+  assert.equal(isUnlocked(completed(["vowels"]), "consonants"), true);
+  assert.equal(isUnlocked({}, "nope"), false);
+
+  const allButLast = completed(LESSONS.slice(0, -1).map((l) => l.id));
+  assert.deepEqual(courseSummary(allButLast), { done: LESSONS.length - 1, total: LESSONS.length });
+  assert.equal(courseCompleted(allButLast), false);
+  assert.equal(courseCompleted(completed(LESSONS.map((l) => l.id))), true);
+});
+
+test("quiz results keep the best score and complete a lesson at the course's own pass mark", () => {
+  const progress = {};
+  assert.equal(LESSON_PASS_SCORE, 8);
+
+  assert.equal(recordQuizResult(progress, "vowels", 6, 100), false);
+  assert.deepEqual(progress.vowels, { attempts: 1, best: 6, completed: false, completedAt: null });
+  assert.equal(isLessonCompleted(progress, "vowels"), false);
+
+  assert.equal(recordQuizResult(progress, "vowels", LESSON_PASS_SCORE, 200), true);
+  assert.equal(recordQuizResult(progress, "vowels", 10, 300), false);   // already completed
+  assert.deepEqual(progress.vowels, { attempts: 3, best: 10, completed: true, completedAt: 200 });
+  assert.equal(isUnlocked(progress, "consonants"), true);
+
+  assert.deepEqual(scoreHangulQuiz(["correct", "wrong", "correct", "correct", "correct", "correct", "correct", "wrong"], 8), { correct: 6, score: 8 });
+  assert.deepEqual(scoreHangulQuiz(["correct"], 8), { correct: 1, score: 1 });
+  assert.deepEqual(scoreHangulQuiz([], 0), { correct: 0, score: 0 });
+});
+
+test("quizzes mix recognition on buttons with typing, all from the lesson", () => {
+  const lesson = findLesson("consonants");
+  const quiz = createHangulQuiz(lesson, { random: seeded(3) });
+
+  assert.equal(quiz.length, QUIZ_LENGTH);
+  assert.deepEqual(quiz.map((q) => q.type), ["which", "which", "read", "read", "listen", "listen", "type", "type"]);
+  assert.equal(new Set(quiz.map((q) => q.ko)).size, QUIZ_LENGTH);
+
+  for (const q of quiz) {
+    const item = lesson.items.find((i) => i.ko === q.ko);
+    assert.equal(q.roman, item.roman);
+    assert.equal(q.sound, item.sound);
+    if (q.type === "type") {
+      assert.deepEqual(q.answers, [q.ko]);
+      continue;
+    }
+    assert.equal(q.options.length, 4);
+    assert.equal(new Set(q.options).size, 4);
+    assert.equal(expectedHangulAnswer(q), q.type === "read" ? q.roman : q.ko);
+  }
+
+  assert.deepEqual(createHangulQuiz(lesson, { random: seeded(3) }), quiz);
+
+  // fewer items than questions: they come round again
+  assert.equal(createHangulQuiz(findLesson("vowels")).length, QUIZ_LENGTH);
+});
+
+test("typed answers are graded locally; vowels can be typed with or without ㅇ", () => {
+  const vowel = { type: "type", ko: "ㅓ", roman: "eo", answers: ["ㅓ", "어"] };
+  assert.equal(gradeHangulAnswer(vowel, "ㅓ"), "correct");
+  assert.equal(gradeHangulAnswer(vowel, " 어 "), "correct");
+  assert.equal(gradeHangulAnswer(vowel, "ㅏ"), "wrong");
+
+  const word = createHangulQuiz(findLesson("words"), { random: seeded(5) }).find((q) => q.type === "type");
+  assert.deepEqual(word.answers, [word.ko]);
+  assert.equal(gradeHangulAnswer(word, `${word.ko}.`), "correct");
+  assert.equal(gradeHangulAnswer(word, word.roman), "wrong");
+
+  const quiz = createHangulQuiz(findLesson("vowels"), { random: seeded(1) });
+  assert.ok(quiz.filter((q) => q.type === "type").every((q) => q.answers.length === 2));
+});
+
+test("lesson and question texts", () => {
+  const lesson = findLesson("vowels");
+  const intro = formatHangulLesson(lesson, {});
+  assert.match(intro, /^🔡 Lesson 1\/8 · Basic vowels/);
+  assert.match(intro, /ㅓ {2}eo — as in song/);
+  assert.match(formatHangulLesson(lesson, { vowels: { best: 6, completed: false } }), /Best quiz score so far: 6\/10/);
+  assert.match(formatHangulLesson(findLesson("words"), {}), /학교 {2}hakgyo — school/);
+
+  const q = { ko: "ㅓ", roman: "eo" };
+  assert.equal(formatHangulQuestion(lesson, { ...q, type: "which" }, 0, 8), "1/8 · Which letter is “eo”?");
+  assert.equal(formatHangulQuestion(lesson, { ...q, type: "read" }, 1, 8), "2/8 · How do you read ㅓ?");
+  assert.equal(formatHangulQuestion(findLesson("batchim"), { ko: "밥", roman: "bap", type: "read" }, 2, 8), "3/8 · Read this syllable: 밥");
+  assert.match(formatHangulQuestion(findLesson("words"), { ko: "물", roman: "mul", type: "type" }, 7, 8), /^8\/8 · Type “mul” in Hangul\./);
+});
@@ -0,0 +1,1202 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { Telegram } from "telegraf";
+
+import { createHarness } from "./harness.js";
+import { createMockProvider } from "../src/providers/mock.js";
+import { defaultFixtures } from "../src/providers/fixtures.js";
+import { findPlacementItem } from "../src/placement.js";
+import { closeOverdueExams } from "../src/bot.js";
+
+const USER = 42;
+
+let h;
+
+beforeEach(() => {
+  h = createHarness();
+});
+
+afterEach(() => {
+  h.dispose();
+});
+
+async function startWithLevel(level = "2") {
+  await h.start(USER);
+  await h.tap(USER, `LEVEL_${level}`);
+}
+
+test("/start greets the user and shows the level keyboard", async () => {
+  const out = await h.start(USER);
+  const texts = h.texts(out);
+
+  assert.match(texts[0], /Hello, Tester!/);
+  assert.match(texts[1], /choose your Korean level/);
+  assert.ok(h.buttons(out).includes("LEVEL_1"));
+  assert.ok(h.buttons(out).includes("LEVEL_6"));
+});
+
+test("LEVEL_n saves the level and offers practice modes", async () => {
+  await h.start(USER);
+  const out = await h.tap(USER, "LEVEL_3");
+
+  assert.equal(h.session(USER).level, "3");
+  assert.equal(h.sent("answerCallbackQuery", out).length, 1);
+  assert.match(h.texts(out)[0], /3급/);
+  assert.ok(h.buttons(out).includes("PRACTICE_READING"));
+  assert.ok(h.buttons(out).includes("PRACTICE_FREE"));
+});
+
+test("reading: text and questions, then graded answers", async () => {
+  await startWithLevel("2");
+
+  const out = await h.tap(USER, "FORMAT_reading_text");
+  const texts = h.texts(out);
+  const session = h.session(USER);
+
+  assert.equal(session.practiceType, "reading");
+  assert.equal(session.reading.state, "waiting_for_answers");
+  assert.ok(texts.some((t) => t.includes(session.reading.exercise.text)));
+  assert.ok(texts.some((t) => /Questions about the text/.test(t) && /5\. /.test(t)));
+
+  const answers = await h.sendText(USER, "1. park 2. friend 3. good 4. kimbap 5. cafe");
+  const result = h.texts(answers).join("\n");
+
+  assert.match(result, /Your score for this exercise: 7\/10/);
+  assert.match(result, /Question 3/);
+  assert.ok(h.buttons(answers).some((b) => b.startsWith("READING_NEXT:")));
+  assert.equal(session.reading.state, "idle");
+  assert.equal(session.stats.totalScore, 7);
+  assert.equal(session.stats.history[0].mode, "reading");
+
+  const [missed] = session.mistakes.items;
+  assert.equal(missed.mode, "reading");
+  assert.equal(missed.original, session.reading.exercise.questions[2]);
+  assert.equal(missed.explanation, "Look at the second sentence again.");
+});
+
+test("/start drops the current task but keeps history, streak and journal", async () => {
+  await startWithLevel("2");
+  await h.tap(USER, "FORMAT_reading_text");
+  await h.sendText(USER, "1. park 2. friend 3. good 4. kimbap 5. cafe");
+  await h.tap(USER, "FORMAT_reading_text");
+
+  const before = h.session(USER);
+  const days = Object.keys(before.streak.days);
+  assert.equal(before.reading.state, "waiting_for_answers");
+  assert.equal(days.length, 1);
+
+  await h.start(USER);
+  const after = h.session(USER);
+
+  assert.equal(after.level, null);
+  assert.equal(after.practiceType, null);
+  assert.equal(after.reading.state, "idle");
+  assert.equal(after.reading.exercise, null);
+  assert.equal(after.stats.history.length, 1);
+  assert.equal(after.stats.totalScore, 7);
+  assert.equal(after.mistakes.items.length, 1);
+  assert.deepEqual(Object.keys(after.streak.days), days);
+  assert.equal(after.exerciseSeq, before.exerciseSeq);
+});
+
+test("reading: glossary and translation on demand mark the attempt as assisted", async () => {
+  await startWithLevel("2");
+
+  const out = await h.tap(USER, "FORMAT_reading_text");
+  const exercise = h.session(USER).reading.exercise;
+  assert.deepEqual(h.buttons(out).slice(0, 2), [`READING_GLOSSARY:${exercise.id}`, `READING_TRANSLATION:${exercise.id}`]);
+
+  const glossary = await h.tap(USER, `READING_GLOSSARY:${exercise.id}`);
+  const [glossaryMsg] = h.sent("sendMessage", glossary);
+  assert.equal(glossaryMsg.payload.parse_mode, "HTML");
+  assert.match(glossaryMsg.payload.text, /<b>Grammar<\/b>/);
+  assert.match(glossaryMsg.payload.text, new RegExp(exercise.vocabulary[0].ko));
+
+  const translation = await h.tap(USER, `READING_TRANSLATION:${exercise.id}`);
+  assert.match(h.texts(translation)[0], /<tg-spoiler>/);
+  await h.tap(USER, `READING_GLOSSARY:${exercise.id}`);
+  assert.deepEqual(exercise.help, ["glossary", "translation"]);
+
+  const answers = await h.sendText(USER, "1. park 2. friend 3. good 4. kimbap 5. cafe");
+  assert.match(h.texts(answers).join("\n"), /🆘 With help: 📚 Glossary, 🌐 Translation/);
+  assert.deepEqual(h.session(USER).stats.history[0].help, ["glossary", "translation"]);
+
+  // stale buttons are refused; a fresh text starts unassisted
+  await h.tap(USER, `READING_NEXT:${exercise.id}`);
+  const stale = await h.tap(USER, `READING_TRANSLATION:${exercise.id}`);
+  assert.equal(h.sent("sendMessage", stale).length, 0);
+  assert.deepEqual(h.session(USER).reading.exercise.help, []);
+});
+
+test("listening: sends audio, then grades answers", async () => {
+  await startWithLevel("1");
+
+  const out = await h.tap(USER, "FORMAT_listening_text");
+  const session = h.session(USER);
+
+  assert.equal(h.sent("sendAudio", out).length, 1);
+  assert.equal(session.listening.state, "waiting_for_answers");
+  assert.ok(h.texts(out).some((t) => /Questions about the listening text/.test(t)));
+
+  const answers = await h.sendText(USER, "1. a 2. b 3. c 4. d 5. e");
+  const result = h.texts(answers).join("\n");
+
+  assert.match(result, /\(listening\): 7\/10/);
+  assert.ok(h.buttons(answers).some((b) => b.startsWith("LISTENING_NEXT:")));
+  assert.equal(session.stats.history[0].mode, "listening");
+});
+
+test("listening: a two-voice dialogue with slow and line-by-line replays", async () => {
+  await startWithLevel("1");
+  await h.sendText(USER, "/audio");
+  const picked = await h.tap(USER, "VOICE_coral");
+  assert.match(h.texts(picked).at(-1), /Voice: Coral · Speed: Normal/);
+  assert.ok(h.buttons(picked).includes("SPEED_0.75"));
+
+  const out = await h.tap(USER, "FORMAT_listening_text");
+  const exercise = h.session(USER).listening.exercise;
+  const [audio] = h.sent("sendAudio", out);
+  const mix = audio.payload.audio.source.toString("utf8");
+
+  assert.match(mix, /^MOCK-MIX:1:700:/);
+  assert.match(mix, /MOCK-AUDIO:onyx:/);
+  assert.match(mix, /MOCK-AUDIO:coral:/);
+  assert.match(exercise.text, /^(남자|여자): /);
+  assert.deepEqual(h.buttons(out).slice(0, 2), [`LISTEN_SLOW:${exercise.id}`, `LISTEN_LINES:${exercise.id}`]);
+
+  const slow = await h.tap(USER, `LISTEN_SLOW:${exercise.id}`);
+  assert.match(h.sent("sendAudio", slow)[0].payload.audio.source.toString("utf8"), /^MOCK-MIX:0.75:700:/);
+
+  const lines = await h.tap(USER, `LISTEN_LINES:${exercise.id}`);
+  assert.equal(h.buttons(lines).length, exercise.lines.length);
+
+  const line = exercise.lines[1];
+  const replay = await h.tap(USER, `LISTEN_LINE_${exercise.id}_1`);
+  assert.equal(
+    h.sent("sendAudio", replay)[0].payload.audio.source.toString("utf8"),
+    `MOCK-AUDIO:${exercise.voices[line.speaker]}:${line.text}`
+  );
+
+  await h.tap(USER, "SPEED_1.25");
+  assert.deepEqual(h.session(USER).audio, { voice: "coral", speed: 1.25 });
+});
+
+test("speaking: task, text is refused, voice is transcribed and graded", async () => {
+  await startWithLevel("2");
+
+  const out = await h.tap(USER, "PRACTICE_SPEAKING");
+  const session = h.session(USER);
+
+  assert.equal(session.speaking.state, "waiting_for_voice");
+  assert.ok(h.texts(out).some((t) => t.includes(session.speaking.exercise.prompt_ko)));
+
+  const refused = await h.sendText(USER, "제 대답이에요");
+  assert.match(h.texts(refused)[0], /send a voice message/);
+
+  const graded = await h.sendVoice(USER);
+  const result = h.texts(graded).join("\n");
+
+  assert.equal(h.sent("getFile", graded).length, 1);
+  assert.match(result, /김치찌개를 좋아해요/);
+  assert.match(result, /Speaking score: 6\/10/);
+  assert.ok(h.buttons(graded).some((b) => b.startsWith("SPEAKING_NEXT:")));
+  assert.equal(session.speaking.state, "idle");
+  assert.equal(session.stats.history[0].mode, "speaking");
+});
+
+test("free mode: bot opens the chat and answers text and voice", async () => {
+  await startWithLevel("1");
+
+  const out = await h.tap(USER, "PRACTICE_FREE");
+  const opening = h.sent("sendMessage", out).at(-1);
+
+  assert.equal(h.session(USER).practiceType, "free");
+  assert.equal(opening.payload.parse_mode, "HTML");
+  assert.match(opening.payload.text, /tg-spoiler/);
+
+  const textReply = await h.sendText(USER, "저는 학생이에요 입니다");
+  assert.equal(h.sent("sendMessage", textReply).length, 1);
+
+  const voiceReply = await h.sendVoice(USER);
+  assert.equal(h.sent("getFile", voiceReply).length, 1);
+  assert.ok(h.sent("sendMessage", voiceReply).some((c) => c.payload.parse_mode === "HTML"));
+});
+
+test("See progress shows the ramyun headline and the detailed report", async () => {
+  await startWithLevel("2");
+  await h.tap(USER, "FORMAT_reading_text");
+  await h.sendText(USER, "answers");
+
+  const out = await h.sendText(USER, "See progress");
+
+  assert.equal(h.sent("sendPhoto", out).length, 1);
+  assert.match(h.texts(out)[0], /Ramyun Mild/);
+  assert.match(h.texts(out)[1], /Detailed report/);
+});
+
+test("invalid model output is reported to the user instead of crashing", async () => {
+  h.dispose();
+  h = createHarness({
+    provider: {
+      name: "broken",
+      async generateText() {
+        return "not json at all";
+      },
+      async synthesizeSpeech() {
+        return Buffer.from("");
+      },
+      async transcribeAudio() {
+        return "";
+      }
+    }
+  });
+
+  await startWithLevel("2");
+  const out = await h.tap(USER, "FORMAT_reading_text");
+
+  assert.match(h.texts(out).at(-1), /Failed to generate an exercise/);
+  assert.equal(h.session(USER).reading.state, "idle");
+});
+
+function slowMockProvider(delayMs = 30) {
+  const mock = createMockProvider();
+  let generateCalls = 0;
+  return {
+    ...mock,
+    get generateCalls() {
+      return generateCalls;
+    },
+    async generateText(args) {
+      generateCalls++;
+      await new Promise((resolve) => setTimeout(resolve, delayMs));
+      return mock.generateText(args);
+    }
+  };
+}
+
+test("double tap on a button generates only one exercise", async () => {
+  const provider = slowMockProvider();
+  h.dispose();
+  h = createHarness({ provider });
+
+  await startWithLevel("2");
+  const before = provider.generateCalls;
+
+  const [first, second] = await Promise.all([
+    h.tap(USER, "FORMAT_reading_text"),
+    h.tap(USER, "FORMAT_reading_text")
+  ]);
+
+  assert.equal(provider.generateCalls - before, 1);
+  assert.equal(h.session(USER).exerciseSeq, 1);
+  const toasts = h.sent("answerCallbackQuery", [...first, ...second]).map((c) => c.payload.text);
+  assert.ok(toasts.includes("⏳ Already working on it..."));
+});
+
+test("answers sent during generation wait and are graded against the new text", async () => {
+  const provider = slowMockProvider();
+  h.dispose();
+  h = createHarness({ provider });
+
+  await startWithLevel("2");
+
+  const [generated, graded] = await Promise.all([
+    h.tap(USER, "FORMAT_reading_text"),
+    h.sendText(USER, "1. a 2. b 3. c 4. d 5. e")
+  ]);
+
+  assert.match(h.texts(graded)[0], /Still working on your previous request/);
+  assert.ok(h.texts(generated).some((t) => /reading text/.test(t)));
+  assert.ok(h.texts(graded).some((t) => /Your score for this exercise: 7\/10/.test(t)));
+  assert.equal(h.session(USER).reading.state, "idle");
+});
+
+test("review words: a saved card is shown, revealed, graded and rescheduled", async () => {
+  await startWithLevel("1");
+  const saved = await h.sendText(USER, "/save 사과 = apple");
+  assert.match(h.texts(saved)[0], /Saved: 사과 — apple/);
+  const again = await h.sendText(USER, "/save 사과 = apple");
+  assert.match(h.texts(again)[0], /already in your deck/);
+
+  const session = h.session(USER);
+  const [card] = session.vocab.cards;
+
+  const shown = await h.tap(USER, "PRACTICE_REVIEW");
+  assert.match(h.texts(shown)[0], /Word review \(1 due\)[\s\S]*<b>사과<\/b>/);
+  assert.ok(h.buttons(shown).includes(`VOCAB_SHOW_${card.id}`));
+
+  const answer = await h.tap(USER, `VOCAB_SHOW_${card.id}`);
+  assert.match(h.texts(answer)[0], /<b>사과<\/b> \[sagwa\]\napple/);
+  assert.ok(h.buttons(answer).includes(`VOCAB_GRADE_${card.id}_good`));
+
+  const before = Date.now();
+  const done = await h.tap(USER, `VOCAB_GRADE_${card.id}_good`);
+  assert.match(h.texts(done)[0], /All done for now[\s\S]*Next review in 1 day\(s\)/);
+  assert.equal(card.reps, 1);
+  assert.equal(card.interval, 1);
+  assert.ok(card.due >= before + 24 * 60 * 60 * 1000);
+  assert.equal(session.vocab.currentCardId, null);
+
+  // a second tap on the same card doesn't grade it twice
+  await h.tap(USER, `VOCAB_GRADE_${card.id}_again`);
+  assert.equal(card.lapses, 0);
+  assert.equal(card.reps, 1);
+});
+
+test("buttons from an older result are rejected", async () => {
+  await startWithLevel("2");
+  await h.tap(USER, "FORMAT_reading_text");
+  const firstResult = await h.sendText(USER, "answers");
+  const oldNext = h.buttons(firstResult).find((b) => b.startsWith("READING_NEXT:"));
+  const oldSave = h.buttons(firstResult).find((b) => b.startsWith("VOCAB_SAVE_READING:"));
+
+  await h.tap(USER, oldNext);
+  const session = h.session(USER);
+  assert.equal(session.reading.state, "waiting_for_answers");
+  const currentId = session.reading.exercise.id;
+
+  const staleNext = await h.tap(USER, oldNext);
+  const staleSave = await h.tap(USER, oldSave);
+
+  assert.equal(session.reading.exercise.id, currentId);
+  assert.equal(session.vocab.cards.length, 0);
+  for (const out of [staleNext, staleSave]) {
+    assert.match(h.sent("answerCallbackQuery", out)[0].payload.text, /older task/);
+    assert.equal(h.sent("sendMessage", out).length, 0);
+  }
+});
+
+test("result buttons from before they carried an exercise id are answered as stale", async () => {
+  await startWithLevel("2");
+  await h.tap(USER, "FORMAT_reading_text");
+  const session = h.session(USER);
+  const currentId = session.reading.exercise.id;
+
+  for (const data of ["READING_NEXT", "LISTENING_NEXT", "SPEAKING_NEXT", "VOCAB_SAVE_READING", "VOCAB_SAVE_LISTENING"]) {
+    const out = await h.tap(USER, data);
+    assert.match(h.sent("answerCallbackQuery", out)[0].payload.text, /older task/);
+    assert.equal(h.sent("sendMessage", out).length, 0);
+  }
+  assert.equal(session.reading.exercise.id, currentId);
+  assert.equal(session.vocab.cards.length, 0);
+});
+
+test("free mode keeps conversation history and summarizes long chats", async () => {
+  const prompts = [];
+  // one opening only: fixtures are picked by prompt hash, so prompt wording changes would move it
+  const mock = createMockProvider({ fixtures: { ...defaultFixtures, free_chat: [defaultFixtures.free_chat[0]] } });
+  h.dispose();
+  h = createHarness({
+    provider: {
+      ...mock,
+      async generateText(args) {
+        prompts.push(args);
+        return mock.generateText(args);
+      }
+    }
+  });
+
+  await startWithLevel("1");
+  await h.tap(USER, "PRACTICE_FREE");
+  await h.sendText(USER, "저는 커피를 좋아해요");
+
+  const lastChat = prompts.filter((p) => p.task === "free_chat").at(-1);
+  assert.match(lastChat.prompt, /Hangram: 안녕하세요/);
+
+  for (let i = 0; i < 8; i++) {
+    await h.sendText(USER, `메시지 ${i}`);
+  }
+
+  const session = h.session(USER);
+  assert.ok(prompts.some((p) => p.task === "summary"));
+  assert.ok(session.free.summary.length > 0);
+  assert.ok(session.free.history.length <= 16);
+  assert.match(prompts.filter((p) => p.task === "free_chat").at(-1).prompt, /SUMMARY OF THE EARLIER CONVERSATION/);
+});
+
+test("leaving free mode or changing level restarts the conversation", async () => {
+  await startWithLevel("1");
+  await h.tap(USER, "PRACTICE_FREE");
+  await h.sendText(USER, "안녕하세요");
+  assert.equal(h.session(USER).free.history.length, 3);
+
+  await h.tap(USER, "CHANGE_MODE_INLINE");
+  assert.equal(h.session(USER).free.history.length, 0);
+
+  await h.tap(USER, "PRACTICE_FREE");
+  await h.tap(USER, "LEVEL_2");
+  assert.equal(h.session(USER).free.history.length, 0);
+});
+
+test("role-play: scenario goals are tracked across text and voice turns and graded", async () => {
+  h.dispose();
+  h = createHarness({
+    fixtures: {
+      ...defaultFixtures,
+      scenario_turn: [{ korean: "네, 손님.", english_translation: "Yes, sir.", goals_completed: [1, 2], hint: "Pay now." }]
+    }
+  });
+
+  await startWithLevel("2");
+
+  const list = await h.tap(USER, "PRACTICE_SCENARIO");
+  assert.ok(h.buttons(list).includes("SCENARIO_START_cafe"));
+  assert.ok(!h.buttons(list).includes("SCENARIO_START_interview"));
+
+  const opening = await h.tap(USER, "SCENARIO_START_cafe");
+  const session = h.session(USER);
+  assert.equal(session.scenario.state, "in_progress");
+  assert.equal(session.scenario.exercise.goals.length, 4);
+  assert.ok(h.texts(opening).some((t) => /Ordering at a café/.test(t)));
+  const finishButton = h.buttons(opening).find((b) => b.startsWith("SCENARIO_FINISH:"));
+
+  await h.sendText(USER, "아이스 아메리카노 큰 사이즈로 주세요");
+  await h.sendVoice(USER);
+
+  assert.equal(session.scenario.history.filter((t) => t.role === "user").length, 2);
+  assert.deepEqual(session.scenario.exercise.goals.map((g) => g.done), [true, true, false, false]);
+
+  const debrief = await h.tap(USER, finishButton);
+  const text = h.texts(debrief).join("\n");
+
+  assert.match(text, /Debrief: Ordering at a café/);
+  assert.match(text, /Score: 8\/10/);
+  assert.equal(session.scenario.state, "idle");
+  assert.equal(session.stats.history.at(-1).mode, "scenario");
+
+  const again = await h.tap(USER, finishButton);
+  assert.match(h.sent("answerCallbackQuery", again)[0].payload.text, /already over/);
+});
+
+test("reading and listening ask for the answer format first", async () => {
+  await startWithLevel("2");
+
+  const reading = await h.tap(USER, "PRACTICE_READING");
+  assert.deepEqual(h.buttons(reading), ["FORMAT_reading_quiz", "FORMAT_reading_text"]);
+
+  const listening = await h.tap(USER, "PRACTICE_LISTENING");
+  assert.deepEqual(h.buttons(listening), ["FORMAT_listening_quiz", "FORMAT_listening_text"]);
+});
+
+test("quiz: questions one by one on buttons, scored locally after the last answer", async () => {
+  const tasks = [];
+  const mock = createMockProvider();
+  h.dispose();
+  h = createHarness({
+    provider: {
+      ...mock,
+      async generateText(args) {
+        tasks.push(args.task);
+        return mock.generateText(args);
+      }
+    }
+  });
+
+  await startWithLevel("2");
+  let out = await h.tap(USER, "FORMAT_reading_quiz");
+  const session = h.session(USER);
+  const exercise = session.reading.exercise;
+
+  assert.equal(exercise.format, "quiz");
+  assert.match(h.texts(out).at(-1), /Question 1\/5/);
+
+  // answer keys in the fixture: 1, 1, 2, 0, 3 — get question 2 wrong
+  const choices = [1, 0, 2, 0, 3];
+  for (let i = 0; i < choices.length; i++) {
+    const button = h.buttons(out).find((b) => b.endsWith(`_${i}_${choices[i]}`));
+    assert.ok(button, `button for question ${i + 1}`);
+    out = await h.tap(USER, button);
+    if (i < choices.length - 1) {
+      assert.match(h.texts(out).at(-1), new RegExp(`Question ${i + 2}/5`));
+      assert.doesNotMatch(h.texts(out).join("\n"), /✅|❌/);
+    }
+  }
+
+  const result = h.texts(out).at(-1);
+  assert.match(result, /Your score for this exercise: 8\/10/);
+  assert.match(result, /4\/5 correct/);
+  assert.match(result, /❌ Question 2/);
+  assert.match(result, /Correct: False/);
+  assert.equal(session.reading.state, "idle");
+  assert.equal(session.stats.history.at(-1).score, 8);
+  assert.ok(!tasks.includes("reading_eval"));
+
+  const replay = await h.tap(USER, `QUIZ_reading_${exercise.id}_4_3`);
+  assert.match(h.sent("answerCallbackQuery", replay)[0].payload.text, /already answered/);
+  assert.equal(session.stats.history.length, 1);
+});
+
+test("quiz: listening reuses the button flow and text answers are redirected", async () => {
+  await startWithLevel("1");
+  const out = await h.tap(USER, "FORMAT_listening_quiz");
+
+  assert.equal(h.sent("sendAudio", out).length, 1);
+  assert.ok(h.buttons(out).some((b) => b.startsWith("QUIZ_listening_")));
+
+  const typed = await h.sendText(USER, "1. A");
+  assert.match(h.texts(typed)[0], /Tap one of the buttons/);
+});
+
+test("dictation: plays one sentence at a time and grades locally", async () => {
+  await startWithLevel("1");
+  const out = await h.tap(USER, "PRACTICE_DICTATION");
+
+  const session = h.session(USER);
+  const id = session.dictation.exercise.id;
+  assert.equal(session.dictation.state, "waiting_for_answer");
+  assert.equal(h.sent("sendAudio", out).length, 1);
+  assert.deepEqual(h.buttons(out), [`DICTATION_REPLAY:${id}`, `DICTATION_SKIP:${id}`]);
+
+  const replay = await h.tap(USER, `DICTATION_REPLAY:${id}`);
+  assert.equal(h.sent("sendAudio", replay).length, 1);
+
+  const first = await h.sendText(USER, "저는학교에 갓어요");
+  const feedback = h.sent("sendMessage", first)[0].payload;
+  assert.equal(feedback.parse_mode, "HTML");
+  assert.match(feedback.text, /<s>갓<\/s><b>갔<\/b>/);
+  assert.match(feedback.text, /받침/);
+  assert.equal(h.sent("sendAudio", first).length, 1);
+
+  await h.sendText(USER, "날씨가 좋아요");
+  const last = await h.tap(USER, `DICTATION_SKIP:${id}`);
+
+  assert.equal(session.dictation.state, "idle");
+  assert.match(h.texts(last).at(-1), /Average accuracy: 63%/);
+  assert.equal(session.stats.history[0].mode, "dictation");
+  assert.equal(session.stats.history[0].score, 6);
+});
+
+test("shadowing: grades the transcript and brings weak sentences back", async () => {
+  h.dispose();
+  h = createHarness({ fixtures: { ...defaultFixtures, transcripts: ["저는 커비를 조아해"] } });
+
+  await startWithLevel("1");
+  const out = await h.tap(USER, "PRACTICE_SHADOWING");
+
+  const session = h.session(USER);
+  assert.equal(session.shadowing.state, "waiting_for_voice");
+  assert.equal(session.shadowing.exercise.korean, "저는 커피를 좋아해요.");
+  assert.ok(h.texts(out).some((t) => t.includes("[jeoneun keopireul joahaeyo.]")));
+  assert.equal(h.sent("sendAudio", out).length, 1);
+
+  const graded = await h.sendVoice(USER);
+  const result = h.sent("sendMessage", graded).at(-1).payload;
+  assert.equal(result.parse_mode, "HTML");
+  assert.match(result.text, /<s>비<\/s><b>피<\/b>/);
+  assert.match(result.text, /Accuracy: 67%/);
+  assert.match(result.text, /받침 ㅎ sounded like ∅/);
+  assert.match(result.text, /bring this sentence back/);
+  assert.equal(session.stats.history[0].mode, "shadowing");
+
+  // three other sentences in between (skipped ones count too), then it's due again
+  for (let i = 0; i < 3; i++) {
+    await h.tap(USER, `SHADOWING_NEXT:${session.shadowing.exercise.id}`);
+    assert.notEqual(session.shadowing.exercise.korean, "저는 커피를 좋아해요.");
+  }
+
+  const again = await h.tap(USER, `SHADOWING_NEXT:${session.shadowing.exercise.id}`);
+  assert.equal(session.shadowing.exercise.korean, "저는 커피를 좋아해요.");
+  assert.match(h.texts(again)[0], /tricky last time/);
+});
+
+test("placement test: adapts, then saves the recommended level", async () => {
+  await h.start(USER);
+  const first = await h.tap(USER, "PLACEMENT_START");
+
+  const session = h.session(USER);
+  const id = session.placement.exercise.id;
+  assert.equal(session.placement.state, "in_progress");
+  assert.ok(h.buttons(first).every((b) => b.startsWith(`PLACEMENT_${id}_0_`)));
+
+  const typed = await h.sendText(USER, "hello");
+  assert.match(h.texts(typed)[0], /tap one of the answer buttons/);
+
+  let last;
+  let audio = 0;
+  for (let q = 0; q < 12; q++) {
+    const item = findPlacementItem(session.placement.exercise.current);
+    last = await h.tap(USER, `PLACEMENT_${id}_${q}_${item.answer}`);
+    audio += h.sent("sendAudio", last).length;
+  }
+
+  assert.ok(audio > 0);
+  assert.equal(session.placement.state, "idle");
+  assert.equal(session.level, "6");
+  assert.ok(h.texts(last).some((t) => /Recommended level: 6급/.test(t)));
+  assert.ok(h.buttons(last).includes("PRACTICE_READING"));
+
+  const stale = await h.tap(USER, `PLACEMENT_${id}_3_0`);
+  assert.match(h.sent("answerCallbackQuery", stale)[0].payload.text, /already answered/);
+});
+
+test("level suggestions: one tap to move up after strong scores", async () => {
+  await startWithLevel("2");
+  const session = h.session(USER);
+  for (let i = 0; i < 4; i++) {
+    session.stats.history.push({ mode: "reading", level: "2", score: 10, topic: null, at: Date.now() });
+  }
+
+  await h.tap(USER, "FORMAT_reading_text");
+  const result = await h.sendText(USER, "1. a\n2. b\n3. c\n4. d\n5. e");
+
+  const id = session.leveling.pending.id;
+  assert.ok(h.texts(result).some((t) => /Ready to try 3급\?/.test(t)));
+  assert.deepEqual(h.buttons(result).slice(-2), [`LEVEL_ACCEPT:${id}`, `LEVEL_DECLINE:${id}`]);
+
+  await h.tap(USER, `LEVEL_ACCEPT:${id}`);
+  assert.equal(session.level, "3");
+  assert.equal(session.leveling.pending, null);
+
+  const again = await h.tap(USER, `LEVEL_DECLINE:${id}`);
+  assert.match(h.sent("answerCallbackQuery", again)[0].payload.text, /older task/);
+});
+
+test("auto level moves within its bounds without asking", async () => {
+  await startWithLevel("2");
+  const out = await h.sendText(USER, "/autolevel 1-2");
+  assert.match(h.texts(out)[0], /Auto level is on \(range 1–2급\)/);
+
+  const session = h.session(USER);
+  for (let i = 0; i < 4; i++) {
+    session.stats.history.push({ mode: "reading", level: "2", score: 10, topic: null, at: Date.now() });
+  }
+
+  await h.tap(USER, "FORMAT_reading_text");
+  const capped = await h.sendText(USER, "1. a\n2. b\n3. c\n4. d\n5. e");
+  assert.equal(session.level, "2");
+  assert.equal(session.leveling.pending, null);
+  assert.ok(!h.texts(capped).some((t) => /Auto level:/.test(t)));
+
+  await h.sendText(USER, "/autolevel 2-3");
+  await h.tap(USER, `READING_NEXT:${session.reading.exercise.id}`);
+  const moved = await h.sendText(USER, "1. a\n2. b\n3. c\n4. d\n5. e");
+  assert.equal(session.level, "3");
+  assert.ok(h.texts(moved).some((t) => /Auto level: .* moved you to 3급/.test(t)));
+});
+
+test("daily goal: reaching it starts a streak that shows in See progress", async () => {
+  await startWithLevel("2");
+  const goal = await h.sendText(USER, "/goal 1");
+  assert.match(h.texts(goal)[0], /Daily goal: 1 exercises/);
+
+  await h.tap(USER, "FORMAT_reading_text");
+  const result = await h.sendText(USER, "1. a\n2. b\n3. c\n4. d\n5. e");
+  assert.ok(h.texts(result).some((t) => /Daily goal reached! 🔥 Streak: 1 day/.test(t)));
+
+  const progress = await h.sendText(USER, "See progress");
+  assert.match(h.texts(progress)[0], /You are: .*[\s\S]*🔥 Streak: 1 day\(s\)[\s\S]*Today: 1\/1 exercises ✅/);
+});
+
+test("reminder settings validate time and timezone", async () => {
+  await startWithLevel("2");
+  const bad = await h.sendText(USER, "/reminder 25:00");
+  assert.match(h.texts(bad)[0], /Usage/);
+
+  const ok = await h.sendText(USER, "/reminder 7:30 Asia/Seoul");
+  assert.match(h.texts(ok)[0], /every day at 07:30 \(Asia\/Seoul\)/);
+  assert.equal(h.session(USER).streak.reminder.enabled, true);
+
+  await h.sendText(USER, "/reminder off");
+  assert.equal(h.session(USER).streak.reminder.enabled, false);
+});
+
+test("mistake journal: speaking feedback is kept, drilled and marked as mastered", async () => {
+  await startWithLevel("2");
+  const empty = await h.tap(USER, "PRACTICE_MISTAKES");
+  assert.match(h.texts(empty)[0], /Nothing to review yet/);
+
+  await h.tap(USER, "PRACTICE_SPEAKING");
+  const graded = await h.sendVoice(USER);
+  assert.match(h.texts(graded).join("\n"), /김치찌개가 좋아해요 → 김치찌개를 좋아해요/);
+
+  const list = await h.sendText(USER, "/mistakes");
+  assert.match(h.texts(list)[0], /1 open, 0 mastered[\s\S]*🗣 Speaking[\s\S]*🏷 particle 을\/를/);
+  assert.deepEqual(h.buttons(list), ["MISTAKE_MASTER_1_0", "PRACTICE_MISTAKES"]);
+
+  const drill = await h.tap(USER, "PRACTICE_MISTAKES");
+  const session = h.session(USER);
+  const id = session.mistakeReview.exercise.id;
+  assert.equal(session.mistakeReview.state, "waiting_for_answer");
+  assert.match(h.texts(drill).at(-1), /1\/3 · 🏷 particle 을\/를[\s\S]*사과___/);
+  assert.deepEqual(h.buttons(drill), [`MISTAKE_DRILL_SKIP:${id}`]);
+
+  const first = await h.sendText(USER, "를");
+  assert.match(h.texts(first)[0], /✅ Correct!/);
+  const second = await h.sendText(USER, "동생이 책을 읽어요");
+  assert.match(h.texts(second)[0], /✅ Correct!/);
+  const last = await h.sendText(USER, "저는 의사에요");
+  assert.match(h.texts(last)[0], /🟡 Almost!/);
+  assert.match(h.texts(last).at(-1), /Correct: 2\/3 \(\+1 almost\)\nScore: 8\/10/);
+  assert.equal(session.mistakeReview.state, "idle");
+  assert.equal(session.stats.history.at(-1).mode, "mistakes");
+
+  const mastered = await h.tap(USER, "MISTAKE_MASTER_1_0");
+  assert.match(h.texts(mastered)[0], /clear — 1 mistake\(s\) mastered/);
+  assert.equal(session.mistakes.items[0].mastered, true);
+});
+
+test("writing: TOPIK-style task, rubric scores, inline corrections and stats", async () => {
+  await startWithLevel("1");
+  const menu = await h.tap(USER, "PRACTICE_WRITING");
+  assert.deepEqual(h.buttons(menu), ["WRITING_TYPE_diary", "WRITING_TYPE_completion"]);
+
+  const task = await h.tap(USER, "WRITING_TYPE_diary");
+  const session = h.session(USER);
+  assert.equal(session.writing.state, "waiting_for_text");
+  assert.match(h.texts(task).at(-1), /📏 Length: 80–200 characters[\s\S]*📋 Rubric \(10 points\)/);
+
+  const graded = await h.sendText(USER, "지난 주말에 친구가 만났어요. 같이 영화를 봤어요. 재미있어요.");
+  const result = h.sent("sendMessage", graded).at(-1).payload;
+
+  assert.equal(result.parse_mode, "HTML");
+  assert.match(result.text, /Writing score: 7\/10 \(7\/10 points\)/);
+  assert.match(result.text, /<b>Language use<\/b>: 2\/4/);
+  assert.match(result.text, /📏 35 characters \(target 80–200\) ⚠️ too short/);
+  assert.match(result.text, /<s>친구가 만났어요<\/s> <b>친구를 만났어요<\/b>/);
+  assert.match(result.text, /<tg-spoiler>지난 주말에/);
+  assert.equal(session.writing.state, "idle");
+  assert.equal(session.stats.history.at(-1).mode, "writing");
+  assert.equal(session.mistakes.items.length, 2);
+});
+
+test("grammar: browse a lesson, hear the examples, drill it and mark it completed", async () => {
+  await startWithLevel("2");
+
+  const list = await h.tap(USER, "PRACTICE_GRAMMAR");
+  assert.match(h.texts(list)[0], /2급 grammar — 0\/4 completed/);
+  assert.ok(h.buttons(list).includes("GRAMMAR_POINT_aseo"));
+
+  const lesson = await h.tap(USER, "GRAMMAR_POINT_aseo");
+  assert.match(h.texts(lesson)[0], /-아서\/어서/);
+  assert.ok(h.buttons(lesson).includes("GRAMMAR_POINT_eunikka"));
+
+  const audio = await h.tap(USER, "GRAMMAR_AUDIO_aseo");
+  assert.match(h.sent("sendAudio", audio)[0].payload.audio.source.toString("utf8"), /배가 고파서 라면을 먹었어요/);
+
+  let out = await h.tap(USER, "GRAMMAR_DRILL_aseo");
+  const session = h.session(USER);
+  const exercise = session.grammar.exercise;
+  assert.match(h.texts(out).at(-1), /1\/3 · Choose the right form/);
+
+  // a typed answer to a choice item is refused; then the right button
+  out = await h.sendText(USER, "피곤해서");
+  assert.match(h.texts(out)[0], /Tap one of the buttons/);
+  out = await h.tap(USER, `GRAMMAR_CHOICE_${exercise.id}_0_1`);
+  assert.match(h.texts(out)[0], /✅ Correct!/);
+  assert.match(h.texts(out).at(-1), /2\/3 · Fill in the blank/);
+
+  // exact match: no model review needed
+  out = await h.sendText(USER, "막혀서");
+  assert.match(h.texts(out)[0], /✅ Correct!/);
+
+  // a different wording goes to the model, which accepts it
+  out = await h.sendText(USER, "도서관에 가서 책을 빌렸어요");
+  const result = h.texts(out).join("\n");
+  assert.match(result, /✅ That works too!/);
+  assert.match(result, /Score: 10\/10/);
+  assert.match(result, /-아서\/어서 is now marked as completed/);
+
+  assert.equal(session.grammar.state, "idle");
+  assert.equal(session.grammar.progress.aseo.completed, true);
+  assert.equal(session.stats.history.at(-1).mode, "grammar");
+
+  const again = await h.tap(USER, "GRAMMAR_LEVEL_2");
+  assert.match(h.texts(again)[0], /1\/4 completed[\s\S]*✅ -아서\/어서/);
+});
+
+test("grammar: wrong answers are explained and logged to the mistake journal", async () => {
+  h.dispose();
+  h = createHarness({ fixtures: { grammar_review: [{ correct: false, feedback: "This doesn't use -(으)니까.", corrected: "자니까" }] } });
+  await startWithLevel("2");
+
+  await h.tap(USER, "GRAMMAR_DRILL_eunikka");
+  const exercise = h.session(USER).grammar.exercise;
+  await h.tap(USER, `GRAMMAR_CHOICE_${exercise.id}_0_0`);
+  await h.tap(USER, `GRAMMAR_CHOICE_${exercise.id}_0_1`);   // already answered: ignored
+  const out = await h.sendText(USER, "자서");
+  const reply = h.texts(out)[0];
+
+  assert.match(reply, /❌ The answer is: 자니까\nThis doesn't use -\(으\)니까\./);
+  assert.equal(exercise.index, 2);
+  const logged = h.session(USER).mistakes.items.filter((m) => m.mode === "grammar");
+  assert.deepEqual(logged.map((m) => m.original), ["좋아서", "자서"]);
+  assert.equal(logged[0].pattern, "-(으)니까");
+});
+
+// answers every remaining Hangul quiz question correctly
+async function passHangulQuiz() {
+  const exercise = h.session(USER).hangul.exercise;
+  let out = [];
+  for (const [idx, q] of exercise.questions.entries()) {
+    out = q.type === "type"
+      ? await h.sendText(USER, q.answers[0])
+      : await h.tap(USER, `HANGUL_CHOICE_${exercise.id}_${idx}_${q.answer}`);
+  }
+  return out;
+}
+
+test("0급: the Hangul course replaces the practice modes until it's completed", async () => {
+  await h.start(USER);
+  const start = await h.tap(USER, "LEVEL_0");
+  const session = h.session(USER);
+
+  assert.equal(session.level, "0");
+  assert.match(h.texts(start).at(-1), /Hangul course — 0\/8 lessons completed[\s\S]*unlock 1급/);
+  assert.ok(h.buttons(start).includes("HANGUL_LESSON_vowels"));
+
+  const gated = await h.tap(USER, "PRACTICE_READING");
+  assert.match(h.sent("answerCallbackQuery", gated)[0].payload.text, /Finish the Hangul course first/);
+  assert.notEqual(session.practiceType, "reading");
+  const mode = await h.sendText(USER, "Change mode");
+  assert.match(h.texts(mode)[0], /Hangul course/);
+
+  const locked = await h.tap(USER, "HANGUL_QUIZ_consonants");
+  assert.match(h.sent("answerCallbackQuery", locked)[0].payload.text, /Complete the previous lesson first/);
+
+  const lesson = await h.tap(USER, "HANGUL_LESSON_vowels");
+  assert.match(h.texts(lesson)[0], /Lesson 1\/8 · Basic vowels/);
+  const sound = await h.tap(USER, "HANGUL_SOUND_vowels_1");
+  assert.match(h.sent("sendAudio", sound)[0].payload.audio.source.toString("utf8"), /:어$/);
+
+  let out = await h.tap(USER, "HANGUL_QUIZ_vowels");
+  const exercise = session.hangul.exercise;
+  assert.match(h.texts(out).at(-1), /^1\/8 · Which letter is/);
+
+  // typing while a button question is open is refused, then a wrong button
+  out = await h.sendText(USER, "ㅏ");
+  assert.match(h.texts(out)[0], /Tap one of the buttons/);
+  const first = exercise.questions[0];
+  out = await h.tap(USER, `HANGUL_CHOICE_${exercise.id}_0_${(first.answer + 1) % 4}`);
+  assert.match(h.texts(out)[0], new RegExp(`^❌ The answer is: ${first.ko}\n${first.ko} = ${first.roman}`));
+
+  for (let idx = 1; idx < 8; idx++) {
+    const q = exercise.questions[idx];
+    if (q.type === "listen") {
+      assert.match(h.sent("sendAudio", out)[0].payload.audio.source.toString("utf8"), new RegExp(`:${q.sound}$`));
+    }
+    out = q.type === "type"
+      ? await h.sendText(USER, q.answers[1])
+      : await h.tap(USER, `HANGUL_CHOICE_${exercise.id}_${idx}_${q.answer}`);
+  }
+  const result = h.texts(out).join("\n");
+  assert.match(result, /Correct: 7\/8/);
+  assert.match(result, /Score: 9\/10/);
+  assert.match(result, /Lesson completed! Next up: Basic consonants/);
+  assert.ok(h.buttons(out).includes("HANGUL_LESSON_consonants"));
+  assert.equal(session.hangul.progress.vowels.completed, true);
+  assert.equal(session.stats.history.at(-1).mode, "hangul");
+  assert.equal(session.stats.history.at(-1).level, "0");
+  assert.equal(session.level, "0");
+});
+
+test("0급: commands and stale buttons can't open a practice mode either", async () => {
+  await h.start(USER);
+  await h.tap(USER, "LEVEL_0");
+  const session = h.session(USER);
+  const prompts = [];
+  const generateText = h.ai.generateText;
+  h.ai.generateText = async (args) => {
+    prompts.push(args);
+    return generateText(args);
+  };
+
+  const grammar = await h.sendText(USER, "/grammar");
+  assert.match(h.texts(grammar)[0], /Hangul course/);
+  assert.notEqual(session.practiceType, "grammar");
+
+  const format = await h.tap(USER, "FORMAT_reading_text");
+  assert.match(h.sent("answerCallbackQuery", format)[0].payload.text, /Finish the Hangul course first/);
+  assert.match(h.texts(format)[0], /Hangul course/);
+  assert.equal(session.reading.state, "idle");
+
+  const exam = await h.tap(USER, "EXAM_START_topik2");
+  assert.match(h.sent("answerCallbackQuery", exam)[0].payload.text, /Finish the Hangul course first/);
+  assert.equal(session.exam.state, "idle");
+
+  assert.equal(prompts.length, 0);
+});
+
+test("0급: completing the last Hangul lesson unlocks 1급", async () => {
+  await h.start(USER);
+  await h.tap(USER, "LEVEL_0");
+  const session = h.session(USER);
+  for (const id of ["vowels", "consonants", "blocks", "more_vowels", "strong_consonants", "compound_vowels", "batchim"]) {
+    session.hangul.progress[id] = { attempts: 1, best: 10, completed: true, completedAt: 1 };
+  }
+
+  await h.tap(USER, "HANGUL_QUIZ_words");
+  const out = await passHangulQuiz();
+  const texts = h.texts(out).join("\n");
+
+  assert.match(texts, /Score: 10\/10/);
+  assert.match(texts, /finished the Hangul course[\s\S]*1급 is unlocked/);
+  assert.equal(session.level, "1");
+  assert.ok(h.buttons(out).includes("PRACTICE_READING"));
+
+  const reading = await h.tap(USER, "PRACTICE_READING");
+  assert.match(h.texts(reading)[0], /How would you like to answer/);
+});
+
+test("0급: picking a higher level or the placement test waits for the course too", async () => {
+  await h.start(USER);
+  await h.tap(USER, "LEVEL_0");
+  const session = h.session(USER);
+
+  const level = await h.tap(USER, "LEVEL_1");
+  assert.match(h.sent("answerCallbackQuery", level)[0].payload.text, /Finish the Hangul course first/);
+  assert.match(h.texts(level)[0], /Hangul course/);
+  assert.equal(session.level, "0");
+
+  const placement = await h.tap(USER, "PLACEMENT_START");
+  assert.match(h.sent("answerCallbackQuery", placement)[0].payload.text, /Finish the Hangul course first/);
+  assert.equal(session.placement.state, "idle");
+});
+
+test("0급: a learner who finished the course earlier moves up again after any quiz", async () => {
+  await h.start(USER);
+  await h.tap(USER, "LEVEL_0");
+  const session = h.session(USER);
+  for (const id of ["vowels", "consonants", "blocks", "more_vowels", "strong_consonants", "compound_vowels", "batchim", "words"]) {
+    session.hangul.progress[id] = { attempts: 1, best: 10, completed: true, completedAt: 1 };
+  }
+
+  await h.tap(USER, "HANGUL_QUIZ_vowels");
+  const out = await passHangulQuiz();
+  const texts = h.texts(out).join("\n");
+
+  assert.match(texts, /Already completed/);
+  assert.match(texts, /1급 is unlocked/);
+  assert.equal(session.level, "1");
+
+  // and can leave 0급 by picking a level straight away
+  await h.tap(USER, "LEVEL_0");
+  await h.tap(USER, "LEVEL_3");
+  assert.equal(session.level, "3");
+});
+
+test("conjugation drill: instant local grading with rule explanations", async () => {
+  h.dispose();
+  const offline = async () => {
+    throw new Error("the conjugation drill must not call the model");
+  };
+  h = createHarness({
+    provider: { name: "offline", generateText: offline, synthesizeSpeech: offline, transcribeAudio: offline }
+  });
+  await startWithLevel("2");
+
+  const first = await h.tap(USER, "PRACTICE_CONJUGATION");
+  const session = h.session(USER);
+  const exercise = session.conjugation.exercise;
+  const [one, two] = exercise.items;
+  assert.equal(session.conjugation.state, "waiting_for_answer");
+  assert.match(h.texts(first).at(-1), new RegExp(`^1/8 · ${one.dict}`));
+  assert.ok(h.buttons(first).includes(`CONJ_SKIP:${exercise.id}`));
+
+  let out = await h.sendText(USER, one.answers[0]);
+  assert.match(h.texts(out)[0], new RegExp(`^✅ ${one.answers[0]}\n• `));
+  assert.match(h.texts(out).at(-1), new RegExp(`^2/8 · ${two.dict}`));
+
+  out = await h.sendText(USER, "모르겠어요");
+  assert.match(h.texts(out)[0], new RegExp(`^❌ ${two.dict} → ${two.answers[0]}`));
+  const logged = session.mistakes.items.filter((m) => m.mode === "conjugation");
+  assert.equal(logged.length, 1);
+  assert.equal(logged[0].correction, two.answers[0]);
+
+  for (let i = 2; i < 7; i++) {
+    await h.sendText(USER, exercise.items[i].answers[0]);
+  }
+  out = await h.tap(USER, `CONJ_SKIP:${exercise.id}`);
+  const result = h.texts(out).join("\n");
+  assert.match(result, /Correct: 6\/8/);
+  assert.match(result, /Score: 8\/10/);
+  assert.ok(h.buttons(out).includes("PRACTICE_CONJUGATION"));
+
+  assert.equal(session.conjugation.state, "idle");
+  assert.equal(session.stats.history.at(-1).mode, "conjugation");
+});
+
+test("mock exam: a section closes when its time runs out, even without a tap", async () => {
+  await startWithLevel("2");
+  await h.tap(USER, "EXAM_START_topik1");
+  const session = h.session(USER);
+  const exam = session.exam.exercise;
+  const listeningKeys = defaultFixtures.listening_quiz[0].items.map((item) => item.answer);
+  await h.tap(USER, `EXAM_${exam.id}_0_${listeningKeys[0]}`);
+
+  // the minute tick before the deadline leaves it alone
+  assert.equal(await closeOverdueExams(h.bot.telegram, exam.section.deadline - 1), 0);
+
+  let from = h.calls.length;
+  assert.equal(await closeOverdueExams(h.bot.telegram, exam.section.deadline), 1);
+  let texts = h.texts(h.calls.slice(from));
+  assert.match(texts[0], /Time's up for the 👂 Listening section/);
+  assert.match(texts.at(-1), /Question 1\/20/);
+  assert.equal(exam.results.listening.correct, 1);
+  assert.equal(exam.section.skill, "reading");
+
+  // a text message after the deadline closes the section too
+  exam.section.deadline = Date.now() - 1;
+  const late = await h.sendText(USER, "hello?");
+  texts = h.texts(late).join("\n");
+  assert.match(texts, /Time's up for the 📖 Reading section/);
+  assert.match(texts, /👂 Listening: 5\/100 · 1\/20 correct[\s\S]*📖 Reading: 0\/100/);
+  assert.equal(session.exam.state, "idle");
+  assert.equal(session.exam.history.length, 1);
+
+  from = h.calls.length;
+  assert.equal(await closeOverdueExams(h.bot.telegram), 0);
+  assert.equal(h.calls.length, from);
+});
+
+test("mock exam: the minute tick leaves an exam alone once the learner has switched modes", async () => {
+  await startWithLevel("2");
+  await h.tap(USER, "EXAM_START_topik1");
+  const session = h.session(USER);
+  const exam = session.exam.exercise;
+  await h.tap(USER, "FORMAT_reading_text");
+
+  const from = h.calls.length;
+  assert.equal(await closeOverdueExams(h.bot.telegram, exam.section.deadline), 0);
+  assert.equal(h.calls.length, from);
+  assert.equal(exam.section.skill, "listening");
+  assert.equal(session.reading.state, "waiting_for_answers");
+
+  // back on the exam's buttons after the deadline, the section closes as usual
+  exam.section.deadline = Date.now() - 1;
+  const late = await h.tap(USER, `EXAM_${exam.id}_0_0`);
+  assert.match(h.texts(late)[0], /Time's up for the 👂 Listening section/);
+  assert.equal(exam.section.skill, "reading");
+});
+
+test("mock exam: the minute tick waits for an answer that is still being handled", async () => {
+  await startWithLevel("2");
+  await h.tap(USER, "EXAM_START_topik1");
+  const exam = h.session(USER).exam.exercise;
+  const keys = defaultFixtures.listening_quiz[0].items.map((item) => item.answer);
+  for (let q = 0; q < 19; q++) {
+    await h.tap(USER, `EXAM_${exam.id}_${q}_${keys[q % 5]}`);
+  }
+
+  // hold the last listening answer right after it's saved, before the section closes
+  let release;
+  const gate = new Promise((resolve) => (release = resolve));
+  let reached;
+  const held = new Promise((resolve) => (reached = resolve));
+  const callApi = Telegram.prototype.callApi;
+  Telegram.prototype.callApi = async function (method, payload) {
+    if (method === "answerCallbackQuery" && payload.text === "Answer saved") {
+      reached();
+      await gate;
+    }
+    return callApi.call(this, method, payload);
+  };
+
+  const from = h.calls.length;
+  const answer = h.tap(USER, `EXAM_${exam.id}_19_${keys[4]}`);
+  await held;
+  const sweep = closeOverdueExams(h.bot.telegram, exam.section.deadline);
+  release();
+  await answer;
+
+  assert.equal(await sweep, 0);
+  const started = h.texts(h.calls.slice(from)).filter((t) => /The timer starts now/.test(t));
+  assert.equal(started.length, 1);
+  assert.equal(exam.results.listening.correct, 20);
+  assert.equal(exam.section.skill, "reading");
+});
+
+test("mock exam: if the next section can't be prepared, the finished one is still reported", async () => {
+  await startWithLevel("2");
+  await h.tap(USER, "EXAM_START_topik1");
+  const session = h.session(USER);
+  const exam = session.exam.exercise;
+
+  h.ai.generateText = async () => {
+    throw new Error("model is down");
+  };
+  const originalError = console.error;
+  console.error = () => {};
+  const from = h.calls.length;
+  try {
+    await closeOverdueExams(h.bot.telegram, exam.section.deadline);
+  } finally {
+    console.error = originalError;
+  }
+  const texts = h.texts(h.calls.slice(from)).join("\n");
+
+  assert.match(texts, /Couldn't prepare the 📖 Reading section/);
+  assert.match(texts, /👂 Listening: 0\/100 · 0\/20 correct, 0 answered/);
+  assert.doesNotMatch(texts, /📖 Reading: /);
+  assert.equal(session.exam.state, "idle");
+  assert.equal(session.exam.history.length, 1);
+  assert.deepEqual(Object.keys(session.exam.history[0].sections), ["listening"]);
+  assert.equal(session.stats.history.at(-1).mode, "exam");
+});
+
+test("mock exam passages don't ask the model for reading help", async () => {
+  const prompts = [];
+  const generateText = h.ai.generateText;
+  h.ai.generateText = async (args) => {
+    prompts.push(args);
+    return generateText(args);
+  };
+  await startWithLevel("2");
+
+  await h.tap(USER, "FORMAT_reading_quiz");
+  assert.match(prompts.at(-1).prompt, /each with a natural English translation[\s\S]*"translation": \[/);
+
+  prompts.length = 0;
+  await h.tap(USER, "PRACTICE_EXAM");
+  await h.tap(USER, "EXAM_START_topik1");
+  const exam = h.session(USER).exam.exercise;
+  for (let q = 0; q < 20; q++) {
+    await h.tap(USER, `EXAM_${exam.id}_${q}_skip`);
+  }
+
+  const passages = prompts.filter((p) => p.task === "reading_quiz");
+  assert.equal(exam.section.skill, "reading");
+  assert.ok(passages.length > 0);
+  for (const { prompt } of passages) {
+    assert.doesNotMatch(prompt, /translation|grammar points/);
+    assert.match(prompt, /"vocabulary": \[[\s\S]*\]\n\}/);
+  }
+});
+
+test("mock exam: timed sections on buttons, no feedback until the report", async () => {
+  await startWithLevel("2");
+  const menu = await h.tap(USER, "PRACTICE_EXAM");
+  assert.match(h.texts(menu)[0], /TOPIK I: 👂 Listening 20 questions \/ 27 min, 📖 Reading 20 questions \/ 30 min/);
+
+  const start = await h.tap(USER, "EXAM_START_topik1");
+  const session = h.session(USER);
+  const exam = session.exam.exercise;
+  assert.equal(session.exam.state, "in_progress");
+  assert.equal(h.sent("sendAudio", start).length, 1);
+  assert.match(h.texts(start).at(-1), /Question 1\/20[\s\S]*⏱ 2[67]:\d\d left/);
+
+  const listeningKeys = defaultFixtures.listening_quiz[0].items.map((item) => item.answer);
+  const keys = defaultFixtures.reading_quiz[0].items.map((item) => item.answer);
+
+  // listening: all correct, one tap at a time; answers get no verdict
+  for (let q = 0; q < 20; q++) {
+    const out = await h.tap(USER, `EXAM_${exam.id}_${q}_${listeningKeys[q % 5]}`);
+    assert.ok(!h.texts(out).some((t) => /❌|Correct|✅ Question/.test(t)));
+  }
+  assert.equal(exam.section.skill, "reading");
+
+  // reading: answer two, then the clock runs out
+  await h.tap(USER, `EXAM_${exam.id}_0_${keys[0]}`);
+  await h.tap(USER, `EXAM_${exam.id}_1_skip`);
+  exam.section.deadline = Date.now() - 1;
+  const late = await h.tap(USER, `EXAM_${exam.id}_2_${keys[2]}`);
+  const report = h.texts(late).join("\n");
+
+  assert.match(report, /Time's up for the 📖 Reading section/);
+  assert.match(report, /👂 Listening: 100\/100 · 20\/20 correct/);
+  assert.match(report, /📖 Reading: 5\/100 · 1\/20 correct, 1 answered/);
+  assert.match(report, /Total: 105\/200\nEstimated grade: 1급/);
+  assert.equal(session.exam.state, "idle");
+  assert.equal(session.exam.history.length, 1);
+  assert.equal(session.stats.history.at(-1).mode, "exam");
+  assert.deepEqual(h.buttons(late), ["EXAM_START_topik1", "CHANGE_MODE_INLINE"]);
+});
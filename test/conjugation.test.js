@@ -0,0 +1,134 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  RULES,
+  FORMS,
+  VERBS,
+  stemKind,
+  conjugate,
+  formsForLevel,
+  createConjugationDrill,
+  gradeConjugation,
+  mainRule,
+  formatRules,
+  formatConjugationItem
+} from "../src/conjugation.js";
+
+const verb = (dict) => VERBS.find((v) => v.dict === dict);
+const form = (dict, f) => conjugate(verb(dict), f).answers[0];
+
+// small deterministic generator so drills are reproducible
+function seeded(seed) {
+  let x = seed;
+  return () => {
+    x = (x * 1103515245 + 12345) % 2147483648;
+    return x / 2147483648;
+  };
+}
+
+test("regular stems follow vowel harmony, contraction and 하다", () => {
+  assert.equal(form("살다", "present_haeyo"), "살아요");
+  assert.equal(form("먹다", "present_haeyo"), "먹어요");
+  assert.equal(form("가다", "present_haeyo"), "가요");
+  assert.equal(form("마시다", "past_haeyo"), "마셨어요");
+  assert.equal(form("보다", "present_haeyo"), "봐요");
+  assert.equal(form("공부하다", "past_haeyo"), "공부했어요");
+  assert.deepEqual(conjugate(verb("되다"), "present_haeyo").answers, ["돼요", "되어요"]);
+});
+
+test("each irregular class is recognised and conjugated", () => {
+  const cases = [
+    ["춥다", "ㅂ", "present_haeyo", "추워요"],
+    ["돕다", "ㅂ", "present_haeyo", "도와요"],
+    ["듣다", "ㄷ", "past_haeyo", "들었어요"],
+    ["짓다", "ㅅ", "present_haeyo", "지어요"],
+    ["모르다", "르", "present_haeyo", "몰라요"],
+    ["그렇다", "ㅎ", "present_haeyo", "그래요"],
+    ["하얗다", "ㅎ", "present_haeyo", "하얘요"],
+    ["쓰다", "ㅡ", "present_haeyo", "써요"],
+    ["바쁘다", "ㅡ", "past_haeyo", "바빴어요"],
+    ["살다", "ㄹ", "present_hamnida", "삽니다"]
+  ];
+  for (const [dict, kind, f, expected] of cases) {
+    assert.equal(stemKind(verb(dict)), kind, dict);
+    assert.equal(form(dict, f), expected, `${dict} ${f}`);
+  }
+  assert.ok(conjugate(verb("듣다"), "past_haeyo").rules.includes("d_irregular"));
+  assert.ok(conjugate(verb("살다"), "present_hamnida").rules.includes("l_drop"));
+  // regular look-alikes stay regular
+  assert.equal(form("입다", "present_haeyo"), "입어요");
+  assert.equal(form("받다", "present_haeyo"), "받아요");
+  assert.equal(form("씻다", "present_haeyo"), "씻어요");
+  assert.equal(form("좋다", "present_haeyo"), "좋아요");
+});
+
+test("speech levels and tenses", () => {
+  assert.equal(form("먹다", "present_hamnida"), "먹습니다");
+  assert.equal(form("가다", "present_hamnida"), "갑니다");
+  assert.equal(form("먹다", "past_hamnida"), "먹었습니다");
+  assert.equal(form("먹다", "present_banmal"), "먹어");
+  assert.equal(form("가다", "past_banmal"), "갔어");
+  assert.equal(form("먹다", "future_haeyo"), "먹을 거예요");
+  assert.equal(form("가다", "future_hamnida"), "갈 겁니다");
+  assert.equal(form("듣다", "future_banmal"), "들을 거야");
+  assert.equal(form("살다", "future_haeyo"), "살 거예요");
+  assert.equal(form("춥다", "conditional"), "추우면");
+  assert.equal(form("만들다", "conditional"), "만들면");
+  assert.equal(form("가다", "want"), "가고 싶어요");
+});
+
+test("honorific -(으)시- including the special honorific verbs", () => {
+  assert.equal(form("가다", "honorific_present"), "가세요");
+  assert.equal(form("읽다", "honorific_present"), "읽으세요");
+  assert.equal(form("살다", "honorific_present"), "사세요");
+  assert.equal(form("걷다", "honorific_past"), "걸으셨어요");
+  assert.equal(form("먹다", "honorific_present"), "드세요");
+  assert.equal(form("자다", "honorific_past"), "주무셨어요");
+  assert.ok(conjugate(verb("먹다"), "honorific_present").rules.includes("special_honorific"));
+});
+
+test("every verb conjugates into every form without throwing", () => {
+  for (const v of VERBS) {
+    for (const f of Object.keys(FORMS)) {
+      const { answers, rules } = conjugate(v, f);
+      assert.ok(answers.length > 0 && answers.every((a) => /^[가-힣 ]+$/.test(a)), `${v.dict} ${f}`);
+      assert.ok(rules.every((r) => RULES[r]), `${v.dict} ${f}`);
+    }
+  }
+  assert.throws(() => conjugate(verb("가다"), "subjunctive"), /Unknown conjugation form/);
+});
+
+test("drills follow the level, mix in irregular verbs and never repeat a pair", () => {
+  assert.deepEqual(formsForLevel("1"), ["present_haeyo", "past_haeyo", "present_hamnida", "want"]);
+
+  const items = createConjugationDrill("1", { random: seeded(7) });
+  assert.equal(items.length, 8);
+  assert.equal(new Set(items.map((i) => `${i.dict}:${i.form}`)).size, 8);
+  for (const item of items) {
+    assert.ok(formsForLevel("1").includes(item.form));
+    assert.equal(verb(item.dict).level, 1);
+    if (verb(item.dict).pos === "adj") assert.notEqual(item.form, "want");
+  }
+  const irregular = items.filter((i) => !["consonant", "vowel", "하"].includes(stemKind(verb(i.dict))));
+  assert.ok(irregular.length >= 4);
+
+  assert.deepEqual(createConjugationDrill("1", { random: seeded(7) }), items);
+});
+
+test("grading accepts any spelling and gives partial credit for near misses", () => {
+  const item = { dict: "되다", form: "present_haeyo", ...conjugate(verb("되다"), "present_haeyo") };
+  assert.equal(gradeConjugation(item, "돼요"), "correct");
+  assert.equal(gradeConjugation(item, "되어요."), "correct");
+  assert.equal(gradeConjugation(item, "갔어요"), "wrong");
+
+  const eat = { dict: "먹다", form: "present_haeyo", ...conjugate(verb("먹다"), "present_haeyo") };
+  assert.equal(gradeConjugation(eat, "먹어여"), "close");
+});
+
+test("explanations name the rule that applied", () => {
+  const item = { dict: "춥다", en: "to be cold", form: "past_haeyo", ...conjugate(verb("춥다"), "past_haeyo") };
+  assert.equal(mainRule(item), RULES.b_irregular.label);
+  assert.match(formatRules(item.rules), new RegExp(`• ${RULES.b_irregular.label}: `));
+  assert.match(formatConjugationItem(item, 0, 8), /^1\/8 · 춥다 \(to be cold\)\n→ past · 해요체/);
+});
@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  createEmptyConversation,
+  resetConversation,
+  appendTurn,
+  compactConversation
+} from "../src/conversation.js";
+
+function conversationWith(turns) {
+  const conversation = createEmptyConversation();
+  for (let idx = 1; idx <= turns; idx++) {
+    appendTurn(conversation, idx % 2 ? "user" : "assistant", `turn ${idx}`);
+  }
+  return conversation;
+}
+
+test("turns are trimmed, empty ones dropped and long ones cut", () => {
+  const conversation = createEmptyConversation();
+  appendTurn(conversation, "user", "  안녕하세요  ");
+  appendTurn(conversation, "assistant", "   ");
+  appendTurn(conversation, "assistant", null);
+  appendTurn(conversation, "assistant", "가".repeat(600));
+
+  assert.equal(conversation.history.length, 2);
+  assert.deepEqual(conversation.history[0], { role: "user", text: "안녕하세요" });
+  assert.equal(conversation.history[1].text, `${"가".repeat(500)}…`);
+});
+
+test("up to 16 turns are kept verbatim without asking for a summary", async () => {
+  const conversation = conversationWith(16);
+  const compacted = await compactConversation(conversation, async () => {
+    throw new Error("must not summarize yet");
+  });
+
+  assert.equal(compacted, false);
+  assert.equal(conversation.history.length, 16);
+  assert.equal(conversation.summary, "");
+});
+
+test("past 16 turns the older ones are summarized and the last 6 kept", async () => {
+  const conversation = conversationWith(17);
+  conversation.summary = "They talked about coffee.";
+  const calls = [];
+
+  const compacted = await compactConversation(conversation, async (input) => {
+    calls.push(input);
+    return "They talked about coffee and weekend plans.";
+  });
+
+  assert.equal(compacted, true);
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].summary, "They talked about coffee.");
+  assert.deepEqual(calls[0].turns.map((t) => t.text), Array.from({ length: 11 }, (_, idx) => `turn ${idx + 1}`));
+  assert.deepEqual(conversation.history.map((t) => t.text), ["turn 12", "turn 13", "turn 14", "turn 15", "turn 16", "turn 17"]);
+  assert.equal(conversation.summary, "They talked about coffee and weekend plans.");
+});
+
+test("a failed summary keeps the old one and still drops the older turns", async () => {
+  const conversation = conversationWith(20);
+  conversation.summary = "Earlier summary.";
+
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    assert.equal(await compactConversation(conversation, async () => {
+      throw new Error("model is down");
+    }), true);
+  } finally {
+    console.error = originalError;
+  }
+
+  assert.equal(conversation.summary, "Earlier summary.");
+  assert.deepEqual(conversation.history.map((t) => t.text), ["turn 15", "turn 16", "turn 17", "turn 18", "turn 19", "turn 20"]);
+});
+
+test("resetConversation starts free mode from scratch", () => {
+  const session = { free: conversationWith(3) };
+  session.free.summary = "old";
+  resetConversation(session);
+  assert.deepEqual(session.free, { history: [], summary: "" });
+});
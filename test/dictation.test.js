@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { alignSyllables, gradeDictation, summarizeErrors } from "../src/dictation.js";
+
+test("ignores punctuation and decomposed input", () => {
+  const result = gradeDictation("저는 학교에 갔어요.", "저는 학교에 갔어요".normalize("NFD"));
+  assert.equal(result.accuracy, 1);
+  assert.deepEqual(result.errors, []);
+});
+
+test("classifies 받침, vowel and initial consonant mistakes", () => {
+  const types = (answer) => gradeDictation("갔어요", answer).errors.map((e) => e.type);
+
+  assert.deepEqual(types("갓어요"), ["batchim"]);
+  assert.deepEqual(types("갔어오"), ["vowel"]);
+  assert.deepEqual(types("갔어며"), ["other"]);
+  assert.deepEqual(types("갔머요"), ["consonant"]);
+});
+
+test("spacing mistakes are reported but don't lower the accuracy", () => {
+  const result = gradeDictation("학교에 가요", "학교에가 요");
+
+  assert.equal(result.accuracy, 1);
+  assert.deepEqual(
+    result.errors.map((e) => [e.kind, e.after]),
+    [["missing", "에"], ["extra", "가"]]
+  );
+  assert.match(summarizeErrors(result.errors), /spacing \(띄어쓰기\) ×2/);
+});
+
+test("missing and extra syllables are aligned, not shifted", () => {
+  const ops = alignSyllables([..."친구를만나요"], [..."친구만나요다"]).map((o) => o.op);
+  assert.deepEqual(ops, ["match", "match", "missing", "match", "match", "match", "extra"]);
+
+  const result = gradeDictation("친구를 만나요", "친구 만나요");
+  assert.equal(result.markup, "친구<b>[를]</b> 만나요");
+  assert.equal(result.accuracy, 5 / 6);
+});
@@ -0,0 +1,127 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  passageLevels,
+  createExam,
+  currentSkill,
+  startSection,
+  timeLeft,
+  isTimeUp,
+  isSectionOverdue,
+  formatTimeLeft,
+  currentItem,
+  answerItem,
+  closeSection,
+  estimateBand,
+  buildAttempt,
+  addAttempt,
+  previousAttempt,
+  formatExamReport,
+  formatExamHistory
+} from "../src/exam.js";
+
+const MIN = 60 * 1000;
+const T0 = Date.UTC(2026, 9, 18, 9, 0);
+
+const passage = (level, answers) => ({
+  level,
+  topic: `Topic ${level}`,
+  text: `본문 ${level}`,
+  items: answers.map((answer, idx) => ({
+    type: "multiple_choice",
+    question: `Q${idx + 1}`,
+    options: ["a", "b", "c", "d"],
+    answer
+  }))
+});
+
+test("passage levels climb through the exam's range", () => {
+  assert.deepEqual(passageLevels("topik1", "listening"), ["1", "1", "2", "2"]);
+  assert.deepEqual(passageLevels("topik2", "reading"), ["3", "3", "4", "5", "6"]);
+});
+
+test("a section flattens its passages and runs on its own timer", () => {
+  const exam = createExam("topik1");
+  assert.equal(currentSkill(exam), "listening");
+
+  const section = startSection(exam, [passage("1", [0, 1]), passage("2", [2])], T0);
+  assert.deepEqual(section.items.map((i) => i.passage), [0, 0, 1]);
+  assert.equal(section.passages[1].text, "본문 2");
+  assert.equal(section.deadline, T0 + 27 * MIN);
+
+  assert.equal(formatTimeLeft(timeLeft(exam, T0 + 90 * 1000 + 1)), "25:30");
+  assert.equal(isTimeUp(exam, T0 + 27 * MIN), true);
+  assert.equal(formatTimeLeft(0), "0:00");
+});
+
+test("a section is overdue once its clock has run out, not while it's being prepared", () => {
+  const exam = createExam("topik1");
+  assert.equal(isSectionOverdue(null, T0), false);
+  assert.equal(isSectionOverdue(exam, T0 + 99 * MIN), false);
+
+  startSection(exam, [passage("1", [0])], T0);
+  assert.equal(isSectionOverdue(exam, T0 + 27 * MIN - 1), false);
+  assert.equal(isSectionOverdue(exam, T0 + 27 * MIN), true);
+});
+
+test("sections are scored out of 100 and unanswered questions count as wrong", () => {
+  const exam = createExam("topik1");
+  startSection(exam, [passage("1", [0, 1, 2, 3])], T0);
+
+  assert.equal(answerItem(exam, 0), false);
+  assert.equal(currentItem(exam).question, "Q2");
+  answerItem(exam, null);
+  answerItem(exam, 2);
+
+  assert.equal(closeSection(exam, T0 + 5 * MIN), true);
+  assert.deepEqual(exam.results.listening, { correct: 2, answered: 2, total: 4, points: 50, minutes: 5 });
+  assert.equal(currentSkill(exam), "reading");
+
+  startSection(exam, [passage("2", [1])], T0 + 6 * MIN);
+  answerItem(exam, 1);
+  assert.equal(closeSection(exam, T0 + 99 * MIN), false);
+  assert.equal(exam.results.reading.minutes, 30);
+});
+
+test("grade bands use the official cut-offs", () => {
+  assert.deepEqual(estimateBand("topik1", 79), { projected: 79, band: null });
+  assert.deepEqual(estimateBand("topik1", 80), { projected: 80, band: "1" });
+  assert.deepEqual(estimateBand("topik1", 150), { projected: 150, band: "2" });
+  // TOPIK II projects listening + reading onto the 300-point scale
+  assert.deepEqual(estimateBand("topik2", 100), { projected: 150, band: "4" });
+  assert.deepEqual(estimateBand("topik2", 70), { projected: 105, band: null });
+});
+
+test("attempts are stored and compared with the previous one of the same kind", () => {
+  const history = [];
+  const attempt = (kind, listening, reading, at) =>
+    buildAttempt({ kind, results: { listening: { points: listening }, reading: { points: reading } } }, at);
+
+  addAttempt(history, attempt("topik1", 40, 50, T0));
+  addAttempt(history, attempt("topik2", 90, 90, T0 + MIN));
+  const latest = attempt("topik1", 60, 45, T0 + 2 * MIN);
+
+  const previous = previousAttempt(history, latest);
+  assert.equal(previous.points, 90);
+  assert.equal(previousAttempt(history, history[0]), null);
+
+  const report = formatExamReport(
+    {
+      ...latest,
+      sections: {
+        listening: { points: 60, correct: 12, answered: 18, total: 20, minutes: 20 },
+        reading: { points: 45, correct: 9, answered: 20, total: 20, minutes: 30 }
+      }
+    },
+    previous
+  );
+  assert.match(report, /👂 Listening: 60\/100 \(\+20\) · 12\/20 correct, 18 answered, 20 min/);
+  assert.match(report, /📖 Reading: 45\/100 \(-5\)/);
+  assert.match(report, /Total: 105\/200 \(\+15\)\nEstimated grade: 1급/);
+
+  assert.equal(
+    formatExamHistory(history),
+    "Your recent attempts:\n2026-10-18 · TOPIK II: 180/200 · 6급\n2026-10-18 · TOPIK I: 90/200 · 1급"
+  );
+});
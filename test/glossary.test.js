@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  availableHelp,
+  recordHelp,
+  formatGlossary,
+  formatTranslation,
+  formatHelpUsed
+} from "../src/glossary.js";
+import { addScoreToStats, buildProgressReport } from "../src/stats.js";
+
+const exercise = () => ({
+  text: "날씨가 좋았어요. 공원에 갔어요.",
+  vocabulary: [{ ko: "날씨", en: "weather" }],
+  grammar: [{ pattern: "-았/었어요", meaning: "past tense", example: "좋았어요" }],
+  translation: [
+    { ko: "날씨가 좋았어요.", en: "The weather was nice." },
+    { ko: "공원에 갔어요.", en: "I went to the <park>." }
+  ]
+});
+
+test("only help the exercise came with is offered", () => {
+  assert.deepEqual(availableHelp(exercise()), ["glossary", "translation"]);
+  assert.deepEqual(availableHelp({ vocabulary: [], grammar: [], translation: [] }), []);
+  assert.deepEqual(availableHelp({ grammar: [{ pattern: "-고", meaning: "and" }] }), ["glossary"]);
+});
+
+test("opened help is recorded once, in order", () => {
+  const ex = exercise();
+  assert.equal(recordHelp(ex, "translation"), true);
+  assert.equal(recordHelp(ex, "glossary"), true);
+  assert.equal(recordHelp(ex, "translation"), false);
+  assert.deepEqual(ex.help, ["translation", "glossary"]);
+
+  assert.equal(formatHelpUsed([]), "💪 Done without help");
+  assert.equal(formatHelpUsed(ex.help), "🆘 With help: 🌐 Translation, 📚 Glossary — counted as an assisted attempt");
+});
+
+test("glossary lists words and grammar; translations hide behind spoilers", () => {
+  assert.equal(
+    formatGlossary(exercise()),
+    "<b>📚 Glossary</b>\n\n<b>Words</b>\n날씨 — weather\n\n<b>Grammar</b>\n-았/었어요 — past tense\n  <i>좋았어요</i>"
+  );
+  assert.match(formatTranslation(exercise()), /2\. 공원에 갔어요\.\n<tg-spoiler>I went to the &lt;park&gt;\.<\/tg-spoiler>$/);
+});
+
+test("the progress report compares assisted and unassisted attempts", () => {
+  const session = {};
+  addScoreToStats(session, 9, { mode: "reading", level: "2", help: [] });
+  addScoreToStats(session, 7, { mode: "reading", level: "2", help: [] });
+  addScoreToStats(session, 5, { mode: "reading", level: "2", help: ["glossary"] });
+  addScoreToStats(session, 6, { mode: "listening", level: "2" });
+
+  assert.deepEqual(session.stats.history[2].help, ["glossary"]);
+  assert.equal("help" in session.stats.history[3], false);
+  assert.match(
+    buildProgressReport(session),
+    /Reading help:\nOn your own: 8\.0\/10 \(2\) · With glossary\/translation: 5\.0\/10 \(1\)/
+  );
+});
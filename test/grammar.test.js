@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  GRAMMAR_POINTS,
+  GRAMMAR_LEVELS,
+  DRILL_TYPES,
+  findGrammarPoint,
+  pointsForLevel,
+  levelSummary,
+  recordDrillResult,
+  createDrill,
+  expectedAnswer,
+  matchDrillAnswer,
+  scoreDrill,
+  formatLesson
+} from "../src/grammar.js";
+
+test("the catalog covers every level with complete, well-formed entries", () => {
+  const ids = new Set();
+  for (const point of GRAMMAR_POINTS) {
+    assert.ok(!ids.has(point.id), `duplicate id ${point.id}`);
+    ids.add(point.id);
+    assert.match(point.id, /^[a-z_]+$/);
+    assert.ok(GRAMMAR_LEVELS.includes(point.level));
+    assert.ok(point.explanation && point.examples.length >= 2);
+    assert.deepEqual(point.drills.map((d) => d.type).sort(), Object.keys(DRILL_TYPES).sort());
+    for (const drill of point.drills) {
+      if (drill.type === "choose") assert.ok(drill.options[drill.answer], `${point.id} choose key`);
+      else assert.ok(drill.answers.length > 0);
+    }
+    for (const id of point.related) assert.ok(findGrammarPoint(id), `${point.id} → ${id}`);
+  }
+  for (const level of GRAMMAR_LEVELS) assert.ok(pointsForLevel(level).length >= 2);
+});
+
+test("-아서/어서 and -(으)니까 point at each other", () => {
+  assert.ok(findGrammarPoint("aseo").related.includes("eunikka"));
+  assert.ok(findGrammarPoint("eunikka").related.includes("aseo"));
+  assert.match(findGrammarPoint("eunikka").explanation, /비가 오니까 우산을 가져가세요/);
+});
+
+test("typed answers match exactly, ignoring spacing and punctuation", () => {
+  const [, fill, transform] = createDrill(findGrammarPoint("eunikka")).items;
+  assert.equal(matchDrillAnswer(fill, "자니까"), "correct");
+  assert.equal(matchDrillAnswer(transform, "길이 막히니까, 지하철을 탑시다!"), "correct");
+  assert.equal(matchDrillAnswer(transform, "길이 막혀서 지하철을 탑시다"), "wrong");
+  assert.equal(expectedAnswer({ type: "choose", options: ["a", "b"], answer: 1 }), "b");
+});
+
+test("drill results keep the best score and complete the point once", () => {
+  const progress = {};
+  assert.equal(recordDrillResult(progress, "ayo", 5, 1000), false);
+  assert.equal(recordDrillResult(progress, "ayo", 10, 2000), true);
+  assert.equal(recordDrillResult(progress, "ayo", 3, 3000), false);
+  assert.deepEqual(progress.ayo, { attempts: 3, best: 10, completed: true, completedAt: 2000 });
+  assert.deepEqual(levelSummary(progress, "1"), { done: 1, total: pointsForLevel("1").length });
+
+  assert.deepEqual(scoreDrill(["correct", "close", "wrong"], 3), { correct: 1, close: 1, score: 5 });
+  assert.match(formatLesson(findGrammarPoint("ayo"), progress), /✅ Completed · best drill score 10\/10/);
+});
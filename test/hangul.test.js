@@ -0,0 +1,166 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  isHangulSyllable,
+  containsHangul,
+  decomposeSyllable,
+  composeSyllable,
+  toJamo,
+  fromJamo,
+  toCompatibilityJamo,
+  normalizeUnicode,
+  normalizeText,
+  compactText,
+  sameText,
+  jamoDistance,
+  jamoSimilarity,
+  romanize
+} from "../src/hangul.js";
+
+test("recognizes syllables and Hangul text", () => {
+  assert.equal(isHangulSyllable("가"), true);
+  assert.equal(isHangulSyllable("힣"), true);
+  assert.equal(isHangulSyllable("ㄱ"), false);
+  assert.equal(isHangulSyllable("a"), false);
+  assert.equal(isHangulSyllable(""), false);
+
+  assert.equal(containsHangul("hello 안녕"), true);
+  assert.equal(containsHangul("ㅋㅋ"), true);
+  assert.equal(containsHangul("hello"), false);
+});
+
+test("decomposes and composes syllables", () => {
+  assert.deepEqual(decomposeSyllable("갔"), { initial: "ㄱ", medial: "ㅏ", final: "ㅆ" });
+  assert.deepEqual(decomposeSyllable("와"), { initial: "ㅇ", medial: "ㅘ", final: "" });
+  assert.deepEqual(decomposeSyllable("닭"), { initial: "ㄷ", medial: "ㅏ", final: "ㄺ" });
+  assert.equal(decomposeSyllable("a"), null);
+
+  assert.equal(composeSyllable("ㄱ", "ㅏ", "ㅆ"), "갔");
+  assert.equal(composeSyllable("ㅎ", "ㅏ"), "하");
+  assert.equal(composeSyllable("ㄸ", "ㅏ", "ㄸ"), null);
+  assert.equal(composeSyllable("ㅏ", "ㄱ"), null);
+});
+
+test("every syllable survives a decompose/compose round trip", () => {
+  for (let code = 0xac00; code <= 0xd7a3; code++) {
+    const ch = String.fromCodePoint(code);
+    const { initial, medial, final } = decomposeSyllable(ch);
+    assert.equal(composeSyllable(initial, medial, final), ch);
+  }
+});
+
+test("splits text into jamo and puts it back together", () => {
+  assert.equal(toJamo("값이"), "ㄱㅏㅄㅇㅣ");
+  assert.equal(toJamo("값이", { splitCompounds: true }), "ㄱㅏㅂㅅㅇㅣ");
+  assert.equal(toJamo("과 a!", { splitCompounds: true }), "ㄱㅗㅏ a!");
+
+  for (const text of ["한국어를 공부해요.", "닭고기", "뷁", "앉아요", "의사", "ㅋㅋ 좋아!"]) {
+    assert.equal(fromJamo(toJamo(text)), text);
+    assert.equal(fromJamo(toJamo(text, { splitCompounds: true })), text);
+  }
+});
+
+test("assembles jamo the way a keyboard does", () => {
+  assert.equal(fromJamo("ㅎㅏㄴㄱㅜㄱㅇㅓ"), "한국어");
+  assert.equal(fromJamo("ㄱㅏㅂㅅㅇㅣ"), "값이");
+  assert.equal(fromJamo("ㄷㅏㄹㄱ"), "닭");
+  assert.equal(fromJamo("ㅇㅗㅏㅇㅛ"), "와요");
+  assert.equal(fromJamo("ㅋㅋㅋ"), "ㅋㅋㅋ");
+  assert.equal(fromJamo("ㅏㄱ"), "ㅏㄱ");
+});
+
+test("normalizes decomposed, conjoining and halfwidth jamo", () => {
+  const nfd = "한국어".normalize("NFD");
+  assert.notEqual(nfd, "한국어");
+  assert.equal(normalizeUnicode(nfd), "한국어");
+  assert.equal(normalizeUnicode("한국어", "NFD"), nfd);
+
+  assert.equal(toCompatibilityJamo("각"), "ㄱㅏㄱ");
+  assert.equal(normalizeUnicode("ᄀ"), "ㄱ");
+  assert.equal(normalizeUnicode("ﾡ"), "ㄱ");
+  assert.equal(normalizeUnicode(null), "");
+});
+
+test("strips punctuation and compares ignoring spacing", () => {
+  assert.equal(normalizeText("  저는, 학생\n이에요!! "), "저는 학생 이에요");
+  assert.equal(compactText("먹어 보다!"), "먹어보다");
+  assert.equal(compactText("Hello World"), "helloworld");
+
+  assert.equal(sameText("먹어 보다", "먹어보다."), true);
+  assert.equal(sameText("한국어".normalize("NFD"), "한 국 어"), true);
+  assert.equal(sameText("갔어요", "갓어요"), false);
+});
+
+test("measures edit distance in jamo", () => {
+  assert.equal(jamoDistance("갔어요", "갔어요"), 0);
+  assert.equal(jamoDistance("갔어요", "갓어요"), 1);
+  assert.equal(jamoDistance("과자", "가자"), 1);
+  assert.equal(jamoDistance("학교", "핵교"), 1);
+  assert.equal(jamoDistance("사과", ""), 5);
+  assert.equal(jamoDistance("먹어 보다", "먹어보다"), 1);
+  assert.equal(jamoDistance("먹어 보다", "먹어보다", { ignoreSpacing: true }), 0);
+
+  assert.equal(jamoSimilarity("갔어요", "갔어요!"), 1);
+  assert.equal(jamoSimilarity("", ""), 1);
+  assert.ok(jamoSimilarity("갔어요", "갓어요") > jamoSimilarity("갔어요", "먹어요"));
+});
+
+test("romanizes plain syllables", () => {
+  assert.equal(romanize("서울"), "seoul");
+  assert.equal(romanize("부산"), "busan");
+  assert.equal(romanize("안녕하세요"), "annyeonghaseyo");
+  assert.equal(romanize("의사"), "uisa");
+  assert.equal(romanize("닭"), "dak");
+  assert.equal(romanize("여덟"), "yeodeol");
+});
+
+test("romanization follows the sound changes Revised Romanization writes down", () => {
+  const cases = {
+    // linking
+    "한국어": "hangugeo",
+    "앉아": "anja",
+    "있어요": "isseoyo",
+    // ㅎ drops or aspirates
+    "좋아해요": "joahaeyo",
+    "많아요": "manayo",
+    "싫어": "sireo",
+    "좋다": "jota",
+    "축하해요": "chukahaeyo",
+    "생각해요": "saenggakaeyo",
+    "급하다": "geupada",
+    "입히다": "ipida",
+    "맞히다": "machida",
+    // ...but nouns keep ㅎ after ㄱ/ㄷ/ㅂ
+    "축하": "chukha",
+    "입학": "iphak",
+    "입학하다": "iphakada",
+    "백화점": "baekhwajeom",
+    "북한": "bukhan",
+    // nasalization
+    "국물": "gungmul",
+    "감사합니다": "gamsahamnida",
+    "있는": "inneun",
+    "박물관": "bangmulgwan",
+    // ㄹ assimilation
+    "신라": "silla",
+    "설날": "seollal",
+    "종로": "jongno",
+    "독립": "dongnip",
+    "왕십리": "wangsimni",
+    // palatalization
+    "같이": "gachi",
+    "굳이": "guji"
+  };
+
+  for (const [korean, expected] of Object.entries(cases)) {
+    assert.equal(romanize(korean), expected, korean);
+  }
+});
+
+test("romanizes word by word and keeps everything else", () => {
+  assert.equal(romanize("한국 음식"), "hanguk eumsik");
+  assert.equal(romanize("K-pop 좋아요!"), "K-pop joayo!");
+  assert.equal(romanize("ㅋㅋ"), "kk");
+  assert.equal(romanize("한국어".normalize("NFD")), "hangugeo");
+});
@@ -0,0 +1,137 @@
+import { Telegram } from "telegraf";
+
+import { createBot } from "../src/bot.js";
+import { initSessionStore, getSession } from "../src/sessions.js";
+import { createMemoryStore } from "../src/storage.js";
+import { setAIProvider } from "../src/ai.js";
+import { createMockProvider } from "../src/providers/mock.js";
+
+// Replays fake Telegram updates through the real bot.
+// Every Bot API call is captured instead of being sent; the AI layer is the mock provider
+// unless a stub is passed in.
+
+const BOT_INFO = {
+  id: 1000,
+  is_bot: true,
+  first_name: "Hangram",
+  username: "hangram_test_bot",
+  can_join_groups: false,
+  can_read_all_group_messages: false,
+  supports_inline_queries: false
+};
+
+const SEND_METHODS = ["sendMessage", "sendPhoto", "sendAudio", "sendVoice"];
+
+export function createHarness({ provider, fixtures } = {}) {
+  initSessionStore(createMemoryStore());
+
+  const ai = provider || createMockProvider({ fixtures });
+  setAIProvider(ai);
+
+  const bot = createBot("123456:TEST-TOKEN");
+  bot.botInfo = BOT_INFO;
+
+  const calls = [];
+  let updateId = 1;
+  let messageId = 1;
+
+  // Telegraf creates a fresh Telegram client per update, so stub the prototype
+  const originalCallApi = Telegram.prototype.callApi;
+  Telegram.prototype.callApi = async function (method, payload = {}) {
+    calls.push({ method, payload });
+
+    if (method === "getMe") return BOT_INFO;
+    if (method === "getFile") {
+      return { file_id: payload.file_id, file_unique_id: payload.file_id, file_path: `voice/${payload.file_id}.oga` };
+    }
+    if (SEND_METHODS.includes(method)) {
+      return { message_id: messageId++, date: 0, chat: { id: payload.chat_id, type: "private" } };
+    }
+    return true;
+  };
+
+  function user(userId) {
+    return { id: userId, is_bot: false, first_name: "Tester", language_code: "en" };
+  }
+
+  function chat(userId) {
+    return { id: userId, type: "private", first_name: "Tester" };
+  }
+
+  function baseMessage(userId) {
+    return { message_id: messageId++, date: Math.floor(Date.now() / 1000), chat: chat(userId), from: user(userId) };
+  }
+
+  async function send(update) {
+    const from = calls.length;
+    await bot.handleUpdate({ update_id: updateId++, ...update });
+    return calls.slice(from);
+  }
+
+  return {
+    bot,
+    ai,
+    calls,
+
+    session(userId) {
+      return getSession(userId);
+    },
+
+    async sendText(userId, text) {
+      const message = { ...baseMessage(userId), text };
+      if (text.startsWith("/")) {
+        const length = text.split(/\s/)[0].length;
+        message.entities = [{ type: "bot_command", offset: 0, length }];
+      }
+      return send({ message });
+    },
+
+    async start(userId) {
+      return this.sendText(userId, "/start");
+    },
+
+    async tap(userId, data) {
+      return send({
+        callback_query: {
+          id: String(updateId),
+          from: user(userId),
+          chat_instance: String(userId),
+          data,
+          message: { ...baseMessage(userId), from: BOT_INFO, text: "keyboard" }
+        }
+      });
+    },
+
+    async sendVoice(userId, fileId = `voice-${userId}-${messageId}`) {
+      return send({
+        message: {
+          ...baseMessage(userId),
+          voice: { file_id: fileId, file_unique_id: fileId, duration: 5, mime_type: "audio/ogg" }
+        }
+      });
+    },
+
+    // text of everything the bot sent (message text or media caption)
+    texts(fromCalls = calls) {
+      return fromCalls
+        .filter((c) => SEND_METHODS.includes(c.method))
+        .map((c) => c.payload.text ?? c.payload.caption ?? "");
+    },
+
+    sent(method, fromCalls = calls) {
+      return fromCalls.filter((c) => c.method === method);
+    },
+
+    // callback_data of every inline button in the given calls
+    buttons(fromCalls = calls) {
+      return fromCalls.flatMap((c) => {
+        const rows = c.payload.reply_markup?.inline_keyboard || [];
+        return rows.flat().map((b) => b.callback_data).filter(Boolean);
+      });
+    },
+
+    dispose() {
+      Telegram.prototype.callApi = originalCallApi;
+    }
+  };
+}
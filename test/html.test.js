@@ -0,0 +1,11 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { escapeHtml } from "../src/html.js";
+
+test("escapes the characters Telegram's HTML mode reserves", () => {
+  assert.equal(escapeHtml("<b>A & B</b>"), "&lt;b&gt;A &amp; B&lt;/b&gt;");
+  assert.equal(escapeHtml("&lt;"), "&amp;lt;");
+  assert.equal(escapeHtml("한국어 \"좋아요\""), "한국어 \"좋아요\"");
+  assert.equal(escapeHtml(7), "7");
+});
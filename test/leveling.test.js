@@ -0,0 +1,90 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  WINDOW,
+  createLevelingState,
+  evaluateLevel,
+  withinAutoBounds,
+  applyLevel,
+  declineSuggestion,
+  parseBounds
+} from "../src/leveling.js";
+
+function sessionWith(level, entries) {
+  return {
+    level,
+    leveling: createLevelingState(),
+    stats: {
+      totalScore: 0,
+      history: entries.map(([mode, lvl, score], idx) => ({ mode, level: lvl, score, topic: null, at: 1000 + idx }))
+    }
+  };
+}
+
+const times = (n, entry) => Array.from({ length: n }, () => entry);
+
+test("needs a full window of scores in the same mode", () => {
+  const session = sessionWith("2", [...times(WINDOW - 1, ["reading", "2", 10]), ["listening", "2", 10]]);
+  assert.equal(evaluateLevel(session, "reading"), null);
+  assert.equal(evaluateLevel(session, "listening"), null);
+});
+
+test("suggests moving up after consistently high scores", () => {
+  const session = sessionWith("2", times(WINDOW, ["reading", "2", 9]));
+  assert.deepEqual(evaluateLevel(session, "reading"), {
+    from: "2",
+    to: "3",
+    direction: "up",
+    mode: "reading",
+    average: 9
+  });
+});
+
+test("suggests moving down after consistently low scores, but not below 1급", () => {
+  const session = sessionWith("5", times(WINDOW, ["listening", "5", 3]));
+  assert.equal(evaluateLevel(session, "listening").to, "4");
+
+  const bottom = sessionWith("1", times(WINDOW, ["listening", "1", 2]));
+  assert.equal(evaluateLevel(bottom, "listening"), null);
+});
+
+test("only the latest scores at the current level count", () => {
+  const session = sessionWith("3", [...times(WINDOW, ["reading", "2", 10]), ...times(2, ["reading", "3", 10])]);
+  assert.equal(evaluateLevel(session, "reading"), null);
+
+  const mixed = sessionWith("2", [...times(WINDOW, ["reading", "2", 2]), ...times(WINDOW, ["reading", "2", 7])]);
+  assert.equal(evaluateLevel(mixed, "reading"), null);
+});
+
+test("assisted attempts don't count toward the window", () => {
+  const session = sessionWith("2", times(WINDOW, ["reading", "2", 10]));
+  session.stats.history[0].help = ["translation"];
+  assert.equal(evaluateLevel(session, "reading"), null);
+
+  session.stats.history[0].help = [];
+  assert.equal(evaluateLevel(session, "reading").to, "3");
+});
+
+test("a level change or a declined suggestion starts a fresh window", () => {
+  const session = sessionWith("2", times(WINDOW, ["reading", "2", 10]));
+  declineSuggestion(session, 5000);
+  assert.equal(evaluateLevel(session, "reading"), null);
+
+  applyLevel(session, 3, 6000);
+  assert.equal(session.level, "3");
+  assert.equal(session.leveling.windowStart, 6000);
+  assert.equal(session.leveling.pending, null);
+});
+
+test("auto bounds and their parser", () => {
+  const leveling = { ...createLevelingState(), min: 2, max: 4 };
+  assert.equal(withinAutoBounds(leveling, "4"), true);
+  assert.equal(withinAutoBounds(leveling, "5"), false);
+
+  assert.deepEqual(parseBounds("2-4"), { min: 2, max: 4 });
+  assert.deepEqual(parseBounds("5 3"), { min: 3, max: 5 });
+  assert.deepEqual(parseBounds("3"), { min: 3, max: 3 });
+  assert.equal(parseBounds("0-7"), null);
+  assert.equal(parseBounds("high"), null);
+});
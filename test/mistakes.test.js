@@ -0,0 +1,147 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  PAGE_SIZE,
+  createMistakeJournal,
+  addMistake,
+  addMistakes,
+  openMistakes,
+  markMastered,
+  topPatterns,
+  mistakesPage,
+  formatMistake,
+  formatMistakesPage,
+  gradeDrillAnswer
+} from "../src/mistakes.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+const T0 = Date.UTC(2026, 9, 18, 12, 0);
+
+test("stores the original, correction, explanation, mode and date", () => {
+  const journal = createMistakeJournal();
+  const item = addMistake(journal, {
+    original: " 커피가 좋아해요 ",
+    correction: "커피를 좋아해요",
+    explanation: "좋아하다 takes 을/를.",
+    pattern: "particle 을/를",
+    mode: "free"
+  }, T0);
+
+  assert.deepEqual(item, {
+    id: 1,
+    original: "커피가 좋아해요",
+    correction: "커피를 좋아해요",
+    explanation: "좋아하다 takes 을/를.",
+    pattern: "particle 을/를",
+    mode: "free",
+    at: T0,
+    count: 1,
+    mastered: false,
+    masteredAt: null
+  });
+  assert.equal(addMistake(journal, { original: " ", mode: "free" }), null);
+});
+
+test("the same open mistake is counted instead of stored twice", () => {
+  const journal = createMistakeJournal();
+  addMistake(journal, { original: "커피가 좋아해요", correction: "커피를 좋아해요", mode: "free" }, T0);
+  const again = addMistake(journal, { original: "커피가 좋아해요.", correction: "커피를  좋아해요", mode: "speaking" }, T0 + DAY);
+
+  assert.equal(journal.items.length, 1);
+  assert.equal(again.count, 2);
+  assert.equal(again.at, T0 + DAY);
+
+  // once mastered, making it again starts a new entry
+  markMastered(journal, again.id);
+  addMistake(journal, { original: "커피가 좋아해요", correction: "커피를 좋아해요", mode: "free" }, T0 + 2 * DAY);
+  assert.equal(journal.items.length, 2);
+});
+
+test("missing patterns fall back to the source mode", () => {
+  const journal = createMistakeJournal();
+  const [reading, free] = [
+    addMistake(journal, { original: "누가 사과를 샀어요?", explanation: "It was 민수.", mode: "reading" }),
+    addMistake(journal, { original: "학교 가요", correction: "학교에 가요", mode: "free" })
+  ];
+  assert.equal(reading.pattern, "reading comprehension");
+  assert.equal(free.pattern, "other");
+});
+
+test("mastered mistakes leave the open list and can't be mastered twice", () => {
+  const journal = createMistakeJournal();
+  addMistakes(journal, [
+    { original: "a", correction: "가" },
+    { original: "b", correction: "나" }
+  ], "free", T0);
+
+  assert.equal(markMastered(journal, "1", T0 + DAY).masteredAt, T0 + DAY);
+  assert.equal(markMastered(journal, 1), null);
+  assert.equal(markMastered(journal, 99), null);
+  assert.deepEqual(openMistakes(journal).map((m) => m.id), [2]);
+});
+
+test("top patterns count repeats, ignore case and skip non-Korean corrections for drills", () => {
+  const journal = createMistakeJournal();
+  addMistakes(journal, [
+    { original: "커피가 좋아해요", correction: "커피를 좋아해요", pattern: "Particle 을/를" },
+    { original: "책이 읽어요", correction: "책을 읽어요", pattern: "particle 을/를" },
+    { original: "어제 가요", correction: "어제 갔어요", pattern: "past tense" },
+    { original: "어제 가요", correction: "어제 갔어요", pattern: "past tense" },
+    { original: "어제 먹어요", correction: "어제 먹었어요", pattern: "past tense" }
+  ], "free", T0);
+  addMistake(journal, { original: "What did 민수 buy?", explanation: "Apples.", mode: "reading" }, T0);
+
+  const top = topPatterns(journal);
+  assert.deepEqual(top.map((g) => [g.pattern, g.count]), [
+    ["past tense", 3],
+    ["Particle 을/를", 2],
+    ["reading comprehension", 1]
+  ]);
+  assert.equal(top[0].examples.length, 2);
+
+  const drillable = topPatterns(journal, { drillable: true });
+  assert.deepEqual(drillable.map((g) => g.pattern), ["past tense", "Particle 을/를"]);
+});
+
+test("pages list newest first and clamp out-of-range pages", () => {
+  const journal = createMistakeJournal();
+  for (let i = 0; i < PAGE_SIZE + 2; i++) {
+    addMistake(journal, { original: `틀림 ${i}`, correction: `맞음 ${i}`, mode: "free" }, T0 + i);
+  }
+
+  const first = mistakesPage(journal, 0);
+  assert.equal(first.pages, 2);
+  assert.equal(first.items[0].id, PAGE_SIZE + 2);
+
+  const last = mistakesPage(journal, 10);
+  assert.equal(last.page, 1);
+  assert.deepEqual(last.items.map((m) => m.id), [2, 1]);
+});
+
+test("formatting shows the date in the learner's timezone", () => {
+  const journal = createMistakeJournal();
+  const item = addMistake(journal, {
+    original: "학교 가요",
+    correction: "학교에 가요",
+    explanation: "Use 에 for destinations.",
+    pattern: "particle 에",
+    mode: "speaking"
+  }, Date.UTC(2026, 9, 18, 20, 0));
+
+  assert.equal(
+    formatMistake(item, "Asia/Seoul"),
+    "#1 · 🗣 Speaking · 2026-10-19\n❌ 학교 가요\n✅ 학교에 가요\n💡 Use 에 for destinations.\n🏷 particle 에"
+  );
+  assert.match(formatMistakesPage(journal), /1 open, 0 mastered\nMost frequent: particle 에 \(1\)/);
+
+  markMastered(journal, 1);
+  assert.match(formatMistakesPage(journal), /clear — 1 mistake\(s\) mastered/);
+  assert.match(formatMistakesPage(createMistakeJournal()), /empty/);
+});
+
+test("drill answers ignore spacing and punctuation, near misses are close", () => {
+  assert.equal(gradeDrillAnswer("동생이 책을 읽어요.", "동생이책을 읽어요"), "correct");
+  assert.equal(gradeDrillAnswer("저는 의사예요.", "저는 의사에요"), "close");
+  assert.equal(gradeDrillAnswer("를", "을"), "wrong");
+});
@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  PLACEMENT_ITEMS,
+  PLACEMENT_LENGTH,
+  SKILLS,
+  createPlacementTest,
+  findPlacementItem,
+  nextPlacementItem,
+  answerPlacementItem,
+  placementResult,
+  formatPlacementResult
+} from "../src/placement.js";
+
+// answers each item right or wrong according to `decide(item)` until the test ends
+function run(decide) {
+  const t = createPlacementTest();
+  let item;
+  while ((item = nextPlacementItem(t))) {
+    const wrong = (item.answer + 1) % item.options.length;
+    answerPlacementItem(t, decide(item) ? item.answer : wrong);
+  }
+  return t;
+}
+
+test("every item has a valid answer and a unique id", () => {
+  const ids = new Set();
+  for (const item of PLACEMENT_ITEMS) {
+    assert.ok(!ids.has(item.id), item.id);
+    ids.add(item.id);
+    assert.ok(SKILLS.includes(item.skill), item.id);
+    assert.ok(item.answer >= 0 && item.answer < item.options.length, item.id);
+  }
+
+  for (let level = 1; level <= 6; level++) {
+    for (const skill of SKILLS) {
+      assert.ok(PLACEMENT_ITEMS.some((i) => i.level === level && i.skill === skill), `${level} ${skill}`);
+    }
+  }
+});
+
+test("difficulty follows the answers and skills take turns", () => {
+  const t = createPlacementTest();
+
+  const first = nextPlacementItem(t);
+  assert.equal(first.level, 2);
+  assert.equal(first.skill, "vocabulary");
+  assert.equal(answerPlacementItem(t, first.answer).correct, true);
+
+  const second = nextPlacementItem(t);
+  assert.equal(second.level, 3);
+  assert.equal(second.skill, "grammar");
+  answerPlacementItem(t, (second.answer + 1) % 4);
+
+  const third = nextPlacementItem(t);
+  assert.equal(third.level, 2);
+  assert.equal(third.skill, "reading");
+});
+
+test("never repeats an item and stops after the set length", () => {
+  const t = run(() => true);
+  assert.equal(t.answers.length, PLACEMENT_LENGTH);
+  assert.equal(new Set(t.answers.map((a) => a.itemId)).size, PLACEMENT_LENGTH);
+  assert.equal(nextPlacementItem(t), null);
+});
+
+test("recommends a level from where the answers stop being right", () => {
+  assert.equal(placementResult(run(() => true)).level, "6");
+  assert.equal(placementResult(run(() => false)).level, "1");
+  assert.equal(placementResult(run((item) => item.level <= 3)).level, "3");
+});
+
+test("names the strongest and weakest skills", () => {
+  const result = placementResult(run((item) => item.skill !== "listening" && item.level <= 4));
+
+  assert.equal(result.weakest, "listening");
+  assert.equal(result.bySkill.listening.correct, 0);
+
+  const msg = formatPlacementResult(result);
+  assert.match(msg, /Recommended level: \d급/);
+  assert.match(msg, /Needs the most work: 👂 Listening/);
+});
+
+test("items can be looked up by id", () => {
+  assert.equal(findPlacementItem("g1a").question, "저___ 학생이에요.");
+  assert.equal(findPlacementItem("nope"), null);
+});
@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { optionLabel, formatQuizQuestion, scoreQuiz, formatQuizResult } from "../src/quiz.js";
+
+const choice = (answer, explanation) => ({
+  type: "multiple_choice",
+  question: "Where did they meet?",
+  options: ["park", "cafe", "school", "home"],
+  answer,
+  explanation
+});
+
+const trueFalse = (answer) => ({
+  type: "true_false",
+  question: "They met on Sunday.",
+  options: ["True", "False"],
+  answer
+});
+
+test("options are lettered; true/false options are shown as they are", () => {
+  assert.equal(optionLabel(choice(0), 2), "C) school");
+  assert.equal(optionLabel(trueFalse(0), 1), "False");
+  assert.equal(formatQuizQuestion(choice(0), 1, 5), "Question 2/5\nWhere did they meet?\n\nA) park\nB) cafe\nC) school\nD) home");
+  assert.equal(formatQuizQuestion(trueFalse(0), 0, 5), "Question 1/5\nThey met on Sunday.\n\n(True or false?)");
+});
+
+test("answers map to a 0–10 score; skipped and missing answers are wrong", () => {
+  const items = [choice(1), trueFalse(0), trueFalse(1), choice(3), choice(0)];
+
+  const result = scoreQuiz(items, [1, 0, 0, null]);
+  assert.equal(result.correct, 2);
+  assert.equal(result.total, 5);
+  assert.equal(result.score, 4);
+  assert.deepEqual(result.perQuestion.map((q) => [q.correct, q.chosen]), [
+    [true, 1],
+    [true, 0],
+    [false, 0],
+    [false, null],
+    [false, null]
+  ]);
+
+  assert.equal(scoreQuiz(items, [1, 0, 1, 3, 0]).score, 10);
+  assert.equal(scoreQuiz(items.slice(0, 3), [1, 1, 1]).score, 7);
+  assert.deepEqual(scoreQuiz([], []), { correct: 0, total: 0, score: 0, perQuestion: [] });
+});
+
+test("the breakdown shows the right answer only for misses", () => {
+  const items = [choice(1, "They met at the cafe."), trueFalse(1)];
+  const result = scoreQuiz(items, [1, null]);
+
+  assert.equal(
+    formatQuizResult(items, result),
+    "Question-by-question breakdown (1/2 correct):\n\n" +
+      "✅ Question 1: Where did they meet?\nThey met at the cafe.\n\n" +
+      "❌ Question 2: They met on Sunday.\nYour answer: no answer\nCorrect: False"
+  );
+});
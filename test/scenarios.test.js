@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  SCENARIOS,
+  scenariosForLevel,
+  findScenario,
+  goalsForLevel,
+  markGoalsDone,
+  scenarioEnd,
+  formatGoals
+} from "../src/scenarios.js";
+
+const turns = (learner) =>
+  Array.from({ length: learner }, () => [
+    { role: "user", text: "네" },
+    { role: "assistant", text: "네, 알겠습니다." }
+  ]).flat();
+
+test("scenes and goals open up with the level", () => {
+  assert.deepEqual(scenariosForLevel("1").map((s) => s.id), ["cafe", "subway", "restaurant"]);
+  assert.equal(scenariosForLevel("6").length, SCENARIOS.length);
+  assert.equal(scenariosForLevel(null).length, 3);
+
+  const cafe = findScenario("cafe");
+  assert.equal(findScenario("moon"), null);
+  assert.deepEqual(goalsForLevel(cafe, "1").map((g) => g.text), [
+    "Order an iced americano",
+    "Ask for a bigger size",
+    "Pay by card"
+  ]);
+  assert.equal(goalsForLevel(cafe, "3").length, 5);
+  assert.ok(goalsForLevel(cafe, "3").every((g) => g.done === false));
+});
+
+test("goals are marked once, by 1-based number; out-of-range numbers are ignored", () => {
+  const goals = goalsForLevel(findScenario("cafe"), "1");
+
+  const first = markGoalsDone(goals, [1, "3", 0, 4, -1, 99]);
+  assert.deepEqual(first.map((g) => g.text), ["Order an iced americano", "Pay by card"]);
+
+  const again = markGoalsDone(goals, [1, 1, 3]);
+  assert.deepEqual(again, []);
+  assert.deepEqual(goals.map((g) => g.done), [true, false, true]);
+
+  assert.deepEqual(markGoalsDone(goals, undefined), []);
+  assert.equal(formatGoals(goals), "✅ 1. Order an iced americano\n⬜ 2. Ask for a bigger size\n✅ 3. Pay by card");
+});
+
+test("a scene ends when every goal is done or after the learner's 10th turn", () => {
+  const goals = goalsForLevel(findScenario("cafe"), "1");
+
+  assert.equal(scenarioEnd(goals, []), null);
+  assert.equal(scenarioEnd(goals, turns(9)), null);
+  assert.equal(scenarioEnd(goals, turns(10)), "turns");
+  // only the learner's turns count
+  assert.equal(scenarioEnd(goals, [...turns(9), { role: "assistant", text: "더 필요하신 거 있으세요?" }]), null);
+
+  markGoalsDone(goals, [1, 2, 3]);
+  assert.equal(scenarioEnd(goals, turns(1)), "goals");
+  assert.equal(scenarioEnd(goals, turns(10)), "goals");
+});
@@ -0,0 +1,130 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { schemas, extractJson, validate, parseAndValidate, SchemaError } from "../src/schemas.js";
+
+const quizItem = (overrides = {}) => ({
+  type: "multiple_choice",
+  question: "Where did they meet?",
+  options: ["park", "cafe", "school", "home"],
+  answer: 1,
+  ...overrides
+});
+
+// the SchemaError a call throws
+function schemaError(fn) {
+  try {
+    fn();
+  } catch (err) {
+    assert.ok(err instanceof SchemaError);
+    return err;
+  }
+  assert.fail("expected a SchemaError");
+}
+
+const lines = [
+  { speaker: "Man", text: "안녕하세요." },
+  { speaker: "woman", text: "네, 안녕하세요." }
+];
+
+test("extractJson strips markdown fences and the chatter around the object", () => {
+  assert.deepEqual(extractJson('```json\n{ "summary": "ok" }\n```'), { summary: "ok" });
+  assert.deepEqual(extractJson('Sure! Here it is: {"summary": "ok"} Hope that helps.'), { summary: "ok" });
+  assert.deepEqual(extractJson('```\n{"a": {"b": 1}}\n```'), { a: { b: 1 } });
+  assert.throws(() => extractJson("no json here"), SyntaxError);
+  assert.throws(() => extractJson(null), SyntaxError);
+});
+
+test("validate normalizes what it can: numeric strings, whitespace, extra items, defaults", () => {
+  const value = validate(schemas.readingEvaluation, {
+    score: "8/10",
+    per_question: [{ number: "2", correct: "yes", comment: 5 }]
+  });
+  assert.deepEqual(value, {
+    score: 8,
+    per_question: [{ number: 2, correct: true, comment: "5" }],
+    overall_feedback: ""
+  });
+
+  assert.equal(validate(schemas.speakingEvaluation, { score: 7.6, feedback: "  Good job. " }).score, 8);
+  assert.equal(validate(schemas.speakingEvaluation, { score: 7, feedback: "  Good job. " }).feedback, "Good job.");
+
+  const drill = validate(schemas.dictation, { sentences: ["하나", "둘", "셋", "넷", "다섯", "여섯", "일곱"] });
+  assert.deepEqual(drill.sentences, ["하나", "둘", "셋", "넷", "다섯"]);
+  assert.equal(drill.topic, "");
+});
+
+test("validate reports every problem it can't fix", () => {
+  const err = schemaError(() =>
+    validate(schemas.speakingEvaluation, { score: "great", feedback: " ", mistakes: "none" })
+  );
+  assert.deepEqual(err.errors, [
+    "score must be an integer",
+    "feedback must not be empty",
+    "mistakes must be an array"
+  ]);
+  assert.match(err.message, /^speaking evaluation: score must be an integer; /);
+
+  assert.throws(() => validate(schemas.dictation, { sentences: ["하나", "둘"] }), {
+    errors: ["sentences must have at least 3 items (got 2)"]
+  });
+  assert.throws(() => validate(schemas.readingEvaluation, { score: 11 }), {
+    errors: ["score must be <= 10 (got 11)"]
+  });
+});
+
+test("quiz items: true/false options are fixed, other types and answers are checked", () => {
+  const items = [
+    quizItem({ type: "true_false", options: ["맞아요", "틀려요", "?"], answer: 0 }),
+    quizItem(),
+    quizItem(),
+    quizItem(),
+    quizItem()
+  ];
+  const value = validate(schemas.readingQuiz, { text: "본문", items });
+  assert.deepEqual(value.items[0].options, ["True", "False"]);
+  assert.deepEqual(value.items[1].options, ["park", "cafe", "school", "home"]);
+
+  const bad = [
+    quizItem({ type: "essay" }),
+    quizItem({ options: ["a", "b"] }),
+    quizItem({ answer: 4 }),
+    quizItem({ type: "true_false", answer: 2 }),
+    quizItem()
+  ];
+  assert.throws(() => validate(schemas.readingQuiz, { text: "본문", items: bad }), {
+    errors: [
+      'items[0].type must be "multiple_choice" or "true_false"',
+      "items[1].options must have 3–4 options for multiple_choice",
+      "items[2].answer must be a 0-based index into options",
+      "items[3].answer must be a 0-based index into options"
+    ]
+  });
+});
+
+test("dialogue speakers are lower-cased and must be a man or a woman", () => {
+  const questions = ["1", "2", "3", "4", "5"];
+  const value = validate(schemas.listeningDialogue, { lines, questions });
+  assert.deepEqual(value.lines.map((l) => l.speaker), ["man", "woman"]);
+
+  assert.throws(
+    () => validate(schemas.listeningDialogue, { lines: [...lines, { speaker: "narrator", text: "..." }], questions }),
+    { errors: ['lines[2].speaker must be "man" or "woman"'] }
+  );
+});
+
+test("cross-field rules only run once the fields themselves are valid", () => {
+  assert.throws(() => validate(schemas.listeningQuiz, { lines: lines.slice(0, 1), items: [] }), {
+    errors: ["lines must have at least 2 items (got 1)", "items must have at least 5 items (got 0)"]
+  });
+});
+
+test("parseAndValidate turns unparsable output into a SchemaError", () => {
+  assert.deepEqual(parseAndValidate(schemas.conversationSummary, '```json\n{"summary": " 요약 "}\n```'), {
+    summary: "요약"
+  });
+
+  const err = schemaError(() => parseAndValidate(schemas.conversationSummary, "Sorry, I can't."));
+  assert.equal(err.errors.length, 1);
+  assert.match(err.errors[0], /^response is not valid JSON \(/);
+});
@@ -0,0 +1,103 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+import { createHarness } from "./harness.js";
+import { createApp, mountWebhook, loadServerConfig } from "../src/server.js";
+
+const config = loadServerConfig({
+  BOT_MODE: "webhook",
+  WEBHOOK_DOMAIN: "https://bot.example.com/",
+  WEBHOOK_SECRET: "test-secret"
+});
+
+let h;
+let server;
+let baseUrl;
+let status;
+
+before(async () => {
+  h = createHarness();
+  status = {
+    bot: { configured: true, running: true, mode: "webhook" },
+    ai: { configured: true, provider: "mock" }
+  };
+
+  const app = createApp({ getStatus: () => status });
+  mountWebhook(app, h.bot, config);
+
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  h.dispose();
+});
+
+function postUpdate(update, secret) {
+  const headers = { "content-type": "application/json" };
+  if (secret) headers["x-telegram-bot-api-secret-token"] = secret;
+
+  return fetch(`${baseUrl}${config.webhookPath}`, {
+    method: "POST",
+    headers,
+    body: JSON.stringify(update)
+  });
+}
+
+const startUpdate = {
+  update_id: 1,
+  message: {
+    message_id: 1,
+    date: 0,
+    chat: { id: 7, type: "private" },
+    from: { id: 7, is_bot: false, first_name: "Tester" },
+    text: "/start",
+    entities: [{ type: "bot_command", offset: 0, length: 6 }]
+  }
+};
+
+test("config trims the domain and rejects webhook mode without a domain", () => {
+  assert.equal(config.webhookDomain, "https://bot.example.com");
+  assert.equal(config.webhookPath, "/telegram/webhook");
+  assert.throws(() => loadServerConfig({ BOT_MODE: "webhook" }), /WEBHOOK_DOMAIN/);
+  assert.equal(loadServerConfig({}).mode, "polling");
+});
+
+test("webhook rejects requests without the secret token", async () => {
+  const before = h.calls.length;
+
+  const noSecret = await postUpdate(startUpdate);
+  const wrongSecret = await postUpdate(startUpdate, "nope");
+
+  assert.equal(noSecret.status, 403);
+  assert.equal(wrongSecret.status, 403);
+  assert.equal(h.calls.length, before);
+});
+
+test("webhook passes updates with the secret token to the bot", async () => {
+  const res = await postUpdate(startUpdate, "test-secret");
+
+  assert.equal(res.status, 200);
+  assert.equal(h.session(7).level, null);
+  assert.ok(h.texts().some((t) => /Hello, Tester!/.test(t)));
+});
+
+test("/ready reports bot and AI configuration", async () => {
+  let res = await fetch(`${baseUrl}/ready`);
+  let body = await res.json();
+
+  assert.equal(res.status, 200);
+  assert.equal(body.ready, true);
+  assert.equal(body.ai.provider, "mock");
+
+  status.ai = { configured: false, provider: null };
+  res = await fetch(`${baseUrl}/ready`);
+  body = await res.json();
+
+  assert.equal(res.status, 503);
+  assert.equal(body.ready, false);
+  assert.equal(body.bot.mode, "webhook");
+});
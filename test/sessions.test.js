@@ -0,0 +1,112 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import {
+  SESSION_VERSION,
+  migrateSession,
+  initSessionStore,
+  getSession,
+  saveSessions
+} from "../src/sessions.js";
+import { createJsonFileStore } from "../src/storage.js";
+
+function tempFile(data) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "hangram-sessions-"));
+  const file = path.join(dir, "sessions.json");
+  fs.writeFileSync(file, JSON.stringify(data));
+  return file;
+}
+
+// a session saved before versioning: numeric level, score only, an exercise without an id
+const unversioned = () => ({
+  level: 2,
+  practiceType: "reading",
+  stats: { totalScore: 40 },
+  reading: { state: "waiting_for_answers", exercise: { topic: "Weekend", text: "주말에 공원에 갔어요.", questions: ["Where?"] } }
+});
+
+test("an unversioned session from disk loads at the current version with defaults filled in", () => {
+  const file = tempFile({ 42: unversioned() });
+  assert.equal(initSessionStore(createJsonFileStore(file)), 1);
+
+  const session = getSession("42");
+  assert.equal(session.version, SESSION_VERSION);
+
+  // kept and converted
+  assert.equal(session.level, "2");
+  assert.equal(session.practiceType, "reading");
+  assert.equal(session.stats.totalScore, 40);
+  assert.deepEqual(session.stats.history, []);
+  assert.equal(session.reading.state, "waiting_for_answers");
+  assert.equal(session.reading.exercise.text, "주말에 공원에 갔어요.");
+
+  // v4 gives the open exercise an id so its buttons keep working; v7 a format
+  assert.equal(session.reading.exercise.id, 1);
+  assert.equal(session.exerciseSeq, 1);
+  assert.equal(session.reading.format, "text");
+
+  // everything added later
+  assert.deepEqual(session.vocab.cards, []);
+  assert.deepEqual(session.free.history, []);
+  assert.equal(session.leveling.auto, false);
+  assert.deepEqual(session.streak.days, {});
+  assert.deepEqual(session.mistakes.items, []);
+  assert.deepEqual(session.exam.history, []);
+  assert.equal(session.audio.speed, 1);
+  assert.deepEqual(session.grammar.progress, {});
+  assert.equal(session.conjugation.state, "idle");
+  assert.deepEqual(session.hangul, { state: "idle", exercise: null, progress: {} });
+});
+
+test("a mid-chain session keeps its data and only gains what came later", () => {
+  const session = migrateSession({
+    version: 12,
+    level: "3",
+    stats: { totalScore: 10, history: [{ mode: "reading", level: "3", score: 8, topic: "t", at: 1 }] },
+    streak: { goal: { type: "points", target: 20 }, days: { "2026-10-01": { exercises: 2, points: 15 } }, current: 4, best: 6 },
+    leveling: { auto: true, min: 2, max: 4, windowStart: 5, pending: null }
+  });
+
+  assert.equal(session.version, SESSION_VERSION);
+  assert.equal(session.stats.history.length, 1);
+  assert.deepEqual(session.streak.goal, { type: "points", target: 20 });
+  assert.equal(session.streak.current, 4);
+  assert.equal(session.streak.freezes, 1);            // filled from the defaults
+  assert.equal(session.streak.reminder.enabled, false);
+  assert.deepEqual({ ...session.leveling }, { auto: true, min: 2, max: 4, windowStart: 5, pending: null });
+  assert.deepEqual(session.mistakes.items, []);
+  assert.equal(session.writing.state, "idle");
+});
+
+test("a session at the current version is left as it is", () => {
+  const current = migrateSession({});
+  current.level = "5";
+  current.hangul.progress.vowels = { attempts: 1, best: 9, completed: true, completedAt: 1 };
+
+  const again = migrateSession(JSON.parse(JSON.stringify(current)));
+  assert.deepEqual(again, current);
+});
+
+test("garbage entries become empty sessions", () => {
+  for (const raw of [null, "text", [1, 2], 7]) {
+    const session = migrateSession(raw);
+    assert.equal(session.version, SESSION_VERSION);
+    assert.equal(session.level, null);
+  }
+});
+
+test("saved sessions load back unchanged", async () => {
+  const file = tempFile({});
+  initSessionStore(createJsonFileStore(file));
+
+  const session = getSession("7");
+  session.level = "4";
+  session.stats.history.push({ mode: "dictation", level: "4", score: 6, topic: "x", at: 2 });
+  await saveSessions();
+
+  initSessionStore(createJsonFileStore(file));
+  assert.deepEqual(getSession("7"), JSON.parse(JSON.stringify(session)));
+});
@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  createShadowingState,
+  gradeShadowing,
+  takeNextSentence,
+  recordAttempt
+} from "../src/shadowing.js";
+
+test("spacing in the transcript doesn't count", () => {
+  const result = gradeShadowing("저는 커피를 좋아해요.", "저는커피를 좋아 해요");
+  assert.equal(result.accuracy, 1);
+  assert.deepEqual(result.errors, []);
+});
+
+test("lists the sounds that were heard differently", () => {
+  const result = gradeShadowing("어서 오세요", "오서 오새요");
+  assert.deepEqual(
+    result.sounds.map((s) => [s.slot, s.expected, s.heard]),
+    [["vowel", "ㅓ", "ㅗ"], ["vowel", "ㅔ", "ㅐ"]]
+  );
+});
+
+test("weak sentences come back after a few others until they're said well", () => {
+  const state = createShadowingState();
+  state.upcoming = ["가", "나", "다", "라", "마"].map((k) => ({ korean: k, english: "" }));
+
+  const first = takeNextSentence(state);
+  assert.equal(recordAttempt(state, first, 0.5), true);
+
+  for (const expected of ["나", "다", "라"]) {
+    const next = takeNextSentence(state);
+    assert.equal(next.korean, expected);
+    recordAttempt(state, next, 1);
+  }
+
+  const retry = takeNextSentence(state);
+  assert.deepEqual(retry, { korean: "가", english: "", retry: true });
+  assert.equal(recordAttempt(state, retry, 0.9), false);
+  assert.deepEqual(state.weak, []);
+});
@@ -0,0 +1,26 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { addScoreToStats, buildProgressReport } from "../src/stats.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 9, 18, 12, 0);
+
+test("the report lists only the modes that were practiced", () => {
+  const session = {};
+  addScoreToStats(session, 8, { mode: "reading", level: "2", at: NOW - DAY });
+  addScoreToStats(session, 6, { mode: "reading", level: "2", at: NOW - DAY });
+  addScoreToStats(session, 4, { mode: "dictation", level: "2", at: NOW - 9 * DAY });
+
+  const report = buildProgressReport(session, NOW);
+
+  assert.match(report, /By skill \(average score \/ exercises\):\n📖 Reading: 7\.0\/10 \(2\)\n✍️ Dictation: 4\.0\/10 \(1\)\n\nRecent trend:/);
+  assert.doesNotMatch(report, /Listening|Speaking|Mock exam|: — \(0\)/);
+  assert.match(report, /Last 7 days: 2 exercise\(s\), average 7\.0\/10 ↗️\nPrevious 7 days: 1 exercise\(s\), average 4\.0\/10/);
+  assert.match(report, /Strongest: 📖 Reading\. Needs work: ✍️ Dictation/);
+});
+
+test("there is no report before the first exercise", () => {
+  assert.equal(buildProgressReport({}, NOW), null);
+  assert.equal(buildProgressReport({ stats: { totalScore: 0, history: [] } }, NOW), null);
+});
@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import { createJsonFileStore, createMemoryStore, createSessionStore } from "../src/storage.js";
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "hangram-store-"));
+}
+
+test("a missing or empty file loads as no sessions", () => {
+  const dir = tempDir();
+  const file = path.join(dir, "sessions.json");
+
+  assert.deepEqual(createJsonFileStore(file).load(), {});
+  fs.writeFileSync(file, "  \n");
+  assert.deepEqual(createJsonFileStore(file).load(), {});
+});
+
+test("saves go through a temp file and the last one wins", async () => {
+  const dir = tempDir();
+  const file = path.join(dir, "nested", "sessions.json");
+  const store = createJsonFileStore(file);
+
+  store.save({ 1: { level: "1" } });
+  await store.save({ 1: { level: "2" } });
+
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, "utf8")), { 1: { level: "2" } });
+  assert.equal(fs.existsSync(`${file}.tmp`), false);
+  assert.deepEqual(createJsonFileStore(file).load(), { 1: { level: "2" } });
+});
+
+test("an unparsable file is kept as .broken-<ts> and loads as empty", () => {
+  const dir = tempDir();
+  const file = path.join(dir, "sessions.json");
+  fs.writeFileSync(file, "{\"1\": {\"level\":");
+
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    assert.deepEqual(createJsonFileStore(file).load(), {});
+  } finally {
+    console.error = originalError;
+  }
+
+  const broken = fs.readdirSync(dir).filter((f) => /^sessions\.json\.broken-\d+$/.test(f));
+  assert.equal(broken.length, 1);
+  assert.equal(fs.readFileSync(path.join(dir, broken[0]), "utf8"), "{\"1\": {\"level\":");
+});
+
+test("SESSION_STORE picks the store", async () => {
+  const memory = createSessionStore({ SESSION_STORE: "memory" });
+  assert.equal(memory.name, "memory");
+  await memory.save({ 1: {} });
+  assert.deepEqual(memory.load(), { 1: {} });
+  assert.equal(createMemoryStore().name, "memory");
+
+  const json = createSessionStore({ SESSION_FILE: "/tmp/x/sessions.json" });
+  assert.equal(json.name, "json");
+  assert.equal(json.filePath, "/tmp/x/sessions.json");
+
+  assert.throws(() => createSessionStore({ SESSION_STORE: "redis" }), /Unknown SESSION_STORE: redis/);
+});
@@ -0,0 +1,155 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  createStreakState,
+  recordActivity,
+  streakStatus,
+  formatStreakStatus,
+  localDateKey,
+  parseTime,
+  isValidTimezone,
+  isReminderDue,
+  markReminderSent
+} from "../src/streaks.js";
+import { createReminderScheduler, reminderText } from "../src/reminders.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+const MONDAY = Date.parse("2026-10-12T10:00:00Z");
+
+function streakWithGoal(target, type = "exercises") {
+  const streak = createStreakState();
+  streak.goal = { type, target };
+  return streak;
+}
+
+test("day keys follow the learner's timezone", () => {
+  const lateUtc = Date.parse("2026-10-12T20:00:00Z");
+  assert.equal(localDateKey(lateUtc, "UTC"), "2026-10-12");
+  assert.equal(localDateKey(lateUtc, "Asia/Seoul"), "2026-10-13");
+  assert.equal(localDateKey(lateUtc, "America/Los_Angeles"), "2026-10-12");
+});
+
+test("the goal counts exercises or points", () => {
+  const streak = streakWithGoal(2);
+  assert.equal(recordActivity(streak, 5, MONDAY).goalJustMet, false);
+  assert.equal(recordActivity(streak, 5, MONDAY).goalJustMet, true);
+  assert.equal(recordActivity(streak, 5, MONDAY).goalJustMet, false);
+  assert.equal(streak.current, 1);
+
+  const points = streakWithGoal(15, "points");
+  recordActivity(points, 8, MONDAY);
+  assert.equal(recordActivity(points, 7, MONDAY).goalJustMet, true);
+});
+
+test("consecutive days grow the streak, a gap resets it", () => {
+  const streak = streakWithGoal(1);
+  streak.freezes = 0;
+
+  recordActivity(streak, 7, MONDAY);
+  recordActivity(streak, 7, MONDAY + DAY);
+  recordActivity(streak, 7, MONDAY + 2 * DAY);
+  assert.equal(streak.current, 3);
+
+  assert.equal(streakStatus(streak, MONDAY + 4 * DAY).current, 0);
+  recordActivity(streak, 7, MONDAY + 4 * DAY);
+  assert.equal(streak.current, 1);
+  assert.equal(streak.best, 3);
+});
+
+test("a freeze covers a missed day, and a week of streak earns one", () => {
+  const streak = streakWithGoal(1);
+  assert.equal(streak.freezes, 1);
+
+  recordActivity(streak, 7, MONDAY);
+  assert.equal(streakStatus(streak, MONDAY + 2 * DAY).current, 1);
+
+  const result = recordActivity(streak, 7, MONDAY + 2 * DAY);
+  assert.equal(result.frozen, 1);
+  assert.equal(streak.current, 2);
+  assert.equal(streak.freezes, 0);
+  assert.deepEqual(streak.frozenDays, ["2026-10-13"]);
+
+  let earned = false;
+  for (let d = 3; d <= 7; d++) {
+    earned = recordActivity(streak, 7, MONDAY + d * DAY).freezeEarned;
+  }
+  assert.equal(streak.current, 7);
+  assert.equal(earned, true);
+  assert.equal(streak.freezes, 1);
+});
+
+test("formats today's progress", () => {
+  const streak = streakWithGoal(3);
+  recordActivity(streak, 7, MONDAY);
+  assert.equal(
+    formatStreakStatus(streak, MONDAY),
+    "🔥 Streak: 0 day(s) (best 0) · 🧊 Freezes: 1\n🎯 Today: 1/3 exercises"
+  );
+});
+
+test("parses reminder times and timezones", () => {
+  assert.equal(parseTime("9:05"), "09:05");
+  assert.equal(parseTime("21.30"), "21:30");
+  assert.equal(parseTime("24:00"), null);
+  assert.equal(parseTime("evening"), null);
+  assert.equal(isValidTimezone("Asia/Seoul"), true);
+  assert.equal(isValidTimezone("Mars/Olympus"), false);
+});
+
+test("a reminder is due once a day after its local time while the goal is open", () => {
+  const streak = streakWithGoal(1);
+  streak.timezone = "Asia/Seoul";
+  streak.reminder = { enabled: true, time: "19:00", lastSent: null };
+
+  const before = Date.parse("2026-10-12T09:00:00Z");   // 18:00 in Seoul
+  const after = Date.parse("2026-10-12T11:00:00Z");    // 20:00 in Seoul
+  assert.equal(isReminderDue(streak, before), false);
+  assert.equal(isReminderDue(streak, after), true);
+
+  markReminderSent(streak, after);
+  assert.equal(isReminderDue(streak, after + 60 * 1000), false);
+  assert.equal(isReminderDue(streak, after + DAY), true);
+
+  recordActivity(streak, 7, after + DAY);
+  assert.equal(isReminderDue(streak, after + DAY), false);
+});
+
+test("the scheduler sends due reminders, remembers them and stops for blocked users", async () => {
+  const due = streakWithGoal(2);
+  due.reminder = { enabled: true, time: "08:00", lastSent: null };
+  const blocked = streakWithGoal(2);
+  blocked.reminder = { enabled: true, time: "08:00", lastSent: null };
+  const off = streakWithGoal(2);
+
+  const sessions = [["1", { streak: due }], ["2", { streak: blocked }], ["3", { streak: off }]];
+  const sent = [];
+  let saves = 0;
+
+  const scheduler = createReminderScheduler({
+    telegram: {
+      async sendMessage(chatId, text) {
+        if (chatId === "2") {
+          const err = new Error("Forbidden: bot was blocked by the user");
+          err.response = { error_code: 403 };
+          throw err;
+        }
+        sent.push({ chatId, text });
+      }
+    },
+    listSessions: () => sessions,
+    save: async () => { saves++; },
+    now: () => MONDAY
+  });
+
+  await scheduler.tick();
+  assert.deepEqual(sent.map((s) => s.chatId), ["1"]);
+  assert.equal(sent[0].text, reminderText(due, MONDAY));
+  assert.match(sent[0].text, /2 more exercises/);
+  assert.equal(blocked.reminder.enabled, false);
+  assert.equal(saves, 1);
+
+  // already sent today, e.g. after a restart
+  await scheduler.tick();
+  assert.equal(sent.length, 1);
+});
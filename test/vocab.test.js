@@ -0,0 +1,133 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  GRADES,
+  createEmptyDeck,
+  findCard,
+  addCard,
+  addCards,
+  scheduleReview,
+  dueCards,
+  nextDueCard,
+  nextDueTime,
+  formatWaitTime
+} from "../src/vocab.js";
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const NOW = Date.parse("2026-10-12T10:00:00Z");
+
+function newCard(front = "사과") {
+  return addCard(createEmptyDeck(), { front, back: "apple" }, NOW);
+}
+
+test("new cards are due right away with the starting ease", () => {
+  const deck = createEmptyDeck();
+  const card = addCard(deck, { front: "  사과   나무 ", back: " apple tree ", example: "사과 나무가 있어요." }, NOW);
+
+  assert.deepEqual(card, {
+    id: 1,
+    front: "사과 나무",
+    back: "apple tree",
+    example: "사과 나무가 있어요.",
+    source: "manual",
+    addedAt: NOW,
+    due: NOW,
+    interval: 0,
+    ease: 2.5,
+    reps: 0,
+    lapses: 0
+  });
+  assert.equal(findCard(deck, "1"), card);
+  assert.equal(findCard(deck, 2), null);
+});
+
+test("duplicates and empty words are not added", () => {
+  const deck = createEmptyDeck();
+  assert.ok(addCard(deck, { front: "먹어 보다" }, NOW));
+  assert.equal(addCard(deck, { front: "먹어보다" }, NOW), null);
+  assert.equal(addCard(deck, { front: "   " }, NOW), null);
+
+  const added = addCards(deck, [{ front: "먹어보다" }, { front: "물", back: "water" }, { front: "물" }], "reading", NOW);
+  assert.deepEqual(added.map((c) => [c.front, c.source]), [["물", "reading"]]);
+  assert.equal(deck.cards.length, 2);
+  assert.equal(deck.nextId, 3);
+});
+
+test("good answers grow the interval 1 → 6 → interval × ease days", () => {
+  const card = newCard();
+
+  scheduleReview(card, GRADES.good, NOW);
+  assert.equal(card.interval, 1);
+  assert.equal(card.due, NOW + DAY);
+  assert.equal(card.ease, 2.5);
+  assert.equal(card.lastReviewedAt, NOW);
+
+  scheduleReview(card, GRADES.good, NOW + DAY);
+  assert.equal(card.interval, 6);
+  assert.equal(card.due, NOW + 7 * DAY);
+
+  scheduleReview(card, GRADES.good, NOW + 7 * DAY);
+  assert.equal(card.interval, 15);
+  assert.equal(card.due, NOW + 22 * DAY);
+  assert.equal(card.reps, 3);
+});
+
+test("the grade moves the ease: easy up, hard down", () => {
+  const easy = scheduleReview(newCard(), GRADES.easy, NOW);
+  assert.equal(easy.ease, 2.6);
+
+  const hard = scheduleReview(newCard(), GRADES.hard, NOW);
+  assert.equal(hard.ease, 2.36);
+  assert.equal(hard.interval, 1);
+
+  // out-of-range qualities are clamped to 0–5
+  assert.equal(scheduleReview(newCard(), 9, NOW).ease, 2.6);
+});
+
+test("a lapse resets the repetitions and brings the card back in ten minutes", () => {
+  const card = newCard();
+  scheduleReview(card, GRADES.good, NOW);
+  scheduleReview(card, GRADES.good, NOW + DAY);
+
+  scheduleReview(card, GRADES.again, NOW + 7 * DAY);
+  assert.equal(card.reps, 0);
+  assert.equal(card.lapses, 1);
+  assert.equal(card.interval, 0);
+  assert.equal(card.due, NOW + 7 * DAY + 10 * MINUTE);
+  assert.equal(card.ease, 1.96);
+
+  scheduleReview(card, GRADES.good, NOW + 8 * DAY);
+  assert.equal(card.interval, 1);
+});
+
+test("the ease never drops below 1.3", () => {
+  const card = newCard();
+  for (let i = 0; i < 5; i++) {
+    scheduleReview(card, GRADES.again, NOW + i * MINUTE);
+  }
+  assert.equal(card.ease, 1.3);
+  assert.equal(card.lapses, 5);
+});
+
+test("due cards come oldest first, ties by id", () => {
+  const deck = createEmptyDeck();
+  const a = addCard(deck, { front: "가" }, NOW);
+  const b = addCard(deck, { front: "나" }, NOW - MINUTE);
+  const c = addCard(deck, { front: "다" }, NOW);
+  scheduleReview(addCard(deck, { front: "라" }, NOW), GRADES.good, NOW);
+
+  assert.deepEqual(dueCards(deck, NOW).map((card) => card.id), [b.id, a.id, c.id]);
+  assert.equal(nextDueCard(deck, NOW), b);
+  assert.equal(nextDueCard(deck, NOW - 2 * MINUTE), null);
+  assert.equal(nextDueTime(deck), NOW - MINUTE);
+  assert.equal(nextDueTime(createEmptyDeck()), null);
+});
+
+test("wait times read naturally", () => {
+  assert.equal(formatWaitTime(0), "now");
+  assert.equal(formatWaitTime(9.5 * MINUTE), "10 min");
+  assert.equal(formatWaitTime(3 * 60 * MINUTE), "3 h");
+  assert.equal(formatWaitTime(6 * DAY), "6 day(s)");
+});
@@ -0,0 +1,25 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createAudioSettings, dialogueVoices, formatDialogue, formatAudioSettings } from "../src/voices.js";
+
+test("the preferred voice takes the dialogue role that fits it", () => {
+  assert.deepEqual(dialogueVoices(createAudioSettings()), { man: "onyx", woman: "nova" });
+  assert.deepEqual(dialogueVoices({ voice: "coral", speed: 1 }), { man: "onyx", woman: "coral" });
+  assert.deepEqual(dialogueVoices({ voice: "ash", speed: 1 }), { man: "ash", woman: "nova" });
+  // a neutral voice keeps both defaults
+  assert.deepEqual(dialogueVoices({ voice: "alloy", speed: 1 }), { man: "onyx", woman: "nova" });
+});
+
+test("dialogues read like a TOPIK script", () => {
+  const text = formatDialogue([
+    { speaker: "woman", text: "주말에 뭐 해요?" },
+    { speaker: "man", text: "친구를 만나요." }
+  ]);
+  assert.equal(text, "여자: 주말에 뭐 해요?\n남자: 친구를 만나요.");
+});
+
+test("settings are summarized in one line", () => {
+  assert.equal(formatAudioSettings(createAudioSettings()), "🎧 Voice: Default · Speed: Normal");
+  assert.equal(formatAudioSettings({ voice: "shimmer", speed: 0.75 }), "🎧 Voice: Shimmer · Speed: 🐢 Slow");
+});
@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  RUBRICS,
+  writingTypesForLevel,
+  rubricTotal,
+  countCharacters,
+  lengthStatus,
+  formatLength,
+  scoreWriting,
+  markCorrections
+} from "../src/writing.js";
+
+test("rubrics follow the TOPIK weights", () => {
+  assert.equal(rubricTotal("graph"), 30);
+  assert.equal(rubricTotal("essay"), 50);
+  assert.equal(rubricTotal("diary"), 10);
+  for (const criteria of Object.values(RUBRICS)) {
+    assert.deepEqual(criteria.map((c) => c.key), ["content", "organization", "language"]);
+  }
+});
+
+test("beginners get diaries, higher levels the TOPIK II items", () => {
+  assert.deepEqual(writingTypesForLevel("1"), ["diary", "completion"]);
+  assert.deepEqual(writingTypesForLevel("4"), ["completion", "graph", "essay"]);
+});
+
+test("counts characters with spaces, ignoring line breaks", () => {
+  assert.deepEqual(countCharacters(" 저는 학생이에요.\n반가워요! "), { withSpaces: 14, withoutSpaces: 13 });
+  assert.equal(lengthStatus("graph", 199), "short");
+  assert.equal(lengthStatus("graph", 250), "ok");
+  assert.equal(lengthStatus("graph", 301), "long");
+  assert.equal(lengthStatus("completion", 10), null);
+  assert.equal(formatLength("essay", 550), "📏 550 characters (target 600–700) ⚠️ too short");
+});
+
+test("criterion scores are clamped to the rubric and scaled to 10", () => {
+  const grade = scoreWriting("graph", [
+    { key: "content", score: 9, comment: "All data covered." },
+    { key: "language", score: 11 }
+  ]);
+
+  assert.deepEqual(grade.rows.map((r) => r.score), [7, 0, 11]);
+  assert.equal(grade.rows[0].comment, "All data covered.");
+  assert.equal(grade.points, 18);
+  assert.equal(grade.max, 30);
+  assert.equal(grade.score, 6);
+});
+
+test("corrections are marked where they occur; the rest are returned", () => {
+  const { html, unplaced } = markCorrections("친구가 만났어요. <정말> 재미있어요.", [
+    { original: "재미있어요", corrected: "재미있었어요" },
+    { original: "친구가 만났어요", corrected: "친구를 만났어요" },
+    { original: "가 만", corrected: "overlaps" },
+    { original: "없는 말", corrected: "not in the text" }
+  ]);
+
+  assert.equal(
+    html,
+    "<s>친구가 만났어요</s> <b>친구를 만났어요</b>. &lt;정말&gt; <s>재미있어요</s> <b>재미있었어요</b>."
+  );
+  assert.deepEqual(unplaced.map((c) => c.corrected), ["overlaps", "not in the text"]);
+});